@@ -17,24 +17,95 @@ const API_BASE_URL = (() => {
 })();
 
 /**
- * Get stored JWT token
+ * Get stored JWT access token
  */
 function getToken() {
   return localStorage.getItem("token");
 }
 
 /**
- * Store JWT token
+ * Store JWT access token
  */
 function setToken(token) {
   localStorage.setItem("token", token);
 }
 
 /**
- * Remove JWT token
+ * Get stored refresh token (renews the short-lived access token)
+ */
+function getRefreshToken() {
+  return localStorage.getItem("refresh_token");
+}
+
+/**
+ * Store refresh token
+ */
+function setRefreshToken(token) {
+  localStorage.setItem("refresh_token", token);
+}
+
+/**
+ * Remove access and refresh tokens
  */
 function removeToken() {
   localStorage.removeItem("token");
+  localStorage.removeItem("refresh_token");
+}
+
+/**
+ * Get a new access token with the refresh token (the server replaces the refresh token)
+ * Refreshes run one at a time across tabs: a tab that waited uses the token another tab got.
+ * @param {string} expiredToken - Access token that was rejected as expired
+ * @returns {Promise<boolean>} Whether there is a new access token
+ */
+async function refreshAccessToken(expiredToken) {
+  const refresh = async () => {
+    if (getToken() !== expiredToken) {
+      return Boolean(getToken());
+    }
+
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+    if (!response.ok) {
+      return false;
+    }
+
+    const data = await response.json();
+    setToken(data.token);
+    setRefreshToken(data.refresh_token);
+    return true;
+  };
+
+  return navigator.locks ? navigator.locks.request("mc73-token-refresh", refresh) : refresh();
+}
+
+/**
+ * Get selected building ID (sent with every request)
+ */
+function getBuildingId() {
+  return localStorage.getItem("building_id");
+}
+
+/**
+ * Store selected building ID
+ */
+function setBuildingId(id) {
+  localStorage.setItem("building_id", String(id));
+}
+
+/**
+ * Remove selected building ID
+ */
+function removeBuildingId() {
+  localStorage.removeItem("building_id");
 }
 
 /**
@@ -44,13 +115,27 @@ function isAuthenticated() {
   return !!getToken();
 }
 
+/**
+ * Build error message from API error response
+ * Appends field-level validation details when present
+ */
+function getErrorMessage(data, fallback) {
+  const message = (data && data.error) || fallback;
+  if (data && Array.isArray(data.details) && data.details.length > 0) {
+    return `${message}: ${data.details.map((d) => d.message).join("; ")}`;
+  }
+  return message;
+}
+
 /**
  * Make API request with authentication
+ * An expired access token is renewed with the refresh token and the request repeated once.
  * @param {string} endpoint - API endpoint (without /api prefix)
  * @param {Object} options - Fetch options
+ * @param {boolean} retried - Request is repeated after renewing the access token
  * @returns {Promise<Object>} Response data
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retried = false) {
   const url = `${API_BASE_URL}${endpoint}`;
 
   const headers = {
@@ -64,18 +149,43 @@ async function apiRequest(endpoint, options = {}) {
     headers["Authorization"] = `Bearer ${token}`;
   }
 
+  // Building context (server defaults to the first accessible building)
+  const buildingId = getBuildingId();
+  if (buildingId) {
+    headers["X-Building-Id"] = buildingId;
+  }
+
   const response = await fetch(url, {
     ...options,
     headers,
   });
 
-  // Handle 401 Unauthorized
-  if (response.status === 401) {
+  // Handle 401 Unauthorized (a rejected login is shown on the login page instead)
+  if (response.status === 401 && !endpoint.startsWith("/auth/login")) {
+    const data = await response.clone().json().catch(() => null);
+    if (token && !retried && data && data.token_expired && (await refreshAccessToken(token))) {
+      return apiRequest(endpoint, options, true);
+    }
+
     removeToken();
     window.location.href = "/login.html";
     throw new Error("Sesija je istekla. Prijavite se ponovo.");
   }
 
+  // Password set by an admin (or the default one) has to be changed first,
+  // and roles that require two-factor authentication have to enable it
+  if (response.status === 403 && !window.location.pathname.includes("password.html")) {
+    const data = await response.clone().json().catch(() => null);
+    if (data && data.password_change_required) {
+      window.location.href = "/password.html";
+      throw new Error(data.error);
+    }
+    if (data && data.two_factor_setup_required && !window.location.pathname.includes("two-factor.html")) {
+      window.location.href = "/two-factor.html";
+      throw new Error(data.error);
+    }
+  }
+
   // Parse response
   const contentType = response.headers.get("content-type");
 
@@ -83,7 +193,7 @@ async function apiRequest(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || "Greska na serveru");
+      throw new Error(getErrorMessage(data, "Greska na serveru"));
     }
 
     return data;
@@ -132,9 +242,10 @@ async function del(endpoint) {
 }
 
 /**
- * Download file (PDF)
+ * Download file (PDF, image, CSV, Excel)
+ * @param {boolean} retried - Download is repeated after renewing the access token
  */
-async function downloadFile(endpoint, filename) {
+async function downloadFile(endpoint, filename, retried = false) {
   const url = `${API_BASE_URL}${endpoint}`;
 
   const token = getToken();
@@ -143,13 +254,25 @@ async function downloadFile(endpoint, filename) {
     headers["Authorization"] = `Bearer ${token}`;
   }
 
+  const buildingId = getBuildingId();
+  if (buildingId) {
+    headers["X-Building-Id"] = buildingId;
+  }
+
   const response = await fetch(url, { headers });
 
+  if (response.status === 401 && token && !retried) {
+    const data = await response.clone().json().catch(() => null);
+    if (data && data.token_expired && (await refreshAccessToken(token))) {
+      return downloadFile(endpoint, filename, true);
+    }
+  }
+
   if (!response.ok) {
     const error = await response
       .json()
       .catch(() => ({ error: "Greska prilikom preuzimanja" }));
-    throw new Error(error.error);
+    throw new Error(getErrorMessage(error, "Greska prilikom preuzimanja"));
   }
 
   const blob = await response.blob();
@@ -165,20 +288,69 @@ async function downloadFile(endpoint, filename) {
   window.URL.revokeObjectURL(downloadUrl);
 }
 
+/**
+ * Build query string and filename for a CSV/Excel export
+ * Filters: from/to (YYYY-MM-DD), apartments (array of apartment IDs), year/month (billings)
+ */
+function exportRequest(endpoint, prefix, format, filters = {}) {
+  const params = new URLSearchParams({ format });
+  let filename = prefix;
+
+  if (filters.year && filters.month) {
+    params.set("year", filters.year);
+    params.set("month", filters.month);
+    filename += `_${filters.year}_${String(filters.month).padStart(2, "0")}`;
+  }
+  if (filters.from) {
+    params.set("from", filters.from);
+    filename += `_od_${filters.from.replace(/-/g, "_")}`;
+  }
+  if (filters.to) {
+    params.set("to", filters.to);
+    filename += `_do_${filters.to.replace(/-/g, "_")}`;
+  }
+  if (filters.apartments && filters.apartments.length > 0) {
+    params.set("apartments", filters.apartments.join(","));
+  }
+
+  return downloadFile(`${endpoint}?${params.toString()}`, `${filename}.${format}`);
+}
+
 // API Methods
 
 const api = {
   // Auth
   auth: {
     login: (email, password) => post("/auth/login", { email, password }),
-    logout: () => post("/auth/logout", {}),
+    loginTwoFactor: (challengeToken, code) =>
+      post("/auth/login/2fa", { challenge_token: challengeToken, code }),
+    logout: () => post("/auth/logout", { refresh_token: getRefreshToken() }),
     me: () => get("/auth/me"),
+    changePassword: (currentPassword, password) =>
+      post("/auth/change-password", { current_password: currentPassword, password }),
+    forgotPassword: (email) => post("/auth/forgot-password", { email }),
+    resetPassword: (token, password) => post("/auth/reset-password", { token, password }),
+    twoFactor: {
+      status: () => get("/auth/2fa"),
+      setup: (password) => post("/auth/2fa/setup", { password }),
+      enable: (code) => post("/auth/2fa/enable", { code }),
+      recoveryCodes: (code) => post("/auth/2fa/recovery-codes", { code }),
+      disable: (password, code) => post("/auth/2fa/disable", { password, code }),
+    },
   },
 
-  // Building
+  // Building (current building)
   building: {
     get: () => get("/building"),
     update: (data) => put("/building", data),
+    getAmountRule: () => get("/building/amount-rule"),
+    updateAmountRule: (components) => put("/building/amount-rule", { components }),
+  },
+
+  // Buildings (switcher, super-admin management)
+  buildings: {
+    list: () => get("/buildings"),
+    create: (data) => post("/buildings", data),
   },
 
   // Apartments
@@ -188,6 +360,13 @@ const api = {
     create: (data) => post("/apartments", data),
     update: (id, data) => put(`/apartments/${id}`, data),
     delete: (id) => del(`/apartments/${id}`),
+    owners: (id) => get(`/apartments/${id}/owners`),
+    transfer: (id, data) => post(`/apartments/${id}/owners`, data),
+    updateOwner: (id, ownerId, data) => put(`/apartments/${id}/owners/${ownerId}`, data),
+    undoTransfer: (id, ownerId) => del(`/apartments/${id}/owners/${ownerId}`),
+    members: (id) => get(`/apartments/${id}/members`),
+    setMember: (id, userId, role) => put(`/apartments/${id}/members/${userId}`, { role }),
+    removeMember: (id, userId) => del(`/apartments/${id}/members/${userId}`),
   },
 
   // Users
@@ -196,23 +375,62 @@ const api = {
     get: (id) => get(`/users/${id}`),
     create: (data) => post("/users", data),
     update: (id, data) => put(`/users/${id}`, data),
+    invite: (id) => post(`/users/${id}/invite`, {}),
+    sessions: (id) => get(`/users/${id}/sessions`),
+    revokeSession: (id, sessionId) => del(`/users/${id}/sessions/${sessionId}`),
+    revokeSessions: (id) => del(`/users/${id}/sessions`),
+    unlock: (id) => post(`/users/${id}/unlock`, {}),
+    resetTwoFactor: (id) => del(`/users/${id}/two-factor`),
+    // Filters: failed, user_id, ip, limit, offset
+    loginAttempts: (filters = {}) => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== "" && value !== null && value !== undefined) {
+          params.set(key, value);
+        }
+      });
+      return get(`/users/login-attempts?${params.toString()}`);
+    },
     delete: (id) => del(`/users/${id}`),
   },
 
   // Billings
   billings: {
-    list: (year, month) => {
+    list: (year, month, includeCancelled = false) => {
       let endpoint = "/billings";
       if (year && month) {
         endpoint += `?year=${year}&month=${month}`;
+        if (includeCancelled) {
+          endpoint += "&include_cancelled=true";
+        }
       }
       return get(endpoint);
     },
-    generate: (year, month) => post("/billings/generate", { year, month }),
-    delete: (year, month) => del(`/billings/${year}/${month}`),
-    downloadPDF: (year, month) => {
+    generate: (year, month, sendEmail = false) =>
+      post("/billings/generate", { year, month, send_email: sendEmail }),
+    cancel: (year, month, reason) => post(`/billings/${year}/${month}/cancel`, { reason }),
+    restore: (year, month) => post(`/billings/${year}/${month}/restore`, {}),
+    regenerateApartment: (year, month, apartmentId, reason) =>
+      post(`/billings/${year}/${month}/apartments/${apartmentId}`, { reason }),
+    update: (id, amount, reason) => put(`/billings/${id}`, { amount, reason }),
+    preview: (year, month, components) => post("/billings/preview", { year, month, components }),
+    getSchedule: () => get("/billings/schedule"),
+    updateSchedule: (data) => put("/billings/schedule", data),
+    downloadPDF: (year, month, apartmentIds) => {
       const filename = `uplatnice_${year}_${String(month).padStart(2, "0")}.pdf`;
-      return downloadFile(`/billings/pdf/${year}/${month}`, filename);
+      let endpoint = `/billings/pdf/${year}/${month}`;
+      if (apartmentIds && apartmentIds.length > 0) {
+        endpoint += `?apartments=${apartmentIds.join(",")}`;
+      }
+      return downloadFile(endpoint, filename);
+    },
+    downloadSlip: (billing) => {
+      const filename = `uplatnica_${billing.billing_year}_${String(billing.billing_month).padStart(2, "0")}_stan_${String(billing.apartment_number).padStart(2, "0")}.pdf`;
+      return downloadFile(`/billings/${billing.id}/pdf`, filename);
+    },
+    downloadQR: (billing, format) => {
+      const filename = `qr_${billing.billing_year}_${String(billing.billing_month).padStart(2, "0")}_stan_${String(billing.apartment_number).padStart(2, "0")}.${format}`;
+      return downloadFile(`/billings/${billing.id}/qr?format=${format}`, filename);
     },
     getMonths: () => get("/billings/months"),
   },
@@ -221,10 +439,114 @@ const api = {
   payments: {
     list: () => get("/payments"),
     create: (data) => post("/payments", data),
-    delete: (id) => del(`/payments/${id}`),
+    void: (id, reason) => post(`/payments/${id}/void`, { reason }),
+    restore: (id) => post(`/payments/${id}/restore`, {}),
     getBalance: (apartmentId) => get(`/payments/balance/${apartmentId}`),
     getAllBalances: () => get("/payments/balances"),
     getHistory: (apartmentId) => get(`/payments/history/${apartmentId}`),
+    getUnpaid: (apartmentId) => get(`/payments/unpaid/${apartmentId}`),
+    getAllocations: (id) => get(`/payments/${id}/allocations`),
+    setAllocations: (id, allocations) => put(`/payments/${id}/allocations`, { allocations }),
+  },
+
+  // Bank statement import
+  statements: {
+    preview: (content) => post("/statements/preview", { content }),
+    import: (content, assignments) => post("/statements/import", { content, assignments }),
+    getPending: () => get("/statements/pending"),
+    assignLine: (id, data) => post(`/statements/lines/${id}/assign`, data),
+    dismissLine: (id) => del(`/statements/lines/${id}`),
+  },
+
+  // Email notifications
+  notifications: {
+    getConfig: () => get("/notifications/config"),
+    list: (year, month) => get(`/notifications?year=${year}&month=${month}`),
+    sendMonth: (year, month) => post(`/notifications/send/${year}/${month}`),
+    retryFailed: () => post("/notifications/retry"),
+    retry: (id) => post(`/notifications/${id}/retry`),
+  },
+
+  // Overdue payment reminders
+  reminders: {
+    getSettings: () => get("/reminders/settings"),
+    updateSettings: (data) => put("/reminders/settings", data),
+    run: (dryRun = false) => post("/reminders/run", { dry_run: dryRun }),
+    list: (apartmentId) =>
+      get(apartmentId ? `/reminders?apartment_id=${apartmentId}` : "/reminders"),
+    downloadPDF: (reminder) => {
+      const filename = `opomena_stan_${String(reminder.apartment_number).padStart(2, "0")}_${reminder.created_at.slice(0, 10).replace(/-/g, "_")}.pdf`;
+      return downloadFile(`/reminders/${reminder.id}/pdf`, filename);
+    },
+    send: (id) => post(`/reminders/${id}/send`),
+  },
+
+  // Due day and late-payment interest (date: YYYY-MM-DD, default today)
+  interest: {
+    getSettings: () => get("/interest/settings"),
+    updateSettings: (data) => put("/interest/settings", data),
+    rates: () => get("/interest/rates"),
+    addRate: (validFrom, annualRate) =>
+      post("/interest/rates", { valid_from: validFrom, annual_rate: annualRate }),
+    deleteRate: (id) => del(`/interest/rates/${id}`),
+    list: (date) => get(date ? `/interest?date=${date}` : "/interest"),
+    getByApartment: (apartmentId, date) =>
+      get(date ? `/interest/apartment/${apartmentId}?date=${date}` : `/interest/apartment/${apartmentId}`),
+    post: (date) => post("/interest/post", { date }),
+    cancelBilling: (id, reason) => post(`/interest/billings/${id}/cancel`, { reason }),
+  },
+
+  charges: {
+    getSettings: () => get("/charges/settings"),
+    updateSettings: (data) => put("/charges/settings", data),
+    list: () => get("/charges"),
+    create: (data) => post("/charges", data),
+    update: (id, data) => put(`/charges/${id}`, data),
+    delete: (id) => del(`/charges/${id}`),
+  },
+
+  assessments: {
+    list: () => get("/assessments"),
+    get: (id) => get(`/assessments/${id}`),
+    create: (data) => post("/assessments", data),
+    cancel: (id, reason) => post(`/assessments/${id}/cancel`, { reason }),
+  },
+
+  periods: {
+    list: () => get("/periods"),
+    balances: (id) => get(`/periods/${id}/balances`),
+    close: (year, month) => post("/periods/close", { year, month }),
+    importOpeningBalances: (year, month, balances) =>
+      post("/periods/opening-balances", { year, month, balances }),
+    reopen: (id) => del(`/periods/${id}`),
+  },
+
+  // Audit log (filters: entity_type, entity_id, user_id, from, to, limit, offset)
+  audit: {
+    list: (filters = {}) => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== "" && value !== null && value !== undefined) {
+          params.set(key, value);
+        }
+      });
+      return get(`/audit?${params.toString()}`);
+    },
+    users: () => get("/audit/users"),
+  },
+
+  // CSV / Excel exports (format: "csv" or "xlsx")
+  exports: {
+    balances: (format, filters) => exportRequest("/exports/balances", "stanje", format, filters),
+    payments: (format, filters) => exportRequest("/exports/payments", "uplate", format, filters),
+    billings: (format, filters) => exportRequest("/exports/billings", "zaduzenja", format, filters),
+    history: (apartment, format, filters) =>
+      exportRequest(
+        `/exports/history/${apartment.apartment_id}`,
+        `kartica_stan_${String(apartment.apartment_number).padStart(2, "0")}`,
+        format,
+        filters
+      ),
   },
 };
 
@@ -234,3 +556,6 @@ window.getToken = getToken;
 window.setToken = setToken;
 window.removeToken = removeToken;
 window.isAuthenticated = isAuthenticated;
+window.getBuildingId = getBuildingId;
+window.setBuildingId = setBuildingId;
+window.removeBuildingId = removeBuildingId;
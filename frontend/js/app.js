@@ -58,6 +58,15 @@ function formatBankAccount(input) {
   return input; // Return as-is if invalid
 }
 
+/**
+ * Format billing reference (model + poziv na broj)
+ * e.g. "97 4503202602" or "03-02" for legacy references without model
+ */
+function formatReference(billing) {
+  if (!billing.reference_model) return billing.reference_number;
+  return `${billing.reference_model} ${billing.reference_number}`;
+}
+
 /**
  * Show loading state on element
  */
@@ -251,6 +260,68 @@ function getMonthName(month) {
   return months[month - 1] || '';
 }
 
+/**
+ * Payment status badge of a billing (paid, partially paid or unpaid)
+ */
+function formatPaymentStatus(billing) {
+  if (billing.payment_status === 'paid') {
+    return '<span class="badge badge-success">Placeno</span>';
+  }
+  if (billing.payment_status === 'partial') {
+    return `<span class="badge badge-warning">Delimicno</span> <small class="text-muted">duguje ${formatCurrency(billing.unpaid_amount)}</small>`;
+  }
+  return '<span class="badge badge-danger">Neplaceno</span>';
+}
+
+/**
+ * Short label of a billing's type: maintenance, interest or the payment purpose of a charge
+ */
+function formatBillingType(billing) {
+  if (billing.billing_type === 'interest') return 'Kamata';
+  if (billing.billing_type === 'charge' || billing.billing_type === 'assessment') {
+    return escapeHtml(billing.payment_purpose || 'Dodatno zaduzenje');
+  }
+  return 'Odrzavanje';
+}
+
+/**
+ * Label of a user's role in an apartment
+ */
+function formatMemberRole(role) {
+  const labels = {
+    owner: 'Vlasnik',
+    co_owner: 'Suvlasnik',
+    tenant: 'Zakupac (platilac)',
+    viewer: 'Uvid'
+  };
+  return labels[role] || role;
+}
+
+/**
+ * Apartment picker for users linked to several apartments
+ * Fills the select with the user's apartments (its .apartment-picker container is hidden
+ * when there is only one) and remembers the picked apartment across pages.
+ * @returns Picked apartment (null if the user has no apartment)
+ */
+function setupApartmentPicker(selectId, apartments, onChange) {
+  const select = document.getElementById(selectId);
+  const saved = apartments.find(a => String(a.id) === localStorage.getItem('apartment_id'));
+  const picked = saved || apartments[0] || null;
+
+  select.innerHTML = apartments.map(a => `
+    <option value="${a.id}">Stan ${a.apartment_number} (${escapeHtml(formatMemberRole(a.role))})</option>
+  `).join('');
+  if (picked) select.value = picked.id;
+
+  (select.closest('.apartment-picker') || select).style.display = apartments.length > 1 ? '' : 'none';
+  select.onchange = () => {
+    localStorage.setItem('apartment_id', select.value);
+    onChange(apartments.find(a => String(a.id) === select.value));
+  };
+
+  return picked;
+}
+
 /**
  * Generate month/year options
  */
@@ -313,6 +384,26 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Download CSV/Excel export using the date range entered in an export bar
+ * @param barId - Export bar element with "from" and "to" date inputs
+ * @param format - "csv" or "xlsx"
+ * @param exportFn - API export method, called with (format, filters)
+ */
+async function downloadExport(barId, format, exportFn) {
+  const bar = document.getElementById(barId);
+  const filters = {
+    from: bar.querySelector('[name="from"]').value || null,
+    to: bar.querySelector('[name="to"]').value || null,
+  };
+
+  try {
+    await exportFn(format, filters);
+  } catch (err) {
+    showToast(err.message || 'Greska prilikom izvoza', 'danger');
+  }
+}
+
 /**
  * Debounce function
  */
@@ -411,8 +502,13 @@ window.setupMobileMenu = setupMobileMenu;
 window.setActiveNav = setActiveNav;
 window.setupBankAccountField = setupBankAccountField;
 window.getMonthName = getMonthName;
+window.formatPaymentStatus = formatPaymentStatus;
+window.formatBillingType = formatBillingType;
+window.formatMemberRole = formatMemberRole;
+window.setupApartmentPicker = setupApartmentPicker;
 window.generateMonthOptions = generateMonthOptions;
 window.initPage = initPage;
 window.escapeHtml = escapeHtml;
+window.downloadExport = downloadExport;
 window.debounce = debounce;
 window.initTableScrollIndicators = initTableScrollIndicators;
@@ -6,6 +6,10 @@
 // Current user data
 let currentUser = null;
 
+// Buildings the user can access and the selected one
+let buildings = [];
+let currentBuilding = null;
+
 /**
  * Get current user data
  */
@@ -13,6 +17,20 @@ function getCurrentUser() {
   return currentUser;
 }
 
+/**
+ * Get selected building (null if the user has no buildings)
+ */
+function getCurrentBuilding() {
+  return currentBuilding;
+}
+
+/**
+ * Check if current user is super-admin (manages all buildings)
+ */
+function isSuperAdmin() {
+  return currentUser && currentUser.is_super_admin;
+}
+
 /**
  * Check if current user is admin
  */
@@ -37,6 +55,21 @@ async function initAuth() {
     // Verify token and get user data
     const response = await api.auth.me();
     currentUser = response.user;
+
+    // Password set by an admin (or the default one) has to be changed first
+    if (currentUser.must_change_password && !window.location.pathname.includes('password.html')) {
+      window.location.href = '/password.html';
+      return false;
+    }
+
+    // Role that requires two-factor authentication: it has to be enabled first
+    const path = window.location.pathname;
+    if (needsTwoFactorSetup(currentUser) && !path.includes('two-factor.html') && !path.includes('password.html')) {
+      window.location.href = '/two-factor.html';
+      return false;
+    }
+
+    await initBuilding();
     return true;
   } catch (err) {
     console.error('Auth check failed:', err);
@@ -48,21 +81,89 @@ async function initAuth() {
   }
 }
 
+/**
+ * Load buildings the user can access and select the current one
+ * The admin role applies to the selected building only
+ */
+async function initBuilding() {
+  buildings = await api.buildings.list();
+
+  const storedId = parseInt(getBuildingId(), 10);
+  currentBuilding = buildings.find(b => b.id === storedId) || buildings[0] || null;
+
+  if (currentBuilding) {
+    setBuildingId(currentBuilding.id);
+    currentUser.is_admin = currentBuilding.role === 'admin';
+  } else {
+    removeBuildingId();
+    // Super-admin without buildings can still add the first one
+    currentUser.is_admin = Boolean(currentUser.is_super_admin);
+  }
+}
+
+/**
+ * Switch to another building and reload the page
+ */
+function switchBuilding(id) {
+  setBuildingId(id);
+  window.location.reload();
+}
+
+/**
+ * Check if a user has to enable two-factor authentication before anything else
+ */
+function needsTwoFactorSetup(user) {
+  return Boolean(user && user.two_factor_required && !user.two_factor_enabled);
+}
+
+/**
+ * Page to open after logging in
+ */
+function pageAfterLogin(user) {
+  if (user.must_change_password) return '/password.html';
+  if (needsTwoFactorSetup(user)) return '/two-factor.html';
+  return '/index.html';
+}
+
+/**
+ * Store tokens and user data of a successful login
+ */
+function storeLogin(response) {
+  setToken(response.token);
+  setRefreshToken(response.refresh_token);
+  currentUser = response.user;
+  return response.user;
+}
+
+/**
+ * Finish a login with a code from the authenticator app or a recovery code
+ * @param {string} challengeToken - Token returned by the first step of the login
+ * @param {string} code - Code
+ * @returns {Promise<Object>} Login response (user, recovery_codes_left after a recovery code)
+ */
+async function loginTwoFactor(challengeToken, code) {
+  const response = await api.auth.loginTwoFactor(challengeToken, code);
+  storeLogin(response);
+  return response;
+}
+
 /**
  * Login user
+ * With two-factor authentication enabled returns { two_factor_required, challenge_token }
+ * instead of the user; the login is finished with loginTwoFactor
  * @param {string} email - User email
  * @param {string} password - User password
  */
 async function login(email, password) {
   const response = await api.auth.login(email, password);
 
-  // Store token
-  setToken(response.token);
-
-  // Store user data
-  currentUser = response.user;
+  // Second step: code from the authenticator app
+  if (response.two_factor_required) {
+    return response;
+  }
 
-  return response.user;
+  // Store tokens and user data
+  return storeLogin(response);
 }
 
 /**
@@ -77,6 +178,7 @@ async function logout() {
 
   // Clear local data
   removeToken();
+  removeBuildingId();
   currentUser = null;
 
   // Redirect to login
@@ -126,7 +228,8 @@ function updateNavigation() {
   if (userEmailEl) userEmailEl.textContent = currentUser.email;
   if (userRoleEl) {
     const roles = [];
-    if (currentUser.is_admin) roles.push('Administrator');
+    if (currentUser.is_super_admin) roles.push('Glavni administrator');
+    else if (currentUser.is_admin) roles.push('Administrator');
     if (currentUser.is_user) roles.push('Korisnik');
     userRoleEl.innerHTML = roles.map(r => `<span class="badge badge-info">${r}</span>`).join(' ');
   }
@@ -142,6 +245,31 @@ function updateNavigation() {
   userOnlyItems.forEach(item => {
     item.style.display = currentUser.is_user ? '' : 'none';
   });
+
+  renderBuildingSwitcher();
+}
+
+/**
+ * Show building switcher below the logo (only with more than one building)
+ */
+function renderBuildingSwitcher() {
+  const logoEl = document.querySelector('.sidebar-logo');
+  if (!logoEl || buildings.length < 2 || document.getElementById('building-switcher')) return;
+
+  const select = document.createElement('select');
+  select.id = 'building-switcher';
+  select.className = 'form-control form-select building-switcher';
+  select.setAttribute('aria-label', 'Zgrada');
+  buildings.forEach(b => {
+    const option = document.createElement('option');
+    option.value = b.id;
+    option.textContent = b.city ? `${b.address}, ${b.city}` : (b.address || `Zgrada ${b.id}`);
+    option.selected = currentBuilding && b.id === currentBuilding.id;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => switchBuilding(select.value));
+
+  logoEl.insertAdjacentElement('afterend', select);
 }
 
 /**
@@ -166,10 +294,15 @@ async function handleLogin(event) {
   }
 
   try {
-    await login(email, password);
+    const result = await login(email, password);
 
-    // Redirect to dashboard
-    window.location.href = '/index.html';
+    if (result.two_factor_required) {
+      showTwoFactorStep(result.challenge_token);
+      return;
+    }
+
+    // Redirect to dashboard (or to changing the password or enabling two-factor authentication first)
+    window.location.href = pageAfterLogin(result);
 
   } catch (err) {
     if (errorEl) {
@@ -183,9 +316,52 @@ async function handleLogin(event) {
   }
 }
 
+// Challenge token of a login waiting for the two-factor code
+let loginChallenge = null;
+
+/**
+ * Show the two-factor code step of the login form
+ */
+function showTwoFactorStep(challengeToken) {
+  loginChallenge = challengeToken;
+  document.getElementById('login-form').style.display = 'none';
+  document.getElementById('two-factor-form').style.display = '';
+  document.getElementById('two-factor-code').focus();
+}
+
+/**
+ * Handle two-factor code form submission
+ */
+async function handleTwoFactorLogin(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const errorEl = document.getElementById('two-factor-error');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  errorEl.textContent = '';
+  submitBtn.disabled = true;
+
+  try {
+    const response = await loginTwoFactor(loginChallenge, form.code.value.trim());
+
+    // After a recovery code: the two-factor page shows how many are left and makes new ones
+    const page = pageAfterLogin(response.user);
+    const usedRecoveryCode = response.recovery_codes_left !== undefined;
+    window.location.href = usedRecoveryCode && page === '/index.html' ? '/two-factor.html' : page;
+  } catch (err) {
+    errorEl.textContent = err.message || 'Greska prilikom prijave';
+    form.code.value = '';
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
 // Export for use in other scripts
 window.getCurrentUser = getCurrentUser;
+window.getCurrentBuilding = getCurrentBuilding;
 window.isAdmin = isAdmin;
+window.isSuperAdmin = isSuperAdmin;
+window.switchBuilding = switchBuilding;
 window.initAuth = initAuth;
 window.login = login;
 window.logout = logout;
@@ -193,3 +369,6 @@ window.requireAuth = requireAuth;
 window.requireAdmin = requireAdmin;
 window.updateNavigation = updateNavigation;
 window.handleLogin = handleLogin;
+window.handleTwoFactorLogin = handleTwoFactorLogin;
+window.loginTwoFactor = loginTwoFactor;
+window.needsTwoFactorSetup = needsTwoFactorSetup;
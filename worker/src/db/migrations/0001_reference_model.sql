@@ -0,0 +1,9 @@
+-- Model 97 reference numbers (poziv na broj)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0001_reference_model.sql
+
+-- Reference scheme per building: '97' (mod-97 control) or '' (legacy XX-YY)
+ALTER TABLE building ADD COLUMN reference_model TEXT NOT NULL DEFAULT '97';
+
+-- Model the stored reference number belongs to (existing billings are legacy XX-YY)
+ALTER TABLE billings ADD COLUMN reference_model TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,23 @@
+-- Bank statement import (holding table for imported credit lines)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0002_statement_lines.sql
+
+CREATE TABLE IF NOT EXISTS statement_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  line_key TEXT NOT NULL UNIQUE,
+  payment_date TEXT NOT NULL,
+  amount REAL NOT NULL,
+  payer_name TEXT NOT NULL DEFAULT '',
+  payer_account TEXT NOT NULL DEFAULT '',
+  reference TEXT NOT NULL DEFAULT '',
+  purpose TEXT NOT NULL DEFAULT '',
+  match_status TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  payment_id INTEGER,
+  imported_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  FOREIGN KEY (imported_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_statement_lines_status ON statement_lines(status);
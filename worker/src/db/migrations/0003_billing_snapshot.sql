@@ -0,0 +1,17 @@
+-- Payer snapshot on billings (slips are printed from stored billings)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0003_billing_snapshot.sql
+
+ALTER TABLE billings ADD COLUMN apartment_number INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE billings ADD COLUMN owner_name TEXT NOT NULL DEFAULT '';
+ALTER TABLE billings ADD COLUMN floor_number INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE billings ADD COLUMN payer_address TEXT NOT NULL DEFAULT '';
+ALTER TABLE billings ADD COLUMN payer_city TEXT NOT NULL DEFAULT '';
+
+-- Existing billings take the current apartment and building data
+UPDATE billings SET
+  apartment_number = (SELECT apartment_number FROM apartments WHERE apartments.id = billings.apartment_id),
+  owner_name = (SELECT owner_name FROM apartments WHERE apartments.id = billings.apartment_id),
+  floor_number = (SELECT floor_number FROM apartments WHERE apartments.id = billings.apartment_id),
+  payer_address = COALESCE((SELECT address FROM building WHERE id = 1), ''),
+  payer_city = COALESCE((SELECT city FROM building WHERE id = 1), '');
@@ -0,0 +1,30 @@
+-- Email notifications (delivery log with status and retries)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0004_notifications.sql
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL DEFAULT 'billing_slip',
+  billing_id INTEGER,
+  apartment_id INTEGER,
+  apartment_number INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  user_id INTEGER,
+  recipient_email TEXT NOT NULL DEFAULT '',
+  recipient_name TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed' | 'skipped'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transport TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (billing_id, type),
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_month_year ON notifications(billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
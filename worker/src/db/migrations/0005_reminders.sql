@@ -0,0 +1,39 @@
+-- Overdue payment reminders (settings, per-apartment opt-out, reminder letters)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0005_reminders.sql
+
+ALTER TABLE building ADD COLUMN reminders_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE building ADD COLUMN reminder_min_amount REAL NOT NULL DEFAULT 0;
+ALTER TABLE building ADD COLUMN reminder_min_months INTEGER NOT NULL DEFAULT 2;
+ALTER TABLE building ADD COLUMN reminder_interval_days INTEGER NOT NULL DEFAULT 15;
+
+ALTER TABLE apartments ADD COLUMN no_reminders INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  apartment_id INTEGER NOT NULL,
+  level INTEGER NOT NULL, -- Escalation level (1-3)
+  amount REAL NOT NULL, -- Total overdue amount
+  months_count INTEGER NOT NULL,
+  breakdown TEXT NOT NULL, -- JSON: overdue months with unpaid amounts
+  reference_model TEXT NOT NULL DEFAULT '',
+  reference_number TEXT NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'resolved' (debt paid)
+  delivery_status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed' | 'skipped'
+  recipient_email TEXT NOT NULL DEFAULT '',
+  last_error TEXT,
+  sent_at TEXT,
+  source TEXT NOT NULL, -- 'cron' (scheduled job) | 'manual'
+  created_by INTEGER,
+  resolved_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_apartment ON reminders(apartment_id, status);
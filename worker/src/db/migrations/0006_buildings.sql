@@ -0,0 +1,238 @@
+-- Multiple buildings: data scoped by building_id, per-building admins, super-admin role
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0006_buildings.sql
+--
+-- Existing data is assigned to building 1. Apartment numbers become unique per
+-- building, which SQLite can only do by rebuilding the table. Tables are copied,
+-- dropped child-first (so no ON DELETE CASCADE fires) and recreated.
+
+PRAGMA defer_foreign_keys = on;
+
+-- Apartments created before the building was configured need a building row
+INSERT OR IGNORE INTO building (id, address, city, bank_account, default_amount)
+SELECT 1, '', '', '', 0 WHERE EXISTS (SELECT 1 FROM apartments);
+
+-- Roles: existing admins administer every building
+ALTER TABLE users ADD COLUMN is_super_admin INTEGER NOT NULL DEFAULT 0;
+UPDATE users SET is_super_admin = 1 WHERE is_admin = 1;
+
+CREATE TABLE IF NOT EXISTS building_admins (
+  building_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (building_id, user_id),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO building_admins (building_id, user_id)
+SELECT b.id, u.id FROM building b, users u WHERE b.id = 1 AND u.is_admin = 1;
+
+-- Copy data
+CREATE TABLE old_apartments AS SELECT * FROM apartments;
+CREATE TABLE old_billings AS SELECT * FROM billings;
+CREATE TABLE old_payments AS SELECT * FROM payments;
+CREATE TABLE old_statement_lines AS SELECT * FROM statement_lines;
+CREATE TABLE old_notifications AS SELECT * FROM notifications;
+CREATE TABLE old_reminders AS SELECT * FROM reminders;
+
+DROP TABLE statement_lines;
+DROP TABLE notifications;
+DROP TABLE reminders;
+DROP TABLE payments;
+DROP TABLE billings;
+DROP TABLE apartments;
+
+-- Recreate scoped tables
+CREATE TABLE apartments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  override_amount REAL,
+  user_id INTEGER,
+  no_reminders INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(building_id, apartment_number),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE billings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  reference_model TEXT NOT NULL DEFAULT '',
+  reference_number TEXT NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
+  generated_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  UNIQUE(apartment_id, billing_month, billing_year)
+);
+
+CREATE TABLE payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  payment_date TEXT NOT NULL,
+  billing_id INTEGER,
+  notes TEXT,
+  recorded_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (recorded_by) REFERENCES users(id)
+);
+
+CREATE TABLE statement_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  line_key TEXT NOT NULL,
+  payment_date TEXT NOT NULL,
+  amount REAL NOT NULL,
+  payer_name TEXT NOT NULL DEFAULT '',
+  payer_account TEXT NOT NULL DEFAULT '',
+  reference TEXT NOT NULL DEFAULT '',
+  purpose TEXT NOT NULL DEFAULT '',
+  match_status TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  payment_id INTEGER,
+  imported_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (building_id, line_key),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  FOREIGN KEY (imported_by) REFERENCES users(id)
+);
+
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  type TEXT NOT NULL DEFAULT 'billing_slip',
+  billing_id INTEGER,
+  apartment_id INTEGER,
+  apartment_number INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  user_id INTEGER,
+  recipient_email TEXT NOT NULL DEFAULT '',
+  recipient_name TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transport TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (billing_id, type),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  level INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  months_count INTEGER NOT NULL,
+  breakdown TEXT NOT NULL,
+  reference_model TEXT NOT NULL DEFAULT '',
+  reference_number TEXT NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  delivery_status TEXT NOT NULL DEFAULT 'pending',
+  recipient_email TEXT NOT NULL DEFAULT '',
+  last_error TEXT,
+  sent_at TEXT,
+  source TEXT NOT NULL,
+  created_by INTEGER,
+  resolved_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Restore data into building 1
+INSERT INTO apartments
+  (id, building_id, apartment_number, owner_name, floor_number, override_amount, user_id, no_reminders, created_at, updated_at)
+SELECT id, 1, apartment_number, owner_name, floor_number, override_amount, user_id, no_reminders, created_at, updated_at
+FROM old_apartments;
+
+INSERT INTO billings
+  (id, building_id, apartment_id, billing_month, billing_year, amount, reference_model, reference_number,
+   apartment_number, owner_name, floor_number, payer_address, payer_city, generated_at)
+SELECT id, 1, apartment_id, billing_month, billing_year, amount, reference_model, reference_number,
+  apartment_number, owner_name, floor_number, payer_address, payer_city, generated_at
+FROM old_billings;
+
+INSERT INTO payments
+  (id, building_id, apartment_id, amount, payment_date, billing_id, notes, recorded_by, created_at)
+SELECT id, 1, apartment_id, amount, payment_date, billing_id, notes, recorded_by, created_at
+FROM old_payments;
+
+INSERT INTO statement_lines
+  (id, building_id, line_key, payment_date, amount, payer_name, payer_account, reference, purpose,
+   match_status, status, payment_id, imported_by, created_at)
+SELECT id, 1, line_key, payment_date, amount, payer_name, payer_account, reference, purpose,
+  match_status, status, payment_id, imported_by, created_at
+FROM old_statement_lines;
+
+INSERT INTO notifications
+  (id, building_id, type, billing_id, apartment_id, apartment_number, billing_year, billing_month, user_id,
+   recipient_email, recipient_name, status, attempts, last_error, transport, sent_at, created_at, updated_at)
+SELECT id, 1, type, billing_id, apartment_id, apartment_number, billing_year, billing_month, user_id,
+  recipient_email, recipient_name, status, attempts, last_error, transport, sent_at, created_at, updated_at
+FROM old_notifications;
+
+INSERT INTO reminders
+  (id, building_id, apartment_id, level, amount, months_count, breakdown, reference_model, reference_number,
+   apartment_number, owner_name, floor_number, payer_address, payer_city, status, delivery_status,
+   recipient_email, last_error, sent_at, source, created_by, resolved_at, created_at)
+SELECT id, 1, apartment_id, level, amount, months_count, breakdown, reference_model, reference_number,
+  apartment_number, owner_name, floor_number, payer_address, payer_city, status, delivery_status,
+  recipient_email, last_error, sent_at, source, created_by, resolved_at, created_at
+FROM old_reminders;
+
+DROP TABLE old_reminders;
+DROP TABLE old_notifications;
+DROP TABLE old_statement_lines;
+DROP TABLE old_payments;
+DROP TABLE old_billings;
+DROP TABLE old_apartments;
+
+-- Indexes (dropped with the old tables)
+DROP INDEX IF EXISTS idx_apartments_number;
+CREATE INDEX IF NOT EXISTS idx_apartments_user_id ON apartments(user_id);
+CREATE INDEX IF NOT EXISTS idx_apartments_building ON apartments(building_id, apartment_number);
+CREATE INDEX IF NOT EXISTS idx_building_admins_user ON building_admins(user_id);
+CREATE INDEX IF NOT EXISTS idx_billings_apartment ON billings(apartment_id);
+CREATE INDEX IF NOT EXISTS idx_billings_month_year ON billings(building_id, billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_payments_apartment ON payments(apartment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(building_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_statement_lines_status ON statement_lines(building_id, status);
+CREATE INDEX IF NOT EXISTS idx_notifications_month_year ON notifications(building_id, billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+CREATE INDEX IF NOT EXISTS idx_reminders_apartment ON reminders(apartment_id, status);
+CREATE INDEX IF NOT EXISTS idx_reminders_building ON reminders(building_id, created_at);
+
+PRAGMA defer_foreign_keys = off;
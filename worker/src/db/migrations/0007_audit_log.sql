@@ -0,0 +1,20 @@
+-- Audit log of financial and administrative changes
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0007_audit_log.sql
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER,
+  user_id INTEGER,
+  user_email TEXT NOT NULL DEFAULT '',
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id INTEGER,
+  before_data TEXT,
+  after_data TEXT,
+  ip_address TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_building ON audit_log(building_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
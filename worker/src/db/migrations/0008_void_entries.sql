@@ -0,0 +1,157 @@
+-- Void payments and cancel billing months instead of deleting them
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0008_void_entries.sql
+--
+-- Cancelled billings stay in the table, so the month uniqueness becomes a partial
+-- index over active billings. SQLite can only drop the table constraint by
+-- rebuilding billings; its child tables are copied, dropped child-first (so no
+-- ON DELETE SET NULL fires) and recreated as in 0006.
+
+PRAGMA defer_foreign_keys = on;
+
+-- Copy data
+CREATE TABLE old_billings AS SELECT * FROM billings;
+CREATE TABLE old_payments AS SELECT * FROM payments;
+CREATE TABLE old_statement_lines AS SELECT * FROM statement_lines;
+CREATE TABLE old_notifications AS SELECT * FROM notifications;
+
+DROP TABLE statement_lines;
+DROP TABLE notifications;
+DROP TABLE payments;
+DROP TABLE billings;
+
+-- Recreate with cancel / void columns
+CREATE TABLE billings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  reference_model TEXT NOT NULL DEFAULT '',
+  reference_number TEXT NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
+  generated_at TEXT DEFAULT (datetime('now')),
+  cancelled_at TEXT,
+  cancelled_by INTEGER,
+  cancel_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  payment_date TEXT NOT NULL,
+  billing_id INTEGER,
+  notes TEXT,
+  recorded_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  voided_at TEXT,
+  voided_by INTEGER,
+  void_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (recorded_by) REFERENCES users(id),
+  FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE statement_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  line_key TEXT NOT NULL,
+  payment_date TEXT NOT NULL,
+  amount REAL NOT NULL,
+  payer_name TEXT NOT NULL DEFAULT '',
+  payer_account TEXT NOT NULL DEFAULT '',
+  reference TEXT NOT NULL DEFAULT '',
+  purpose TEXT NOT NULL DEFAULT '',
+  match_status TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  payment_id INTEGER,
+  imported_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (building_id, line_key),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  FOREIGN KEY (imported_by) REFERENCES users(id)
+);
+
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  type TEXT NOT NULL DEFAULT 'billing_slip',
+  billing_id INTEGER,
+  apartment_id INTEGER,
+  apartment_number INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  user_id INTEGER,
+  recipient_email TEXT NOT NULL DEFAULT '',
+  recipient_name TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transport TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (billing_id, type),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Restore data
+INSERT INTO billings
+  (id, building_id, apartment_id, billing_month, billing_year, amount, reference_model, reference_number,
+   apartment_number, owner_name, floor_number, payer_address, payer_city, generated_at)
+SELECT id, building_id, apartment_id, billing_month, billing_year, amount, reference_model, reference_number,
+  apartment_number, owner_name, floor_number, payer_address, payer_city, generated_at
+FROM old_billings;
+
+INSERT INTO payments
+  (id, building_id, apartment_id, amount, payment_date, billing_id, notes, recorded_by, created_at)
+SELECT id, building_id, apartment_id, amount, payment_date, billing_id, notes, recorded_by, created_at
+FROM old_payments;
+
+INSERT INTO statement_lines
+  (id, building_id, line_key, payment_date, amount, payer_name, payer_account, reference, purpose,
+   match_status, status, payment_id, imported_by, created_at)
+SELECT id, building_id, line_key, payment_date, amount, payer_name, payer_account, reference, purpose,
+  match_status, status, payment_id, imported_by, created_at
+FROM old_statement_lines;
+
+INSERT INTO notifications
+  (id, building_id, type, billing_id, apartment_id, apartment_number, billing_year, billing_month, user_id,
+   recipient_email, recipient_name, status, attempts, last_error, transport, sent_at, created_at, updated_at)
+SELECT id, building_id, type, billing_id, apartment_id, apartment_number, billing_year, billing_month, user_id,
+  recipient_email, recipient_name, status, attempts, last_error, transport, sent_at, created_at, updated_at
+FROM old_notifications;
+
+DROP TABLE old_notifications;
+DROP TABLE old_statement_lines;
+DROP TABLE old_payments;
+DROP TABLE old_billings;
+
+-- Indexes (dropped with the old tables)
+CREATE INDEX IF NOT EXISTS idx_billings_apartment ON billings(apartment_id);
+CREATE INDEX IF NOT EXISTS idx_billings_month_year ON billings(building_id, billing_year, billing_month);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billings_active_month
+  ON billings(apartment_id, billing_year, billing_month) WHERE cancelled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_apartment ON payments(apartment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(building_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_statement_lines_status ON statement_lines(building_id, status);
+CREATE INDEX IF NOT EXISTS idx_notifications_month_year ON notifications(building_id, billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+
+PRAGMA defer_foreign_keys = off;
@@ -0,0 +1,30 @@
+-- Period close: closed months and years with apartment opening balances
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0009_period_close.sql
+
+-- Closed accounting periods: billings and payments dated up to the end of a
+-- closed period can no longer change
+CREATE TABLE IF NOT EXISTS period_closes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  period_year INTEGER NOT NULL,
+  period_month INTEGER NOT NULL, -- Last closed month (12 when a whole year is closed)
+  source TEXT NOT NULL DEFAULT 'close', -- close (computed) or import (opening balances from a previous system)
+  closed_by INTEGER,
+  closed_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (building_id, period_year, period_month),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Apartment balances at the end of a closed period (opening balances of the next one)
+CREATE TABLE IF NOT EXISTS opening_balances (
+  period_close_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  balance REAL NOT NULL, -- Positive = prepayment, Negative = owed
+  PRIMARY KEY (period_close_id, apartment_id),
+  FOREIGN KEY (period_close_id) REFERENCES period_closes(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_opening_balances_apartment ON opening_balances(apartment_id);
@@ -0,0 +1,22 @@
+-- Payment allocation: split payments across billings
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0010_payment_allocations.sql
+
+-- Manual allocation of a payment to billings (the rest of every payment is
+-- allocated to the oldest unpaid billings when statuses are computed)
+CREATE TABLE IF NOT EXISTS payment_allocations (
+  payment_id INTEGER NOT NULL,
+  billing_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  PRIMARY KEY (payment_id, billing_id),
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_billing ON payment_allocations(billing_id);
+
+-- Payments recorded for a billing are allocated to it (up to the billing amount)
+INSERT OR IGNORE INTO payment_allocations (payment_id, billing_id, amount)
+SELECT p.id, p.billing_id, MIN(p.amount, b.amount)
+FROM payments p
+JOIN billings b ON p.billing_id = b.id;
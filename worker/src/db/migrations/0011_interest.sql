@@ -0,0 +1,34 @@
+-- Late-payment interest (due day, interest settings, rate table, posted interest)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0011_interest.sql
+
+ALTER TABLE building ADD COLUMN due_day INTEGER NOT NULL DEFAULT 15;
+ALTER TABLE building ADD COLUMN interest_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE building ADD COLUMN interest_method TEXT NOT NULL DEFAULT 'simple';
+ALTER TABLE building ADD COLUMN interest_grace_days INTEGER NOT NULL DEFAULT 0;
+
+-- Posted interest is a billing of its own type, next to the monthly billing
+ALTER TABLE billings ADD COLUMN billing_type TEXT NOT NULL DEFAULT 'maintenance';
+
+DROP INDEX IF EXISTS idx_billings_active_month;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billings_active_month
+  ON billings(apartment_id, billing_year, billing_month, billing_type) WHERE cancelled_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS interest_rates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  valid_from TEXT NOT NULL UNIQUE, -- YYYY-MM-DD
+  annual_rate REAL NOT NULL, -- Percent per year
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS interest_postings (
+  interest_billing_id INTEGER NOT NULL,
+  billing_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  through_date TEXT NOT NULL, -- Interest calculated up to this date (YYYY-MM-DD)
+  PRIMARY KEY (interest_billing_id, billing_id),
+  FOREIGN KEY (interest_billing_id) REFERENCES billings(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_interest_postings_billing ON interest_postings(billing_id);
@@ -0,0 +1,56 @@
+-- Charge types and special assessments (own payment purpose and payment code per charge)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0012_charge_types.sql
+
+ALTER TABLE building ADD COLUMN combine_slips INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS charge_types (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  payment_purpose TEXT NOT NULL,
+  payment_code TEXT NOT NULL DEFAULT '289', -- IPS payment code (SF)
+  monthly_amount REAL, -- Billed to every apartment with the monthly billings (NULL = special assessments only)
+  active INTEGER NOT NULL DEFAULT 1, -- Inactive types are not billed and not used for new assessments
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(building_id, name),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS assessments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  charge_type_id INTEGER NOT NULL,
+  payment_purpose TEXT NOT NULL,
+  amount REAL NOT NULL, -- Per apartment, all installments together
+  installments INTEGER NOT NULL DEFAULT 1,
+  start_year INTEGER NOT NULL, -- Month of the first installment
+  start_month INTEGER NOT NULL,
+  created_by INTEGER,
+  created_at TEXT DEFAULT (datetime('now')),
+  cancelled_at TEXT, -- Set when the assessment was cancelled (its billings are cancelled too)
+  cancelled_by INTEGER,
+  cancel_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (charge_type_id) REFERENCES charge_types(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE billings ADD COLUMN charge_type_id INTEGER REFERENCES charge_types(id);
+ALTER TABLE billings ADD COLUMN assessment_id INTEGER REFERENCES assessments(id);
+ALTER TABLE billings ADD COLUMN payment_purpose TEXT NOT NULL DEFAULT '';
+ALTER TABLE billings ADD COLUMN payment_code TEXT NOT NULL DEFAULT '289';
+
+-- Slips of existing billings were printed with the building's payment purpose
+UPDATE billings SET payment_purpose = (SELECT payment_purpose FROM building WHERE building.id = billings.building_id);
+
+-- An apartment can have one charge per charge type and one installment per assessment in a month
+DROP INDEX IF EXISTS idx_billings_active_month;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billings_active_month
+  ON billings(
+    apartment_id, billing_year, billing_month, billing_type, IFNULL(charge_type_id, 0), IFNULL(assessment_id, 0)
+  ) WHERE cancelled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_billings_assessment ON billings(assessment_id);
+CREATE INDEX IF NOT EXISTS idx_assessments_building ON assessments(building_id, start_year, start_month);
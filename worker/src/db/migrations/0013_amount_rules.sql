@@ -0,0 +1,10 @@
+-- Amount rules (monthly amount per m2, per occupant, by ownership share or a sum of components)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0013_amount_rules.sql
+
+-- JSON list of components [{ basis, rate }]; NULL keeps default_amount for every apartment
+ALTER TABLE building ADD COLUMN amount_rule TEXT;
+
+ALTER TABLE apartments ADD COLUMN area REAL;
+ALTER TABLE apartments ADD COLUMN occupants INTEGER;
+ALTER TABLE apartments ADD COLUMN ownership_share REAL;
@@ -0,0 +1,23 @@
+-- Scheduled billing generation (next month's billings from the daily job) and its run log
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0014_billing_runs.sql
+
+ALTER TABLE building ADD COLUMN auto_generate_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE building ADD COLUMN auto_generate_day INTEGER NOT NULL DEFAULT 25;
+ALTER TABLE building ADD COLUMN auto_generate_send_email INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS billing_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL, -- Month the run generated billings for
+  billing_month INTEGER NOT NULL,
+  status TEXT NOT NULL, -- 'success' | 'skipped' (month already had billings) | 'failed'
+  billings_count INTEGER NOT NULL DEFAULT 0,
+  notifications_sent INTEGER NOT NULL DEFAULT 0,
+  notifications_failed INTEGER NOT NULL DEFAULT 0,
+  message TEXT, -- Reason of a skipped or failed run, or of emails not sent
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_runs_building ON billing_runs(building_id, billing_year, billing_month);
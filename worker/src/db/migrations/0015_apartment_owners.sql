@@ -0,0 +1,22 @@
+-- Ownership history of apartments (owner timeline, debt attributed to the owner of each period)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0015_apartment_owners.sql
+
+CREATE TABLE IF NOT EXISTS apartment_owners (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  apartment_id INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  owned_from TEXT, -- YYYY-MM-DD (NULL = since the apartment was registered)
+  owned_to TEXT, -- YYYY-MM-DD, last day of ownership (NULL = current owner)
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+);
+
+-- Current owners of existing apartments own them from the start
+INSERT INTO apartment_owners (apartment_id, owner_name)
+  SELECT id, owner_name FROM apartments
+  WHERE NOT EXISTS (SELECT 1 FROM apartment_owners WHERE apartment_owners.apartment_id = apartments.id);
+
+CREATE INDEX IF NOT EXISTS idx_apartment_owners_apartment ON apartment_owners(apartment_id, owned_from);
@@ -0,0 +1,22 @@
+-- Several users per apartment and several apartments per user, with a role per apartment
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0016_apartment_members.sql
+--
+-- apartments.user_id is no longer used. SQLite can not drop a column with a foreign key,
+-- so it stays in the table; the linked users are copied as owners and the column is cleared.
+
+CREATE TABLE IF NOT EXISTS apartment_members (
+  apartment_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT NOT NULL DEFAULT 'owner', -- 'owner' | 'co_owner' | 'tenant' (pays) | 'viewer' (view only)
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (apartment_id, user_id),
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT OR IGNORE INTO apartment_members (apartment_id, user_id, role)
+  SELECT id, user_id, 'owner' FROM apartments WHERE user_id IS NOT NULL;
+UPDATE apartments SET user_id = NULL;
+
+CREATE INDEX IF NOT EXISTS idx_apartment_members_user ON apartment_members(user_id);
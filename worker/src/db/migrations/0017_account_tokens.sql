@@ -0,0 +1,23 @@
+-- Invitations, password reset and forced password change
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0017_account_tokens.sql
+
+ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+
+-- The seeded admin still using the default password (Admin123!) must change it after the next login
+UPDATE users SET must_change_password = 1
+WHERE email = 'admin@zgrada.local' AND password_hash = '$2a$10$Br.lKimdXpnfNdBfdetHy.Q.7xo.e3/vuEJ31PXV7RLXYlOYRPno2';
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL, -- 'invite' | 'reset'
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL, -- UTC, YYYY-MM-DD HH:MM:SS
+  created_by INTEGER, -- Admin who sent the invitation (NULL for a reset requested by the user)
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
@@ -0,0 +1,20 @@
+-- Login sessions with rotating refresh tokens (revocable server-side)
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0018_sessions.sql
+-- Tokens issued before sessions were introduced are refused: everyone has to log in again
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- Current refresh token
+  previous_token_hash TEXT, -- Replaced refresh token; using it again revokes the session (stolen token)
+  expires_at TEXT NOT NULL, -- UTC, YYYY-MM-DD HH:MM:SS (extended on every refresh)
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  last_used_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
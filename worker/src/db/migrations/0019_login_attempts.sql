@@ -0,0 +1,21 @@
+-- Login attempt log, failed login tracking and temporary account lockout
+-- Run once on existing databases:
+--   wrangler d1 execute mc73-db --file=./src/db/migrations/0019_login_attempts.sql
+
+ALTER TABLE users ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TEXT;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL, -- As entered (lowercase), also for emails without an account
+  user_id INTEGER, -- Account of the email (NULL if there is none)
+  ip_address TEXT,
+  user_agent TEXT,
+  result TEXT NOT NULL, -- 'success' | 'wrong_password' | 'unknown_user' | 'locked' | 'delayed' | 'ip_blocked'
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at);
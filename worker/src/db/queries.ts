@@ -2,12 +2,39 @@ import type { D1Database } from '@cloudflare/workers-types';
 import type {
   User,
   UserPublic,
+  AccountToken,
+  AccountTokenPurpose,
+  LoginAttempt,
+  Session,
+  SessionPublic,
   Building,
+  BuildingAccess,
   Apartment,
+  ApartmentOwner,
+  ApartmentMember,
+  MemberApartment,
+  MemberRole,
   Billing,
-  BillingWithApartment,
+  BillingSlipData,
+  BillingType,
   Payment,
   PaymentWithDetails,
+  PaymentAllocation,
+  StatementLine,
+  StatementLineRecord,
+  Notification,
+  Reminder,
+  HistoryItem,
+  AuditLogEntry,
+  AuditEntityType,
+  PeriodClose,
+  OpeningBalance,
+  InterestRate,
+  InterestPosting,
+  ChargeType,
+  Assessment,
+  AssessmentWithDetails,
+  BillingRun,
 } from '../types';
 
 // ============================================================================
@@ -22,24 +49,105 @@ export async function getUserByEmail(db: D1Database, email: string): Promise<Use
   return await db.prepare('SELECT * FROM users WHERE email = ?').bind(email).first<User>();
 }
 
-export async function getAllUsers(db: D1Database): Promise<UserPublic[]> {
+// is_admin of listed users is "administrator of the building"
+// invitation_pending: an invitation was sent and the user has not set a password yet
+type ListedUser = UserPublic & {
+  invitation_pending: number;
+  failed_logins: number;
+  account_locked: number;
+  two_factor_enabled: number;
+};
+
+const BUILDING_USER_COLUMNS = `u.id, u.email, u.name, u.is_user, u.is_super_admin, u.must_change_password,
+  u.failed_logins, u.created_at, u.updated_at,
+  CASE WHEN u.locked_until > datetime('now') THEN 1 ELSE 0 END AS account_locked,
+  CASE WHEN u.totp_enabled_at IS NOT NULL THEN 1 ELSE 0 END AS two_factor_enabled,
+  EXISTS (
+    SELECT 1 FROM account_tokens t WHERE t.user_id = u.id AND t.purpose = 'invite' AND t.expires_at > datetime('now')
+  ) AS invitation_pending,
+  CASE WHEN u.is_super_admin = 1 OR (u.is_admin = 1 AND EXISTS (
+    SELECT 1 FROM building_admins ba WHERE ba.user_id = u.id AND ba.building_id = ?
+  )) THEN 1 ELSE 0 END AS is_admin`;
+
+export async function getAllUsers(db: D1Database, buildingId: number): Promise<ListedUser[]> {
+  const result = await db
+    .prepare(`SELECT ${BUILDING_USER_COLUMNS} FROM users u`)
+    .bind(buildingId)
+    .all<ListedUser>();
+  return result.results;
+}
+
+// Users a building admin may manage (binds the building ID twice): users linked to another
+// building (as its admin or to one of its apartments) are managed by super-admins only,
+// so an admin can not take over accounts of other buildings
+const BUILDING_USERS_CONDITION = `u.is_super_admin = 0
+  AND NOT EXISTS (
+    SELECT 1 FROM apartment_members m JOIN apartments a ON a.id = m.apartment_id
+    WHERE m.user_id = u.id AND a.building_id != ?
+  )
+  AND NOT EXISTS (SELECT 1 FROM building_admins ba WHERE ba.user_id = u.id AND ba.building_id != ?)`;
+
+/**
+ * Users a building admin may manage: residents and admins of the building only,
+ * and users not linked to any building yet (super-admins are excluded)
+ */
+export async function getBuildingUsers(db: D1Database, buildingId: number): Promise<ListedUser[]> {
   const result = await db
-    .prepare('SELECT id, email, name, is_admin, is_user, created_at, updated_at FROM users')
-    .all<UserPublic>();
+    .prepare(`SELECT ${BUILDING_USER_COLUMNS} FROM users u WHERE ${BUILDING_USERS_CONDITION}`)
+    .bind(buildingId, buildingId, buildingId)
+    .all<ListedUser>();
   return result.results;
 }
 
+/**
+ * Whether a building admin may manage a user (see getBuildingUsers)
+ */
+export async function isBuildingUser(db: D1Database, buildingId: number, userId: number): Promise<boolean> {
+  const result = await db
+    .prepare(`SELECT 1 FROM users u WHERE u.id = ? AND ${BUILDING_USERS_CONDITION}`)
+    .bind(userId, buildingId, buildingId)
+    .first();
+  return result !== null;
+}
+
+/**
+ * Count administrators of a building (super-admins included)
+ */
+export async function countBuildingAdmins(db: D1Database, buildingId: number): Promise<number> {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as count FROM users u
+       WHERE u.is_super_admin = 1
+          OR (u.is_admin = 1 AND EXISTS (SELECT 1 FROM building_admins ba WHERE ba.user_id = u.id AND ba.building_id = ?))`
+    )
+    .bind(buildingId)
+    .first<{ count: number }>();
+  return result?.count ?? 0;
+}
+
+export async function countSuperAdmins(db: D1Database): Promise<number> {
+  const result = await db
+    .prepare('SELECT COUNT(*) as count FROM users WHERE is_super_admin = 1')
+    .first<{ count: number }>();
+  return result?.count ?? 0;
+}
+
 export async function insertUser(
   db: D1Database,
   email: string,
   passwordHash: string,
   name: string,
   isAdmin: number,
-  isUser: number
+  isUser: number,
+  isSuperAdmin: number,
+  mustChangePassword: number
 ): Promise<D1Result> {
   return await db
-    .prepare('INSERT INTO users (email, password_hash, name, is_admin, is_user) VALUES (?, ?, ?, ?, ?)')
-    .bind(email, passwordHash, name, isAdmin, isUser)
+    .prepare(
+      `INSERT INTO users (email, password_hash, name, is_admin, is_user, is_super_admin, must_change_password)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(email, passwordHash, name, isAdmin, isUser, isSuperAdmin, mustChangePassword)
     .run();
 }
 
@@ -49,24 +157,32 @@ export async function updateUser(
   email: string,
   name: string,
   isAdmin: number,
-  isUser: number
+  isUser: number,
+  isSuperAdmin: number
 ): Promise<D1Result> {
   return await db
     .prepare(
-      "UPDATE users SET email = ?, name = ?, is_admin = ?, is_user = ?, updated_at = datetime('now') WHERE id = ?"
+      "UPDATE users SET email = ?, name = ?, is_admin = ?, is_user = ?, is_super_admin = ?, updated_at = datetime('now') WHERE id = ?"
     )
-    .bind(email, name, isAdmin, isUser, id)
+    .bind(email, name, isAdmin, isUser, isSuperAdmin, id)
     .run();
 }
 
+/**
+ * Set a user's password
+ * @param mustChange - 1 if the user has to change it on the next login (password set by an admin)
+ */
 export async function updateUserPassword(
   db: D1Database,
   id: number,
-  passwordHash: string
+  passwordHash: string,
+  mustChange: number
 ): Promise<D1Result> {
   return await db
-    .prepare("UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?")
-    .bind(passwordHash, id)
+    .prepare(
+      "UPDATE users SET password_hash = ?, must_change_password = ?, updated_at = datetime('now') WHERE id = ?"
+    )
+    .bind(passwordHash, mustChange, id)
     .run();
 }
 
@@ -79,82 +195,621 @@ export async function countUsers(db: D1Database): Promise<number> {
   return result?.count ?? 0;
 }
 
+// ============================================================================
+// ACCOUNT TOKEN QUERIES
+// ============================================================================
+
+/**
+ * Store a one-time token, replacing the user's earlier tokens of the same purpose
+ * @param expiresAt - UTC, YYYY-MM-DD HH:MM:SS
+ */
+export async function replaceAccountToken(
+  db: D1Database,
+  userId: number,
+  purpose: AccountTokenPurpose,
+  tokenHash: string,
+  expiresAt: string,
+  createdBy: number | null
+): Promise<void> {
+  await db.batch([
+    db.prepare('DELETE FROM account_tokens WHERE user_id = ? AND purpose = ?').bind(userId, purpose),
+    db
+      .prepare(
+        `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at, created_by)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .bind(userId, purpose, tokenHash, expiresAt, createdBy),
+  ]);
+}
+
+/**
+ * Delete a token by its hash, if it has not expired, in one statement: of concurrent
+ * requests with the same link only one gets the token
+ * @returns Deleted token, or null if it does not exist, was used or has expired
+ */
+export async function deleteValidAccountToken(db: D1Database, tokenHash: string): Promise<AccountToken | null> {
+  return await db
+    .prepare("DELETE FROM account_tokens WHERE token_hash = ? AND expires_at > datetime('now') RETURNING *")
+    .bind(tokenHash)
+    .first<AccountToken>();
+}
+
+/**
+ * Set a password from a one-time link (deleted with deleteValidAccountToken): the user's other
+ * tokens are deleted too, and so are the user's sessions
+ */
+export async function setPasswordFromToken(db: D1Database, userId: number, passwordHash: string): Promise<void> {
+  await db.batch([
+    db
+      .prepare(
+        "UPDATE users SET password_hash = ?, must_change_password = 0, updated_at = datetime('now') WHERE id = ?"
+      )
+      .bind(passwordHash, userId),
+    db.prepare('DELETE FROM account_tokens WHERE user_id = ?').bind(userId),
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId),
+    db.prepare('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?').bind(userId),
+  ]);
+}
+
+// ============================================================================
+// LOGIN ATTEMPT QUERIES
+// ============================================================================
+
+export async function insertLoginAttempt(
+  db: D1Database,
+  attempt: Omit<LoginAttempt, 'id' | 'created_at'>
+) {
+  return await db
+    .prepare('INSERT INTO login_attempts (email, user_id, ip_address, user_agent, result) VALUES (?, ?, ?, ?, ?)')
+    .bind(attempt.email, attempt.user_id, attempt.ip_address, attempt.user_agent, attempt.result)
+    .run();
+}
+
+/**
+ * Count a failed login of a user
+ * @param lockedUntil - Refuse logins until (UTC, YYYY-MM-DD HH:MM:SS), null to accept the next one
+ */
+export async function recordFailedLogin(db: D1Database, userId: number, lockedUntil: string | null) {
+  return await db
+    .prepare('UPDATE users SET failed_logins = failed_logins + 1, locked_until = ? WHERE id = ?')
+    .bind(lockedUntil, userId)
+    .run();
+}
+
+/**
+ * Clear a user's failed logins and lockout (successful login, admin unlock)
+ */
+export async function clearFailedLogins(db: D1Database, userId: number) {
+  return await db.prepare('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?').bind(userId).run();
+}
+
+/**
+ * Failed logins (wrong password or two-factor code, unknown email) from an IP address in the last minutes
+ * @returns Count and time of the oldest one (UTC, null if none)
+ */
+export async function getIpFailedLogins(
+  db: D1Database,
+  ipAddress: string,
+  minutes: number
+): Promise<{ count: number; first_at: string | null }> {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as count, MIN(created_at) as first_at FROM login_attempts
+       WHERE ip_address = ? AND result IN ('wrong_password', 'wrong_code', 'unknown_user')
+         AND created_at > datetime('now', ?)`
+    )
+    .bind(ipAddress, `-${minutes} minutes`)
+    .first<{ count: number; first_at: string | null }>();
+  return { count: result?.count || 0, first_at: result?.first_at ?? null };
+}
+
+export interface LoginAttemptFilter {
+  failedOnly: boolean; // Leave out successful logins
+  userId: number | null;
+  ipAddress: string | null;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Login attempts, newest first, with the name of the account
+ * @param buildingId - Only attempts on accounts a building admin may manage (null: all, also unknown emails)
+ */
+export async function getLoginAttempts(
+  db: D1Database,
+  buildingId: number | null,
+  filter: LoginAttemptFilter
+): Promise<{ attempts: (LoginAttempt & { user_name: string | null })[]; total: number }> {
+  const conditions: string[] = [];
+  const params: (string | number)[] = [];
+
+  if (buildingId !== null) {
+    conditions.push(`EXISTS (SELECT 1 FROM users u WHERE u.id = la.user_id AND ${BUILDING_USERS_CONDITION})`);
+    params.push(buildingId, buildingId);
+  }
+  if (filter.failedOnly) {
+    conditions.push("la.result != 'success'");
+  }
+  if (filter.userId) {
+    conditions.push('la.user_id = ?');
+    params.push(filter.userId);
+  }
+  if (filter.ipAddress) {
+    conditions.push('la.ip_address = ?');
+    params.push(filter.ipAddress);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = await db
+    .prepare(`SELECT COUNT(*) as count FROM login_attempts la ${where}`)
+    .bind(...params)
+    .first<{ count: number }>();
+
+  const result = await db
+    .prepare(
+      `SELECT la.*, u.name as user_name FROM login_attempts la
+       LEFT JOIN users u ON u.id = la.user_id
+       ${where}
+       ORDER BY la.created_at DESC, la.id DESC LIMIT ? OFFSET ?`
+    )
+    .bind(...params, filter.limit, filter.offset)
+    .all<LoginAttempt & { user_name: string | null }>();
+
+  return { attempts: result.results, total: total?.count || 0 };
+}
+
+/**
+ * Delete login attempts older than a number of days
+ */
+export async function deleteOldLoginAttempts(db: D1Database, days: number) {
+  return await db
+    .prepare("DELETE FROM login_attempts WHERE created_at < datetime('now', ?)")
+    .bind(`-${days} days`)
+    .run();
+}
+
+// ============================================================================
+// SESSION QUERIES
+// ============================================================================
+
+const SESSION_PUBLIC_COLUMNS = 'id, user_id, expires_at, ip_address, user_agent, two_factor, created_at, last_used_at';
+
+/**
+ * Start a session (expired sessions of the user are cleaned up)
+ * @param expiresAt - UTC, YYYY-MM-DD HH:MM:SS
+ * @param twoFactor - The login was confirmed with a second factor
+ */
+export async function insertSession(
+  db: D1Database,
+  userId: number,
+  tokenHash: string,
+  expiresAt: string,
+  ipAddress: string | null,
+  userAgent: string | null,
+  twoFactor: boolean
+) {
+  await db.prepare("DELETE FROM sessions WHERE user_id = ? AND expires_at <= datetime('now')").bind(userId).run();
+  return await db
+    .prepare(
+      `INSERT INTO sessions (user_id, token_hash, expires_at, ip_address, user_agent, two_factor)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .bind(userId, tokenHash, expiresAt, ipAddress, userAgent, twoFactor ? 1 : 0)
+    .run();
+}
+
+/**
+ * Mark a session as confirmed with a second factor (two-factor authentication enabled in it)
+ */
+export async function markSessionTwoFactor(db: D1Database, id: number) {
+  return await db.prepare('UPDATE sessions SET two_factor = 1 WHERE id = ?').bind(id).run();
+}
+
+/**
+ * Session by ID, if it has not expired
+ */
+export async function getSessionById(db: D1Database, id: number): Promise<Session | null> {
+  return await db
+    .prepare("SELECT * FROM sessions WHERE id = ? AND expires_at > datetime('now')")
+    .bind(id)
+    .first<Session>();
+}
+
+/**
+ * Session by the hash of its current refresh token, if it has not expired
+ */
+export async function getSessionByToken(db: D1Database, tokenHash: string): Promise<Session | null> {
+  return await db
+    .prepare("SELECT * FROM sessions WHERE token_hash = ? AND expires_at > datetime('now')")
+    .bind(tokenHash)
+    .first<Session>();
+}
+
+/**
+ * Session whose previous (already replaced) refresh token has this hash
+ */
+export async function getSessionByPreviousToken(db: D1Database, tokenHash: string): Promise<Session | null> {
+  return await db.prepare('SELECT * FROM sessions WHERE previous_token_hash = ?').bind(tokenHash).first<Session>();
+}
+
+/**
+ * Replace a session's refresh token and extend the session
+ * Only succeeds if the token was not replaced in the meantime.
+ * @returns Whether the token was replaced
+ */
+export async function rotateSession(
+  db: D1Database,
+  id: number,
+  tokenHash: string,
+  newTokenHash: string,
+  expiresAt: string
+): Promise<boolean> {
+  const result = await db
+    .prepare(
+      `UPDATE sessions
+       SET previous_token_hash = token_hash, token_hash = ?, expires_at = ?, last_used_at = datetime('now')
+       WHERE id = ? AND token_hash = ?`
+    )
+    .bind(newTokenHash, expiresAt, id, tokenHash)
+    .run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Active sessions of a user (most recently used first)
+ */
+export async function getUserSessions(db: D1Database, userId: number): Promise<SessionPublic[]> {
+  const result = await db
+    .prepare(
+      `SELECT ${SESSION_PUBLIC_COLUMNS} FROM sessions
+       WHERE user_id = ? AND expires_at > datetime('now')
+       ORDER BY last_used_at DESC, id DESC`
+    )
+    .bind(userId)
+    .all<SessionPublic>();
+  return result.results;
+}
+
+export async function deleteSession(db: D1Database, id: number) {
+  return await db.prepare('DELETE FROM sessions WHERE id = ?').bind(id).run();
+}
+
+/**
+ * Revoke all sessions of a user
+ * @param exceptId - Session to keep (the current one), null to revoke all
+ * @returns Number of revoked sessions
+ */
+export async function deleteUserSessions(db: D1Database, userId: number, exceptId: number | null): Promise<number> {
+  const result = await db
+    .prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?')
+    .bind(userId, exceptId ?? 0)
+    .run();
+  return result.meta.changes;
+}
+
+// ============================================================================
+// TWO-FACTOR QUERIES
+// ============================================================================
+
+/**
+ * Store a new TOTP secret, pending until the user confirms a code from it
+ */
+export async function setTotpSecret(db: D1Database, userId: number, secret: string) {
+  return await db
+    .prepare("UPDATE users SET totp_secret = ?, totp_last_step = 0, updated_at = datetime('now') WHERE id = ?")
+    .bind(secret, userId)
+    .run();
+}
+
+/**
+ * Accept a TOTP time step of a user; each step (code) is accepted only once
+ * @returns Whether the step is newer than the last accepted one
+ */
+export async function useTotpStep(db: D1Database, userId: number, step: number): Promise<boolean> {
+  const result = await db
+    .prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND totp_last_step < ?')
+    .bind(step, userId, step)
+    .run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Enable two-factor authentication with the pending secret and new recovery codes
+ * @param codeHashes - SHA-256 hashes of the recovery codes (earlier ones are deleted)
+ */
+export async function enableTwoFactor(db: D1Database, userId: number, codeHashes: string[]): Promise<void> {
+  await db.batch([
+    db
+      .prepare("UPDATE users SET totp_enabled_at = datetime('now'), updated_at = datetime('now') WHERE id = ?")
+      .bind(userId),
+    ...recoveryCodeStatements(db, userId, codeHashes),
+  ]);
+}
+
+/**
+ * Disable two-factor authentication (the secret and recovery codes are deleted)
+ */
+export async function disableTwoFactor(db: D1Database, userId: number): Promise<void> {
+  await db.batch([
+    db
+      .prepare(
+        `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = 0, updated_at = datetime('now')
+         WHERE id = ?`
+      )
+      .bind(userId),
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+  ]);
+}
+
+function recoveryCodeStatements(db: D1Database, userId: number, codeHashes: string[]) {
+  return [
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+    ...codeHashes.map((codeHash) =>
+      db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)').bind(userId, codeHash)
+    ),
+  ];
+}
+
+/**
+ * Replace a user's recovery codes
+ */
+export async function replaceRecoveryCodes(db: D1Database, userId: number, codeHashes: string[]): Promise<void> {
+  await db.batch(recoveryCodeStatements(db, userId, codeHashes));
+}
+
+/**
+ * Use a recovery code of a user
+ * @returns Whether the code existed and was not used before
+ */
+export async function useRecoveryCode(db: D1Database, userId: number, codeHash: string): Promise<boolean> {
+  const result = await db
+    .prepare(
+      "UPDATE recovery_codes SET used_at = datetime('now') WHERE user_id = ? AND code_hash = ? AND used_at IS NULL"
+    )
+    .bind(userId, codeHash)
+    .run();
+  return result.meta.changes > 0;
+}
+
+export async function countRecoveryCodes(db: D1Database, userId: number): Promise<number> {
+  const result = await db
+    .prepare('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL')
+    .bind(userId)
+    .first<{ count: number }>();
+  return result?.count ?? 0;
+}
+
 // ============================================================================
 // BUILDING QUERIES
 // ============================================================================
 
-export async function getBuilding(db: D1Database): Promise<Building | null> {
-  return await db.prepare('SELECT * FROM building WHERE id = 1').first<Building>();
+export async function getBuilding(db: D1Database, id: number): Promise<Building | null> {
+  return await db.prepare('SELECT * FROM building WHERE id = ?').bind(id).first<Building>();
+}
+
+export async function getAllBuildings(db: D1Database): Promise<Building[]> {
+  const result = await db.prepare('SELECT * FROM building ORDER BY id').all<Building>();
+  return result.results;
+}
+
+/**
+ * Buildings the user can access, with their role
+ * Super-admins administer all buildings; admins the buildings assigned to them;
+ * residents see the buildings of their apartments
+ */
+export async function getUserBuildings(
+  db: D1Database,
+  user: Pick<UserPublic, 'id' | 'is_admin' | 'is_super_admin'>
+): Promise<BuildingAccess[]> {
+  if (user.is_super_admin) {
+    const result = await db.prepare("SELECT *, 'admin' AS role FROM building ORDER BY id").all<BuildingAccess>();
+    return result.results;
+  }
+
+  const result = await db
+    .prepare(
+      `SELECT b.*,
+         CASE WHEN ? = 1 AND EXISTS (SELECT 1 FROM building_admins ba WHERE ba.building_id = b.id AND ba.user_id = ?)
+           THEN 'admin' ELSE 'user' END AS role
+       FROM building b
+       WHERE (? = 1 AND b.id IN (SELECT building_id FROM building_admins WHERE user_id = ?))
+          OR b.id IN (
+            SELECT a.building_id FROM apartments a JOIN apartment_members m ON m.apartment_id = a.id WHERE m.user_id = ?
+          )
+       ORDER BY b.id`
+    )
+    .bind(user.is_admin ? 1 : 0, user.id, user.is_admin ? 1 : 0, user.id, user.id)
+    .all<BuildingAccess>();
+  return result.results;
+}
+
+export async function insertBuilding(
+  db: D1Database,
+  address: string,
+  city: string,
+  bankAccount: string,
+  defaultAmount: number,
+  recipientName: string,
+  paymentPurpose: string,
+  referenceModel: string
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO building (address, city, bank_account, default_amount, recipient_name, payment_purpose, reference_model)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(address, city, bankAccount, defaultAmount, recipientName, paymentPurpose, referenceModel)
+    .run();
 }
 
-export async function upsertBuilding(
+export async function updateBuilding(
   db: D1Database,
+  id: number,
   address: string,
   city: string,
   bankAccount: string,
   defaultAmount: number,
   recipientName: string,
-  paymentPurpose: string
+  paymentPurpose: string,
+  referenceModel: string
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE building
+       SET address = ?, city = ?, bank_account = ?, default_amount = ?, recipient_name = ?,
+           payment_purpose = ?, reference_model = ?, updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(address, city, bankAccount, defaultAmount, recipientName, paymentPurpose, referenceModel, id)
+    .run();
+}
+
+/**
+ * Store the amount rule of a building (JSON list of components, null = default amount)
+ */
+export async function updateAmountRule(
+  db: D1Database,
+  buildingId: number,
+  amountRule: string | null
+): Promise<D1Result> {
+  return await db
+    .prepare("UPDATE building SET amount_rule = ?, updated_at = datetime('now') WHERE id = ?")
+    .bind(amountRule, buildingId)
+    .run();
+}
+
+export async function updateGenerationSettings(
+  db: D1Database,
+  buildingId: number,
+  settings: Pick<Building, 'auto_generate_enabled' | 'auto_generate_day' | 'auto_generate_send_email'>
 ): Promise<D1Result> {
   return await db
     .prepare(
-      `INSERT INTO building (id, address, city, bank_account, default_amount, recipient_name, payment_purpose)
-       VALUES (1, ?, ?, ?, ?, ?, ?)
-       ON CONFLICT(id) DO UPDATE SET
-         address = excluded.address,
-         city = excluded.city,
-         bank_account = excluded.bank_account,
-         default_amount = excluded.default_amount,
-         recipient_name = excluded.recipient_name,
-         payment_purpose = excluded.payment_purpose,
-         updated_at = datetime('now')`
+      `UPDATE building
+       SET auto_generate_enabled = ?, auto_generate_day = ?, auto_generate_send_email = ?, updated_at = datetime('now')
+       WHERE id = ?`
     )
-    .bind(address, city, bankAccount, defaultAmount, recipientName, paymentPurpose)
+    .bind(settings.auto_generate_enabled, settings.auto_generate_day, settings.auto_generate_send_email, buildingId)
+    .run();
+}
+
+export async function isBuildingAdmin(db: D1Database, buildingId: number, userId: number): Promise<boolean> {
+  const result = await db
+    .prepare('SELECT 1 AS found FROM building_admins WHERE building_id = ? AND user_id = ?')
+    .bind(buildingId, userId)
+    .first<{ found: number }>();
+  return !!result;
+}
+
+export async function addBuildingAdmin(db: D1Database, buildingId: number, userId: number): Promise<D1Result> {
+  return await db
+    .prepare('INSERT OR IGNORE INTO building_admins (building_id, user_id) VALUES (?, ?)')
+    .bind(buildingId, userId)
+    .run();
+}
+
+export async function removeBuildingAdmin(db: D1Database, buildingId: number, userId: number): Promise<D1Result> {
+  return await db
+    .prepare('DELETE FROM building_admins WHERE building_id = ? AND user_id = ?')
+    .bind(buildingId, userId)
     .run();
 }
 
+export async function countAdminBuildings(db: D1Database, userId: number): Promise<number> {
+  const result = await db
+    .prepare('SELECT COUNT(*) as count FROM building_admins WHERE user_id = ?')
+    .bind(userId)
+    .first<{ count: number }>();
+  return result?.count ?? 0;
+}
+
 // ============================================================================
 // APARTMENT QUERIES
 // ============================================================================
 
-export async function getApartmentById(db: D1Database, id: number): Promise<Apartment | null> {
-  return await db.prepare('SELECT * FROM apartments WHERE id = ?').bind(id).first<Apartment>();
+// Order of member roles: owner, co-owner, tenant, viewer
+const MEMBER_ROLE_ORDER = "CASE m.role WHEN 'owner' THEN 0 WHEN 'co_owner' THEN 1 WHEN 'tenant' THEN 2 ELSE 3 END";
+
+// Apartment columns (migrated databases still have the unused user_id column, see migration 0016)
+const APARTMENT_COLUMNS =
+  'a.id, a.building_id, a.apartment_number, a.owner_name, a.floor_number, a.override_amount, a.no_reminders, ' +
+  'a.area, a.occupants, a.ownership_share, a.created_at, a.updated_at';
+
+export async function getApartmentById(db: D1Database, buildingId: number, id: number): Promise<Apartment | null> {
+  return await db
+    .prepare(`SELECT ${APARTMENT_COLUMNS} FROM apartments a WHERE a.id = ? AND a.building_id = ?`)
+    .bind(id, buildingId)
+    .first<Apartment>();
 }
 
 export async function getApartmentByNumber(
   db: D1Database,
+  buildingId: number,
   apartmentNumber: number
 ): Promise<Apartment | null> {
   return await db
-    .prepare('SELECT * FROM apartments WHERE apartment_number = ?')
-    .bind(apartmentNumber)
+    .prepare(`SELECT ${APARTMENT_COLUMNS} FROM apartments a WHERE a.building_id = ? AND a.apartment_number = ?`)
+    .bind(buildingId, apartmentNumber)
     .first<Apartment>();
 }
 
-export async function getApartmentByUserId(db: D1Database, userId: number): Promise<Apartment | null> {
-  return await db.prepare('SELECT * FROM apartments WHERE user_id = ?').bind(userId).first<Apartment>();
+/**
+ * Apartments of the building a user is linked to, with the user's role in each
+ */
+export async function getApartmentsByUserId(
+  db: D1Database,
+  buildingId: number,
+  userId: number
+): Promise<MemberApartment[]> {
+  const result = await db
+    .prepare(
+      `SELECT ${APARTMENT_COLUMNS}, m.role FROM apartments a
+       JOIN apartment_members m ON m.apartment_id = a.id
+       WHERE a.building_id = ? AND m.user_id = ?
+       ORDER BY a.apartment_number`
+    )
+    .bind(buildingId, userId)
+    .all<MemberApartment>();
+  return result.results;
 }
 
-export async function getAllApartments(db: D1Database): Promise<Apartment[]> {
+export async function getAllApartments(db: D1Database, buildingId: number): Promise<Apartment[]> {
   const result = await db
-    .prepare('SELECT * FROM apartments ORDER BY apartment_number')
+    .prepare(`SELECT ${APARTMENT_COLUMNS} FROM apartments a WHERE a.building_id = ? ORDER BY a.apartment_number`)
+    .bind(buildingId)
     .all<Apartment>();
   return result.results;
 }
 
 export async function insertApartment(
   db: D1Database,
+  buildingId: number,
   apartmentNumber: number,
   ownerName: string,
   floorNumber: number,
   overrideAmount: number | null,
-  userId: number | null
+  noReminders: boolean,
+  measures: Pick<Apartment, 'area' | 'occupants' | 'ownership_share'>
 ): Promise<D1Result> {
   return await db
     .prepare(
-      'INSERT INTO apartments (apartment_number, owner_name, floor_number, override_amount, user_id) VALUES (?, ?, ?, ?, ?)'
+      `INSERT INTO apartments
+         (building_id, apartment_number, owner_name, floor_number, override_amount, no_reminders,
+          area, occupants, ownership_share)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      buildingId,
+      apartmentNumber,
+      ownerName,
+      floorNumber,
+      overrideAmount,
+      noReminders ? 1 : 0,
+      measures.area,
+      measures.occupants,
+      measures.ownership_share
     )
-    .bind(apartmentNumber, ownerName, floorNumber, overrideAmount, userId)
     .run();
 }
 
@@ -165,111 +820,602 @@ export async function updateApartment(
   ownerName: string,
   floorNumber: number,
   overrideAmount: number | null,
-  userId: number | null
+  noReminders: boolean,
+  measures: Pick<Apartment, 'area' | 'occupants' | 'ownership_share'>
 ): Promise<D1Result> {
   return await db
     .prepare(
-      "UPDATE apartments SET apartment_number = ?, owner_name = ?, floor_number = ?, override_amount = ?, user_id = ?, updated_at = datetime('now') WHERE id = ?"
+      `UPDATE apartments
+       SET apartment_number = ?, owner_name = ?, floor_number = ?, override_amount = ?, no_reminders = ?,
+           area = ?, occupants = ?, ownership_share = ?, updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(
+      apartmentNumber,
+      ownerName,
+      floorNumber,
+      overrideAmount,
+      noReminders ? 1 : 0,
+      measures.area,
+      measures.occupants,
+      measures.ownership_share,
+      id
     )
-    .bind(apartmentNumber, ownerName, floorNumber, overrideAmount, userId, id)
     .run();
 }
 
+/**
+ * Check if an apartment has billings or payments (including cancelled and voided)
+ */
+export async function hasApartmentLedger(db: D1Database, apartmentId: number): Promise<boolean> {
+  const result = await db
+    .prepare(
+      `SELECT EXISTS (SELECT 1 FROM billings WHERE apartment_id = ?)
+         OR EXISTS (SELECT 1 FROM payments WHERE apartment_id = ?) as has_ledger`
+    )
+    .bind(apartmentId, apartmentId)
+    .first<{ has_ledger: number }>();
+  return !!result?.has_ledger;
+}
+
 export async function deleteApartment(db: D1Database, id: number): Promise<D1Result> {
   return await db.prepare('DELETE FROM apartments WHERE id = ?').bind(id).run();
 }
 
 // ============================================================================
-// BILLING QUERIES
+// APARTMENT MEMBER QUERIES
 // ============================================================================
 
-export async function getBillingById(db: D1Database, id: number): Promise<Billing | null> {
-  return await db.prepare('SELECT * FROM billings WHERE id = ?').bind(id).first<Billing>();
-}
+const MEMBER_COLUMNS = 'm.apartment_id, m.user_id, m.role, m.created_at, u.name, u.email';
 
-export async function getBillingsByMonth(
-  db: D1Database,
-  year: number,
-  month: number
-): Promise<BillingWithApartment[]> {
+/**
+ * Users linked to an apartment (owners first)
+ */
+export async function getApartmentMembers(db: D1Database, apartmentId: number): Promise<ApartmentMember[]> {
   const result = await db
     .prepare(
-      `SELECT b.*, a.apartment_number, a.owner_name
-       FROM billings b
-       JOIN apartments a ON b.apartment_id = a.id
-       WHERE b.billing_year = ? AND b.billing_month = ?
-       ORDER BY a.apartment_number`
+      `SELECT ${MEMBER_COLUMNS} FROM apartment_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.apartment_id = ?
+       ORDER BY ${MEMBER_ROLE_ORDER}, u.name`
     )
-    .bind(year, month)
-    .all<BillingWithApartment>();
+    .bind(apartmentId)
+    .all<ApartmentMember>();
   return result.results;
 }
 
-export async function getBillingsByApartment(db: D1Database, apartmentId: number): Promise<Billing[]> {
+/**
+ * Users linked to the apartments of a building (owners first)
+ */
+export async function getBuildingMembers(db: D1Database, buildingId: number): Promise<ApartmentMember[]> {
   const result = await db
-    .prepare('SELECT * FROM billings WHERE apartment_id = ? ORDER BY billing_year DESC, billing_month DESC')
-    .bind(apartmentId)
-    .all<Billing>();
+    .prepare(
+      `SELECT ${MEMBER_COLUMNS} FROM apartment_members m
+       JOIN users u ON u.id = m.user_id
+       JOIN apartments a ON a.id = m.apartment_id
+       WHERE a.building_id = ?
+       ORDER BY m.apartment_id, ${MEMBER_ROLE_ORDER}, u.name`
+    )
+    .bind(buildingId)
+    .all<ApartmentMember>();
   return result.results;
 }
 
-export async function getBillingByApartmentMonth(
+/**
+ * Role of a user in an apartment (null if not linked)
+ */
+export async function getApartmentRole(
   db: D1Database,
   apartmentId: number,
-  year: number,
-  month: number
-): Promise<Billing | null> {
-  return await db
-    .prepare('SELECT * FROM billings WHERE apartment_id = ? AND billing_year = ? AND billing_month = ?')
-    .bind(apartmentId, year, month)
-    .first<Billing>();
+  userId: number
+): Promise<MemberRole | null> {
+  const result = await db
+    .prepare('SELECT role FROM apartment_members WHERE apartment_id = ? AND user_id = ?')
+    .bind(apartmentId, userId)
+    .first<{ role: MemberRole }>();
+  return result?.role ?? null;
 }
 
-export async function insertBilling(
+/**
+ * Link a user to an apartment, or change the role of a linked user
+ */
+export async function setApartmentMember(
   db: D1Database,
   apartmentId: number,
-  month: number,
-  year: number,
-  amount: number,
-  referenceNumber: string
+  userId: number,
+  role: MemberRole
 ): Promise<D1Result> {
   return await db
     .prepare(
-      'INSERT INTO billings (apartment_id, billing_month, billing_year, amount, reference_number) VALUES (?, ?, ?, ?, ?)'
+      `INSERT INTO apartment_members (apartment_id, user_id, role) VALUES (?, ?, ?)
+       ON CONFLICT (apartment_id, user_id) DO UPDATE SET role = excluded.role`
     )
-    .bind(apartmentId, month, year, amount, referenceNumber)
+    .bind(apartmentId, userId, role)
     .run();
 }
 
-export async function deleteBillingsByMonth(
-  db: D1Database,
-  year: number,
-  month: number
-): Promise<D1Result> {
+export async function deleteApartmentMember(db: D1Database, apartmentId: number, userId: number): Promise<D1Result> {
   return await db
-    .prepare('DELETE FROM billings WHERE billing_year = ? AND billing_month = ?')
-    .bind(year, month)
+    .prepare('DELETE FROM apartment_members WHERE apartment_id = ? AND user_id = ?')
+    .bind(apartmentId, userId)
     .run();
 }
 
-export async function getDistinctBillingMonths(
-  db: D1Database
-): Promise<{ billing_year: number; billing_month: number }[]> {
-  const result = await db
-    .prepare(
-      'SELECT DISTINCT billing_year, billing_month FROM billings ORDER BY billing_year DESC, billing_month DESC'
-    )
-    .all<{ billing_year: number; billing_month: number }>();
-  return result.results;
-}
-
 // ============================================================================
-// PAYMENT QUERIES
+// APARTMENT OWNER QUERIES
 // ============================================================================
 
-export async function getPaymentById(db: D1Database, id: number): Promise<Payment | null> {
-  return await db.prepare('SELECT * FROM payments WHERE id = ?').bind(id).first<Payment>();
-}
+type OwnerContact = Pick<ApartmentOwner, 'owner_name' | 'email' | 'phone'>;
+
+/**
+ * Ownership timeline of an apartment (oldest first)
+ */
+export async function getApartmentOwners(db: D1Database, apartmentId: number): Promise<ApartmentOwner[]> {
+  const result = await db
+    .prepare('SELECT * FROM apartment_owners WHERE apartment_id = ? ORDER BY owned_from IS NOT NULL, owned_from, id')
+    .bind(apartmentId)
+    .all<ApartmentOwner>();
+  return result.results;
+}
+
+/**
+ * Ownership timelines of all apartments of a building (oldest first)
+ */
+export async function getBuildingOwners(db: D1Database, buildingId: number): Promise<ApartmentOwner[]> {
+  const result = await db
+    .prepare(
+      `SELECT o.* FROM apartment_owners o
+       JOIN apartments a ON a.id = o.apartment_id
+       WHERE a.building_id = ?
+       ORDER BY o.apartment_id, o.owned_from IS NOT NULL, o.owned_from, o.id`
+    )
+    .bind(buildingId)
+    .all<ApartmentOwner>();
+  return result.results;
+}
+
+export async function getApartmentOwnerById(
+  db: D1Database,
+  apartmentId: number,
+  id: number
+): Promise<ApartmentOwner | null> {
+  return await db
+    .prepare('SELECT * FROM apartment_owners WHERE id = ? AND apartment_id = ?')
+    .bind(id, apartmentId)
+    .first<ApartmentOwner>();
+}
+
+/**
+ * Store the first owner of a new apartment (owner since the apartment was registered)
+ */
+export async function insertFirstOwner(db: D1Database, apartmentId: number, ownerName: string): Promise<D1Result> {
+  return await db
+    .prepare('INSERT INTO apartment_owners (apartment_id, owner_name) VALUES (?, ?)')
+    .bind(apartmentId, ownerName)
+    .run();
+}
+
+/**
+ * Record a sale: the current owner's ownership ends the day before ownedFrom, the new owner
+ * becomes the apartment's owner and the linked users are replaced by the new owner's account
+ * (in one transaction)
+ */
+export async function transferApartment(
+  db: D1Database,
+  apartmentId: number,
+  owner: OwnerContact,
+  ownedFrom: string,
+  userId: number | null
+): Promise<void> {
+  await db.batch([
+    db
+      .prepare(
+        `UPDATE apartment_owners SET owned_to = date(?, '-1 day')
+         WHERE apartment_id = ? AND owned_to IS NULL`
+      )
+      .bind(ownedFrom, apartmentId),
+    db
+      .prepare(
+        'INSERT INTO apartment_owners (apartment_id, owner_name, email, phone, owned_from) VALUES (?, ?, ?, ?, ?)'
+      )
+      .bind(apartmentId, owner.owner_name, owner.email, owner.phone, ownedFrom),
+    db
+      .prepare(`UPDATE apartments SET owner_name = ?, updated_at = datetime('now') WHERE id = ?`)
+      .bind(owner.owner_name, apartmentId),
+    db.prepare('DELETE FROM apartment_members WHERE apartment_id = ?').bind(apartmentId),
+    ...(userId
+      ? [
+          db
+            .prepare("INSERT INTO apartment_members (apartment_id, user_id, role) VALUES (?, ?, 'owner')")
+            .bind(apartmentId, userId),
+        ]
+      : []),
+  ]);
+}
+
+/**
+ * Update an owner's name and contact; the apartment's owner name follows the current owner
+ */
+export async function updateApartmentOwner(
+  db: D1Database,
+  apartmentId: number,
+  id: number,
+  owner: OwnerContact
+): Promise<void> {
+  await db.batch([
+    db
+      .prepare('UPDATE apartment_owners SET owner_name = ?, email = ?, phone = ? WHERE id = ?')
+      .bind(owner.owner_name, owner.email, owner.phone, id),
+    db
+      .prepare(
+        `UPDATE apartments SET owner_name = ?, updated_at = datetime('now')
+         WHERE id = ? AND EXISTS (SELECT 1 FROM apartment_owners WHERE id = ? AND owned_to IS NULL)`
+      )
+      .bind(owner.owner_name, apartmentId, id),
+  ]);
+}
+
+/**
+ * Rename the current owner of an apartment (owner name corrected on the apartment)
+ */
+export async function renameCurrentOwner(db: D1Database, apartmentId: number, ownerName: string): Promise<D1Result> {
+  return await db
+    .prepare('UPDATE apartment_owners SET owner_name = ? WHERE apartment_id = ? AND owned_to IS NULL')
+    .bind(ownerName, apartmentId)
+    .run();
+}
+
+/**
+ * Undo the last sale: delete the current owner and make the previous owner current again
+ * (in one transaction; the users linked to the apartment are unlinked)
+ */
+export async function undoTransfer(
+  db: D1Database,
+  apartmentId: number,
+  current: ApartmentOwner,
+  previous: ApartmentOwner
+): Promise<void> {
+  await db.batch([
+    db.prepare('DELETE FROM apartment_owners WHERE id = ?').bind(current.id),
+    db.prepare('UPDATE apartment_owners SET owned_to = NULL WHERE id = ?').bind(previous.id),
+    db
+      .prepare(`UPDATE apartments SET owner_name = ?, updated_at = datetime('now') WHERE id = ?`)
+      .bind(previous.owner_name, apartmentId),
+    db.prepare('DELETE FROM apartment_members WHERE apartment_id = ?').bind(apartmentId),
+  ]);
+}
+
+// ============================================================================
+// BILLING QUERIES
+// ============================================================================
+
+export async function getBillingById(db: D1Database, buildingId: number, id: number): Promise<Billing | null> {
+  return await db
+    .prepare('SELECT * FROM billings WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<Billing>();
+}
+
+/**
+ * Billings generated for a month: maintenance billings and monthly charges
+ * (active only unless includeCancelled is set)
+ * Assessment installments and posted interest billings are not part of it
+ * (see getAllBillingsByMonth)
+ */
+export async function getBillingsByMonth(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number,
+  includeCancelled = false
+): Promise<Billing[]> {
+  const cancelledFilter = includeCancelled ? '' : 'AND cancelled_at IS NULL';
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? AND billing_type IN ('maintenance', 'charge')
+         ${cancelledFilter}
+       ORDER BY apartment_number, billing_type DESC, charge_type_id, generated_at DESC`
+    )
+    .bind(buildingId, year, month)
+    .all<Billing>();
+  return result.results;
+}
+
+/**
+ * Billings of a month of every type, e.g. slips of the month (active only unless includeCancelled is set)
+ */
+export async function getAllBillingsByMonth(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number,
+  includeCancelled = false
+): Promise<Billing[]> {
+  const cancelledFilter = includeCancelled ? '' : 'AND cancelled_at IS NULL';
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? ${cancelledFilter}
+       ORDER BY apartment_number, id`
+    )
+    .bind(buildingId, year, month)
+    .all<Billing>();
+  return result.results;
+}
+
+/**
+ * Active billings of an apartment and month of every type
+ */
+export async function getApartmentBillingsByMonth(
+  db: D1Database,
+  apartmentId: number,
+  year: number,
+  month: number
+): Promise<Billing[]> {
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE apartment_id = ? AND billing_year = ? AND billing_month = ? AND cancelled_at IS NULL
+       ORDER BY id`
+    )
+    .bind(apartmentId, year, month)
+    .all<Billing>();
+  return result.results;
+}
+
+export async function getBillingsByApartment(db: D1Database, apartmentId: number): Promise<Billing[]> {
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings WHERE apartment_id = ? AND cancelled_at IS NULL
+       ORDER BY billing_year DESC, billing_month DESC`
+    )
+    .bind(apartmentId)
+    .all<Billing>();
+  return result.results;
+}
+
+export async function getBillingByApartmentMonth(
+  db: D1Database,
+  apartmentId: number,
+  year: number,
+  month: number
+): Promise<Billing | null> {
+  return await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE apartment_id = ? AND billing_year = ? AND billing_month = ? AND billing_type = 'maintenance'
+         AND cancelled_at IS NULL`
+    )
+    .bind(apartmentId, year, month)
+    .first<Billing>();
+}
+
+// Source of a billing that is not a charge or assessment
+const NO_CHARGE: Pick<Billing, 'charge_type_id' | 'assessment_id'> = { charge_type_id: null, assessment_id: null };
+
+/**
+ * Statement inserting a billing (run on its own or in a batch)
+ * @param source - Charge type and assessment of charge and assessment billings
+ */
+function prepareInsertBilling(
+  db: D1Database,
+  apartment: Pick<Apartment, 'id' | 'building_id'>,
+  billing: BillingSlipData,
+  billingType: BillingType,
+  source: Pick<Billing, 'charge_type_id' | 'assessment_id'> = NO_CHARGE
+): D1PreparedStatement {
+  return db
+    .prepare(
+      `INSERT INTO billings
+         (building_id, apartment_id, billing_month, billing_year, amount, billing_type, charge_type_id,
+          assessment_id, payment_purpose, payment_code, reference_model, reference_number, apartment_number,
+          owner_name, floor_number, payer_address, payer_city)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      apartment.building_id,
+      apartment.id,
+      billing.billing_month,
+      billing.billing_year,
+      billing.amount,
+      billingType,
+      source.charge_type_id,
+      source.assessment_id,
+      billing.payment_purpose,
+      billing.payment_code,
+      billing.reference_model,
+      billing.reference_number,
+      billing.apartment_number,
+      billing.owner_name,
+      billing.floor_number,
+      billing.payer_address,
+      billing.payer_city
+    );
+}
+
+export async function insertBilling(
+  db: D1Database,
+  apartment: Pick<Apartment, 'id' | 'building_id'>,
+  billing: BillingSlipData,
+  billingType: BillingType = 'maintenance',
+  source: Pick<Billing, 'charge_type_id' | 'assessment_id'> = NO_CHARGE
+): Promise<D1Result> {
+  return await prepareInsertBilling(db, apartment, billing, billingType, source).run();
+}
+
+/**
+ * Cancel active billings generated for a month (maintenance and monthly charges;
+ * rows are kept, all with the same cancelled_at)
+ */
+export async function cancelBillingsByMonth(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number,
+  cancelledAt: string,
+  cancelledBy: number,
+  reason: string
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE billings SET cancelled_at = ?, cancelled_by = ?, cancel_reason = ?
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? AND billing_type IN ('maintenance', 'charge')
+         AND cancelled_at IS NULL`
+    )
+    .bind(cancelledAt, cancelledBy, reason, buildingId, year, month)
+    .run();
+}
+
+// Billing issued when a month is generated again for an apartment
+export interface BillingReplacement {
+  apartment: Pick<Apartment, 'id' | 'building_id'>;
+  billing: BillingSlipData;
+  billing_type: 'maintenance' | 'charge';
+  source: Pick<Billing, 'charge_type_id' | 'assessment_id'>;
+  replaces: number | null; // Cancelled billing it replaces (null = added)
+}
+
+/**
+ * Cancel billings and issue their replacements and added billings (in one transaction)
+ * Payments recorded for or allocated to a replaced billing move to its replacement.
+ */
+export async function replaceBillings(
+  db: D1Database,
+  cancel: Billing[],
+  replacements: BillingReplacement[],
+  cancelledAt: string,
+  cancelledBy: number,
+  reason: string
+): Promise<void> {
+  // Active billing of the same apartment, month and source (at most one, see idx_billings_active_month)
+  const replacementId = `(SELECT id FROM billings
+     WHERE apartment_id = ? AND billing_year = ? AND billing_month = ? AND billing_type = ?
+       AND IFNULL(charge_type_id, 0) = ? AND assessment_id IS NULL AND cancelled_at IS NULL)`;
+
+  await db.batch([
+    ...cancel.map((billing) =>
+      db
+        .prepare('UPDATE billings SET cancelled_at = ?, cancelled_by = ?, cancel_reason = ? WHERE id = ?')
+        .bind(cancelledAt, cancelledBy, reason, billing.id)
+    ),
+    ...replacements.flatMap(({ apartment, billing, billing_type, source, replaces }) => {
+      const insert = prepareInsertBilling(db, apartment, billing, billing_type, source);
+      if (!replaces) return [insert];
+
+      const key = [apartment.id, billing.billing_year, billing.billing_month, billing_type, source.charge_type_id ?? 0];
+      return [
+        insert,
+        db.prepare(`UPDATE payments SET billing_id = ${replacementId} WHERE billing_id = ?`).bind(...key, replaces),
+        db
+          .prepare(`UPDATE payment_allocations SET billing_id = ${replacementId} WHERE billing_id = ?`)
+          .bind(...key, replaces),
+      ];
+    }),
+  ]);
+}
+
+/**
+ * Restore billings generated for a month cancelled together at cancelledAt
+ */
+export async function restoreBillingsByMonth(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number,
+  cancelledAt: string
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE billings SET cancelled_at = NULL, cancelled_by = NULL, cancel_reason = NULL
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? AND billing_type IN ('maintenance', 'charge')
+         AND cancelled_at = ?`
+    )
+    .bind(buildingId, year, month, cancelledAt)
+    .run();
+}
+
+export async function getDistinctBillingMonths(
+  db: D1Database,
+  buildingId: number
+): Promise<{ billing_year: number; billing_month: number }[]> {
+  const result = await db
+    .prepare(
+      `SELECT DISTINCT billing_year, billing_month FROM billings
+       WHERE building_id = ? AND billing_type = 'maintenance' AND cancelled_at IS NULL
+       ORDER BY billing_year DESC, billing_month DESC`
+    )
+    .bind(buildingId)
+    .all<{ billing_year: number; billing_month: number }>();
+  return result.results;
+}
+
+export async function insertBillingRun(
+  db: D1Database,
+  run: Omit<BillingRun, 'id' | 'created_at'>
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO billing_runs
+         (building_id, billing_year, billing_month, status, billings_count, notifications_sent, notifications_failed,
+          message)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      run.building_id,
+      run.billing_year,
+      run.billing_month,
+      run.status,
+      run.billings_count,
+      run.notifications_sent,
+      run.notifications_failed,
+      run.message
+    )
+    .run();
+}
+
+/**
+ * Most recent runs of the scheduled billing generation job
+ */
+export async function getBillingRuns(db: D1Database, buildingId: number, limit: number): Promise<BillingRun[]> {
+  const result = await db
+    .prepare('SELECT * FROM billing_runs WHERE building_id = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+    .bind(buildingId, limit)
+    .all<BillingRun>();
+  return result.results;
+}
+
+/**
+ * Check if the scheduled job is done with a month (billings generated, or the month already had them)
+ * Failed runs do not count: the job tries again on its next run.
+ */
+export async function hasCompletedBillingRun(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number
+): Promise<boolean> {
+  const result = await db
+    .prepare(
+      `SELECT 1 AS found FROM billing_runs
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? AND status IN ('success', 'skipped')
+       LIMIT 1`
+    )
+    .bind(buildingId, year, month)
+    .first<{ found: number }>();
+  return result !== null;
+}
+
+// ============================================================================
+// PAYMENT QUERIES
+// ============================================================================
+
+export async function getPaymentById(db: D1Database, buildingId: number, id: number): Promise<Payment | null> {
+  return await db
+    .prepare('SELECT * FROM payments WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<Payment>();
+}
 
 export async function getPaymentsByApartment(
   db: D1Database,
@@ -288,21 +1434,24 @@ export async function getPaymentsByApartment(
   return result.results;
 }
 
-export async function getAllPayments(db: D1Database): Promise<PaymentWithDetails[]> {
+export async function getAllPayments(db: D1Database, buildingId: number): Promise<PaymentWithDetails[]> {
   const result = await db
     .prepare(
       `SELECT p.*, a.apartment_number, a.owner_name, u.name as recorded_by_name
        FROM payments p
        JOIN apartments a ON p.apartment_id = a.id
        JOIN users u ON p.recorded_by = u.id
+       WHERE p.building_id = ?
        ORDER BY p.payment_date DESC`
     )
+    .bind(buildingId)
     .all<PaymentWithDetails>();
   return result.results;
 }
 
 export async function insertPayment(
   db: D1Database,
+  buildingId: number,
   apartmentId: number,
   amount: number,
   paymentDate: string,
@@ -312,44 +1461,1167 @@ export async function insertPayment(
 ): Promise<D1Result> {
   return await db
     .prepare(
-      'INSERT INTO payments (apartment_id, amount, payment_date, billing_id, notes, recorded_by) VALUES (?, ?, ?, ?, ?, ?)'
+      'INSERT INTO payments (building_id, apartment_id, amount, payment_date, billing_id, notes, recorded_by) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    )
+    .bind(buildingId, apartmentId, amount, paymentDate, billingId, notes, recordedBy)
+    .run();
+}
+
+export async function voidPayment(db: D1Database, id: number, voidedBy: number, reason: string): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE payments SET voided_at = datetime('now'), voided_by = ?, void_reason = ?
+       WHERE id = ? AND voided_at IS NULL`
     )
-    .bind(apartmentId, amount, paymentDate, billingId, notes, recordedBy)
+    .bind(voidedBy, reason, id)
+    .run();
+}
+
+export async function restorePayment(db: D1Database, id: number): Promise<D1Result> {
+  return await db
+    .prepare('UPDATE payments SET voided_at = NULL, voided_by = NULL, void_reason = NULL WHERE id = ?')
+    .bind(id)
     .run();
 }
 
-export async function deletePayment(db: D1Database, id: number): Promise<D1Result> {
-  return await db.prepare('DELETE FROM payments WHERE id = ?').bind(id).run();
+/**
+ * Manual payment allocations of a building, or of one apartment
+ */
+export async function getPaymentAllocations(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: number | null = null
+): Promise<PaymentAllocation[]> {
+  const result = await db
+    .prepare(
+      `SELECT pa.* FROM payment_allocations pa
+       JOIN payments p ON pa.payment_id = p.id
+       WHERE p.building_id = ? AND (? IS NULL OR p.apartment_id = ?)`
+    )
+    .bind(buildingId, apartmentId, apartmentId)
+    .all<PaymentAllocation>();
+  return result.results;
+}
+
+/**
+ * Replace manual allocations of a payment (in one transaction)
+ * The payment billing is set to the billing of a single allocation.
+ */
+export async function replacePaymentAllocations(
+  db: D1Database,
+  paymentId: number,
+  allocations: Omit<PaymentAllocation, 'payment_id'>[]
+): Promise<void> {
+  const insertStatement = db.prepare(
+    'INSERT INTO payment_allocations (payment_id, billing_id, amount) VALUES (?, ?, ?)'
+  );
+  const billingId = allocations.length === 1 ? allocations[0].billing_id : null;
+
+  await db.batch([
+    db.prepare('DELETE FROM payment_allocations WHERE payment_id = ?').bind(paymentId),
+    db.prepare('UPDATE payments SET billing_id = ? WHERE id = ?').bind(billingId, paymentId),
+    ...allocations.map((a) => insertStatement.bind(paymentId, a.billing_id, a.amount)),
+  ]);
 }
 
 // ============================================================================
-// BALANCE CALCULATION QUERIES
+// BANK STATEMENT QUERIES
 // ============================================================================
 
-export async function getTotalBillings(db: D1Database, apartmentId: number): Promise<number> {
+export async function getAllBillings(db: D1Database, buildingId: number): Promise<Billing[]> {
   const result = await db
-    .prepare('SELECT COALESCE(SUM(amount), 0) as total FROM billings WHERE apartment_id = ?')
-    .bind(apartmentId)
-    .first<{ total: number }>();
-  return result?.total ?? 0;
+    .prepare(
+      `SELECT * FROM billings WHERE building_id = ? AND cancelled_at IS NULL
+       ORDER BY billing_year DESC, billing_month DESC`
+    )
+    .bind(buildingId)
+    .all<Billing>();
+  return result.results;
+}
+
+export async function getStatementLineById(
+  db: D1Database,
+  buildingId: number,
+  id: number
+): Promise<StatementLineRecord | null> {
+  return await db
+    .prepare('SELECT * FROM statement_lines WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<StatementLineRecord>();
 }
 
-export async function getTotalPayments(db: D1Database, apartmentId: number): Promise<number> {
+export async function getStatementLineKeys(db: D1Database, buildingId: number): Promise<string[]> {
   const result = await db
-    .prepare('SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE apartment_id = ?')
-    .bind(apartmentId)
-    .first<{ total: number }>();
-  return result?.total ?? 0;
+    .prepare('SELECT line_key FROM statement_lines WHERE building_id = ?')
+    .bind(buildingId)
+    .all<{ line_key: string }>();
+  return result.results.map((row) => row.line_key);
 }
 
-export async function calculateBalance(
+export async function getPendingStatementLines(db: D1Database, buildingId: number): Promise<StatementLineRecord[]> {
+  const result = await db
+    .prepare("SELECT * FROM statement_lines WHERE building_id = ? AND status = 'pending' ORDER BY payment_date, id")
+    .bind(buildingId)
+    .all<StatementLineRecord>();
+  return result.results;
+}
+
+export async function insertStatementLine(
   db: D1Database,
-  apartmentId: number
-): Promise<{ totalBillings: number; totalPayments: number; balance: number }> {
-  const totalBillings = await getTotalBillings(db, apartmentId);
-  const totalPayments = await getTotalPayments(db, apartmentId);
-  const balance = totalPayments - totalBillings; // Positive = prepayment, Negative = owed
-  return { totalBillings, totalPayments, balance };
+  buildingId: number,
+  line: StatementLine,
+  matchStatus: StatementLineRecord['match_status'],
+  status: StatementLineRecord['status'],
+  paymentId: number | null,
+  importedBy: number
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO statement_lines
+         (building_id, line_key, payment_date, amount, payer_name, payer_account, reference, purpose, match_status, status, payment_id, imported_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      buildingId,
+      line.line_key,
+      line.payment_date,
+      line.amount,
+      line.payer_name,
+      line.payer_account,
+      line.reference,
+      line.purpose,
+      matchStatus,
+      status,
+      paymentId,
+      importedBy
+    )
+    .run();
+}
+
+export async function updateStatementLineStatus(
+  db: D1Database,
+  id: number,
+  status: StatementLineRecord['status'],
+  paymentId: number | null
+): Promise<D1Result> {
+  return await db
+    .prepare('UPDATE statement_lines SET status = ?, payment_id = ? WHERE id = ?')
+    .bind(status, paymentId, id)
+    .run();
+}
+
+// ============================================================================
+// NOTIFICATION QUERIES
+// ============================================================================
+
+export async function getNotificationById(
+  db: D1Database,
+  buildingId: number,
+  id: number
+): Promise<Notification | null> {
+  return await db
+    .prepare('SELECT * FROM notifications WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<Notification>();
+}
+
+export async function getNotificationByBilling(
+  db: D1Database,
+  billingId: number,
+  type: Notification['type']
+): Promise<Notification | null> {
+  return await db
+    .prepare('SELECT * FROM notifications WHERE billing_id = ? AND type = ?')
+    .bind(billingId, type)
+    .first<Notification>();
+}
+
+export async function getNotificationsByMonth(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number
+): Promise<Notification[]> {
+  const result = await db
+    .prepare(
+      'SELECT * FROM notifications WHERE building_id = ? AND billing_year = ? AND billing_month = ? ORDER BY apartment_number, type'
+    )
+    .bind(buildingId, year, month)
+    .all<Notification>();
+  return result.results;
+}
+
+export async function getRetryableNotifications(
+  db: D1Database,
+  buildingId: number,
+  maxAttempts: number
+): Promise<Notification[]> {
+  const result = await db
+    .prepare("SELECT * FROM notifications WHERE building_id = ? AND status = 'failed' AND attempts < ? ORDER BY id")
+    .bind(buildingId, maxAttempts)
+    .all<Notification>();
+  return result.results;
+}
+
+export async function insertNotification(
+  db: D1Database,
+  billing: Billing,
+  type: Notification['type']
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO notifications (building_id, type, billing_id, apartment_id, apartment_number, billing_year, billing_month)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(billing.building_id, type, billing.id, billing.apartment_id, billing.apartment_number, billing.billing_year, billing.billing_month)
+    .run();
+}
+
+export async function updateNotificationResult(
+  db: D1Database,
+  id: number,
+  result: Pick<Notification, 'status' | 'user_id' | 'recipient_email' | 'recipient_name' | 'last_error' | 'transport'>,
+  attempted: boolean
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE notifications
+       SET status = ?, user_id = ?, recipient_email = ?, recipient_name = ?, last_error = ?, transport = ?,
+           attempts = attempts + ?,
+           sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END,
+           updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(
+      result.status,
+      result.user_id,
+      result.recipient_email,
+      result.recipient_name,
+      result.last_error,
+      result.transport,
+      attempted ? 1 : 0,
+      result.status,
+      id
+    )
+    .run();
+}
+
+/**
+ * User slips and reminders of an apartment are emailed to: the tenant (payer), otherwise an owner,
+ * then a co-owner (null if no such user is linked)
+ */
+export async function getApartmentRecipient(
+  db: D1Database,
+  apartmentId: number
+): Promise<{ user_id: number; email: string; name: string } | null> {
+  return await db
+    .prepare(
+      `SELECT u.id AS user_id, u.email, u.name
+       FROM apartment_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.apartment_id = ? AND m.role != 'viewer'
+       ORDER BY CASE m.role WHEN 'tenant' THEN 0 ELSE 1 END, ${MEMBER_ROLE_ORDER}, m.created_at
+       LIMIT 1`
+    )
+    .bind(apartmentId)
+    .first<{ user_id: number; email: string; name: string }>();
+}
+
+// ============================================================================
+// REMINDER QUERIES
+// ============================================================================
+
+export async function updateReminderSettings(
+  db: D1Database,
+  buildingId: number,
+  settings: Pick<Building, 'reminders_enabled' | 'reminder_min_amount' | 'reminder_min_months' | 'reminder_interval_days'>
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE building
+       SET reminders_enabled = ?, reminder_min_amount = ?, reminder_min_months = ?, reminder_interval_days = ?,
+           updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(
+      settings.reminders_enabled,
+      settings.reminder_min_amount,
+      settings.reminder_min_months,
+      settings.reminder_interval_days,
+      buildingId
+    )
+    .run();
+}
+
+export async function getReminderById(db: D1Database, buildingId: number, id: number): Promise<Reminder | null> {
+  return await db
+    .prepare('SELECT * FROM reminders WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<Reminder>();
+}
+
+export async function getReminders(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: number | null
+): Promise<Reminder[]> {
+  const result = apartmentId
+    ? await db
+        .prepare(
+          'SELECT * FROM reminders WHERE building_id = ? AND apartment_id = ? ORDER BY created_at DESC, id DESC'
+        )
+        .bind(buildingId, apartmentId)
+        .all<Reminder>()
+    : await db
+        .prepare('SELECT * FROM reminders WHERE building_id = ? ORDER BY created_at DESC, id DESC')
+        .bind(buildingId)
+        .all<Reminder>();
+  return result.results;
+}
+
+export async function getLatestOpenReminder(db: D1Database, apartmentId: number): Promise<Reminder | null> {
+  return await db
+    .prepare("SELECT * FROM reminders WHERE apartment_id = ? AND status = 'open' ORDER BY level DESC, id DESC LIMIT 1")
+    .bind(apartmentId)
+    .first<Reminder>();
+}
+
+export async function insertReminder(
+  db: D1Database,
+  reminder: Omit<
+    Reminder,
+    'id' | 'status' | 'delivery_status' | 'recipient_email' | 'last_error' | 'sent_at' | 'resolved_at' | 'created_at'
+  >
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO reminders
+         (building_id, apartment_id, level, amount, months_count, breakdown, reference_model, reference_number,
+          apartment_number, owner_name, floor_number, payer_address, payer_city, source, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      reminder.building_id,
+      reminder.apartment_id,
+      reminder.level,
+      reminder.amount,
+      reminder.months_count,
+      reminder.breakdown,
+      reminder.reference_model,
+      reminder.reference_number,
+      reminder.apartment_number,
+      reminder.owner_name,
+      reminder.floor_number,
+      reminder.payer_address,
+      reminder.payer_city,
+      reminder.source,
+      reminder.created_by
+    )
+    .run();
+}
+
+export async function updateReminderDelivery(
+  db: D1Database,
+  id: number,
+  deliveryStatus: Reminder['delivery_status'],
+  recipientEmail: string,
+  lastError: string | null
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE reminders
+       SET delivery_status = ?, recipient_email = ?, last_error = ?,
+           sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END
+       WHERE id = ?`
+    )
+    .bind(deliveryStatus, recipientEmail, lastError, deliveryStatus, id)
+    .run();
+}
+
+export async function resolveReminders(db: D1Database, apartmentId: number): Promise<D1Result> {
+  return await db
+    .prepare(
+      "UPDATE reminders SET status = 'resolved', resolved_at = datetime('now') WHERE apartment_id = ? AND status = 'open'"
+    )
+    .bind(apartmentId)
+    .run();
+}
+
+// ============================================================================
+// INTEREST QUERIES
+// ============================================================================
+
+export async function updateInterestSettings(
+  db: D1Database,
+  buildingId: number,
+  settings: Pick<Building, 'due_day' | 'interest_enabled' | 'interest_method' | 'interest_grace_days'>
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE building
+       SET due_day = ?, interest_enabled = ?, interest_method = ?, interest_grace_days = ?, updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(
+      settings.due_day,
+      settings.interest_enabled,
+      settings.interest_method,
+      settings.interest_grace_days,
+      buildingId
+    )
+    .run();
+}
+
+/**
+ * Statutory interest rates, oldest first
+ */
+export async function getInterestRates(db: D1Database): Promise<InterestRate[]> {
+  const result = await db.prepare('SELECT * FROM interest_rates ORDER BY valid_from').all<InterestRate>();
+  return result.results;
+}
+
+export async function getInterestRateById(db: D1Database, id: number): Promise<InterestRate | null> {
+  return await db.prepare('SELECT * FROM interest_rates WHERE id = ?').bind(id).first<InterestRate>();
+}
+
+export async function getInterestRateByDate(db: D1Database, validFrom: string): Promise<InterestRate | null> {
+  return await db.prepare('SELECT * FROM interest_rates WHERE valid_from = ?').bind(validFrom).first<InterestRate>();
+}
+
+export async function insertInterestRate(db: D1Database, validFrom: string, annualRate: number): Promise<D1Result> {
+  return await db
+    .prepare('INSERT INTO interest_rates (valid_from, annual_rate) VALUES (?, ?)')
+    .bind(validFrom, annualRate)
+    .run();
+}
+
+export async function deleteInterestRate(db: D1Database, id: number): Promise<D1Result> {
+  return await db.prepare('DELETE FROM interest_rates WHERE id = ?').bind(id).run();
+}
+
+/**
+ * Interest posted with active interest billings of a building, or of one apartment
+ * @param apartmentId - Apartment (null for all apartments of the building)
+ */
+export async function getInterestPostings(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: number | null = null
+): Promise<InterestPosting[]> {
+  const result = await db
+    .prepare(
+      `SELECT ip.* FROM interest_postings ip
+       JOIN billings b ON b.id = ip.interest_billing_id
+       WHERE b.building_id = ? AND (? IS NULL OR b.apartment_id = ?) AND b.cancelled_at IS NULL`
+    )
+    .bind(buildingId, apartmentId, apartmentId)
+    .all<InterestPosting>();
+  return result.results;
+}
+
+/**
+ * Interest posted with an interest billing
+ */
+export async function getPostingsByInterestBilling(
+  db: D1Database,
+  interestBillingId: number
+): Promise<InterestPosting[]> {
+  const result = await db
+    .prepare('SELECT * FROM interest_postings WHERE interest_billing_id = ?')
+    .bind(interestBillingId)
+    .all<InterestPosting>();
+  return result.results;
+}
+
+/**
+ * Active interest billings of a month
+ */
+export async function getInterestBillings(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number
+): Promise<Billing[]> {
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE building_id = ? AND billing_year = ? AND billing_month = ? AND billing_type = 'interest'
+         AND cancelled_at IS NULL
+       ORDER BY apartment_number`
+    )
+    .bind(buildingId, year, month)
+    .all<Billing>();
+  return result.results;
+}
+
+/**
+ * Insert interest billings with the interest they post (in one transaction)
+ * @param throughDate - Interest was calculated up to this date (YYYY-MM-DD)
+ */
+export async function insertInterestBillings(
+  db: D1Database,
+  entries: {
+    apartment: Pick<Apartment, 'id' | 'building_id'>;
+    billing: BillingSlipData;
+    postings: Pick<InterestPosting, 'billing_id' | 'amount'>[];
+  }[],
+  throughDate: string
+): Promise<void> {
+  const postingStatement = db.prepare(
+    `INSERT INTO interest_postings (interest_billing_id, billing_id, amount, through_date)
+     SELECT id, ?, ?, ? FROM billings
+     WHERE apartment_id = ? AND billing_year = ? AND billing_month = ? AND billing_type = 'interest'
+       AND cancelled_at IS NULL`
+  );
+
+  await db.batch(
+    entries.flatMap(({ apartment, billing, postings }) => [
+      prepareInsertBilling(db, apartment, billing, 'interest'),
+      ...postings.map((posting) =>
+        postingStatement.bind(
+          posting.billing_id,
+          posting.amount,
+          throughDate,
+          apartment.id,
+          billing.billing_year,
+          billing.billing_month
+        )
+      ),
+    ])
+  );
+}
+
+/**
+ * Cancel an interest billing (its interest counts as not posted again)
+ */
+export async function cancelBilling(
+  db: D1Database,
+  id: number,
+  cancelledBy: number,
+  reason: string
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE billings SET cancelled_at = datetime('now'), cancelled_by = ?, cancel_reason = ?
+       WHERE id = ? AND cancelled_at IS NULL`
+    )
+    .bind(cancelledBy, reason, id)
+    .run();
+}
+
+// ============================================================================
+// CHARGE TYPE AND ASSESSMENT QUERIES
+// ============================================================================
+
+export async function updateSlipSettings(db: D1Database, buildingId: number, combineSlips: number): Promise<D1Result> {
+  return await db
+    .prepare("UPDATE building SET combine_slips = ?, updated_at = datetime('now') WHERE id = ?")
+    .bind(combineSlips, buildingId)
+    .run();
+}
+
+export async function getChargeTypes(db: D1Database, buildingId: number): Promise<ChargeType[]> {
+  const result = await db
+    .prepare('SELECT * FROM charge_types WHERE building_id = ? ORDER BY name')
+    .bind(buildingId)
+    .all<ChargeType>();
+  return result.results;
+}
+
+/**
+ * Active charge types billed every month with the maintenance billings
+ */
+export async function getMonthlyChargeTypes(db: D1Database, buildingId: number): Promise<ChargeType[]> {
+  const result = await db
+    .prepare(
+      `SELECT * FROM charge_types
+       WHERE building_id = ? AND active = 1 AND monthly_amount IS NOT NULL
+       ORDER BY id`
+    )
+    .bind(buildingId)
+    .all<ChargeType>();
+  return result.results;
+}
+
+export async function getChargeTypeById(db: D1Database, buildingId: number, id: number): Promise<ChargeType | null> {
+  return await db
+    .prepare('SELECT * FROM charge_types WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<ChargeType>();
+}
+
+export async function getChargeTypeByName(
+  db: D1Database,
+  buildingId: number,
+  name: string
+): Promise<ChargeType | null> {
+  return await db
+    .prepare('SELECT * FROM charge_types WHERE building_id = ? AND name = ?')
+    .bind(buildingId, name)
+    .first<ChargeType>();
+}
+
+export async function insertChargeType(
+  db: D1Database,
+  buildingId: number,
+  chargeType: Pick<ChargeType, 'name' | 'payment_purpose' | 'payment_code' | 'monthly_amount' | 'active'>
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO charge_types (building_id, name, payment_purpose, payment_code, monthly_amount, active)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      buildingId,
+      chargeType.name,
+      chargeType.payment_purpose,
+      chargeType.payment_code,
+      chargeType.monthly_amount,
+      chargeType.active
+    )
+    .run();
+}
+
+export async function updateChargeType(
+  db: D1Database,
+  id: number,
+  chargeType: Pick<ChargeType, 'name' | 'payment_purpose' | 'payment_code' | 'monthly_amount' | 'active'>
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `UPDATE charge_types
+       SET name = ?, payment_purpose = ?, payment_code = ?, monthly_amount = ?, active = ?, updated_at = datetime('now')
+       WHERE id = ?`
+    )
+    .bind(
+      chargeType.name,
+      chargeType.payment_purpose,
+      chargeType.payment_code,
+      chargeType.monthly_amount,
+      chargeType.active,
+      id
+    )
+    .run();
+}
+
+/**
+ * Whether a charge type was billed or used for an assessment (it can then only be deactivated)
+ */
+export async function isChargeTypeUsed(db: D1Database, id: number): Promise<boolean> {
+  const result = await db
+    .prepare(
+      `SELECT EXISTS (SELECT 1 FROM billings WHERE charge_type_id = ?)
+         OR EXISTS (SELECT 1 FROM assessments WHERE charge_type_id = ?) as used`
+    )
+    .bind(id, id)
+    .first<{ used: number }>();
+  return Boolean(result?.used);
+}
+
+export async function deleteChargeType(db: D1Database, id: number): Promise<D1Result> {
+  return await db.prepare('DELETE FROM charge_types WHERE id = ?').bind(id).run();
+}
+
+/**
+ * Assessments of a building, most recent first, with the charge type name and
+ * the number of apartments billed
+ */
+export async function getAssessments(db: D1Database, buildingId: number): Promise<AssessmentWithDetails[]> {
+  const result = await db
+    .prepare(
+      `SELECT a.*, ct.name as charge_type_name,
+         (SELECT COUNT(DISTINCT b.apartment_id) FROM billings b WHERE b.assessment_id = a.id) as apartments_count
+       FROM assessments a
+       JOIN charge_types ct ON a.charge_type_id = ct.id
+       WHERE a.building_id = ?
+       ORDER BY a.start_year DESC, a.start_month DESC, a.id DESC`
+    )
+    .bind(buildingId)
+    .all<AssessmentWithDetails>();
+  return result.results;
+}
+
+export async function getAssessmentById(db: D1Database, buildingId: number, id: number): Promise<Assessment | null> {
+  return await db
+    .prepare('SELECT * FROM assessments WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<Assessment>();
+}
+
+/**
+ * Installment billings of an assessment (active only unless includeCancelled is set)
+ */
+export async function getBillingsByAssessment(
+  db: D1Database,
+  assessmentId: number,
+  includeCancelled = false
+): Promise<Billing[]> {
+  const cancelledFilter = includeCancelled ? '' : 'AND cancelled_at IS NULL';
+  const result = await db
+    .prepare(
+      `SELECT * FROM billings
+       WHERE assessment_id = ? ${cancelledFilter}
+       ORDER BY billing_year, billing_month, apartment_number`
+    )
+    .bind(assessmentId)
+    .all<Billing>();
+  return result.results;
+}
+
+export async function insertAssessment(
+  db: D1Database,
+  buildingId: number,
+  assessment: Pick<
+    Assessment,
+    'charge_type_id' | 'payment_purpose' | 'amount' | 'installments' | 'start_year' | 'start_month' | 'created_by'
+  >
+): Promise<D1Result> {
+  return await db
+    .prepare(
+      `INSERT INTO assessments
+         (building_id, charge_type_id, payment_purpose, amount, installments, start_year, start_month, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      buildingId,
+      assessment.charge_type_id,
+      assessment.payment_purpose,
+      assessment.amount,
+      assessment.installments,
+      assessment.start_year,
+      assessment.start_month,
+      assessment.created_by
+    )
+    .run();
+}
+
+/**
+ * Insert billings of charges (monthly charges or assessment installments) in one transaction
+ */
+export async function insertChargeBillings(
+  db: D1Database,
+  entries: {
+    apartment: Pick<Apartment, 'id' | 'building_id'>;
+    billing: BillingSlipData;
+    source: Pick<Billing, 'charge_type_id' | 'assessment_id'>;
+  }[]
+): Promise<void> {
+  if (entries.length === 0) return;
+
+  await db.batch(
+    entries.map(({ apartment, billing, source }) =>
+      prepareInsertBilling(db, apartment, billing, source.assessment_id ? 'assessment' : 'charge', source)
+    )
+  );
+}
+
+/**
+ * Cancel an assessment and its active installment billings (in one transaction)
+ */
+export async function cancelAssessment(
+  db: D1Database,
+  id: number,
+  cancelledAt: string,
+  cancelledBy: number,
+  reason: string
+): Promise<void> {
+  await db.batch([
+    db
+      .prepare('UPDATE assessments SET cancelled_at = ?, cancelled_by = ?, cancel_reason = ? WHERE id = ?')
+      .bind(cancelledAt, cancelledBy, reason, id),
+    db
+      .prepare(
+        `UPDATE billings SET cancelled_at = ?, cancelled_by = ?, cancel_reason = ?
+         WHERE assessment_id = ? AND cancelled_at IS NULL`
+      )
+      .bind(cancelledAt, cancelledBy, reason, id),
+  ]);
+}
+
+// ============================================================================
+// BALANCE CALCULATION QUERIES
+// ============================================================================
+
+// Month of a billing / payment as a comparable number (see periodIndex in services/periods)
+const BILLING_PERIOD = '(billing_year * 12 + billing_month)';
+const PAYMENT_PERIOD =
+  "(CAST(strftime('%Y', payment_date) AS INTEGER) * 12 + CAST(strftime('%m', payment_date) AS INTEGER))";
+
+// Apartment opening balance from the last period close of its building
+export interface ApartmentOpening {
+  period_close_id: number;
+  period_year: number;
+  period_month: number;
+  opening_date: string; // First day after the closed period
+  balance: number;
+}
+
+/**
+ * Opening balance of an apartment from the last period close (null if no period is closed)
+ * Apartments added after the close open with 0
+ * @param source - Only closes of this source (e.g. the last imported opening balances)
+ */
+export async function getApartmentOpening(
+  db: D1Database,
+  apartmentId: number,
+  source: PeriodClose['source'] | null = null
+): Promise<ApartmentOpening | null> {
+  return await db
+    .prepare(
+      `SELECT pc.id as period_close_id, pc.period_year, pc.period_month,
+         date(printf('%04d-%02d-01', pc.period_year, pc.period_month), '+1 month') as opening_date,
+         COALESCE(ob.balance, 0) as balance
+       FROM apartments a
+       JOIN period_closes pc ON pc.building_id = a.building_id
+       LEFT JOIN opening_balances ob ON ob.period_close_id = pc.id AND ob.apartment_id = a.id
+       WHERE a.id = ? AND (? IS NULL OR pc.source = ?)
+       ORDER BY pc.period_year DESC, pc.period_month DESC
+       LIMIT 1`
+    )
+    .bind(apartmentId, source, source)
+    .first<ApartmentOpening>();
+}
+
+/**
+ * Total of active billings in billing months after afterPeriod, up to throughPeriod (period indexes, null = no limit)
+ */
+export async function getTotalBillings(
+  db: D1Database,
+  apartmentId: number,
+  afterPeriod: number | null = null,
+  throughPeriod: number | null = null
+): Promise<number> {
+  const result = await db
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) as total FROM billings
+       WHERE apartment_id = ? AND cancelled_at IS NULL
+         AND (? IS NULL OR ${BILLING_PERIOD} > ?) AND (? IS NULL OR ${BILLING_PERIOD} <= ?)`
+    )
+    .bind(apartmentId, afterPeriod, afterPeriod, throughPeriod, throughPeriod)
+    .first<{ total: number }>();
+  return result?.total ?? 0;
+}
+
+/**
+ * Total of active payments dated after afterPeriod, up to throughPeriod (period indexes, null = no limit)
+ */
+export async function getTotalPayments(
+  db: D1Database,
+  apartmentId: number,
+  afterPeriod: number | null = null,
+  throughPeriod: number | null = null
+): Promise<number> {
+  const result = await db
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) as total FROM payments
+       WHERE apartment_id = ? AND voided_at IS NULL
+         AND (? IS NULL OR ${PAYMENT_PERIOD} > ?) AND (? IS NULL OR ${PAYMENT_PERIOD} <= ?)`
+    )
+    .bind(apartmentId, afterPeriod, afterPeriod, throughPeriod, throughPeriod)
+    .first<{ total: number }>();
+  return result?.total ?? 0;
+}
+
+/**
+ * Apartment balance: opening balance of the last closed period plus billings and payments after it
+ * @param throughPeriod - Only count entries up to this month (period index, used when a period is closed)
+ */
+export async function calculateBalance(
+  db: D1Database,
+  apartmentId: number,
+  throughPeriod: number | null = null
+): Promise<{ openingBalance: number; totalBillings: number; totalPayments: number; balance: number }> {
+  const opening = await getApartmentOpening(db, apartmentId);
+  const afterPeriod = opening ? opening.period_year * 12 + opening.period_month : null;
+
+  const openingBalance = opening?.balance ?? 0;
+  const totalBillings = await getTotalBillings(db, apartmentId, afterPeriod, throughPeriod);
+  const totalPayments = await getTotalPayments(db, apartmentId, afterPeriod, throughPeriod);
+  const balance = openingBalance + totalPayments - totalBillings; // Positive = prepayment, Negative = owed
+  return { openingBalance, totalBillings, totalPayments, balance };
+}
+
+/**
+ * Combined history of billings and payments with running balance (most recent first)
+ * Voided payments and cancelled billings are included, but skipped by the running balance
+ * After a period close, history starts with the opening balance (oldest entry)
+ * @param source - Start from the last close of this source (default: the last close)
+ */
+export async function getApartmentHistory(
+  db: D1Database,
+  apartmentId: number,
+  source: PeriodClose['source'] | null = null
+): Promise<{ current_balance: number; history: HistoryItem[] }> {
+  const opening = await getApartmentOpening(db, apartmentId, source);
+  const afterPeriod = opening ? opening.period_year * 12 + opening.period_month : null;
+
+  const billingsResult = await db
+    .prepare(
+      `SELECT
+        'billing' as type,
+        id,
+        generated_at as date,
+        -amount as amount,
+        reference_number as description,
+        billing_type,
+        payment_purpose,
+        billing_month,
+        billing_year,
+        cancelled_at as voided_at,
+        cancel_reason as void_reason
+      FROM billings
+      WHERE apartment_id = ? AND (? IS NULL OR ${BILLING_PERIOD} > ?)`
+    )
+    .bind(apartmentId, afterPeriod, afterPeriod)
+    .all<Omit<HistoryItem, 'balance'>>();
+
+  const paymentsResult = await db
+    .prepare(
+      `SELECT
+        'payment' as type,
+        id,
+        payment_date as date,
+        amount,
+        notes as description,
+        NULL as billing_type,
+        NULL as payment_purpose,
+        NULL as billing_month,
+        NULL as billing_year,
+        voided_at,
+        void_reason
+      FROM payments
+      WHERE apartment_id = ? AND (? IS NULL OR ${PAYMENT_PERIOD} > ?)`
+    )
+    .bind(apartmentId, afterPeriod, afterPeriod)
+    .all<Omit<HistoryItem, 'balance'>>();
+
+  // Combine and sort by date (most recent first)
+  const items = [...billingsResult.results, ...paymentsResult.results].sort(
+    (a, b) => new Date(b.date).getTime() - new Date(a.date).getTime()
+  );
+
+  // Calculate running balance
+  let runningBalance = opening?.balance ?? 0;
+  const history = items
+    .reverse()
+    .map((item) => {
+      if (!item.voided_at) {
+        runningBalance += item.amount;
+      }
+      return { ...item, balance: runningBalance };
+    })
+    .reverse();
+
+  if (opening) {
+    history.push({
+      type: 'opening',
+      id: opening.period_close_id,
+      date: opening.opening_date,
+      amount: opening.balance,
+      description: `Pocetno stanje posle ${opening.period_month}/${opening.period_year}`,
+      billing_type: null,
+      payment_purpose: null,
+      billing_month: null,
+      billing_year: null,
+      voided_at: null,
+      void_reason: null,
+      balance: opening.balance,
+    });
+  }
+
+  return { current_balance: runningBalance, history: history };
+}
+
+// ============================================================================
+// PERIOD CLOSE QUERIES
+// ============================================================================
+
+export async function getLatestPeriodClose(db: D1Database, buildingId: number): Promise<PeriodClose | null> {
+  return await db
+    .prepare('SELECT * FROM period_closes WHERE building_id = ? ORDER BY period_year DESC, period_month DESC LIMIT 1')
+    .bind(buildingId)
+    .first<PeriodClose>();
+}
+
+export async function getPeriodCloseById(db: D1Database, buildingId: number, id: number): Promise<PeriodClose | null> {
+  return await db
+    .prepare('SELECT * FROM period_closes WHERE id = ? AND building_id = ?')
+    .bind(id, buildingId)
+    .first<PeriodClose>();
+}
+
+/**
+ * Period closes of a building (most recent first) with totals of their opening balances
+ */
+export async function getPeriodCloses(
+  db: D1Database,
+  buildingId: number
+): Promise<(PeriodClose & { closed_by_name: string | null; apartments_count: number; total_balance: number })[]> {
+  const result = await db
+    .prepare(
+      `SELECT pc.*, u.name as closed_by_name,
+         COUNT(ob.apartment_id) as apartments_count, COALESCE(SUM(ob.balance), 0) as total_balance
+       FROM period_closes pc
+       LEFT JOIN users u ON pc.closed_by = u.id
+       LEFT JOIN opening_balances ob ON ob.period_close_id = pc.id
+       WHERE pc.building_id = ?
+       GROUP BY pc.id
+       ORDER BY pc.period_year DESC, pc.period_month DESC`
+    )
+    .bind(buildingId)
+    .all<PeriodClose & { closed_by_name: string | null; apartments_count: number; total_balance: number }>();
+  return result.results;
+}
+
+export async function getOpeningBalances(
+  db: D1Database,
+  periodCloseId: number
+): Promise<(OpeningBalance & { apartment_number: number; owner_name: string })[]> {
+  const result = await db
+    .prepare(
+      `SELECT ob.*, a.apartment_number, a.owner_name
+       FROM opening_balances ob
+       JOIN apartments a ON ob.apartment_id = a.id
+       WHERE ob.period_close_id = ?
+       ORDER BY a.apartment_number`
+    )
+    .bind(periodCloseId)
+    .all<OpeningBalance & { apartment_number: number; owner_name: string }>();
+  return result.results;
+}
+
+/**
+ * Store a period close with apartment opening balances (in one transaction)
+ */
+export async function insertPeriodClose(
+  db: D1Database,
+  buildingId: number,
+  year: number,
+  month: number,
+  source: PeriodClose['source'],
+  closedBy: number,
+  balances: Pick<OpeningBalance, 'apartment_id' | 'balance'>[]
+): Promise<void> {
+  const balanceStatement = db.prepare(
+    `INSERT INTO opening_balances (period_close_id, apartment_id, balance)
+     SELECT id, ?, ? FROM period_closes WHERE building_id = ? AND period_year = ? AND period_month = ?`
+  );
+
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO period_closes (building_id, period_year, period_month, source, closed_by) VALUES (?, ?, ?, ?, ?)'
+      )
+      .bind(buildingId, year, month, source, closedBy),
+    ...balances.map((b) => balanceStatement.bind(b.apartment_id, b.balance, buildingId, year, month)),
+  ]);
+}
+
+export async function deletePeriodClose(db: D1Database, id: number): Promise<D1Result> {
+  return await db.prepare('DELETE FROM period_closes WHERE id = ?').bind(id).run();
+}
+
+// ============================================================================
+// AUDIT LOG QUERIES
+// ============================================================================
+
+export async function insertAuditEntries(
+  db: D1Database,
+  entries: Omit<AuditLogEntry, 'id' | 'created_at'>[]
+): Promise<void> {
+  if (entries.length === 0) return;
+
+  const statement = db.prepare(
+    `INSERT INTO audit_log
+       (building_id, user_id, user_email, action, entity_type, entity_id, before_data, after_data, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  await db.batch(
+    entries.map((entry) =>
+      statement.bind(
+        entry.building_id,
+        entry.user_id,
+        entry.user_email,
+        entry.action,
+        entry.entity_type,
+        entry.entity_id,
+        entry.before_data,
+        entry.after_data,
+        entry.ip_address
+      )
+    )
+  );
+}
+
+export interface AuditLogFilter {
+  entityType: AuditEntityType | null;
+  entityId: number | null;
+  userId: number | null;
+  from: string | null; // YYYY-MM-DD
+  to: string | null; // YYYY-MM-DD (inclusive)
+  limit: number;
+  offset: number;
+}
+
+export async function getAuditLog(
+  db: D1Database,
+  buildingId: number,
+  filter: AuditLogFilter
+): Promise<{ entries: AuditLogEntry[]; total: number }> {
+  const conditions = ['building_id = ?'];
+  const params: (string | number)[] = [buildingId];
+
+  if (filter.entityType) {
+    conditions.push('entity_type = ?');
+    params.push(filter.entityType);
+  }
+  if (filter.entityId) {
+    conditions.push('entity_id = ?');
+    params.push(filter.entityId);
+  }
+  if (filter.userId) {
+    conditions.push('user_id = ?');
+    params.push(filter.userId);
+  }
+  if (filter.from) {
+    conditions.push('date(created_at) >= ?');
+    params.push(filter.from);
+  }
+  if (filter.to) {
+    conditions.push('date(created_at) <= ?');
+    params.push(filter.to);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const total = await db
+    .prepare(`SELECT COUNT(*) as count FROM audit_log WHERE ${where}`)
+    .bind(...params)
+    .first<{ count: number }>();
+
+  const result = await db
+    .prepare(`SELECT * FROM audit_log WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+    .bind(...params, filter.limit, filter.offset)
+    .all<AuditLogEntry>();
+
+  return { entries: result.results, total: total?.count || 0 };
+}
+
+export async function getAuditUsers(
+  db: D1Database,
+  buildingId: number
+): Promise<{ user_id: number; user_email: string }[]> {
+  const result = await db
+    .prepare(
+      `SELECT user_id, MAX(user_email) as user_email FROM audit_log
+       WHERE building_id = ? AND user_id IS NOT NULL
+       GROUP BY user_id
+       ORDER BY user_email`
+    )
+    .bind(buildingId)
+    .all<{ user_id: number; user_email: string }>();
+  return result.results;
 }
 
 // ============================================================================
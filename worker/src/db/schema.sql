@@ -4,7 +4,7 @@
 -- Enable foreign keys (D1 supports this)
 PRAGMA foreign_keys = ON;
 
--- Building configuration (single record with id=1)
+-- Buildings (apartments, billings and payments are scoped by building_id)
 CREATE TABLE IF NOT EXISTS building (
   id INTEGER PRIMARY KEY,
   address TEXT NOT NULL,
@@ -13,6 +13,25 @@ CREATE TABLE IF NOT EXISTS building (
   default_amount REAL NOT NULL,
   recipient_name TEXT NOT NULL DEFAULT 'Stambena zajednica',
   payment_purpose TEXT NOT NULL DEFAULT 'Mesecno odrzavanje zgrade',
+  reference_model TEXT NOT NULL DEFAULT '97', -- '97' (mod-97 control) or '' (legacy XX-YY)
+  -- Overdue payment reminders
+  reminders_enabled INTEGER NOT NULL DEFAULT 0, -- Run reminders from the scheduled job
+  reminder_min_amount REAL NOT NULL DEFAULT 0, -- Remind if overdue debt reaches amount (0 = not used)
+  reminder_min_months INTEGER NOT NULL DEFAULT 2, -- Remind if unpaid months reach count (0 = not used)
+  reminder_interval_days INTEGER NOT NULL DEFAULT 15, -- Days before escalating to the next level
+  -- Late-payment interest
+  due_day INTEGER NOT NULL DEFAULT 15, -- Day of the billing month a billing is due (1-28)
+  interest_enabled INTEGER NOT NULL DEFAULT 0, -- Calculate interest on overdue billings
+  interest_method TEXT NOT NULL DEFAULT 'simple', -- 'simple' or 'compound' (conformal method)
+  interest_grace_days INTEGER NOT NULL DEFAULT 0, -- Days after the due day before interest starts
+  combine_slips INTEGER NOT NULL DEFAULT 1, -- Print an apartment's billings of a month on one slip
+  -- Monthly amount rule: JSON list of components [{ basis, rate }] summed per apartment
+  -- (basis 'fixed', 'area', 'occupants' or 'share'; NULL = default_amount for every apartment)
+  amount_rule TEXT,
+  -- Scheduled billing generation (next month's billings from the daily job)
+  auto_generate_enabled INTEGER NOT NULL DEFAULT 0, -- Generate billings from the scheduled job
+  auto_generate_day INTEGER NOT NULL DEFAULT 25, -- Day of the month the next month is generated from (1-28)
+  auto_generate_send_email INTEGER NOT NULL DEFAULT 0, -- Email slips to linked residents after generating
   created_at TEXT DEFAULT (datetime('now')),
   updated_at TEXT DEFAULT (datetime('now'))
 );
@@ -23,41 +42,206 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT NOT NULL UNIQUE,
   password_hash TEXT NOT NULL,
   name TEXT NOT NULL,
-  is_admin INTEGER DEFAULT 0,
+  is_admin INTEGER DEFAULT 0, -- Administrator of the buildings in building_admins
   is_user INTEGER DEFAULT 1,
+  is_super_admin INTEGER NOT NULL DEFAULT 0, -- Administrator of all buildings, creates buildings
+  -- Password set by an admin (or the seeded default): only changing it is allowed until it is changed
+  must_change_password INTEGER NOT NULL DEFAULT 0,
+  failed_logins INTEGER NOT NULL DEFAULT 0, -- Failed logins in a row (cleared by a successful login or an unlock)
+  locked_until TEXT, -- UTC, YYYY-MM-DD HH:MM:SS; logins are refused until then after repeated failures
+  -- Two-factor authentication: base32 TOTP secret (pending until totp_enabled_at is set)
+  totp_secret TEXT,
+  totp_enabled_at TEXT,
+  totp_last_step INTEGER NOT NULL DEFAULT 0, -- Last accepted 30 s time step (a code works once)
   created_at TEXT DEFAULT (datetime('now')),
   updated_at TEXT DEFAULT (datetime('now'))
 );
 
+-- One-time links for setting a password: invitations of new users and password resets
+-- Only a SHA-256 hash of the token is stored; a token is deleted once used
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL, -- 'invite' | 'reset'
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL, -- UTC, YYYY-MM-DD HH:MM:SS
+  created_by INTEGER, -- Admin who sent the invitation (NULL for a reset requested by the user)
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Login sessions: each holds a refresh token that is replaced on every refresh
+-- Only SHA-256 hashes of the tokens are stored; revoking a session deletes it
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- Current refresh token
+  previous_token_hash TEXT, -- Replaced refresh token; using it again revokes the session (stolen token)
+  expires_at TEXT NOT NULL, -- UTC, YYYY-MM-DD HH:MM:SS (extended on every refresh)
+  ip_address TEXT,
+  user_agent TEXT,
+  two_factor INTEGER NOT NULL DEFAULT 0, -- Login confirmed with a second factor
+  created_at TEXT DEFAULT (datetime('now')),
+  last_used_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Every login attempt, successful or not (brute-force protection and review by admins)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL, -- As entered (lowercase), also for emails without an account
+  user_id INTEGER, -- Account of the email (NULL if there is none)
+  ip_address TEXT,
+  user_agent TEXT,
+  -- 'success' | 'wrong_password' | 'wrong_code' (two-factor) | 'unknown_user' | 'locked' | 'delayed' | 'ip_blocked'
+  result TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- One-time recovery codes for two-factor authentication (lost authenticator app)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL, -- SHA-256 of the code
+  used_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Buildings administered by each admin
+CREATE TABLE IF NOT EXISTS building_admins (
+  building_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (building_id, user_id),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Apartments table
 CREATE TABLE IF NOT EXISTS apartments (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  apartment_number INTEGER NOT NULL UNIQUE,
+  building_id INTEGER NOT NULL,
+  apartment_number INTEGER NOT NULL,
   owner_name TEXT NOT NULL,
   floor_number INTEGER NOT NULL,
-  override_amount REAL,
-  user_id INTEGER,
+  override_amount REAL, -- Replaces the building's amount rule for this apartment
+  no_reminders INTEGER NOT NULL DEFAULT 0, -- Do not send overdue payment reminders
+  -- Data for the building's amount rule
+  area REAL, -- Square metres
+  occupants INTEGER,
+  ownership_share REAL, -- Percent of the building
   created_at TEXT DEFAULT (datetime('now')),
   updated_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  UNIQUE(building_id, apartment_number),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE
+);
+
+-- Users linked to an apartment and their role (a user can be linked to several apartments)
+-- Slips and reminders are emailed to the payer: the tenant, otherwise an owner, then a co-owner
+CREATE TABLE IF NOT EXISTS apartment_members (
+  apartment_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT NOT NULL DEFAULT 'owner', -- 'owner' | 'co_owner' | 'tenant' (pays) | 'viewer' (view only)
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (apartment_id, user_id),
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Ownership timeline of each apartment (apartments.owner_name is the current owner)
+-- Billings belong to the owner on the first day of the billing month, payments to
+-- the owner on the payment date
+CREATE TABLE IF NOT EXISTS apartment_owners (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  apartment_id INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  owned_from TEXT, -- YYYY-MM-DD (NULL = since the apartment was registered)
+  owned_to TEXT, -- YYYY-MM-DD, last day of ownership (NULL = current owner)
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
 );
 
 -- Monthly billing records
+-- Billings are never deleted: a wrong month is cancelled (and can be restored)
 CREATE TABLE IF NOT EXISTS billings (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
   apartment_id INTEGER NOT NULL,
   billing_month INTEGER NOT NULL,
   billing_year INTEGER NOT NULL,
   amount REAL NOT NULL,
+  billing_type TEXT NOT NULL DEFAULT 'maintenance', -- 'maintenance' | 'charge' (monthly) | 'assessment' | 'interest'
+  charge_type_id INTEGER, -- Charge type of 'charge' and 'assessment' billings
+  assessment_id INTEGER, -- Special assessment of an 'assessment' billing (one billing per installment)
+  payment_purpose TEXT NOT NULL DEFAULT '', -- Printed on the slip (snapshot)
+  payment_code TEXT NOT NULL DEFAULT '289', -- IPS payment code (SF) of the slip (snapshot)
+  reference_model TEXT NOT NULL DEFAULT '',
   reference_number TEXT NOT NULL,
+  -- Payer snapshot at generation time (slips reprint exactly as issued)
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
   generated_at TEXT DEFAULT (datetime('now')),
+  cancelled_at TEXT, -- Set when the billing month was cancelled (excluded from balances)
+  cancelled_by INTEGER,
+  cancel_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
   FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
-  UNIQUE(apartment_id, billing_month, billing_year)
+  FOREIGN KEY (charge_type_id) REFERENCES charge_types(id),
+  FOREIGN KEY (assessment_id) REFERENCES assessments(id),
+  FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Charge types billed next to the maintenance fee (elevator fund, cleaning, repair
+-- levies), each with its own payment purpose and payment code on the slip
+CREATE TABLE IF NOT EXISTS charge_types (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  payment_purpose TEXT NOT NULL,
+  payment_code TEXT NOT NULL DEFAULT '289', -- IPS payment code (SF)
+  monthly_amount REAL, -- Billed to every apartment with the monthly billings (NULL = special assessments only)
+  active INTEGER NOT NULL DEFAULT 1, -- Inactive types are not billed and not used for new assessments
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(building_id, name),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE
+);
+
+-- One-off special assessments billed to all or selected apartments, in one or
+-- more monthly installments (billings of type 'assessment')
+CREATE TABLE IF NOT EXISTS assessments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  charge_type_id INTEGER NOT NULL,
+  payment_purpose TEXT NOT NULL,
+  amount REAL NOT NULL, -- Per apartment, all installments together
+  installments INTEGER NOT NULL DEFAULT 1,
+  start_year INTEGER NOT NULL, -- Month of the first installment
+  start_month INTEGER NOT NULL,
+  created_by INTEGER,
+  created_at TEXT DEFAULT (datetime('now')),
+  cancelled_at TEXT, -- Set when the assessment was cancelled (its billings are cancelled too)
+  cancelled_by INTEGER,
+  cancel_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (charge_type_id) REFERENCES charge_types(id),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Payment records
+-- Payments are never deleted: a wrong payment is voided with a reason (and can be restored)
 CREATE TABLE IF NOT EXISTS payments (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
   apartment_id INTEGER NOT NULL,
   amount REAL NOT NULL,
   payment_date TEXT NOT NULL,
@@ -65,16 +249,216 @@ CREATE TABLE IF NOT EXISTS payments (
   notes TEXT,
   recorded_by INTEGER NOT NULL,
   created_at TEXT DEFAULT (datetime('now')),
+  voided_at TEXT, -- Set when the payment was voided (excluded from balances)
+  voided_by INTEGER,
+  void_reason TEXT,
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
   FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
   FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
-  FOREIGN KEY (recorded_by) REFERENCES users(id)
+  FOREIGN KEY (recorded_by) REFERENCES users(id),
+  FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Manual allocation of a payment to billings (the rest of every payment is
+-- allocated to the oldest unpaid billings when statuses are computed)
+CREATE TABLE IF NOT EXISTS payment_allocations (
+  payment_id INTEGER NOT NULL,
+  billing_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  PRIMARY KEY (payment_id, billing_id),
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE CASCADE
+);
+
+-- Imported bank statement credit lines
+-- Lines with status 'pending' are the holding queue for manual assignment
+CREATE TABLE IF NOT EXISTS statement_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  line_key TEXT NOT NULL,
+  payment_date TEXT NOT NULL,
+  amount REAL NOT NULL,
+  payer_name TEXT NOT NULL DEFAULT '',
+  payer_account TEXT NOT NULL DEFAULT '',
+  reference TEXT NOT NULL DEFAULT '',
+  purpose TEXT NOT NULL DEFAULT '',
+  match_status TEXT NOT NULL, -- 'matched' | 'ambiguous' | 'unmatched' (at import time)
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'assigned' | 'dismissed'
+  payment_id INTEGER,
+  imported_by INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (building_id, line_key),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  FOREIGN KEY (imported_by) REFERENCES users(id)
+);
+
+-- Email notifications (delivery log with status and retries)
+-- Apartment and billing period are copied so the log survives deleted billings
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  type TEXT NOT NULL DEFAULT 'billing_slip',
+  billing_id INTEGER,
+  apartment_id INTEGER,
+  apartment_number INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL,
+  billing_month INTEGER NOT NULL,
+  user_id INTEGER,
+  recipient_email TEXT NOT NULL DEFAULT '',
+  recipient_name TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed' | 'skipped'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transport TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (billing_id, type),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE SET NULL,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Overdue payment reminders (letters with escalation levels)
+CREATE TABLE IF NOT EXISTS reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  level INTEGER NOT NULL, -- Escalation level (1-3)
+  amount REAL NOT NULL, -- Total overdue amount
+  months_count INTEGER NOT NULL,
+  breakdown TEXT NOT NULL, -- JSON: overdue months with unpaid amounts
+  reference_model TEXT NOT NULL DEFAULT '',
+  reference_number TEXT NOT NULL,
+  apartment_number INTEGER NOT NULL,
+  owner_name TEXT NOT NULL,
+  floor_number INTEGER NOT NULL,
+  payer_address TEXT NOT NULL,
+  payer_city TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'resolved' (debt paid)
+  delivery_status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed' | 'skipped'
+  recipient_email TEXT NOT NULL DEFAULT '',
+  last_error TEXT,
+  sent_at TEXT,
+  source TEXT NOT NULL, -- 'cron' (scheduled job) | 'manual'
+  created_by INTEGER,
+  resolved_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Closed accounting periods: billings and payments dated up to the end of a
+-- closed period can no longer change
+CREATE TABLE IF NOT EXISTS period_closes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  period_year INTEGER NOT NULL,
+  period_month INTEGER NOT NULL, -- Last closed month (12 when a whole year is closed)
+  source TEXT NOT NULL DEFAULT 'close', -- close (computed) or import (opening balances from a previous system)
+  closed_by INTEGER,
+  closed_at TEXT DEFAULT (datetime('now')),
+  UNIQUE (building_id, period_year, period_month),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE,
+  FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Apartment balances at the end of a closed period (opening balances of the next one)
+CREATE TABLE IF NOT EXISTS opening_balances (
+  period_close_id INTEGER NOT NULL,
+  apartment_id INTEGER NOT NULL,
+  balance REAL NOT NULL, -- Positive = prepayment, Negative = owed
+  PRIMARY KEY (period_close_id, apartment_id),
+  FOREIGN KEY (period_close_id) REFERENCES period_closes(id) ON DELETE CASCADE,
+  FOREIGN KEY (apartment_id) REFERENCES apartments(id) ON DELETE CASCADE
+);
+
+-- Statutory late-payment interest rates (shared by all buildings); a rate
+-- applies from valid_from until the next rate
+CREATE TABLE IF NOT EXISTS interest_rates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  valid_from TEXT NOT NULL UNIQUE, -- YYYY-MM-DD
+  annual_rate REAL NOT NULL, -- Percent per year
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Interest posted as an interest billing, per overdue billing it was calculated on
+CREATE TABLE IF NOT EXISTS interest_postings (
+  interest_billing_id INTEGER NOT NULL,
+  billing_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  through_date TEXT NOT NULL, -- Interest calculated up to this date (YYYY-MM-DD)
+  PRIMARY KEY (interest_billing_id, billing_id),
+  FOREIGN KEY (interest_billing_id) REFERENCES billings(id) ON DELETE CASCADE,
+  FOREIGN KEY (billing_id) REFERENCES billings(id) ON DELETE CASCADE
+);
+
+-- Runs of the scheduled billing generation job (one per attempt)
+CREATE TABLE IF NOT EXISTS billing_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER NOT NULL,
+  billing_year INTEGER NOT NULL, -- Month the run generated billings for
+  billing_month INTEGER NOT NULL,
+  status TEXT NOT NULL, -- 'success' | 'skipped' (month already had billings) | 'failed'
+  billings_count INTEGER NOT NULL DEFAULT 0,
+  notifications_sent INTEGER NOT NULL DEFAULT 0,
+  notifications_failed INTEGER NOT NULL DEFAULT 0,
+  message TEXT, -- Reason of a skipped or failed run, or of emails not sent
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (building_id) REFERENCES building(id) ON DELETE CASCADE
+);
+
+-- Audit log of financial and administrative changes (no foreign keys: entries
+-- outlive deleted users, apartments and billings)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  building_id INTEGER,
+  user_id INTEGER,
+  user_email TEXT NOT NULL DEFAULT '', -- Snapshot (user may be deleted later)
+  action TEXT NOT NULL, -- 'create' | 'update' | 'delete'
+  entity_type TEXT NOT NULL, -- 'building' | 'apartment' | 'user' | 'billing' | 'payment' | 'statement_line'
+  entity_id INTEGER,
+  before_data TEXT, -- JSON of the row before the change (NULL for create)
+  after_data TEXT, -- JSON of the row after the change (NULL for delete)
+  ip_address TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
 );
 
 -- Indexes for common queries
-CREATE INDEX IF NOT EXISTS idx_apartments_user_id ON apartments(user_id);
-CREATE INDEX IF NOT EXISTS idx_apartments_number ON apartments(apartment_number);
+CREATE INDEX IF NOT EXISTS idx_apartments_building ON apartments(building_id, apartment_number);
+CREATE INDEX IF NOT EXISTS idx_building_admins_user ON building_admins(user_id);
 CREATE INDEX IF NOT EXISTS idx_billings_apartment ON billings(apartment_id);
-CREATE INDEX IF NOT EXISTS idx_billings_month_year ON billings(billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_billings_month_year ON billings(building_id, billing_year, billing_month);
+-- One billing of each type (charge type, assessment) per apartment and month, not counting cancelled ones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billings_active_month
+  ON billings(
+    apartment_id, billing_year, billing_month, billing_type, IFNULL(charge_type_id, 0), IFNULL(assessment_id, 0)
+  ) WHERE cancelled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_billings_assessment ON billings(assessment_id);
 CREATE INDEX IF NOT EXISTS idx_payments_apartment ON payments(apartment_id);
-CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(payment_date);
+CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(building_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_billing ON payment_allocations(billing_id);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_statement_lines_status ON statement_lines(building_id, status);
+CREATE INDEX IF NOT EXISTS idx_notifications_month_year ON notifications(building_id, billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+CREATE INDEX IF NOT EXISTS idx_reminders_apartment ON reminders(apartment_id, status);
+CREATE INDEX IF NOT EXISTS idx_reminders_building ON reminders(building_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_building ON audit_log(building_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_opening_balances_apartment ON opening_balances(apartment_id);
+CREATE INDEX IF NOT EXISTS idx_interest_postings_billing ON interest_postings(billing_id);
+CREATE INDEX IF NOT EXISTS idx_assessments_building ON assessments(building_id, start_year, start_month);
+CREATE INDEX IF NOT EXISTS idx_billing_runs_building ON billing_runs(building_id, billing_year, billing_month);
+CREATE INDEX IF NOT EXISTS idx_apartment_owners_apartment ON apartment_owners(apartment_id, owned_from);
+CREATE INDEX IF NOT EXISTS idx_apartment_members_user ON apartment_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
@@ -1,15 +1,17 @@
 -- MC73 Generator Uplatnica - Seed Data
 -- Run after schema.sql: wrangler d1 execute mc73-db --file=./src/db/seed.sql
 
--- Default admin user (password: Admin123!)
--- bcryptjs hash of 'Admin123!' with 10 rounds
-INSERT OR IGNORE INTO users (id, email, password_hash, name, is_admin, is_user)
+-- Default admin user (password: Admin123!), super-admin of all buildings
+-- bcryptjs hash of 'Admin123!' with 10 rounds; the password must be changed after the first login
+INSERT OR IGNORE INTO users (id, email, password_hash, name, is_admin, is_user, is_super_admin, must_change_password)
 VALUES (
   1,
   'admin@zgrada.local',
   '$2a$10$Br.lKimdXpnfNdBfdetHy.Q.7xo.e3/vuEJ31PXV7RLXYlOYRPno2',
   'Administrator',
   1,
+  1,
+  1,
   1
 );
 
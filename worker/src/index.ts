@@ -4,11 +4,27 @@ import type { Env } from './types';
 
 // Route imports
 import authRoutes from './routes/auth';
+import twoFactorRoutes from './routes/twoFactor';
 import buildingRoutes from './routes/building';
+import buildingsRoutes from './routes/buildings';
 import apartmentsRoutes from './routes/apartments';
 import usersRoutes from './routes/users';
 import billingsRoutes from './routes/billings';
 import paymentsRoutes from './routes/payments';
+import statementsRoutes from './routes/statements';
+import notificationsRoutes from './routes/notifications';
+import remindersRoutes from './routes/reminders';
+import exportsRoutes from './routes/exports';
+import auditRoutes from './routes/audit';
+import periodsRoutes from './routes/periods';
+import interestRoutes from './routes/interest';
+import chargesRoutes from './routes/charges';
+import assessmentsRoutes from './routes/assessments';
+
+// Scheduled jobs
+import { runScheduledReminders } from './services/reminders';
+import { runScheduledGeneration } from './services/generation';
+import { runLoginAttemptCleanup } from './services/loginThrottle';
 
 // Create Hono app with environment bindings
 const app = new Hono<{ Bindings: Env }>();
@@ -19,7 +35,7 @@ app.use(
   cors({
     origin: '*', // Allow all origins in development; restrict in production
     allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowHeaders: ['Content-Type', 'Authorization'],
+    allowHeaders: ['Content-Type', 'Authorization', 'X-Building-Id'],
     credentials: true,
   })
 );
@@ -31,11 +47,22 @@ app.get('/api/health', (c) => {
 
 // API Routes
 app.route('/api/auth', authRoutes);
+app.route('/api/auth/2fa', twoFactorRoutes);
 app.route('/api/building', buildingRoutes);
+app.route('/api/buildings', buildingsRoutes);
 app.route('/api/apartments', apartmentsRoutes);
 app.route('/api/users', usersRoutes);
 app.route('/api/billings', billingsRoutes);
 app.route('/api/payments', paymentsRoutes);
+app.route('/api/statements', statementsRoutes);
+app.route('/api/notifications', notificationsRoutes);
+app.route('/api/reminders', remindersRoutes);
+app.route('/api/exports', exportsRoutes);
+app.route('/api/audit', auditRoutes);
+app.route('/api/periods', periodsRoutes);
+app.route('/api/interest', interestRoutes);
+app.route('/api/charges', chargesRoutes);
+app.route('/api/assessments', assessmentsRoutes);
 
 // Catch-all for undefined API routes
 app.all('/api/*', (c) => {
@@ -51,4 +78,14 @@ app.onError((err, c) => {
   );
 });
 
-export default app;
+// Cron trigger (see [triggers] in wrangler.toml)
+const scheduled: ExportedHandlerScheduledHandler<Env> = async (_controller, env, ctx) => {
+  ctx.waitUntil(runScheduledGeneration(env));
+  ctx.waitUntil(runScheduledReminders(env));
+  ctx.waitUntil(runLoginAttemptCleanup(env));
+};
+
+export default {
+  fetch: app.fetch,
+  scheduled,
+};
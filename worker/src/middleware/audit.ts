@@ -0,0 +1,98 @@
+import { Context } from 'hono';
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, AuditAction, AuditEntityType, AuditLogEntry } from '../types';
+import { insertAuditEntries } from '../db/queries';
+
+// Change recorded in the audit log
+export interface AuditChange {
+  action: AuditAction;
+  entity_type: AuditEntityType;
+  entity_id: number | null;
+  before?: unknown; // Row before the change (omit for create)
+  after?: unknown; // Row after the change (omit for delete)
+}
+
+type AuditEntry = Omit<AuditLogEntry, 'id' | 'created_at'>;
+
+// Fields never written to the audit log
+const SECRET_FIELDS = ['password', 'password_hash', 'totp_secret'];
+
+/**
+ * Get client IP address (set by Cloudflare, or by a proxy in local development)
+ */
+export function getClientIP(c: Context<{ Bindings: Env }>): string | null {
+  return c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')?.split(',')[0].trim() || null;
+}
+
+/**
+ * Serialize row snapshot for the audit log (without secrets)
+ */
+function toAuditJSON(data: unknown): string | null {
+  if (data === undefined || data === null) return null;
+
+  return JSON.stringify(data, (key, value) => (SECRET_FIELDS.includes(key) ? undefined : value));
+}
+
+/**
+ * Audit log entries of changes
+ */
+function toAuditEntries(
+  changes: AuditChange | AuditChange[],
+  buildingId: number | null,
+  user: { id: number; email: string } | null,
+  ipAddress: string | null
+): AuditEntry[] {
+  return (Array.isArray(changes) ? changes : [changes]).map((change) => ({
+    building_id: buildingId,
+    user_id: user?.id ?? null,
+    user_email: user?.email ?? '',
+    action: change.action,
+    entity_type: change.entity_type,
+    entity_id: change.entity_id,
+    before_data: toAuditJSON(change.before),
+    after_data: toAuditJSON(change.after),
+    ip_address: ipAddress,
+  }));
+}
+
+/**
+ * Store audit log entries (a logging failure is only reported)
+ */
+async function insertEntries(db: D1Database, entries: AuditEntry[]): Promise<void> {
+  try {
+    await insertAuditEntries(db, entries);
+  } catch (err) {
+    console.error('Audit log error:', err, entries);
+  }
+}
+
+/**
+ * Record changes made by the current request in the audit log
+ * Called by routes after a successful change. The change is already stored,
+ * so a logging failure is only reported and does not fail the request.
+ * @param buildingId - Building the change belongs to (default: current building)
+ */
+export async function recordAudit(
+  c: Context<{ Bindings: Env }>,
+  changes: AuditChange | AuditChange[],
+  buildingId?: number
+): Promise<void> {
+  const user = c.get('user');
+  const building = c.get('building');
+
+  await insertEntries(
+    c.env.DB,
+    toAuditEntries(changes, buildingId ?? building?.id ?? null, user ?? null, getClientIP(c))
+  );
+}
+
+/**
+ * Record changes made by a scheduled job in the audit log (no user or IP address)
+ */
+export async function recordJobAudit(
+  db: D1Database,
+  buildingId: number,
+  changes: AuditChange | AuditChange[]
+): Promise<void> {
+  await insertEntries(db, toAuditEntries(changes, buildingId, null, null));
+}
@@ -1,25 +1,37 @@
 import { Context, Next } from 'hono';
 import { SignJWT, jwtVerify, type JWTPayload as JoseJWTPayload } from 'jose';
-import type { Env, JWTPayload, UserPublic } from '../types';
-import { getUserById } from '../db/queries';
+import type { Env, Building, JWTPayload, UserPublic } from '../types';
+import { getUserById, getApartmentsByUserId, getUserBuildings, getSessionById } from '../db/queries';
+import { isTwoFactorRequired } from '../services/twoFactor';
 
 // Secret key encoder
 function getSecretKey(secret: string): Uint8Array {
   return new TextEncoder().encode(secret);
 }
 
+// Default lifetime of access tokens (15 min); sessions are kept alive with refresh tokens
+const DEFAULT_TOKEN_SECONDS = 15 * 60;
+
 /**
- * Generate JWT token for user
+ * Generate JWT access token for a user's session
+ * @param sessionId - Session the token belongs to (revoking the session invalidates the token)
+ * @param twoFactor - The session was confirmed with a second factor (mfa claim)
  */
-export async function generateToken(user: UserPublic, env: Env): Promise<string> {
+export async function generateToken(
+  user: UserPublic,
+  env: Env,
+  sessionId: number,
+  twoFactor: boolean
+): Promise<string> {
   const secret = getSecretKey(env.JWT_SECRET);
-  const expiresIn = env.JWT_EXPIRES_IN || '24h';
 
   // Parse expiry time
-  const expirySeconds = parseExpiry(expiresIn);
+  const expirySeconds = accessTokenSeconds(env);
 
   const token = await new SignJWT({
     id: user.id,
+    sid: sessionId,
+    mfa: twoFactor ? 1 : 0,
     email: user.email,
     is_admin: user.is_admin,
     is_user: user.is_user,
@@ -32,12 +44,20 @@ export async function generateToken(user: UserPublic, env: Env): Promise<string>
   return token;
 }
 
+/**
+ * Lifetime of access tokens in seconds (JWT_EXPIRES_IN)
+ */
+export function accessTokenSeconds(env: Env): number {
+  return env.JWT_EXPIRES_IN ? parseExpiry(env.JWT_EXPIRES_IN, DEFAULT_TOKEN_SECONDS) : DEFAULT_TOKEN_SECONDS;
+}
+
 /**
  * Parse expiry string to seconds (e.g., "24h" -> 86400)
+ * @param fallback - Seconds if the string is not valid
  */
-function parseExpiry(expiry: string): number {
+export function parseExpiry(expiry: string, fallback: number): number {
   const match = expiry.match(/^(\d+)([smhd])$/);
-  if (!match) return 86400; // Default 24h
+  if (!match) return fallback;
 
   const value = parseInt(match[1], 10);
   const unit = match[2];
@@ -52,7 +72,7 @@ function parseExpiry(expiry: string): number {
     case 'd':
       return value * 86400;
     default:
-      return 86400;
+      return fallback;
   }
 }
 
@@ -79,18 +99,22 @@ function extractToken(c: Context): string | null {
   return null;
 }
 
-// Extend Context with user property
+// Extend Context with user, their session and current building
 declare module 'hono' {
   interface ContextVariableMap {
     user: UserPublic;
+    sessionId: number;
+    twoFactor: boolean; // The session was confirmed with a second factor
+    building: Building;
   }
 }
 
 /**
- * Authentication middleware for Hono
- * Requires valid JWT token
+ * Authenticate the request and set the current user
+ * @param allowAccountSetup - Let users who must change their password or enable
+ *   two-factor authentication through
  */
-export async function authenticate(c: Context<{ Bindings: Env }>, next: Next) {
+async function authenticateUser(c: Context<{ Bindings: Env }>, next: Next, allowAccountSetup: boolean) {
   const token = extractToken(c);
 
   if (!token) {
@@ -100,6 +124,12 @@ export async function authenticate(c: Context<{ Bindings: Env }>, next: Next) {
   try {
     const decoded = await verifyToken(token, c.env.JWT_SECRET);
 
+    // Signed out (logout, password or role change, admin) or expired session
+    const session = decoded.sid ? await getSessionById(c.env.DB, decoded.sid) : null;
+    if (!session || session.user_id !== decoded.id) {
+      return c.json({ error: 'Sesija je zavrsena. Prijavite se ponovo.' }, 401);
+    }
+
     // Get fresh user data from database
     const user = await getUserById(c.env.DB, decoded.id);
 
@@ -107,6 +137,20 @@ export async function authenticate(c: Context<{ Bindings: Env }>, next: Next) {
       return c.json({ error: 'Korisnik nije pronadjen' }, 401);
     }
 
+    // Password set by an admin or the seeded default: nothing else until it is changed
+    if (user.must_change_password && !allowAccountSetup) {
+      return c.json({ error: 'Morate promeniti lozinku pre nastavka rada', password_change_required: true }, 403);
+    }
+
+    // Role required to use two-factor authentication (TWO_FACTOR_REQUIRED): nothing else
+    // until it is enabled and the session is confirmed with it
+    if (!session.two_factor && !allowAccountSetup && isTwoFactorRequired(c.env, user)) {
+      return c.json(
+        { error: 'Morate ukljuciti dvofaktorsku potvrdu pre nastavka rada', two_factor_setup_required: true },
+        403
+      );
+    }
+
     // Set user in context
     c.set('user', {
       id: user.id,
@@ -114,23 +158,106 @@ export async function authenticate(c: Context<{ Bindings: Env }>, next: Next) {
       name: user.name,
       is_admin: user.is_admin,
       is_user: user.is_user,
+      is_super_admin: user.is_super_admin,
+      must_change_password: user.must_change_password,
       created_at: user.created_at,
       updated_at: user.updated_at,
     });
+    c.set('sessionId', session.id);
+    c.set('twoFactor', Boolean(session.two_factor));
 
     await next();
   } catch (err) {
+    // token_expired: the client can get a new access token with its refresh token
     if (err instanceof Error && err.message.includes('exp')) {
-      return c.json({ error: 'Sesija je istekla. Prijavite se ponovo.' }, 401);
+      return c.json({ error: 'Sesija je istekla. Prijavite se ponovo.', token_expired: true }, 401);
     }
     return c.json({ error: 'Nevazeci token' }, 401);
   }
 }
 
 /**
- * Require admin role middleware
+ * Authentication middleware for Hono
+ * Requires valid JWT token; users who must change their password or enable two-factor
+ * authentication are refused (403)
+ */
+export async function authenticate(c: Context<{ Bindings: Env }>, next: Next) {
+  return authenticateUser(c, next, false);
+}
+
+/**
+ * Authentication middleware for the routes a user who must change their password or
+ * enable two-factor authentication can still use (current user, password change, two-factor setup)
+ */
+export async function authenticateAccountSetup(c: Context<{ Bindings: Env }>, next: Next) {
+  return authenticateUser(c, next, true);
+}
+
+/**
+ * Building context middleware
+ * Must be used after authenticate middleware
+ *
+ * Selects the building from the X-Building-Id header (or building_id query),
+ * defaulting to the first building the user can access. From here on the
+ * user's is_admin means "administrator of this building": super-admins and
+ * admins assigned to the building keep it, everyone else is a resident.
+ */
+export async function requireBuilding(c: Context<{ Bindings: Env }>, next: Next) {
+  const user = c.get('user');
+
+  if (!user) {
+    return c.json({ error: 'Autentifikacija je obavezna' }, 401);
+  }
+
+  const requested = c.req.header('X-Building-Id') || c.req.query('building_id');
+  const buildingId = requested ? parseInt(requested, 10) : null;
+
+  if (requested && (!buildingId || buildingId < 1)) {
+    return c.json({ error: 'Nevazeci ID zgrade' }, 400);
+  }
+
+  const buildings = await getUserBuildings(c.env.DB, user);
+  const access = buildingId ? buildings.find((building) => building.id === buildingId) : buildings[0];
+
+  if (!access) {
+    if (buildingId) {
+      return c.json({ error: 'Nemate pristup ovoj zgradi' }, 403);
+    }
+    return c.json(
+      { error: user.is_super_admin ? 'Nema unetih zgrada. Dodajte zgradu.' : 'Niste povezani ni sa jednom zgradom' },
+      404
+    );
+  }
+
+  const { role, ...building } = access;
+  c.set('building', building);
+  c.set('user', { ...user, is_admin: role === 'admin' ? 1 : 0 });
+
+  await next();
+}
+
+/**
+ * Require super-admin role middleware
  * Must be used after authenticate middleware
  */
+export async function requireSuperAdmin(c: Context<{ Bindings: Env }>, next: Next) {
+  const user = c.get('user');
+
+  if (!user) {
+    return c.json({ error: 'Autentifikacija je obavezna' }, 401);
+  }
+
+  if (!user.is_super_admin) {
+    return c.json({ error: 'Pristup dozvoljen samo glavnim administratorima' }, 403);
+  }
+
+  await next();
+}
+
+/**
+ * Require admin role middleware
+ * Must be used after authenticate middleware (and requireBuilding for building routes)
+ */
 export async function requireAdmin(c: Context<{ Bindings: Env }>, next: Next) {
   const user = c.get('user');
 
@@ -191,3 +318,28 @@ export function checkAdminOrSelf(
 
   return null; // Authorized
 }
+
+/**
+ * Require admin or apartment member access - returns error response if not authorized
+ * Non-admin users may only access the apartments their account is linked to (in any role)
+ * Must be used after requireBuilding; the apartment must belong to the current building
+ */
+export async function checkApartmentAccess(
+  c: Context<{ Bindings: Env }>,
+  apartmentId: number
+): Promise<Response | null> {
+  const user = c.get('user');
+
+  if (!user) {
+    return c.json({ error: 'Autentifikacija je obavezna' }, 401);
+  }
+
+  if (!user.is_admin) {
+    const userApartments = await getApartmentsByUserId(c.env.DB, c.get('building').id, user.id);
+    if (!userApartments.some((apartment) => apartment.id === apartmentId)) {
+      return c.json({ error: 'Nemate dozvolu za pristup ovom stanu' }, 403);
+    }
+  }
+
+  return null; // Authorized
+}
@@ -1,46 +1,186 @@
 import { Hono } from 'hono';
-import type { Env } from '../types';
+import type { Context } from 'hono';
+import type { Env, Apartment, ApartmentOwner, ApartmentMember, MemberRole, User } from '../types';
 import {
   getAllApartments,
   getApartmentById,
   getApartmentByNumber,
-  getApartmentByUserId,
+  getApartmentsByUserId,
   insertApartment,
   updateApartment,
   deleteApartment,
+  hasApartmentLedger,
   getUserById,
+  isBuildingUser,
+  getApartmentOwners,
+  getApartmentOwnerById,
+  insertFirstOwner,
+  transferApartment,
+  updateApartmentOwner,
+  renameCurrentOwner,
+  undoTransfer,
+  getLatestPeriodClose,
+  getApartmentMembers,
+  getBuildingMembers,
+  getApartmentRole,
+  setApartmentMember,
+  deleteApartmentMember,
 } from '../db/queries';
-import { authenticate, requireAdmin } from '../middleware/auth';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import type { AuditChange } from '../middleware/audit';
 import {
   validationError,
   isNotEmpty,
   isValidApartmentNumber,
   isInteger,
   isNonNegativeNumber,
+  isPositiveNumber,
+  isValidDate,
+  isValidEmail,
 } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { validateApartmentIPS } from '../services/ipsValidator';
+import { isClosedDate, closedPeriodMessage } from '../services/periods';
 
 const app = new Hono<{ Bindings: Env }>();
 
+// Roles of users linked to an apartment
+const MEMBER_ROLES: MemberRole[] = ['owner', 'co_owner', 'tenant', 'viewer'];
+const LINK_FORBIDDEN = 'Sa stanom se ne mogu povezati administratori ni korisnici drugih zgrada';
+
+type ApartmentMeasures = Pick<Apartment, 'area' | 'occupants' | 'ownership_share'>;
+
+/**
+ * Validate apartment data used by the building's amount rule (each one optional)
+ * @returns Errors, and the values to store (null if not entered)
+ */
+function parseMeasures(body: Record<string, unknown>): { errors: ValidationError[]; measures: ApartmentMeasures } {
+  const isEntered = (value: unknown) => value !== undefined && value !== null && value !== '';
+  const { area, occupants, ownership_share } = body;
+  const errors: ValidationError[] = [];
+
+  if (isEntered(area) && (!isPositiveNumber(area) || parseFloat(String(area)) > 10000)) {
+    errors.push({ field: 'area', message: 'Povrsina mora biti pozitivan broj (m2)' });
+  }
+
+  if (isEntered(occupants) && (!isInteger(occupants) || Number(occupants) < 0 || Number(occupants) > 50)) {
+    errors.push({ field: 'occupants', message: 'Broj ukucana mora biti ceo broj izmedju 0 i 50' });
+  }
+
+  if (isEntered(ownership_share) && (!isPositiveNumber(ownership_share) || parseFloat(String(ownership_share)) > 100)) {
+    errors.push({ field: 'ownership_share', message: 'Udeo mora biti izmedju 0 i 100%' });
+  }
+
+  return {
+    errors: errors,
+    measures: {
+      area: isEntered(area) ? parseFloat(String(area)) : null,
+      occupants: isEntered(occupants) ? parseInt(String(occupants), 10) : null,
+      ownership_share: isEntered(ownership_share) ? parseFloat(String(ownership_share)) : null,
+    },
+  };
+}
+
+type OwnerContact = Pick<ApartmentOwner, 'owner_name' | 'email' | 'phone'>;
+
+/**
+ * Validate an owner's name and contact (email and phone optional)
+ * @returns Errors, and the contact when there are none
+ */
+function parseOwnerContact(body: Record<string, unknown>): { errors: ValidationError[]; contact: OwnerContact | null } {
+  const { owner_name, email, phone } = body;
+  const errors: ValidationError[] = [];
+
+  if (typeof owner_name !== 'string' || !isNotEmpty(owner_name)) {
+    errors.push({ field: 'owner_name', message: 'Ime vlasnika je obavezno' });
+  } else if (owner_name.trim().length > 200) {
+    errors.push({ field: 'owner_name', message: 'Ime vlasnika ne moze biti duze od 200 karaktera' });
+  }
+
+  if (email !== undefined && email !== null && email !== '' && !isValidEmail(email)) {
+    errors.push({ field: 'email', message: 'Nevazeca email adresa' });
+  }
+
+  if (phone !== undefined && phone !== null && (typeof phone !== 'string' || phone.trim().length > 50)) {
+    errors.push({ field: 'phone', message: 'Telefon ne moze biti duzi od 50 karaktera' });
+  }
+
+  if (errors.length > 0) {
+    return { errors: errors, contact: null };
+  }
+
+  return {
+    errors: [],
+    contact: {
+      owner_name: (owner_name as string).trim(),
+      email: (email as string | null | undefined)?.trim() || null,
+      phone: (phone as string | null | undefined)?.trim() || null,
+    },
+  };
+}
+
+/**
+ * Check that a user may be linked to an apartment of the current building
+ * Administrators (of any building) are never linked; building admins link only the users
+ * they manage, so accounts of other buildings can not be pulled into the building
+ */
+async function canLinkUser(c: Context<{ Bindings: Env }>, user: User): Promise<boolean> {
+  if (user.is_super_admin || user.is_admin) {
+    return false;
+  }
+  return Boolean(c.get('user').is_super_admin) || (await isBuildingUser(c.env.DB, c.get('building').id, user.id));
+}
+
+/**
+ * Audit changes of the users linked to an apartment (members are logged under the apartment's ID)
+ */
+function memberChanges(apartmentId: number, before: ApartmentMember[], after: ApartmentMember[]): AuditChange[] {
+  const removed = before.filter((member) => !after.some((entry) => entry.user_id === member.user_id));
+  const added = after.filter((member) => !before.some((entry) => entry.user_id === member.user_id));
+  return [
+    ...removed.map((member) => ({
+      action: 'delete' as const,
+      entity_type: 'apartment_member' as const,
+      entity_id: apartmentId,
+      before: member,
+    })),
+    ...added.map((member) => ({
+      action: 'create' as const,
+      entity_type: 'apartment_member' as const,
+      entity_id: apartmentId,
+      after: member,
+    })),
+  ];
+}
+
 /**
  * GET /api/apartments
- * List apartments (admin: all, user: own apartment)
+ * List apartments of the current building
+ * - admin: all apartments with their linked users (members)
+ * - user: the apartments linked to their account, with their role in each
  */
-app.get('/', authenticate, async (c) => {
+app.get('/', authenticate, requireBuilding, async (c) => {
   try {
     const user = c.get('user');
+    const building = c.get('building');
 
     if (user.is_admin) {
       // Admin sees all apartments
-      const apartments = await getAllApartments(c.env.DB);
-      return c.json(apartments);
+      const [apartments, members] = await Promise.all([
+        getAllApartments(c.env.DB, building.id),
+        getBuildingMembers(c.env.DB, building.id),
+      ]);
+      return c.json(
+        apartments.map((apartment) => ({
+          ...apartment,
+          members: members.filter((member) => member.apartment_id === apartment.id),
+        }))
+      );
     } else {
-      // User sees only their apartment
-      const apartment = await getApartmentByUserId(c.env.DB, user.id);
-      if (apartment) {
-        return c.json([apartment]);
-      } else {
-        return c.json([]);
-      }
+      // User sees only the apartments linked to their account
+      const apartments = await getApartmentsByUserId(c.env.DB, building.id, user.id);
+      return c.json(apartments);
     }
   } catch (err) {
     console.error('Get apartments error:', err);
@@ -52,7 +192,7 @@ app.get('/', authenticate, async (c) => {
  * GET /api/apartments/:id
  * Get apartment details
  */
-app.get('/:id', authenticate, async (c) => {
+app.get('/:id', authenticate, requireBuilding, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -60,7 +200,7 @@ app.get('/:id', authenticate, async (c) => {
       return c.json({ error: 'Nevazeci ID stana' }, 400);
     }
 
-    const apartment = await getApartmentById(c.env.DB, id);
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
 
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 404);
@@ -68,12 +208,17 @@ app.get('/:id', authenticate, async (c) => {
 
     const user = c.get('user');
 
-    // Non-admin can only view their own apartment
-    if (!user.is_admin && apartment.user_id !== user.id) {
+    if (user.is_admin) {
+      return c.json(apartment);
+    }
+
+    // Non-admin can only view the apartments linked to their account
+    const role = await getApartmentRole(c.env.DB, id, user.id);
+    if (!role) {
       return c.json({ error: 'Nemate dozvolu za pristup ovom stanu' }, 403);
     }
 
-    return c.json(apartment);
+    return c.json({ ...apartment, role: role });
   } catch (err) {
     console.error('Get apartment error:', err);
     return c.json({ error: 'Greska prilikom ucitavanja stana' }, 500);
@@ -84,13 +229,14 @@ app.get('/:id', authenticate, async (c) => {
  * POST /api/apartments
  * Create new apartment (admin only)
  */
-app.post('/', authenticate, requireAdmin, async (c) => {
+app.post('/', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
+    const building = c.get('building');
     const body = await c.req.json();
-    const { apartment_number, owner_name, floor_number, override_amount, user_id } = body;
+    const { apartment_number, owner_name, floor_number, override_amount, no_reminders } = body;
 
     // Validate input
-    const errors = [];
+    const errors: ValidationError[] = [];
 
     if (!isValidApartmentNumber(apartment_number)) {
       errors.push({ field: 'apartment_number', message: 'Broj stana mora biti izmedju 1 i 99' });
@@ -112,40 +258,57 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       errors.push({ field: 'override_amount', message: 'Iznos mora biti pozitivan broj' });
     }
 
-    if (user_id !== undefined && user_id !== null && (!isInteger(user_id) || user_id < 1)) {
-      errors.push({ field: 'user_id', message: 'Nevazeci ID korisnika' });
-    }
+    // Area, occupants and ownership share (for the building's amount rule)
+    const { errors: measureErrors, measures } = parseMeasures(body);
+    errors.push(...measureErrors);
 
     if (errors.length > 0) {
       return validationError(c, errors);
     }
 
+    // Check data printed in the QR code against the NBS IPS QR specification
+    const ipsErrors = validateApartmentIPS(
+      {
+        apartment_number: parseInt(apartment_number, 10),
+        owner_name: owner_name.trim(),
+        floor_number: parseInt(floor_number, 10),
+        override_amount: override_amount ? parseFloat(override_amount) : null,
+      },
+      building
+    );
+    if (ipsErrors.length > 0) {
+      return validationError(c, ipsErrors);
+    }
+
     // Check if apartment number already exists
-    const existing = await getApartmentByNumber(c.env.DB, parseInt(apartment_number, 10));
+    const existing = await getApartmentByNumber(c.env.DB, building.id, parseInt(apartment_number, 10));
     if (existing) {
       return c.json({ error: 'Stan sa ovim brojem vec postoji' }, 400);
     }
 
-    // Verify user exists if provided
-    if (user_id) {
-      const userExists = await getUserById(c.env.DB, user_id);
-      if (!userExists) {
-        return c.json({ error: 'Korisnik sa navedenim ID ne postoji' }, 400);
-      }
-    }
-
     // Insert apartment
     const result = await insertApartment(
       c.env.DB,
+      building.id,
       parseInt(apartment_number, 10),
       owner_name.trim(),
       parseInt(floor_number, 10),
       override_amount ? parseFloat(override_amount) : null,
-      user_id || null
+      !!no_reminders,
+      measures
     );
 
+    // The owner starts the apartment's ownership timeline
+    await insertFirstOwner(c.env.DB, result.meta.last_row_id, owner_name.trim());
+
     // Return created apartment
-    const apartment = await getApartmentById(c.env.DB, result.meta.last_row_id);
+    const apartment = await getApartmentById(c.env.DB, building.id, result.meta.last_row_id);
+    await recordAudit(c, {
+      action: 'create',
+      entity_type: 'apartment',
+      entity_id: result.meta.last_row_id,
+      after: apartment,
+    });
     return c.json(apartment, 201);
   } catch (err) {
     console.error('Create apartment error:', err);
@@ -156,8 +319,9 @@ app.post('/', authenticate, requireAdmin, async (c) => {
 /**
  * PUT /api/apartments/:id
  * Update apartment (admin only)
+ * owner_name corrects the current owner's name; a sale is recorded with POST /:id/owners.
  */
-app.put('/:id', authenticate, requireAdmin, async (c) => {
+app.put('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -165,11 +329,12 @@ app.put('/:id', authenticate, requireAdmin, async (c) => {
       return c.json({ error: 'Nevazeci ID stana' }, 400);
     }
 
+    const building = c.get('building');
     const body = await c.req.json();
-    const { apartment_number, owner_name, floor_number, override_amount, user_id } = body;
+    const { apartment_number, owner_name, floor_number, override_amount, no_reminders } = body;
 
     // Validate input
-    const errors = [];
+    const errors: ValidationError[] = [];
 
     if (!isValidApartmentNumber(apartment_number)) {
       errors.push({ field: 'apartment_number', message: 'Broj stana mora biti izmedju 1 i 99' });
@@ -191,34 +356,40 @@ app.put('/:id', authenticate, requireAdmin, async (c) => {
       errors.push({ field: 'override_amount', message: 'Iznos mora biti pozitivan broj' });
     }
 
-    if (user_id !== undefined && user_id !== null && (!isInteger(user_id) || user_id < 1)) {
-      errors.push({ field: 'user_id', message: 'Nevazeci ID korisnika' });
-    }
+    // Area, occupants and ownership share (for the building's amount rule)
+    const { errors: measureErrors, measures } = parseMeasures(body);
+    errors.push(...measureErrors);
 
     if (errors.length > 0) {
       return validationError(c, errors);
     }
 
     // Check apartment exists
-    const apartment = await getApartmentById(c.env.DB, id);
+    const apartment = await getApartmentById(c.env.DB, building.id, id);
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 404);
     }
 
+    // Check data printed in the QR code against the NBS IPS QR specification
+    const ipsErrors = validateApartmentIPS(
+      {
+        apartment_number: parseInt(apartment_number, 10),
+        owner_name: owner_name.trim(),
+        floor_number: parseInt(floor_number, 10),
+        override_amount: override_amount ? parseFloat(override_amount) : null,
+      },
+      building
+    );
+    if (ipsErrors.length > 0) {
+      return validationError(c, ipsErrors);
+    }
+
     // Check if apartment number already exists (different apartment)
-    const existing = await getApartmentByNumber(c.env.DB, parseInt(apartment_number, 10));
+    const existing = await getApartmentByNumber(c.env.DB, building.id, parseInt(apartment_number, 10));
     if (existing && existing.id !== id) {
       return c.json({ error: 'Stan sa ovim brojem vec postoji' }, 400);
     }
 
-    // Verify user exists if provided
-    if (user_id) {
-      const userExists = await getUserById(c.env.DB, user_id);
-      if (!userExists) {
-        return c.json({ error: 'Korisnik sa navedenim ID ne postoji' }, 400);
-      }
-    }
-
     // Update apartment
     await updateApartment(
       c.env.DB,
@@ -227,11 +398,23 @@ app.put('/:id', authenticate, requireAdmin, async (c) => {
       owner_name.trim(),
       parseInt(floor_number, 10),
       override_amount ? parseFloat(override_amount) : null,
-      user_id || null
+      // Keep the current flag if not sent
+      no_reminders !== undefined ? !!no_reminders : !!apartment.no_reminders,
+      measures
     );
+    if (owner_name.trim() !== apartment.owner_name) {
+      await renameCurrentOwner(c.env.DB, id, owner_name.trim());
+    }
 
     // Return updated apartment
-    const updated = await getApartmentById(c.env.DB, id);
+    const updated = await getApartmentById(c.env.DB, building.id, id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'apartment',
+      entity_id: id,
+      before: apartment,
+      after: updated,
+    });
     return c.json(updated);
   } catch (err) {
     console.error('Update apartment error:', err);
@@ -239,11 +422,356 @@ app.put('/:id', authenticate, requireAdmin, async (c) => {
   }
 });
 
+/**
+ * GET /api/apartments/:id/owners
+ * Ownership timeline of an apartment, oldest first (admin only)
+ * Balance of each owner: GET /api/payments/balance/:apartmentId
+ */
+app.get('/:id/owners', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const owners = await getApartmentOwners(c.env.DB, id);
+    return c.json(owners);
+  } catch (err) {
+    console.error('Get apartment owners error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja vlasnika' }, 500);
+  }
+});
+
+/**
+ * POST /api/apartments/:id/owners
+ * Record the sale of an apartment (admin only)
+ * The current owner's ownership ends the day before owned_from and the new owner becomes the
+ * apartment's owner. Billings and payments before the sale stay with the previous owner.
+ * Body: { owner_name, email, phone, owned_from, user_id }
+ * - owned_from: first day of the new ownership (YYYY-MM-DD, not in a closed period or the future)
+ * - user_id: user account of the new owner, linked as the owner (the users linked before are unlinked);
+ *   not an administrator or a user of another building
+ */
+app.post('/:id/owners', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const body = await c.req.json();
+    const { owned_from, user_id = null } = body;
+    const { errors, contact } = parseOwnerContact(body);
+
+    if (!isValidDate(owned_from)) {
+      errors.push({ field: 'owned_from', message: 'Datum prenosa je obavezan (YYYY-MM-DD)' });
+    } else if (owned_from > new Date().toISOString().slice(0, 10)) {
+      errors.push({ field: 'owned_from', message: 'Datum prenosa ne moze biti u buducnosti' });
+    }
+
+    if (user_id !== null && (!isInteger(user_id) || user_id < 1)) {
+      errors.push({ field: 'user_id', message: 'Nevazeci ID korisnika' });
+    }
+
+    if (!contact || errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const building = c.get('building');
+    const apartment = await getApartmentById(c.env.DB, building.id, id);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const ownersBefore = await getApartmentOwners(c.env.DB, id);
+    const current = ownersBefore.find((owner) => owner.owned_to === null)!;
+    if (current.owned_from !== null && owned_from <= current.owned_from) {
+      return validationError(c, [
+        { field: 'owned_from', message: `Datum prenosa mora biti posle ${current.owned_from} (vlasnik od)` },
+      ]);
+    }
+
+    // Billings and payments of a closed period keep their owner
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedDate(periodClose, owned_from)) {
+      return validationError(c, [{ field: 'owned_from', message: closedPeriodMessage(periodClose!) }]);
+    }
+
+    // The new owner is printed in the QR code of the next slips
+    const ipsErrors = validateApartmentIPS({ ...apartment, owner_name: contact.owner_name }, building);
+    if (ipsErrors.length > 0) {
+      return validationError(c, ipsErrors);
+    }
+
+    if (user_id) {
+      const user = await getUserById(c.env.DB, user_id);
+      if (!user) {
+        return c.json({ error: 'Korisnik sa navedenim ID ne postoji' }, 400);
+      }
+      if (!(await canLinkUser(c, user))) {
+        return c.json({ error: LINK_FORBIDDEN }, 403);
+      }
+    }
+
+    const membersBefore = await getApartmentMembers(c.env.DB, id);
+    await transferApartment(c.env.DB, id, contact, owned_from, user_id);
+
+    const owners = await getApartmentOwners(c.env.DB, id);
+    const owner = owners.find((entry) => entry.owned_to === null)!;
+    const updated = await getApartmentById(c.env.DB, building.id, id);
+    await recordAudit(c, [
+      {
+        action: 'update',
+        entity_type: 'apartment_owner',
+        entity_id: current.id,
+        before: current,
+        after: owners.find((entry) => entry.id === current.id),
+      },
+      { action: 'create', entity_type: 'apartment_owner', entity_id: owner.id, after: owner },
+      { action: 'update', entity_type: 'apartment', entity_id: id, before: apartment, after: updated },
+      ...memberChanges(id, membersBefore, await getApartmentMembers(c.env.DB, id)),
+    ]);
+
+    return c.json(
+      { message: `Stan ${apartment.apartment_number} je prenet na vlasnika ${owner.owner_name}`, owner: owner },
+      201
+    );
+  } catch (err) {
+    console.error('Transfer apartment error:', err);
+    return c.json({ error: 'Greska prilikom evidentiranja prodaje stana' }, 500);
+  }
+});
+
+/**
+ * PUT /api/apartments/:id/owners/:ownerId
+ * Update an owner's name and contact (admin only); ownership dates change only by recording a sale
+ * Body: { owner_name, email, phone }
+ */
+app.put('/:id/owners/:ownerId', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const ownerId = parseInt(c.req.param('ownerId'), 10);
+
+    if (!isInteger(id) || id < 1 || !isInteger(ownerId) || ownerId < 1) {
+      return c.json({ error: 'Nevazeci ID vlasnika' }, 400);
+    }
+
+    const body = await c.req.json();
+    const { errors, contact } = parseOwnerContact(body);
+    if (!contact) {
+      return validationError(c, errors);
+    }
+
+    const building = c.get('building');
+    const apartment = await getApartmentById(c.env.DB, building.id, id);
+    const owner = apartment ? await getApartmentOwnerById(c.env.DB, id, ownerId) : null;
+    if (!apartment || !owner) {
+      return c.json({ error: 'Vlasnik nije pronadjen' }, 404);
+    }
+
+    // Only the current owner is printed on the next slips
+    if (owner.owned_to === null) {
+      const ipsErrors = validateApartmentIPS({ ...apartment, owner_name: contact.owner_name }, building);
+      if (ipsErrors.length > 0) {
+        return validationError(c, ipsErrors);
+      }
+    }
+
+    await updateApartmentOwner(c.env.DB, id, ownerId, contact);
+
+    const updated = await getApartmentOwnerById(c.env.DB, id, ownerId);
+    const changes: AuditChange[] = [
+      { action: 'update', entity_type: 'apartment_owner', entity_id: ownerId, before: owner, after: updated },
+    ];
+    if (owner.owned_to === null && contact.owner_name !== apartment.owner_name) {
+      const after = await getApartmentById(c.env.DB, building.id, id);
+      changes.push({ action: 'update', entity_type: 'apartment', entity_id: id, before: apartment, after: after });
+    }
+    await recordAudit(c, changes);
+
+    return c.json({ message: 'Podaci vlasnika su sacuvani', owner: updated });
+  } catch (err) {
+    console.error('Update apartment owner error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja podataka vlasnika' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/apartments/:id/owners/:ownerId
+ * Undo the last sale of an apartment (admin only)
+ * Only the current owner can be removed; the previous owner becomes the owner again
+ * and the users linked to the apartment are unlinked.
+ */
+app.delete('/:id/owners/:ownerId', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const ownerId = parseInt(c.req.param('ownerId'), 10);
+
+    if (!isInteger(id) || id < 1 || !isInteger(ownerId) || ownerId < 1) {
+      return c.json({ error: 'Nevazeci ID vlasnika' }, 400);
+    }
+
+    const building = c.get('building');
+    const apartment = await getApartmentById(c.env.DB, building.id, id);
+    const owners = apartment ? await getApartmentOwners(c.env.DB, id) : [];
+    const index = owners.findIndex((owner) => owner.id === ownerId);
+    if (!apartment || index === -1) {
+      return c.json({ error: 'Vlasnik nije pronadjen' }, 404);
+    }
+
+    const owner = owners[index];
+    if (owner.owned_to !== null || index === 0) {
+      return c.json({ error: 'Moze se ponistiti samo poslednja prodaja stana' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedDate(periodClose, owner.owned_from!)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const previous = owners[index - 1];
+    const members = await getApartmentMembers(c.env.DB, id);
+    await undoTransfer(c.env.DB, id, owner, previous);
+
+    const reopened = await getApartmentOwnerById(c.env.DB, id, previous.id);
+    const updated = await getApartmentById(c.env.DB, building.id, id);
+    await recordAudit(c, [
+      { action: 'delete', entity_type: 'apartment_owner', entity_id: owner.id, before: owner },
+      { action: 'update', entity_type: 'apartment_owner', entity_id: previous.id, before: previous, after: reopened },
+      { action: 'update', entity_type: 'apartment', entity_id: id, before: apartment, after: updated },
+      ...memberChanges(id, members, []),
+    ]);
+
+    return c.json({ message: `Prodaja je ponistena, vlasnik stana je ponovo ${previous.owner_name}` });
+  } catch (err) {
+    console.error('Undo apartment transfer error:', err);
+    return c.json({ error: 'Greska prilikom ponistavanja prodaje stana' }, 500);
+  }
+});
+
+/**
+ * GET /api/apartments/:id/members
+ * Users linked to an apartment and their roles (admin only)
+ */
+app.get('/:id/members', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const members = await getApartmentMembers(c.env.DB, id);
+    return c.json(members);
+  } catch (err) {
+    console.error('Get apartment members error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja korisnika stana' }, 500);
+  }
+});
+
+/**
+ * PUT /api/apartments/:id/members/:userId
+ * Link a user to an apartment or change their role (admin only)
+ * Administrators and users of other buildings can not be linked.
+ * Body: { role } - owner, co_owner, tenant (pays: receives the slips and reminders) or viewer (view only)
+ */
+app.put('/:id/members/:userId', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const userId = parseInt(c.req.param('userId'), 10);
+
+    if (!isInteger(id) || id < 1 || !isInteger(userId) || userId < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika stana' }, 400);
+    }
+
+    const { role } = await c.req.json();
+    if (!MEMBER_ROLES.includes(role)) {
+      return validationError(c, [{ field: 'role', message: 'Nevazeca uloga korisnika' }]);
+    }
+
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const user = await getUserById(c.env.DB, userId);
+    if (!user) {
+      return c.json({ error: 'Korisnik sa navedenim ID ne postoji' }, 400);
+    }
+    if (!(await canLinkUser(c, user))) {
+      return c.json({ error: LINK_FORBIDDEN }, 403);
+    }
+
+    const members = await getApartmentMembers(c.env.DB, id);
+    const before = members.find((member) => member.user_id === userId);
+    await setApartmentMember(c.env.DB, id, userId, role);
+
+    const after = (await getApartmentMembers(c.env.DB, id)).find((member) => member.user_id === userId);
+    await recordAudit(c, {
+      action: before ? 'update' : 'create',
+      entity_type: 'apartment_member',
+      entity_id: id,
+      before: before,
+      after: after,
+    });
+
+    return c.json({
+      message: `Korisnik ${user.name} je povezan sa stanom ${apartment.apartment_number}`,
+      member: after,
+    });
+  } catch (err) {
+    console.error('Set apartment member error:', err);
+    return c.json({ error: 'Greska prilikom povezivanja korisnika sa stanom' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/apartments/:id/members/:userId
+ * Unlink a user from an apartment (admin only)
+ */
+app.delete('/:id/members/:userId', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const userId = parseInt(c.req.param('userId'), 10);
+
+    if (!isInteger(id) || id < 1 || !isInteger(userId) || userId < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika stana' }, 400);
+    }
+
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
+    const members = apartment ? await getApartmentMembers(c.env.DB, id) : [];
+    const member = members.find((entry) => entry.user_id === userId);
+    if (!apartment || !member) {
+      return c.json({ error: 'Korisnik nije povezan sa stanom' }, 404);
+    }
+
+    await deleteApartmentMember(c.env.DB, id, userId);
+    await recordAudit(c, { action: 'delete', entity_type: 'apartment_member', entity_id: id, before: member });
+
+    return c.json({ message: `Korisnik ${member.name} vise nije povezan sa stanom ${apartment.apartment_number}` });
+  } catch (err) {
+    console.error('Delete apartment member error:', err);
+    return c.json({ error: 'Greska prilikom uklanjanja korisnika stana' }, 500);
+  }
+});
+
 /**
  * DELETE /api/apartments/:id
  * Delete apartment (admin only)
  */
-app.delete('/:id', authenticate, requireAdmin, async (c) => {
+app.delete('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -252,13 +780,18 @@ app.delete('/:id', authenticate, requireAdmin, async (c) => {
     }
 
     // Check apartment exists
-    const apartment = await getApartmentById(c.env.DB, id);
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, id);
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 404);
     }
 
-    // Delete apartment (cascade deletes billings and payments)
+    // Billings and payments would be deleted with the apartment (cascade)
+    if (await hasApartmentLedger(c.env.DB, id)) {
+      return c.json({ error: 'Stan ima zaduzenja ili uplate i ne moze biti obrisan' }, 400);
+    }
+
     await deleteApartment(c.env.DB, id);
+    await recordAudit(c, { action: 'delete', entity_type: 'apartment', entity_id: id, before: apartment });
 
     return c.json({ message: 'Stan je uspesno obrisan' });
   } catch (err) {
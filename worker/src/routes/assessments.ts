@@ -0,0 +1,276 @@
+import { Hono } from 'hono';
+import type { Env } from '../types';
+import {
+  getAllApartments,
+  getChargeTypeById,
+  getAssessments,
+  getAssessmentById,
+  getBillingsByAssessment,
+  insertAssessment,
+  insertChargeBillings,
+  cancelAssessment,
+  getLatestPeriodClose,
+} from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import {
+  validationError,
+  isInteger,
+  isNotEmpty,
+  isPositiveNumber,
+  isValidMonth,
+  isValidYear,
+} from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { validateChargeIPS } from '../services/ipsValidator';
+import { MAX_INSTALLMENTS, buildAssessmentBillings, splitInstallments } from '../services/charges';
+import { isClosedPeriod, closedPeriodMessage } from '../services/periods';
+import { loadAllocation, withPaymentStatus } from '../services/allocation';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * GET /api/assessments
+ * List special assessments of the current building, most recent first (admin only)
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const assessments = await getAssessments(c.env.DB, c.get('building').id);
+    return c.json(assessments);
+  } catch (err) {
+    console.error('Get assessments error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja vanrednih zaduzenja' }, 500);
+  }
+});
+
+/**
+ * GET /api/assessments/:id
+ * Get a special assessment with its installment billings and their payment status (admin only)
+ */
+app.get('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID vanrednog zaduzenja' }, 400);
+    }
+
+    const building = c.get('building');
+    const assessment = await getAssessmentById(c.env.DB, building.id, id);
+    if (!assessment) {
+      return c.json({ error: 'Vanredno zaduzenje nije pronadjeno' }, 404);
+    }
+
+    const billings = await getBillingsByAssessment(c.env.DB, id, true);
+    const allocation = await loadAllocation(c.env.DB, building.id);
+
+    return c.json({ ...assessment, billings: withPaymentStatus(billings, allocation) });
+  } catch (err) {
+    console.error('Get assessment error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja vanrednog zaduzenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/assessments
+ * Create a special assessment and bill it (admin only)
+ * The amount is billed to each apartment, split into monthly installments from the start month.
+ * Body: { charge_type_id, payment_purpose, amount, installments, start_year, start_month, apartment_ids }
+ * - payment_purpose: printed on the slips (default: purpose of the charge type)
+ * - apartment_ids: apartments to bill (omitted or null = all apartments)
+ */
+app.post('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const {
+      charge_type_id,
+      payment_purpose,
+      amount,
+      installments = 1,
+      start_year,
+      start_month,
+      apartment_ids = null,
+    } = body;
+
+    const errors: ValidationError[] = [];
+
+    if (!isInteger(charge_type_id) || charge_type_id < 1) {
+      errors.push({ field: 'charge_type_id', message: 'Vrsta zaduzenja je obavezna' });
+    }
+
+    if (payment_purpose !== undefined && payment_purpose !== null && typeof payment_purpose !== 'string') {
+      errors.push({ field: 'payment_purpose', message: 'Nevazeca svrha uplate' });
+    }
+
+    if (!isPositiveNumber(amount)) {
+      errors.push({ field: 'amount', message: 'Iznos mora biti pozitivan broj' });
+    }
+
+    if (!isInteger(installments) || installments < 1 || installments > MAX_INSTALLMENTS) {
+      errors.push({ field: 'installments', message: `Broj rata mora biti izmedju 1 i ${MAX_INSTALLMENTS}` });
+    } else if (isPositiveNumber(amount) && parseFloat(amount) / installments < 0.01) {
+      errors.push({ field: 'installments', message: 'Rata mora biti najmanje 0,01' });
+    }
+
+    if (!isValidYear(start_year)) {
+      errors.push({ field: 'start_year', message: 'Nevazeca godina' });
+    }
+
+    if (!isValidMonth(start_month)) {
+      errors.push({ field: 'start_month', message: 'Mesec mora biti izmedju 1 i 12' });
+    }
+
+    const selected = apartment_ids !== null;
+    if (selected && (!Array.isArray(apartment_ids) || apartment_ids.length === 0)) {
+      errors.push({ field: 'apartment_ids', message: 'Izaberite bar jedan stan' });
+    } else if (selected && apartment_ids.some((apartmentId: unknown) => !isInteger(apartmentId))) {
+      errors.push({ field: 'apartment_ids', message: 'Nevazeci ID stana' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const building = c.get('building');
+    const startYear = parseInt(start_year, 10);
+    const startMonth = parseInt(start_month, 10);
+
+    const chargeType = await getChargeTypeById(c.env.DB, building.id, charge_type_id);
+    if (!chargeType) {
+      return validationError(c, [{ field: 'charge_type_id', message: 'Vrsta zaduzenja nije pronadjena' }]);
+    }
+    if (!chargeType.active) {
+      return validationError(c, [{ field: 'charge_type_id', message: 'Vrsta zaduzenja nije aktivna' }]);
+    }
+
+    // Installments can not be billed in a closed period
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedPeriod(periodClose, startYear, startMonth)) {
+      return validationError(c, [{ field: 'start_month', message: closedPeriodMessage(periodClose!) }]);
+    }
+
+    const allApartments = await getAllApartments(c.env.DB, building.id);
+    const apartments = selected
+      ? allApartments.filter((apartment) => apartment_ids.includes(apartment.id))
+      : allApartments;
+    if (apartments.length === 0) {
+      return c.json({ error: 'Nema registrovanih stanova' }, 400);
+    }
+    if (selected && apartments.length !== new Set(apartment_ids).size) {
+      return validationError(c, [{ field: 'apartment_ids', message: 'Stan nije pronadjen' }]);
+    }
+
+    const purpose = payment_purpose?.trim() || chargeType.payment_purpose;
+    const total = Math.round(parseFloat(amount) * 100) / 100;
+
+    // Purpose and installment amount end up in every QR code
+    const ipsErrors = validateChargeIPS(
+      {
+        amount: splitInstallments(total, installments)[0],
+        payment_purpose: purpose,
+        payment_code: chargeType.payment_code,
+      },
+      building
+    );
+    if (ipsErrors.length > 0) {
+      return validationError(c, ipsErrors);
+    }
+
+    const result = await insertAssessment(c.env.DB, building.id, {
+      charge_type_id: chargeType.id,
+      payment_purpose: purpose,
+      amount: total,
+      installments: installments,
+      start_year: startYear,
+      start_month: startMonth,
+      created_by: c.get('user').id,
+    });
+    const assessment = (await getAssessmentById(c.env.DB, building.id, result.meta.last_row_id))!;
+
+    await insertChargeBillings(c.env.DB, buildAssessmentBillings(assessment, chargeType, apartments, building));
+
+    const billings = await getBillingsByAssessment(c.env.DB, assessment.id);
+    await recordAudit(c, [
+      { action: 'create', entity_type: 'assessment', entity_id: assessment.id, after: assessment },
+      ...billings.map((billing) => ({
+        action: 'create' as const,
+        entity_type: 'billing' as const,
+        entity_id: billing.id,
+        after: billing,
+      })),
+    ]);
+
+    return c.json(
+      {
+        message: `Vanredno zaduzenje je dodato: ${apartments.length} stanova, ${installments} rata`,
+        assessment: { ...assessment, billings: billings },
+      },
+      201
+    );
+  } catch (err) {
+    console.error('Create assessment error:', err);
+    return c.json({ error: 'Greska prilikom dodavanja vanrednog zaduzenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/assessments/:id/cancel
+ * Cancel a special assessment and its installment billings (admin only)
+ * Not possible once an installment is in a closed period.
+ * Body: { reason }
+ */
+app.post('/:id/cancel', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID vanrednog zaduzenja' }, 400);
+    }
+
+    const body = await c.req.json();
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    if (!isNotEmpty(reason)) {
+      return validationError(c, [{ field: 'reason', message: 'Razlog storniranja je obavezan' }]);
+    }
+
+    const building = c.get('building');
+    const assessment = await getAssessmentById(c.env.DB, building.id, id);
+    if (!assessment) {
+      return c.json({ error: 'Vanredno zaduzenje nije pronadjeno' }, 404);
+    }
+
+    if (assessment.cancelled_at) {
+      return c.json({ error: 'Vanredno zaduzenje je vec stornirano' }, 400);
+    }
+
+    const billings = await getBillingsByAssessment(c.env.DB, id);
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (billings.some((billing) => isClosedPeriod(periodClose, billing.billing_year, billing.billing_month))) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const cancelledAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await cancelAssessment(c.env.DB, id, cancelledAt, c.get('user').id, reason);
+
+    const cancelled = await getAssessmentById(c.env.DB, building.id, id);
+    const cancelledBillings = await getBillingsByAssessment(c.env.DB, id, true);
+    await recordAudit(c, [
+      { action: 'update', entity_type: 'assessment', entity_id: id, before: assessment, after: cancelled },
+      ...billings.map((billing) => ({
+        action: 'update' as const,
+        entity_type: 'billing' as const,
+        entity_id: billing.id,
+        before: billing,
+        after: cancelledBillings.find((b) => b.id === billing.id),
+      })),
+    ]);
+
+    return c.json({ message: `Vanredno zaduzenje je stornirano (${billings.length} zaduzenja)` });
+  } catch (err) {
+    console.error('Cancel assessment error:', err);
+    return c.json({ error: 'Greska prilikom storniranja vanrednog zaduzenja' }, 500);
+  }
+});
+
+export default app;
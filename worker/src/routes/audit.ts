@@ -0,0 +1,126 @@
+import { Hono } from 'hono';
+import type { Env, AuditEntityType, AuditLogEntry } from '../types';
+import { getAuditLog, getAuditUsers } from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { validationError, isValidDate, isInteger } from '../middleware/validation';
+
+const app = new Hono<{ Bindings: Env }>();
+
+const ENTITY_TYPES: AuditEntityType[] = [
+  'building',
+  'apartment',
+  'user',
+  'billing',
+  'payment',
+  'statement_line',
+  'period_close',
+  'interest_rate',
+  'charge_type',
+  'assessment',
+  'apartment_owner',
+  'apartment_member',
+];
+
+// Page size of the audit log
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Audit entry for responses (before/after parsed from JSON)
+ */
+function toAuditResponse(entry: AuditLogEntry) {
+  const { before_data, after_data, ...data } = entry;
+  return {
+    ...data,
+    before: before_data ? JSON.parse(before_data) : null,
+    after: after_data ? JSON.parse(after_data) : null,
+  };
+}
+
+/**
+ * GET /api/audit
+ * List audit log of the current building, most recent first (admin only)
+ * Query: entity_type, entity_id, user_id, from/to (YYYY-MM-DD), limit, offset
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const entityType = c.req.query('entity_type') || null;
+    const entityId = c.req.query('entity_id') ? parseInt(c.req.query('entity_id')!, 10) : null;
+    const userId = c.req.query('user_id') ? parseInt(c.req.query('user_id')!, 10) : null;
+    const from = c.req.query('from') || null;
+    const to = c.req.query('to') || null;
+    const limit = c.req.query('limit') ? parseInt(c.req.query('limit')!, 10) : DEFAULT_LIMIT;
+    const offset = c.req.query('offset') ? parseInt(c.req.query('offset')!, 10) : 0;
+
+    // Validate input
+    const errors = [];
+
+    if (entityType && !ENTITY_TYPES.includes(entityType as AuditEntityType)) {
+      errors.push({ field: 'entity_type', message: 'Nepoznata vrsta podatka' });
+    }
+
+    if (entityId !== null && (!isInteger(entityId) || entityId < 1)) {
+      errors.push({ field: 'entity_id', message: 'Nevazeci ID' });
+    }
+
+    if (userId !== null && (!isInteger(userId) || userId < 1)) {
+      errors.push({ field: 'user_id', message: 'Nevazeci ID korisnika' });
+    }
+
+    if (from && !isValidDate(from)) {
+      errors.push({ field: 'from', message: 'Nevazeci format datuma' });
+    }
+
+    if (to && !isValidDate(to)) {
+      errors.push({ field: 'to', message: 'Nevazeci format datuma' });
+    }
+
+    if (!isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `Broj stavki mora biti izmedju 1 i ${MAX_LIMIT}` });
+    }
+
+    if (!isInteger(offset) || offset < 0) {
+      errors.push({ field: 'offset', message: 'Nevazeci pocetak stranice' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const { entries, total } = await getAuditLog(c.env.DB, c.get('building').id, {
+      entityType: entityType as AuditEntityType | null,
+      entityId: entityId,
+      userId: userId,
+      from: from,
+      to: to,
+      limit: limit,
+      offset: offset,
+    });
+
+    return c.json({
+      entries: entries.map(toAuditResponse),
+      total: total,
+      limit: limit,
+      offset: offset,
+    });
+  } catch (err) {
+    console.error('Get audit log error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja dnevnika izmena' }, 500);
+  }
+});
+
+/**
+ * GET /api/audit/users
+ * Users who made changes in the current building, including deleted users (admin only)
+ */
+app.get('/users', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const users = await getAuditUsers(c.env.DB, c.get('building').id);
+    return c.json(users);
+  } catch (err) {
+    console.error('Get audit users error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja korisnika' }, 500);
+  }
+});
+
+export default app;
@@ -1,15 +1,112 @@
 import { Hono } from 'hono';
-import { compare } from 'bcryptjs';
-import type { Env } from '../types';
-import { getUserByEmail } from '../db/queries';
-import { generateToken, authenticate } from '../middleware/auth';
-import { validationError, isValidEmail, isNotEmpty } from '../middleware/validation';
+import type { Context } from 'hono';
+import { compare, hash } from 'bcryptjs';
+import type { Env, User } from '../types';
+import {
+  getUserByEmail,
+  getUserById,
+  updateUserPassword,
+  setPasswordFromToken,
+  deleteUserSessions,
+  clearFailedLogins,
+  countRecoveryCodes,
+} from '../db/queries';
+import { authenticate, authenticateAccountSetup, requireSuperAdmin } from '../middleware/auth';
+import { validationError, isValidEmail, isNotEmpty, isStrongPassword } from '../middleware/validation';
+import { recordAudit, getClientIP } from '../middleware/audit';
+import { issueAccountToken, consumeAccountToken, accountLink, sendAccountLink } from '../services/accountTokens';
+import { mockOutbox } from '../services/mailTransport';
+import { startSession, refreshSession, endSession } from '../services/sessions';
+import type { LoginBlock } from '../services/loginThrottle';
+import { checkIpAddress, checkAccount, recordLoginFailure, recordLoginAttempt } from '../services/loginThrottle';
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifyLoginCode,
+  isTwoFactorRequired,
+} from '../services/twoFactor';
 
 const app = new Hono<{ Bindings: Env }>();
+const SALT_ROUNDS = 10;
+
+/**
+ * Response to a login refused after too many failed logins (429 with Retry-After)
+ */
+function loginBlocked(c: Context<{ Bindings: Env }>, block: LoginBlock) {
+  c.header('Retry-After', String(block.retry_after));
+  return c.json({ error: block.message, retry_after: block.retry_after }, 429);
+}
+
+// Login attempt being checked (see recordLoginAttempt)
+interface AttemptInfo {
+  email: string;
+  user_id: number | null;
+  ip_address: string | null;
+  user_agent: string | null;
+}
+
+/**
+ * Finish a successful login: record it, clear failed logins and start a session
+ * @param twoFactor - The login was confirmed with a second factor
+ * @param extra - Additional response fields
+ */
+async function completeLogin(
+  c: Context<{ Bindings: Env }>,
+  user: User,
+  attempt: AttemptInfo,
+  twoFactor: boolean,
+  extra: Record<string, unknown> = {}
+) {
+  await recordLoginAttempt(c.env.DB, { ...attempt, result: 'success' });
+  if (user.failed_logins > 0 || user.locked_until) {
+    await clearFailedLogins(c.env.DB, user.id);
+  }
+
+  // Start a session
+  const session = await startSession(
+    c.env,
+    {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      is_admin: user.is_admin,
+      is_user: user.is_user,
+      is_super_admin: user.is_super_admin,
+      must_change_password: user.must_change_password,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+    },
+    attempt.ip_address,
+    attempt.user_agent,
+    twoFactor
+  );
+
+  // Return user info and tokens
+  return c.json({
+    ...session,
+    ...extra,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      is_admin: Boolean(user.is_admin),
+      is_user: Boolean(user.is_user),
+      is_super_admin: Boolean(user.is_super_admin),
+      must_change_password: Boolean(user.must_change_password),
+      two_factor_enabled: Boolean(user.totp_enabled_at),
+      two_factor_required: isTwoFactorRequired(c.env, user),
+    },
+  });
+}
 
 /**
  * POST /api/auth/login
- * User login
+ * User login; starts a session
+ * Returns a short-lived access token, a refresh token for POST /api/auth/refresh and the user.
+ * With two-factor authentication enabled it returns { two_factor_required, challenge_token }
+ * instead, and the login is finished with POST /api/auth/login/2fa.
+ * Every attempt is recorded; repeated failed logins delay and then lock the account, and block
+ * the IP address for a while (429, see services/loginThrottle.ts).
  */
 app.post('/login', async (c) => {
   try {
@@ -33,66 +130,310 @@ app.post('/login', async (c) => {
 
     // Find user by email
     const user = await getUserByEmail(c.env.DB, email.toLowerCase());
+    const attempt: AttemptInfo = {
+      email: email.toLowerCase().slice(0, 200),
+      user_id: user?.id ?? null,
+      ip_address: getClientIP(c),
+      user_agent: c.req.header('User-Agent') || null,
+    };
+
+    // Too many failed logins from this IP address
+    const ipBlock = await checkIpAddress(c.env.DB, attempt.ip_address);
+    if (ipBlock) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: ipBlock.result });
+      return loginBlocked(c, ipBlock);
+    }
 
     if (!user) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: 'unknown_user' });
       return c.json({ error: 'Pogresna email adresa ili lozinka' }, 401);
     }
 
+    // Too many failed logins of this account
+    const accountBlock = checkAccount(user);
+    if (accountBlock) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: accountBlock.result });
+      return loginBlocked(c, accountBlock);
+    }
+
     // Verify password
     const isValidPassword = await compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: 'wrong_password' });
+      const block = await recordLoginFailure(c.env.DB, user);
+      if (block?.result === 'locked') {
+        return loginBlocked(c, block);
+      }
       return c.json({ error: 'Pogresna email adresa ili lozinka' }, 401);
     }
 
-    // Generate token
-    const token = await generateToken(
-      {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        is_admin: user.is_admin,
-        is_user: user.is_user,
-        created_at: user.created_at,
-        updated_at: user.updated_at,
-      },
-      c.env
-    );
+    // Second factor: failed logins are only cleared once the code is right too
+    if (user.totp_enabled_at) {
+      return c.json({ two_factor_required: true, challenge_token: await createLoginChallenge(c.env, user.id) });
+    }
 
-    // Return user info and token
-    return c.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        is_admin: Boolean(user.is_admin),
-        is_user: Boolean(user.is_user),
-      },
-    });
+    return await completeLogin(c, user, attempt, false);
   } catch (err) {
     console.error('Login error:', err);
     return c.json({ error: 'Greska prilikom prijave' }, 500);
   }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Finish a login with two-factor authentication; starts a session confirmed with it
+ * Accepts a code from the authenticator app or an unused recovery code (recovery_codes_left
+ * is returned after one is used). Wrong codes count as failed logins.
+ * Body: { challenge_token, code }
+ */
+app.post('/login/2fa', async (c) => {
+  try {
+    const { challenge_token, code } = await c.req.json();
+
+    const userId = await verifyLoginChallenge(c.env, challenge_token);
+    const user = userId ? await getUserById(c.env.DB, userId) : null;
+    if (!user || !user.totp_enabled_at) {
+      return c.json({ error: 'Prijava je istekla. Prijavite se ponovo.' }, 401);
+    }
+
+    if (!code || !isNotEmpty(code)) {
+      return validationError(c, [{ field: 'code', message: 'Kod je obavezan' }]);
+    }
+
+    const attempt: AttemptInfo = {
+      email: user.email,
+      user_id: user.id,
+      ip_address: getClientIP(c),
+      user_agent: c.req.header('User-Agent') || null,
+    };
+
+    const block = (await checkIpAddress(c.env.DB, attempt.ip_address)) || checkAccount(user);
+    if (block) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: block.result });
+      return loginBlocked(c, block);
+    }
+
+    const method = await verifyLoginCode(c.env.DB, user, code);
+    if (!method) {
+      await recordLoginAttempt(c.env.DB, { ...attempt, result: 'wrong_code' });
+      const failureBlock = await recordLoginFailure(c.env.DB, user);
+      if (failureBlock?.result === 'locked') {
+        return loginBlocked(c, failureBlock);
+      }
+      return c.json({ error: 'Pogresan kod' }, 401);
+    }
+
+    const extra = method === 'recovery' ? { recovery_codes_left: await countRecoveryCodes(c.env.DB, user.id) } : {};
+    return await completeLogin(c, user, attempt, true, extra);
+  } catch (err) {
+    console.error('Two-factor login error:', err);
+    return c.json({ error: 'Greska prilikom prijave' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Get a new access token; the refresh token is replaced and the old one stops working
+ * Body: { refresh_token }
+ */
+app.post('/refresh', async (c) => {
+  try {
+    const { refresh_token } = await c.req.json();
+
+    const session = await refreshSession(c.env, refresh_token);
+    if (!session) {
+      return c.json({ error: 'Sesija je istekla. Prijavite se ponovo.' }, 401);
+    }
+
+    return c.json(session);
+  } catch (err) {
+    console.error('Refresh session error:', err);
+    return c.json({ error: 'Greska prilikom obnavljanja sesije' }, 500);
+  }
+});
+
 /**
  * POST /api/auth/logout
- * User logout (client-side token removal)
+ * User logout; ends the session of the refresh token (its access tokens stop working too)
+ * Body: { refresh_token }
  */
-app.post('/logout', (c) => {
-  // Token removal happens client-side
-  // This endpoint just confirms the logout
-  return c.json({ message: 'Uspesno ste se odjavili' });
+app.post('/logout', async (c) => {
+  try {
+    const { refresh_token } = await c.req.json();
+    await endSession(c.env, refresh_token);
+    return c.json({ message: 'Uspesno ste se odjavili' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return c.json({ error: 'Greska prilikom odjave' }, 500);
+  }
 });
 
 /**
  * GET /api/auth/me
- * Get current user info
+ * Get current user info (must_change_password: the user has to change the password first;
+ * two_factor_required without two_factor_enabled: the user has to enable two-factor authentication first)
+ */
+app.get('/me', authenticateAccountSetup, async (c) => {
+  try {
+    const user = c.get('user');
+    const account = (await getUserById(c.env.DB, user.id))!;
+    return c.json({
+      user: {
+        ...user,
+        two_factor_enabled: Boolean(account.totp_enabled_at),
+        two_factor_required: isTwoFactorRequired(c.env, account),
+      },
+    });
+  } catch (err) {
+    console.error('Get current user error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja korisnika' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change own password (also allowed while a password change is required)
+ * The user's other sessions are signed out.
+ * Body: { current_password, password }
+ */
+app.post('/change-password', authenticateAccountSetup, async (c) => {
+  try {
+    const { current_password, password } = await c.req.json();
+
+    const errors = [];
+    if (!current_password || !isNotEmpty(current_password)) {
+      errors.push({ field: 'current_password', message: 'Trenutna lozinka je obavezna' });
+    }
+    if (!isStrongPassword(password)) {
+      errors.push({
+        field: 'password',
+        message: 'Lozinka mora imati najmanje 8 karaktera, jedno veliko slovo, jedno malo slovo i jedan broj',
+      });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    if (!(await compare(current_password, user.password_hash))) {
+      return validationError(c, [{ field: 'current_password', message: 'Trenutna lozinka nije ispravna' }]);
+    }
+    if (await compare(password, user.password_hash)) {
+      return validationError(c, [{ field: 'password', message: 'Nova lozinka mora biti razlicita od trenutne' }]);
+    }
+
+    await updateUserPassword(c.env.DB, user.id, await hash(password, SALT_ROUNDS), 0);
+    await deleteUserSessions(c.env.DB, user.id, c.get('sessionId'));
+
+    const updated = await getUserById(c.env.DB, user.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: user.id,
+      before: user,
+      after: { ...updated, password_changed: true },
+    });
+
+    return c.json({ message: 'Lozinka je promenjena' });
+  } catch (err) {
+    console.error('Change password error:', err);
+    return c.json({ error: 'Greska prilikom promene lozinke' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link (valid 1 hour)
+ * The response is the same whether the account exists or not.
+ * Body: { email }
+ */
+app.post('/forgot-password', async (c) => {
+  try {
+    const { email } = await c.req.json();
+
+    if (!isValidEmail(email)) {
+      return validationError(c, [{ field: 'email', message: 'Nevazeci format email adrese' }]);
+    }
+
+    if (!c.env.MAIL_TRANSPORT || !c.env.APP_URL) {
+      return c.json({ error: 'Promena lozinke e-postom nije podesena. Obratite se administratoru.' }, 400);
+    }
+
+    const user = await getUserByEmail(c.env.DB, email.toLowerCase());
+    if (user) {
+      const token = await issueAccountToken(c.env.DB, user.id, 'reset', null);
+      try {
+        await sendAccountLink(c.env, user, 'reset', accountLink(c.env, token)!);
+      } catch (err) {
+        console.error('Password reset email error:', err);
+      }
+    }
+
+    return c.json({ message: 'Ako nalog postoji, na email adresu je poslat link za promenu lozinke' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return c.json({ error: 'Greska prilikom slanja linka za promenu lozinke' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set the password from an invitation or password reset link (each link works once)
+ * All sessions of the user are signed out.
+ * Body: { token, password }
  */
-app.get('/me', authenticate, (c) => {
-  const user = c.get('user');
-  return c.json({ user });
+app.post('/reset-password', async (c) => {
+  try {
+    const { token, password } = await c.req.json();
+
+    if (!isStrongPassword(password)) {
+      return validationError(c, [
+        {
+          field: 'password',
+          message: 'Lozinka mora imati najmanje 8 karaktera, jedno veliko slovo, jedno malo slovo i jedan broj',
+        },
+      ]);
+    }
+
+    // The link is used up before the password is set, so it can not be used twice in parallel
+    const accountToken = await consumeAccountToken(c.env.DB, token);
+    const user = accountToken ? await getUserById(c.env.DB, accountToken.user_id) : null;
+    if (!accountToken || !user) {
+      return c.json({ error: 'Link je nevazeci ili je istekao. Zatrazite novi.' }, 400);
+    }
+
+    await setPasswordFromToken(c.env.DB, user.id, await hash(password, SALT_ROUNDS));
+
+    const updated = await getUserById(c.env.DB, user.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: user.id,
+      before: user,
+      after: { ...updated, password_changed: true, password_link: accountToken.purpose },
+    });
+
+    return c.json({ message: 'Lozinka je postavljena. Mozete se prijaviti.', email: user.email });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return c.json({ error: 'Greska prilikom postavljanja lozinke' }, 500);
+  }
+});
+
+/**
+ * GET /api/auth/outbox
+ * Emails "sent" by the mock transport (MAIL_TRANSPORT=mock, local development only),
+ * newest first - invitation and password reset links can be opened from here (super-admin only,
+ * the links take over accounts)
+ */
+app.get('/outbox', authenticate, requireSuperAdmin, (c) => {
+  if (c.env.MAIL_TRANSPORT !== 'mock') {
+    return c.json({ error: 'Nije pronadjeno' }, 404);
+  }
+
+  return c.json(mockOutbox.map((message) => ({ to: message.to, subject: message.subject, text: message.text })));
 });
 
 export default app;
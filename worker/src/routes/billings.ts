@@ -1,28 +1,112 @@
 import { Hono } from 'hono';
-import type { Env, Apartment, Building } from '../types';
+import type { Context } from 'hono';
+import type { Env, Apartment, ApartmentBillingDiff, Building, Billing, BillingSlipData, Payment } from '../types';
 import {
   getAllApartments,
-  getApartmentByUserId,
-  getBuilding,
+  getApartmentsByUserId,
+  getBillingById,
   getBillingsByMonth,
+  getAllBillingsByMonth,
   getBillingsByApartment,
-  insertBilling,
-  deleteBillingsByMonth,
+  cancelBillingsByMonth,
+  restoreBillingsByMonth,
   getDistinctBillingMonths,
+  getLatestPeriodClose,
+  getMonthlyChargeTypes,
+  getBuilding,
+  updateGenerationSettings,
+  getBillingRuns,
+  hasCompletedBillingRun,
+  getApartmentById,
+  getPaymentsByApartment,
+  replaceBillings,
+  getBuildingOwners,
+  getApartmentOwners,
 } from '../db/queries';
-import { authenticate, requireAdmin } from '../middleware/auth';
-import { validationError, isValidMonth, isValidYear, isInteger } from '../middleware/validation';
-import { generatePaymentSlipsPDF, generatePDFFilename, generateReferenceNumber } from '../services/pdfGenerator';
+import { authenticate, requireAdmin, requireBuilding, checkApartmentAccess } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import type { AuditChange } from '../middleware/audit';
+import { validationError, isValidMonth, isValidYear, isInteger, isPositiveNumber } from '../middleware/validation';
+import { generatePaymentSlipsPDF, generatePDFFilename, generateSlipFilename } from '../services/pdfGenerator';
+import { generatePaymentQRData, generatePaymentQRCode, validateWithNBS } from '../services/qrCode';
+import { renderQRPng, renderQRSvg } from '../services/qrImage';
+import { validateBuildingIPS, validateBillingIPS } from '../services/ipsValidator';
+import { buildSlips } from '../services/billing';
+import { amountErrors, calculateAmount, calculateAmounts, parseAmountRule } from '../services/amountRules';
+import { createMailTransport, isMailConfigured } from '../services/mailTransport';
+import { sendBillingNotifications } from '../services/notifications';
+import { isClosedPeriod, closedPeriodMessage } from '../services/periods';
+import { loadAllocation, withPaymentStatus } from '../services/allocation';
+import { withMonthOwners } from '../services/ownership';
+import {
+  generateMonthBillings,
+  getNextGenerationRun,
+  getUpcomingMonth,
+  diffApartmentBillings,
+  diffChanges,
+  toSlipData,
+} from '../services/generation';
 
 const app = new Hono<{ Bindings: Env }>();
 
+// Runs of the scheduled generation job listed with the schedule
+const RECENT_RUNS = 12;
+
+/**
+ * Check slip QR payloads before slips go out: locally against the NBS IPS QR
+ * specification and, if enabled, with the NBS validator API
+ * @returns Validation error response, or null if slips can be generated
+ */
+async function validateSlips(
+  c: Context<{ Bindings: Env }>,
+  building: Building,
+  slips: BillingSlipData[]
+): Promise<Response | null> {
+  const ipsErrors = [
+    ...validateBuildingIPS(building),
+    ...slips.flatMap((slip) => validateBillingIPS(slip, building)),
+  ];
+  if (ipsErrors.length > 0) {
+    return validationError(c, ipsErrors);
+  }
+
+  if (c.env.NBS_QR_VALIDATE === 'true') {
+    const errors = [];
+    for (const slip of slips) {
+      try {
+        const result = await validateWithNBS(generatePaymentQRData(slip, building));
+        if (!result.valid) {
+          errors.push({
+            field: `apartment_${slip.apartment_number}`,
+            message: `Stan ${slip.apartment_number}: ${result.errors.join('; ')}`,
+          });
+        }
+      } catch (err) {
+        // NBS API is optional - generate slips without remote validation
+        console.error('NBS QR validation unavailable:', err);
+        break;
+      }
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+  }
+
+  return null;
+}
+
 /**
  * GET /api/billings
- * List billings (admin: all, user: own billings)
+ * List active billings of the current building (admin: all, user: billings of the apartments linked to them)
+ * Each billing has paid_amount, unpaid_amount and payment_status (unpaid, partial, paid).
+ * Admin query: year & month for a single month (billings of every type), include_cancelled=true
+ * to add cancelled billings
  */
-app.get('/', authenticate, async (c) => {
+app.get('/', authenticate, requireBuilding, async (c) => {
   try {
     const user = c.get('user');
+    const building = c.get('building');
 
     if (user.is_admin) {
       // Admin can filter by year/month if provided
@@ -30,28 +114,39 @@ app.get('/', authenticate, async (c) => {
       const month = c.req.query('month');
 
       if (year && month) {
-        const billings = await getBillingsByMonth(c.env.DB, parseInt(year, 10), parseInt(month, 10));
-        return c.json(billings);
+        const billings = await getAllBillingsByMonth(
+          c.env.DB,
+          building.id,
+          parseInt(year, 10),
+          parseInt(month, 10),
+          c.req.query('include_cancelled') === 'true'
+        );
+        const allocation = await loadAllocation(c.env.DB, building.id);
+        return c.json(withPaymentStatus(billings, allocation));
       }
 
       // Return all billings grouped by month (most recent first)
       const allBillings = await c.env.DB.prepare(`
-        SELECT b.*, a.apartment_number, a.owner_name
-        FROM billings b
-        JOIN apartments a ON b.apartment_id = a.id
-        ORDER BY b.billing_year DESC, b.billing_month DESC, a.apartment_number ASC
-      `).all();
-
-      return c.json(allBillings.results);
+        SELECT *
+        FROM billings
+        WHERE building_id = ? AND cancelled_at IS NULL
+        ORDER BY billing_year DESC, billing_month DESC, apartment_number ASC
+      `)
+        .bind(building.id)
+        .all<Billing>();
+
+      const allocation = await loadAllocation(c.env.DB, building.id);
+      return c.json(withPaymentStatus(allBillings.results, allocation));
     }
 
-    // Regular user: get their own apartment's billings
-    const apartment = await getApartmentByUserId(c.env.DB, user.id);
-    if (!apartment) {
-      return c.json([]);
+    // Regular user: get the billings of the apartments linked to their account
+    const apartments = await getApartmentsByUserId(c.env.DB, building.id, user.id);
+    const billings = [];
+    for (const apartment of apartments) {
+      const apartmentBillings = await getBillingsByApartment(c.env.DB, apartment.id);
+      const allocation = await loadAllocation(c.env.DB, building.id, apartment.id);
+      billings.push(...withPaymentStatus(apartmentBillings, allocation));
     }
-
-    const billings = await getBillingsByApartment(c.env.DB, apartment.id);
     return c.json(billings);
   } catch (err) {
     console.error('Get billings error:', err);
@@ -62,11 +157,14 @@ app.get('/', authenticate, async (c) => {
 /**
  * POST /api/billings/generate
  * Generate billings for a specific month (admin only)
+ * Every apartment is billed the maintenance fee (from the building's amount rule) and the monthly
+ * amount of each active charge type.
+ * Body: { year, month, send_email } - send_email emails each linked resident their slip
  */
-app.post('/generate', authenticate, requireAdmin, async (c) => {
+app.post('/generate', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const body = await c.req.json();
-    const { year, month } = body;
+    const { year, month, send_email = false } = body;
 
     // Validate input
     const errors = [];
@@ -79,6 +177,11 @@ app.post('/generate', authenticate, requireAdmin, async (c) => {
       errors.push({ field: 'month', message: 'Mesec mora biti izmedju 1 i 12' });
     }
 
+    const transport = send_email ? createMailTransport(c.env) : null;
+    if (send_email && !transport) {
+      errors.push({ field: 'send_email', message: 'Slanje e-poste nije podeseno' });
+    }
+
     if (errors.length > 0) {
       return validationError(c, errors);
     }
@@ -86,53 +189,53 @@ app.post('/generate', authenticate, requireAdmin, async (c) => {
     const yearInt = parseInt(year, 10);
     const monthInt = parseInt(month, 10);
 
-    // Get building config
-    const building = await getBuilding(c.env.DB);
-    if (!building) {
-      return c.json({ error: 'Podaci o zgradi nisu konfigurisani' }, 400);
-    }
+    const building = c.get('building');
 
-    // Get all apartments
-    const apartments = await getAllApartments(c.env.DB);
-    if (apartments.length === 0) {
-      return c.json({ error: 'Nema registrovanih stanova' }, 400);
+    const result = await generateMonthBillings(c.env.DB, building, yearInt, monthInt);
+    if (result.status === 'invalid') {
+      return validationError(c, result.errors);
     }
 
-    // Check if billings already exist for this month
-    const existingBillings = await getBillingsByMonth(c.env.DB, yearInt, monthInt);
-    if (existingBillings.length > 0) {
+    if (result.status === 'exists') {
       return c.json(
         {
-          error: `Zaduzenja za ${monthInt}/${yearInt} vec postoje. Obrisite ih pre generisanja novih.`,
+          error: `Zaduzenja za ${monthInt}/${yearInt} vec postoje. Stornirajte ih pre generisanja novih.`,
         },
         400
       );
     }
 
-    // Generate billings for each apartment
-    const billings = [];
-    for (const apartment of apartments) {
-      const amount = apartment.override_amount || building.default_amount;
-      const referenceNumber = generateReferenceNumber(apartment.apartment_number, monthInt);
+    const storedBillings = result.billings;
+    await recordAudit(
+      c,
+      storedBillings.map((billing) => ({
+        action: 'create',
+        entity_type: 'billing',
+        entity_id: billing.id,
+        after: billing,
+      }))
+    );
 
-      const result = await insertBilling(c.env.DB, apartment.id, monthInt, yearInt, amount, referenceNumber);
+    // Email slips to linked residents (failures are recorded for retry)
+    if (transport) {
+      const notifications = await sendBillingNotifications(c.env, transport, storedBillings, building);
 
-      billings.push({
-        id: result.meta.last_row_id,
-        apartment_id: apartment.id,
-        apartment_number: apartment.apartment_number,
-        owner_name: apartment.owner_name,
-        billing_month: monthInt,
-        billing_year: yearInt,
-        amount: amount,
-        reference_number: referenceNumber,
-      });
+      return c.json(
+        {
+          message:
+            `Generisano ${storedBillings.length} zaduzenja za ${monthInt}/${yearInt}. ` +
+            `E-posta: poslato ${notifications.sent}, neuspesno ${notifications.failed}, bez korisnika ${notifications.skipped}`,
+          billings: storedBillings,
+          notifications: notifications,
+        },
+        201
+      );
     }
 
     return c.json(
       {
-        message: `Generisano ${billings.length} zaduzenja za ${monthInt}/${yearInt}`,
-        billings: billings,
+        message: `Generisano ${storedBillings.length} zaduzenja za ${monthInt}/${yearInt}`,
+        billings: storedBillings,
       },
       201
     );
@@ -143,13 +246,348 @@ app.post('/generate', authenticate, requireAdmin, async (c) => {
 });
 
 /**
- * DELETE /api/billings/:year/:month
- * Delete all billings for a specific month (admin only)
+ * POST /api/billings/preview
+ * Preview the amounts a month would be generated with, without storing anything (admin only)
+ * Body: { year, month, components } - components: amount rule to try (default: the building's rule)
+ * Apartments without an amount (missing area, occupants or share) are listed in errors.
+ * For a generated month, diffs compares each apartment's billings to generating them again
+ * (see POST /:year/:month/apartments/:apartmentId).
+ */
+app.post('/preview', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { year, month, components } = body;
+
+    const errors = [];
+
+    if (!isValidYear(year)) {
+      errors.push({ field: 'year', message: 'Nevazeca godina' });
+    }
+
+    if (!isValidMonth(month)) {
+      errors.push({ field: 'month', message: 'Mesec mora biti izmedju 1 i 12' });
+    }
+
+    const rule = components !== undefined ? parseAmountRule(components) : null;
+    if (rule) {
+      errors.push(...rule.errors);
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const yearInt = parseInt(year, 10);
+    const monthInt = parseInt(month, 10);
+    const building = c.get('building');
+
+    const owners = await getBuildingOwners(c.env.DB, building.id);
+    const apartments = withMonthOwners(await getAllApartments(c.env.DB, building.id), owners, yearInt, monthInt);
+    const amounts = calculateAmounts(apartments, building, rule?.components ?? undefined);
+    const chargeTypes = await getMonthlyChargeTypes(c.env.DB, building.id);
+    const existingBillings = await getBillingsByMonth(c.env.DB, building.id, yearInt, monthInt);
+
+    const maintenanceTotal = amounts.reduce((sum, amount) => sum + (amount.amount ?? 0), 0);
+    const chargesPerApartment = chargeTypes.reduce((sum, chargeType) => sum + chargeType.monthly_amount!, 0);
+    const chargesTotal = chargesPerApartment * apartments.length;
+
+    // Generated month: each apartment's billings compared to generating them again
+    const diffs: ApartmentBillingDiff[] = [];
+    if (existingBillings.length > 0) {
+      for (const [i, apartment] of apartments.entries()) {
+        const existing = existingBillings.filter((billing) => billing.apartment_id === apartment.id);
+        diffs.push(
+          diffApartmentBillings(apartment, building, chargeTypes, yearInt, monthInt, amounts[i], existing).diff
+        );
+      }
+    }
+
+    return c.json({
+      year: yearInt,
+      month: monthInt,
+      // Generating is refused while the month has billings
+      exists: existingBillings.length > 0,
+      apartments: amounts,
+      // Monthly charges billed to every apartment next to the maintenance fee
+      charges: chargeTypes.map((chargeType) => ({
+        id: chargeType.id,
+        name: chargeType.name,
+        payment_purpose: chargeType.payment_purpose,
+        monthly_amount: chargeType.monthly_amount,
+      })),
+      maintenance_total: Math.round(maintenanceTotal * 100) / 100,
+      charges_total: Math.round(chargesTotal * 100) / 100,
+      errors: amountErrors(amounts),
+      diffs: diffs,
+    });
+  } catch (err) {
+    console.error('Preview billings error:', err);
+    return c.json({ error: 'Greska prilikom pregleda zaduzenja' }, 500);
+  }
+});
+
+/**
+ * GET /api/billings/schedule
+ * Get scheduled generation settings of the current building, its next run and recent runs (admin only)
+ */
+app.get('/schedule', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const building = c.get('building');
+    const now = new Date();
+    const upcoming = getUpcomingMonth(now);
+
+    // Upcoming month generated by the job or by hand: the next run is for the month after it
+    const upcomingDone =
+      (await hasCompletedBillingRun(c.env.DB, building.id, upcoming.year, upcoming.month)) ||
+      (await getBillingsByMonth(c.env.DB, building.id, upcoming.year, upcoming.month)).length > 0;
+    const runs = await getBillingRuns(c.env.DB, building.id, RECENT_RUNS);
+
+    return c.json({
+      auto_generate_enabled: building.auto_generate_enabled,
+      auto_generate_day: building.auto_generate_day,
+      auto_generate_send_email: building.auto_generate_send_email,
+      next_run: getNextGenerationRun(building, now, upcomingDone),
+      runs: runs,
+    });
+  } catch (err) {
+    console.error('Get generation schedule error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja automatskog generisanja' }, 500);
+  }
+});
+
+/**
+ * PUT /api/billings/schedule
+ * Update scheduled generation settings of the current building (admin only)
+ * Body: { auto_generate_enabled, auto_generate_day, auto_generate_send_email }
+ * - auto_generate_day: day of the month (1-28) from which next month's billings are generated
+ * - auto_generate_send_email: email slips to linked residents after generating
+ */
+app.put('/schedule', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { auto_generate_enabled, auto_generate_day, auto_generate_send_email } = body;
+
+    const errors = [];
+
+    if (!isInteger(auto_generate_day) || auto_generate_day < 1 || auto_generate_day > 28) {
+      errors.push({ field: 'auto_generate_day', message: 'Dan mora biti izmedju 1 i 28' });
+    }
+
+    if (auto_generate_send_email && !isMailConfigured(c.env)) {
+      errors.push({ field: 'auto_generate_send_email', message: 'Slanje e-poste nije podeseno' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const before = c.get('building');
+
+    await updateGenerationSettings(c.env.DB, before.id, {
+      auto_generate_enabled: auto_generate_enabled ? 1 : 0,
+      auto_generate_day: parseInt(auto_generate_day, 10),
+      auto_generate_send_email: auto_generate_send_email ? 1 : 0,
+    });
+
+    const building = await getBuilding(c.env.DB, before.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: before.id,
+      before: before,
+      after: building,
+    });
+
+    return c.json({ message: 'Podesavanja automatskog generisanja su sacuvana' });
+  } catch (err) {
+    console.error('Update generation schedule error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja automatskog generisanja' }, 500);
+  }
+});
+
+/**
+ * POST /api/billings/:year/:month/cancel
+ * Cancel all active billings for a specific month (admin only)
+ * Billings are kept for the history and excluded from balances; the month can be generated again.
+ * Body: { reason }
+ */
+app.post('/:year/:month/cancel', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const year = parseInt(c.req.param('year'), 10);
+    const month = parseInt(c.req.param('month'), 10);
+
+    if (!isValidYear(year)) {
+      return c.json({ error: 'Nevazeca godina' }, 400);
+    }
+
+    if (!isValidMonth(month)) {
+      return c.json({ error: 'Nevazeci mesec' }, 400);
+    }
+
+    const body = await c.req.json();
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    if (!reason) {
+      return validationError(c, [{ field: 'reason', message: 'Razlog storniranja je obavezan' }]);
+    }
+
+    const buildingId = c.get('building').id;
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedPeriod(periodClose, year, month)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const billings = await getBillingsByMonth(c.env.DB, buildingId, year, month);
+    if (billings.length === 0) {
+      return c.json({ error: `Nema zaduzenja za ${month}/${year}` }, 404);
+    }
+
+    // One timestamp for the whole month, so the month is restored as cancelled
+    const cancelledAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const userId = c.get('user').id;
+    const result = await cancelBillingsByMonth(c.env.DB, buildingId, year, month, cancelledAt, userId, reason);
+
+    const cancelled = await getBillingsByMonth(c.env.DB, buildingId, year, month, true);
+    await recordAudit(
+      c,
+      billings.map((billing) => ({
+        action: 'update',
+        entity_type: 'billing',
+        entity_id: billing.id,
+        before: billing,
+        after: cancelled.find((b) => b.id === billing.id),
+      }))
+    );
+
+    return c.json({
+      message: `Stornirano ${result.meta.changes} zaduzenja za ${month}/${year}`,
+    });
+  } catch (err) {
+    console.error('Cancel billings error:', err);
+    return c.json({ error: 'Greska prilikom storniranja zaduzenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/billings/:year/:month/restore
+ * Restore the last cancelled billings of a month (admin only)
+ * Not possible once the month has been generated again.
+ */
+app.post('/:year/:month/restore', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const year = parseInt(c.req.param('year'), 10);
+    const month = parseInt(c.req.param('month'), 10);
+
+    if (!isValidYear(year)) {
+      return c.json({ error: 'Nevazeca godina' }, 400);
+    }
+
+    if (!isValidMonth(month)) {
+      return c.json({ error: 'Nevazeci mesec' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedPeriod(periodClose, year, month)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const billings = await getBillingsByMonth(c.env.DB, buildingId, year, month, true);
+
+    if (billings.some((billing) => !billing.cancelled_at)) {
+      return c.json(
+        { error: `Zaduzenja za ${month}/${year} vec postoje. Stornirajte ih pre vracanja prethodnih.` },
+        400
+      );
+    }
+
+    const cancelledAt = billings.reduce<string | null>(
+      (latest, billing) => (!latest || billing.cancelled_at! > latest ? billing.cancelled_at : latest),
+      null
+    );
+    if (!cancelledAt) {
+      return c.json({ error: `Nema storniranih zaduzenja za ${month}/${year}` }, 404);
+    }
+
+    const result = await restoreBillingsByMonth(c.env.DB, buildingId, year, month, cancelledAt);
+
+    const restored = await getBillingsByMonth(c.env.DB, buildingId, year, month);
+    await recordAudit(
+      c,
+      restored.map((billing) => ({
+        action: 'update',
+        entity_type: 'billing',
+        entity_id: billing.id,
+        before: billings.find((b) => b.id === billing.id),
+        after: billing,
+      }))
+    );
+
+    return c.json({
+      message: `Vraceno ${result.meta.changes} zaduzenja za ${month}/${year}`,
+    });
+  } catch (err) {
+    console.error('Restore billings error:', err);
+    return c.json({ error: 'Greska prilikom vracanja zaduzenja' }, 500);
+  }
+});
+
+/**
+ * Audit changes of billings cancelled and issued for an apartment, and of its payments moved to new billings
+ * @param cancelled - Billings as they were before they were cancelled
+ * @param existingIds - Billings of the apartment and month before the change
+ * @param billingsAfter - Billings of the apartment and month after the change (cancelled included)
+ */
+function replacementAuditChanges(
+  cancelled: Billing[],
+  existingIds: number[],
+  billingsAfter: Billing[],
+  paymentsBefore: Payment[],
+  paymentsAfter: Payment[]
+): AuditChange[] {
+  return [
+    ...cancelled.map((billing) => ({
+      action: 'update' as const,
+      entity_type: 'billing' as const,
+      entity_id: billing.id,
+      before: billing,
+      after: billingsAfter.find((b) => b.id === billing.id),
+    })),
+    ...billingsAfter
+      .filter((billing) => !existingIds.includes(billing.id) && !billing.cancelled_at)
+      .map((billing) => ({
+        action: 'create' as const,
+        entity_type: 'billing' as const,
+        entity_id: billing.id,
+        after: billing,
+      })),
+    ...paymentsAfter
+      .map((payment) => ({ payment: payment, before: paymentsBefore.find((p) => p.id === payment.id) }))
+      .filter(({ payment, before }) => before && before.billing_id !== payment.billing_id)
+      .map(({ payment, before }) => ({
+        action: 'update' as const,
+        entity_type: 'payment' as const,
+        entity_id: payment.id,
+        before: before,
+        after: payment,
+      })),
+  ];
+}
+
+/**
+ * POST /api/billings/:year/:month/apartments/:apartmentId
+ * Generate one apartment's billings of a generated month again (admin only)
+ * Missing billings are added (e.g. an apartment registered after the month was generated), changed
+ * ones are cancelled and issued again with the current amount rule, charges and payer data, and
+ * charges no longer billed are cancelled. Billings of other apartments are not touched; payments
+ * move from a cancelled billing to the one replacing it. See diffs of POST /preview.
+ * Body: { reason } - required when a billing is cancelled
  */
-app.delete('/:year/:month', authenticate, requireAdmin, async (c) => {
+app.post('/:year/:month/apartments/:apartmentId', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const year = parseInt(c.req.param('year'), 10);
     const month = parseInt(c.req.param('month'), 10);
+    const apartmentId = parseInt(c.req.param('apartmentId'), 10);
 
     if (!isValidYear(year)) {
       return c.json({ error: 'Nevazeca godina' }, 400);
@@ -159,22 +597,193 @@ app.delete('/:year/:month', authenticate, requireAdmin, async (c) => {
       return c.json({ error: 'Nevazeci mesec' }, 400);
     }
 
-    const result = await deleteBillingsByMonth(c.env.DB, year, month);
+    if (!isInteger(apartmentId) || apartmentId < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const body = await c.req.json();
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    const building = c.get('building');
+    const registered = await getApartmentById(c.env.DB, building.id, apartmentId);
+    if (!registered) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedPeriod(periodClose, year, month)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    // Slips of the month name the owner of the apartment in that month
+    const owners = await getApartmentOwners(c.env.DB, registered.id);
+    const [apartment] = withMonthOwners([registered], owners, year, month);
+
+    const monthBillings = await getBillingsByMonth(c.env.DB, building.id, year, month);
+    if (monthBillings.length === 0) {
+      return c.json({ error: `Zaduzenja za ${month}/${year} nisu generisana. Generisite ceo mesec.` }, 400);
+    }
+
+    const existing = monthBillings.filter((billing) => billing.apartment_id === apartment.id);
+    const amount = calculateAmount(apartment, building);
+    if (amount.error) {
+      return validationError(c, amountErrors([amount]));
+    }
+
+    const chargeTypes = await getMonthlyChargeTypes(c.env.DB, building.id);
+    const { diff, generated } = diffApartmentBillings(apartment, building, chargeTypes, year, month, amount, existing);
+    const { cancel, replacements } = diffChanges(diff, generated, existing);
+
+    if (cancel.length === 0 && replacements.length === 0) {
+      return c.json({ error: `Zaduzenja stana ${apartment.apartment_number} za ${month}/${year} su vec azurna` }, 400);
+    }
+
+    if (cancel.length > 0 && !reason) {
+      return validationError(c, [{ field: 'reason', message: 'Razlog storniranja je obavezan' }]);
+    }
+
+    const paymentsBefore = await getPaymentsByApartment(c.env.DB, apartment.id);
+    const cancelledAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await replaceBillings(c.env.DB, cancel, replacements, cancelledAt, c.get('user').id, reason);
 
+    const billingsAfter = (await getBillingsByMonth(c.env.DB, building.id, year, month, true)).filter(
+      (billing) => billing.apartment_id === apartment.id
+    );
+    const paymentsAfter = await getPaymentsByApartment(c.env.DB, apartment.id);
+    await recordAudit(
+      c,
+      replacementAuditChanges(
+        cancel,
+        existing.map((billing) => billing.id),
+        billingsAfter,
+        paymentsBefore,
+        paymentsAfter
+      )
+    );
+
+    const added = replacements.filter((replacement) => !replacement.replaces).length;
+    const replaced = replacements.length - added;
     return c.json({
-      message: `Obrisano ${result.meta.changes} zaduzenja za ${month}/${year}`,
+      message:
+        `Stan ${apartment.apartment_number}, ${month}/${year}: dodato ${added}, zamenjeno ${replaced}, ` +
+        `stornirano ${cancel.length - replaced} zaduzenja`,
+      diff: diff,
+      billings: billingsAfter.filter((billing) => !billing.cancelled_at),
     });
   } catch (err) {
-    console.error('Delete billings error:', err);
-    return c.json({ error: 'Greska prilikom brisanja zaduzenja' }, 500);
+    console.error('Regenerate apartment billings error:', err);
+    return c.json({ error: 'Greska prilikom ponovnog generisanja zaduzenja stana' }, 500);
+  }
+});
+
+/**
+ * PUT /api/billings/:id
+ * Change the amount of a maintenance or monthly charge billing (admin only)
+ * The billing is cancelled and issued again with the new amount and the rest of its slip data;
+ * payments recorded for or allocated to it move to the new billing.
+ * Body: { amount, reason }
+ */
+app.put('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID zaduzenja' }, 400);
+    }
+
+    const body = await c.req.json();
+    const { amount } = body;
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    const errors = [];
+
+    if (!isPositiveNumber(amount)) {
+      errors.push({ field: 'amount', message: 'Iznos mora biti pozitivan broj' });
+    }
+
+    if (!reason) {
+      errors.push({ field: 'reason', message: 'Razlog storniranja je obavezan' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const building = c.get('building');
+    const billing = await getBillingById(c.env.DB, building.id, id);
+    if (!billing) {
+      return c.json({ error: 'Zaduzenje nije pronadjeno' }, 404);
+    }
+
+    if (billing.cancelled_at) {
+      return c.json({ error: 'Zaduzenje je stornirano' }, 400);
+    }
+
+    // Installments change with their assessment, interest with its posting
+    if (billing.billing_type !== 'maintenance' && billing.billing_type !== 'charge') {
+      return c.json({ error: 'Menja se samo iznos mesecnog odrzavanja i mesecnih zaduzenja' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedPeriod(periodClose, billing.billing_year, billing.billing_month)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const newAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (newAmount === billing.amount) {
+      return validationError(c, [{ field: 'amount', message: 'Iznos je isti kao na zaduzenju' }]);
+    }
+
+    const slip = { ...toSlipData(billing), amount: newAmount };
+    const ipsErrors = validateBillingIPS(slip, building);
+    if (ipsErrors.length > 0) {
+      return validationError(c, ipsErrors);
+    }
+
+    const apartmentBillings = async () =>
+      (await getBillingsByMonth(c.env.DB, building.id, billing.billing_year, billing.billing_month, true)).filter(
+        (b) => b.apartment_id === billing.apartment_id
+      );
+    const existingIds = (await apartmentBillings()).map((b) => b.id);
+    const paymentsBefore = await getPaymentsByApartment(c.env.DB, billing.apartment_id);
+
+    const cancelledAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await replaceBillings(
+      c.env.DB,
+      [billing],
+      [
+        {
+          apartment: { id: billing.apartment_id, building_id: billing.building_id },
+          billing: slip,
+          billing_type: billing.billing_type,
+          source: { charge_type_id: billing.charge_type_id, assessment_id: null },
+          replaces: billing.id,
+        },
+      ],
+      cancelledAt,
+      c.get('user').id,
+      reason
+    );
+
+    const billingsAfter = await apartmentBillings();
+    const paymentsAfter = await getPaymentsByApartment(c.env.DB, billing.apartment_id);
+    await recordAudit(c, replacementAuditChanges([billing], existingIds, billingsAfter, paymentsBefore, paymentsAfter));
+
+    const replacement = billingsAfter.find((b) => !existingIds.includes(b.id));
+    return c.json({ message: 'Iznos zaduzenja je izmenjen', billing: replacement });
+  } catch (err) {
+    console.error('Update billing error:', err);
+    return c.json({ error: 'Greska prilikom izmene zaduzenja' }, 500);
   }
 });
 
 /**
  * GET /api/billings/pdf/:year/:month
  * Download PDF payment slips for a specific month (admin only)
+ * Billings of every type are printed, one slip each or combined per apartment (building.combine_slips).
+ * Optional query: apartments=1,2,3 (apartment IDs) to print only some apartments
  */
-app.get('/pdf/:year/:month', authenticate, requireAdmin, async (c) => {
+app.get('/pdf/:year/:month', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const year = parseInt(c.req.param('year'), 10);
     const month = parseInt(c.req.param('month'), 10);
@@ -187,20 +796,33 @@ app.get('/pdf/:year/:month', authenticate, requireAdmin, async (c) => {
       return c.json({ error: 'Nevazeci mesec' }, 400);
     }
 
-    // Get building config
-    const building = await getBuilding(c.env.DB);
-    if (!building) {
-      return c.json({ error: 'Podaci o zgradi nisu konfigurisani' }, 400);
+    const building = c.get('building');
+
+    // Optional subset of apartments
+    const apartmentsParam = c.req.query('apartments');
+    const apartmentIds = apartmentsParam ? apartmentsParam.split(',').map((id) => parseInt(id, 10)) : null;
+    if (apartmentIds && apartmentIds.some((id) => !isInteger(id) || id < 1)) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    // Slips are printed from the stored billings for this month
+    const monthBillings = await getAllBillingsByMonth(c.env.DB, building.id, year, month);
+    const billings = apartmentIds
+      ? monthBillings.filter((billing) => apartmentIds.includes(billing.apartment_id))
+      : monthBillings;
+    if (billings.length === 0) {
+      return c.json({ error: `Nema zaduzenja za ${month}/${year}. Prvo generisite zaduzenja.` }, 404);
     }
 
-    // Get all apartments
-    const apartments = await getAllApartments(c.env.DB);
-    if (apartments.length === 0) {
-      return c.json({ error: 'Nema registrovanih stanova' }, 400);
+    // Check QR payloads before slips go out
+    const slips = buildSlips(billings, building);
+    const slipsError = await validateSlips(c, building, slips);
+    if (slipsError) {
+      return slipsError;
     }
 
     // Generate PDF
-    const pdfBuffer = await generatePaymentSlipsPDF(apartments, building, month, year);
+    const pdfBuffer = await generatePaymentSlipsPDF(slips, building);
     const filename = generatePDFFilename(month, year);
 
     // Return PDF
@@ -217,18 +839,128 @@ app.get('/pdf/:year/:month', authenticate, requireAdmin, async (c) => {
   }
 });
 
+/**
+ * GET /api/billings/:id/pdf
+ * Download PDF payment slip for a single billing
+ * Admin: any billing, user: only billings of the apartments linked to them
+ */
+app.get('/:id/pdf', authenticate, requireBuilding, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID zaduzenja' }, 400);
+    }
+
+    const building = c.get('building');
+    const billing = await getBillingById(c.env.DB, building.id, id);
+    if (!billing) {
+      return c.json({ error: 'Zaduzenje nije pronadjeno' }, 404);
+    }
+
+    if (billing.cancelled_at) {
+      return c.json({ error: 'Zaduzenje je stornirano' }, 400);
+    }
+
+    // Non-admin can only download the slips of their apartments
+    const accessError = await checkApartmentAccess(c, billing.apartment_id);
+    if (accessError) {
+      return accessError;
+    }
+
+    const slipsError = await validateSlips(c, building, [billing]);
+    if (slipsError) {
+      return slipsError;
+    }
+
+    const pdfBuffer = await generatePaymentSlipsPDF([billing], building);
+    const filename = generateSlipFilename(billing, 'uplatnica', 'pdf');
+
+    return new Response(pdfBuffer, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdfBuffer.byteLength.toString(),
+      },
+    });
+  } catch (err) {
+    console.error('Generate slip PDF error:', err);
+    return c.json({ error: 'Greska prilikom generisanja PDF-a' }, 500);
+  }
+});
+
+/**
+ * GET /api/billings/:id/qr
+ * Download NBS IPS QR code for a single billing as image
+ * Query: format=png (default) or svg
+ * Admin: any billing, user: only billings of the apartments linked to them
+ */
+app.get('/:id/qr', authenticate, requireBuilding, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const format = c.req.query('format') || 'png';
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID zaduzenja' }, 400);
+    }
+
+    if (format !== 'png' && format !== 'svg') {
+      return c.json({ error: 'Format mora biti png ili svg' }, 400);
+    }
+
+    const building = c.get('building');
+    const billing = await getBillingById(c.env.DB, building.id, id);
+    if (!billing) {
+      return c.json({ error: 'Zaduzenje nije pronadjeno' }, 404);
+    }
+
+    if (billing.cancelled_at) {
+      return c.json({ error: 'Zaduzenje je stornirano' }, 400);
+    }
+
+    // Non-admin can only download the QR codes of their apartments
+    const accessError = await checkApartmentAccess(c, billing.apartment_id);
+    if (accessError) {
+      return accessError;
+    }
+
+    const slipsError = await validateSlips(c, building, [billing]);
+    if (slipsError) {
+      return slipsError;
+    }
+
+    const matrix = generatePaymentQRCode(billing, building);
+    const filename = generateSlipFilename(billing, 'qr', format);
+    const body = format === 'svg' ? renderQRSvg(matrix) : renderQRPng(matrix);
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (err) {
+    console.error('Generate slip QR error:', err);
+    return c.json({ error: 'Greska prilikom generisanja QR koda' }, 500);
+  }
+});
+
 /**
  * GET /api/billings/months
- * Get list of months with existing billings (for dropdown)
+ * Get list of months with existing billings in the current building (for dropdown)
+ * Posted interest billings do not make a month.
  */
-app.get('/months', authenticate, async (c) => {
+app.get('/months', authenticate, requireBuilding, async (c) => {
   try {
     const months = await c.env.DB.prepare(`
       SELECT DISTINCT billing_year, billing_month, COUNT(*) as count
       FROM billings
+      WHERE building_id = ? AND billing_type = 'maintenance' AND cancelled_at IS NULL
       GROUP BY billing_year, billing_month
       ORDER BY billing_year DESC, billing_month DESC
-    `).all();
+    `)
+      .bind(c.get('building').id)
+      .all();
 
     return c.json(months.results);
   } catch (err) {
@@ -1,104 +1,135 @@
 import { Hono } from 'hono';
 import type { Env } from '../types';
-import { getBuilding, upsertBuilding } from '../db/queries';
-import { authenticate, requireAdmin } from '../middleware/auth';
-import { validationError, isNotEmpty, isPositiveNumber } from '../middleware/validation';
-import { formatForDisplay, isValidBankAccount } from '../services/bankAccount';
+import { getBuilding, updateBuilding, updateAmountRule, getUserById } from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { validationError } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import { parseBuildingInput } from '../services/building';
+import { getAmountRule, parseAmountRule } from '../services/amountRules';
+import { confirmTwoFactor } from '../services/twoFactor';
 
 const app = new Hono<{ Bindings: Env }>();
 
 /**
  * GET /api/building
- * Get building configuration
+ * Get configuration of the current building
  */
-app.get('/', authenticate, async (c) => {
-  try {
-    const building = await getBuilding(c.env.DB);
-
-    if (!building) {
-      return c.json({ error: 'Podaci o zgradi nisu konfigurisani' }, 404);
-    }
-
-    return c.json(building);
-  } catch (err) {
-    console.error('Get building error:', err);
-    return c.json({ error: 'Greska prilikom ucitavanja podataka o zgradi' }, 500);
-  }
+app.get('/', authenticate, requireBuilding, async (c) => {
+  return c.json(c.get('building'));
 });
 
 /**
  * PUT /api/building
- * Update building configuration (admin only)
+ * Update configuration of the current building (admin only)
+ * Changing the bank account needs two-factor authentication and a fresh code from the
+ * authenticator app in two_factor_code (403 with two_factor_code_required without one).
  */
-app.put('/', authenticate, requireAdmin, async (c) => {
+app.put('/', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const body = await c.req.json();
-    const { address, city, bank_account, default_amount, recipient_name, payment_purpose } = body;
-
-    // Validate input
-    const errors = [];
 
-    if (!address || !isNotEmpty(address)) {
-      errors.push({ field: 'address', message: 'Adresa je obavezna' });
-    } else if (address.length > 200) {
-      errors.push({ field: 'address', message: 'Adresa ne moze biti duza od 200 karaktera' });
+    // Validate input (and QR data printed on every slip)
+    const { data, errors } = parseBuildingInput(body);
+    if (!data) {
+      return validationError(c, errors);
     }
 
-    if (!city || !isNotEmpty(city)) {
-      errors.push({ field: 'city', message: 'Grad je obavezan' });
-    } else if (city.length > 100) {
-      errors.push({ field: 'city', message: 'Naziv grada ne moze biti duzi od 100 karaktera' });
+    const before = c.get('building');
+    const buildingId = before.id;
+
+    // Payments go to this account: a stolen session or password must not be enough to change it
+    const bankAccountChanged = data.bank_account.replace(/\D/g, '') !== before.bank_account.replace(/\D/g, '');
+    if (bankAccountChanged) {
+      const user = (await getUserById(c.env.DB, c.get('user').id))!;
+      if (!user.totp_enabled_at) {
+        return c.json({ error: 'Za promenu racuna zgrade morate ukljuciti dvofaktorsku potvrdu' }, 403);
+      }
+      if (!body.two_factor_code) {
+        return c.json(
+          { error: 'Unesite kod iz aplikacije za potvrdu promene racuna', two_factor_code_required: true },
+          403
+        );
+      }
+      const error = await confirmTwoFactor(c.env.DB, user, String(body.two_factor_code), false);
+      if (error) {
+        return validationError(c, [{ field: 'two_factor_code', message: error }]);
+      }
     }
 
-    if (!bank_account || !isNotEmpty(bank_account)) {
-      errors.push({ field: 'bank_account', message: 'Broj racuna je obavezan' });
-    } else if (!isValidBankAccount(bank_account)) {
-      errors.push({
-        field: 'bank_account',
-        message: 'Nevazeci format broja racuna (npr. 16054891267 ili 160-0000000548912-67)',
-      });
-    }
+    await updateBuilding(
+      c.env.DB,
+      buildingId,
+      data.address,
+      data.city,
+      data.bank_account,
+      data.default_amount,
+      data.recipient_name,
+      data.payment_purpose,
+      data.reference_model
+    );
 
-    if (!default_amount || !isPositiveNumber(default_amount)) {
-      errors.push({ field: 'default_amount', message: 'Iznos mora biti pozitivan broj' });
-    }
+    // Return updated building
+    const building = await getBuilding(c.env.DB, buildingId);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: buildingId,
+      before: before,
+      after: bankAccountChanged ? { ...building, two_factor_confirmed: true } : building,
+    });
+    return c.json(building);
+  } catch (err) {
+    console.error('Update building error:', err);
+    return c.json({ error: 'Greska prilikom azuriranja podataka o zgradi' }, 500);
+  }
+});
 
-    if (!recipient_name || !isNotEmpty(recipient_name)) {
-      errors.push({ field: 'recipient_name', message: 'Naziv primaoca je obavezan' });
-    } else if (recipient_name.length > 200) {
-      errors.push({ field: 'recipient_name', message: 'Naziv primaoca ne moze biti duzi od 200 karaktera' });
-    }
+/**
+ * GET /api/building/amount-rule
+ * Get the amount rule of the current building (admin only)
+ * Empty components: every apartment is billed the default amount.
+ */
+app.get('/amount-rule', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const building = c.get('building');
+    return c.json({ components: getAmountRule(building), default_amount: building.default_amount });
+  } catch (err) {
+    console.error('Get amount rule error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja nacina obracuna' }, 500);
+  }
+});
 
-    if (!payment_purpose || !isNotEmpty(payment_purpose)) {
-      errors.push({ field: 'payment_purpose', message: 'Svrha uplate je obavezna' });
-    } else if (payment_purpose.length > 200) {
-      errors.push({ field: 'payment_purpose', message: 'Svrha uplate ne moze biti duza od 200 karaktera' });
-    }
+/**
+ * PUT /api/building/amount-rule
+ * Update the amount rule of the current building (admin only)
+ * Body: { components: [{ basis, rate }] } - basis: fixed, area (per m2), occupants (per occupant)
+ * or share (rate is the amount for 100% of the building); components are summed per apartment
+ */
+app.put('/amount-rule', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
 
-    if (errors.length > 0) {
+    const { errors, components } = parseAmountRule(body.components);
+    if (!components) {
       return validationError(c, errors);
     }
 
-    // Format bank account before storing
-    const formattedBankAccount = formatForDisplay(bank_account);
+    const before = c.get('building');
+    await updateAmountRule(c.env.DB, before.id, components.length > 0 ? JSON.stringify(components) : null);
 
-    // Upsert building data
-    await upsertBuilding(
-      c.env.DB,
-      address.trim(),
-      city.trim(),
-      formattedBankAccount,
-      parseFloat(default_amount),
-      recipient_name.trim(),
-      payment_purpose.trim()
-    );
+    const building = await getBuilding(c.env.DB, before.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: before.id,
+      before: before,
+      after: building,
+    });
 
-    // Return updated building
-    const building = await getBuilding(c.env.DB);
-    return c.json(building);
+    return c.json({ message: 'Nacin obracuna je sacuvan', components: components });
   } catch (err) {
-    console.error('Update building error:', err);
-    return c.json({ error: 'Greska prilikom azuriranja podataka o zgradi' }, 500);
+    console.error('Update amount rule error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja nacina obracuna' }, 500);
   }
 });
 
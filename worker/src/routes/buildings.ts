@@ -0,0 +1,64 @@
+import { Hono } from 'hono';
+import type { Env } from '../types';
+import { getBuilding, getUserBuildings, insertBuilding } from '../db/queries';
+import { authenticate, requireSuperAdmin } from '../middleware/auth';
+import { validationError } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import { parseBuildingInput } from '../services/building';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * GET /api/buildings
+ * List buildings the user can access, with the user's role in each
+ */
+app.get('/', authenticate, async (c) => {
+  try {
+    const buildings = await getUserBuildings(c.env.DB, c.get('user'));
+    return c.json(buildings);
+  } catch (err) {
+    console.error('Get buildings error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja zgrada' }, 500);
+  }
+});
+
+/**
+ * POST /api/buildings
+ * Create new building (super-admin only)
+ */
+app.post('/', authenticate, requireSuperAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+
+    // Validate input (and QR data printed on every slip)
+    const { data, errors } = parseBuildingInput(body);
+    if (!data) {
+      return validationError(c, errors);
+    }
+
+    const result = await insertBuilding(
+      c.env.DB,
+      data.address,
+      data.city,
+      data.bank_account,
+      data.default_amount,
+      data.recipient_name,
+      data.payment_purpose,
+      data.reference_model
+    );
+
+    // Return created building
+    const building = await getBuilding(c.env.DB, result.meta.last_row_id);
+    await recordAudit(
+      c,
+      { action: 'create', entity_type: 'building', entity_id: result.meta.last_row_id, after: building },
+      result.meta.last_row_id
+    );
+    return c.json(building, 201);
+  } catch (err) {
+    console.error('Create building error:', err);
+    return c.json({ error: 'Greska prilikom kreiranja zgrade' }, 500);
+  }
+});
+
+export default app;
@@ -0,0 +1,243 @@
+import { Hono } from 'hono';
+import type { Env, Building, ChargeType } from '../types';
+import {
+  getBuilding,
+  updateSlipSettings,
+  getChargeTypes,
+  getChargeTypeById,
+  getChargeTypeByName,
+  insertChargeType,
+  updateChargeType,
+  isChargeTypeUsed,
+  deleteChargeType,
+} from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import { validationError, isNotEmpty, isInteger, isPositiveNumber } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { validateChargeIPS } from '../services/ipsValidator';
+import { DEFAULT_PAYMENT_CODE } from '../services/qrCode';
+
+const app = new Hono<{ Bindings: Env }>();
+
+type ChargeTypeData = Pick<ChargeType, 'name' | 'payment_purpose' | 'payment_code' | 'monthly_amount' | 'active'>;
+
+/**
+ * Validate charge type data from a request body
+ * Purpose, payment code and amount are checked as they end up in the QR code.
+ * @returns Errors, and the charge type data when there are none
+ */
+function parseChargeType(
+  body: Record<string, unknown>,
+  building: Building
+): { errors: ValidationError[]; chargeType: ChargeTypeData | null } {
+  const { name, payment_purpose, payment_code, monthly_amount, active = true } = body;
+  const errors: ValidationError[] = [];
+
+  if (typeof name !== 'string' || !isNotEmpty(name)) {
+    errors.push({ field: 'name', message: 'Naziv je obavezan' });
+  } else if (name.trim().length > 100) {
+    errors.push({ field: 'name', message: 'Naziv ne moze biti duzi od 100 karaktera' });
+  }
+
+  if (typeof payment_purpose !== 'string' || !isNotEmpty(payment_purpose)) {
+    errors.push({ field: 'payment_purpose', message: 'Svrha uplate je obavezna' });
+  }
+
+  if (payment_code !== undefined && typeof payment_code !== 'string') {
+    errors.push({ field: 'payment_code', message: 'Nevazeca sifra placanja' });
+  }
+
+  // Empty monthly amount: used for special assessments only
+  const hasMonthlyAmount = monthly_amount !== undefined && monthly_amount !== null && monthly_amount !== '';
+  if (hasMonthlyAmount && !isPositiveNumber(monthly_amount)) {
+    errors.push({ field: 'monthly_amount', message: 'Mesecni iznos mora biti pozitivan broj' });
+  }
+
+  if (errors.length > 0) {
+    return { errors: errors, chargeType: null };
+  }
+
+  const chargeType: ChargeTypeData = {
+    name: (name as string).trim(),
+    payment_purpose: (payment_purpose as string).trim(),
+    payment_code: (payment_code as string | undefined)?.trim() || DEFAULT_PAYMENT_CODE,
+    monthly_amount: hasMonthlyAmount ? parseFloat(String(monthly_amount)) : null,
+    active: active ? 1 : 0,
+  };
+
+  const ipsErrors = validateChargeIPS(
+    { ...chargeType, amount: chargeType.monthly_amount ?? building.default_amount },
+    building,
+    'monthly_amount'
+  );
+  return { errors: ipsErrors, chargeType: ipsErrors.length > 0 ? null : chargeType };
+}
+
+/**
+ * GET /api/charges/settings
+ * Get slip settings of the current building (admin only)
+ */
+app.get('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    return c.json({ combine_slips: c.get('building').combine_slips });
+  } catch (err) {
+    console.error('Get slip settings error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja podesavanja uplatnica' }, 500);
+  }
+});
+
+/**
+ * PUT /api/charges/settings
+ * Update slip settings of the current building (admin only)
+ * Body: { combine_slips } - print an apartment's billings of a month on one slip
+ */
+app.put('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const before = c.get('building');
+
+    await updateSlipSettings(c.env.DB, before.id, body.combine_slips ? 1 : 0);
+
+    const building = await getBuilding(c.env.DB, before.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: before.id,
+      before: before,
+      after: building,
+    });
+
+    return c.json({ message: 'Podesavanja uplatnica su sacuvana' });
+  } catch (err) {
+    console.error('Update slip settings error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja podesavanja uplatnica' }, 500);
+  }
+});
+
+/**
+ * GET /api/charges
+ * List charge types of the current building (admin only)
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const chargeTypes = await getChargeTypes(c.env.DB, c.get('building').id);
+    return c.json(chargeTypes);
+  } catch (err) {
+    console.error('Get charge types error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja vrsta zaduzenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/charges
+ * Create a charge type (admin only)
+ * Body: { name, payment_purpose, payment_code, monthly_amount, active }
+ * - payment_code: IPS payment code (default 289)
+ * - monthly_amount: billed to every apartment with the monthly billings (null = special assessments only)
+ */
+app.post('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const building = c.get('building');
+    const body = await c.req.json();
+
+    const { errors, chargeType } = parseChargeType(body, building);
+    if (!chargeType) {
+      return validationError(c, errors);
+    }
+
+    if (await getChargeTypeByName(c.env.DB, building.id, chargeType.name)) {
+      return validationError(c, [{ field: 'name', message: `Vrsta zaduzenja "${chargeType.name}" vec postoji` }]);
+    }
+
+    const result = await insertChargeType(c.env.DB, building.id, chargeType);
+    const created = await getChargeTypeById(c.env.DB, building.id, result.meta.last_row_id);
+    await recordAudit(c, { action: 'create', entity_type: 'charge_type', entity_id: created!.id, after: created });
+
+    return c.json({ message: 'Vrsta zaduzenja je dodata', charge_type: created }, 201);
+  } catch (err) {
+    console.error('Create charge type error:', err);
+    return c.json({ error: 'Greska prilikom dodavanja vrste zaduzenja' }, 500);
+  }
+});
+
+/**
+ * PUT /api/charges/:id
+ * Update a charge type (admin only)
+ * Billings already issued keep the purpose, payment code and amount they were issued with.
+ * Body: { name, payment_purpose, payment_code, monthly_amount, active }
+ */
+app.put('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID vrste zaduzenja' }, 400);
+    }
+
+    const building = c.get('building');
+    const existing = await getChargeTypeById(c.env.DB, building.id, id);
+    if (!existing) {
+      return c.json({ error: 'Vrsta zaduzenja nije pronadjena' }, 404);
+    }
+
+    const body = await c.req.json();
+    const { errors, chargeType } = parseChargeType(body, building);
+    if (!chargeType) {
+      return validationError(c, errors);
+    }
+
+    const sameName = await getChargeTypeByName(c.env.DB, building.id, chargeType.name);
+    if (sameName && sameName.id !== id) {
+      return validationError(c, [{ field: 'name', message: `Vrsta zaduzenja "${chargeType.name}" vec postoji` }]);
+    }
+
+    await updateChargeType(c.env.DB, id, chargeType);
+    const updated = await getChargeTypeById(c.env.DB, building.id, id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'charge_type',
+      entity_id: id,
+      before: existing,
+      after: updated,
+    });
+
+    return c.json({ message: 'Vrsta zaduzenja je sacuvana', charge_type: updated });
+  } catch (err) {
+    console.error('Update charge type error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja vrste zaduzenja' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/charges/:id
+ * Delete a charge type that was never billed (admin only); used types can only be deactivated
+ */
+app.delete('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID vrste zaduzenja' }, 400);
+    }
+
+    const chargeType = await getChargeTypeById(c.env.DB, c.get('building').id, id);
+    if (!chargeType) {
+      return c.json({ error: 'Vrsta zaduzenja nije pronadjena' }, 404);
+    }
+
+    if (await isChargeTypeUsed(c.env.DB, id)) {
+      return c.json({ error: 'Vrsta zaduzenja je vec koriscena. Umesto brisanja je deaktivirajte.' }, 400);
+    }
+
+    await deleteChargeType(c.env.DB, id);
+    await recordAudit(c, { action: 'delete', entity_type: 'charge_type', entity_id: id, before: chargeType });
+
+    return c.json({ message: 'Vrsta zaduzenja je obrisana' });
+  } catch (err) {
+    console.error('Delete charge type error:', err);
+    return c.json({ error: 'Greska prilikom brisanja vrste zaduzenja' }, 500);
+  }
+});
+
+export default app;
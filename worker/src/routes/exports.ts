@@ -0,0 +1,253 @@
+import { Hono } from 'hono';
+import type { Context } from 'hono';
+import type { Env } from '../types';
+import {
+  getAllApartments,
+  getApartmentById,
+  getApartmentsByUserId,
+  getAllBillings,
+  getAllPayments,
+  getApartmentHistory,
+  getApartmentOwners,
+  getLatestPeriodClose,
+  getOpeningBalances,
+} from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding, checkApartmentAccess } from '../middleware/auth';
+import type { ValidationError } from '../middleware/validation';
+import { validationError, isValidDate, isValidMonth, isValidYear, isInteger } from '../middleware/validation';
+import {
+  buildBalancesSheet,
+  buildPaymentsSheet,
+  buildBillingsSheet,
+  buildHistorySheet,
+  generateExportFilename,
+} from '../services/exports';
+import type { ExportFilter } from '../services/exports';
+import { SPREADSHEET_CONTENT_TYPES, writeSpreadsheet } from '../services/spreadsheet';
+import { withOwners } from '../services/ownership';
+import type { Spreadsheet, SpreadsheetFormat } from '../services/spreadsheet';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * Parse common export query parameters
+ * Query: format=csv (default) or xlsx, from/to=YYYY-MM-DD, apartments=1,2,3 (apartment IDs)
+ */
+function parseExportQuery(
+  c: Context<{ Bindings: Env }>
+): { format: SpreadsheetFormat; filter: ExportFilter; errors: ValidationError[] } {
+  const format = c.req.query('format') || 'csv';
+  const from = c.req.query('from') || null;
+  const to = c.req.query('to') || null;
+  const apartments = c.req.query('apartments');
+
+  const errors: ValidationError[] = [];
+
+  if (format !== 'csv' && format !== 'xlsx') {
+    errors.push({ field: 'format', message: 'Format mora biti csv ili xlsx' });
+  }
+
+  if (from && !isValidDate(from)) {
+    errors.push({ field: 'from', message: 'Nevazeci format datuma' });
+  }
+
+  if (to && !isValidDate(to)) {
+    errors.push({ field: 'to', message: 'Nevazeci format datuma' });
+  }
+
+  if (from && to && isValidDate(from) && isValidDate(to) && from > to) {
+    errors.push({ field: 'to', message: 'Krajnji datum ne moze biti pre pocetnog' });
+  }
+
+  let apartmentIds: number[] | null = null;
+  if (apartments) {
+    apartmentIds = apartments.split(',').map((id) => parseInt(id.trim(), 10));
+    if (apartmentIds.some((id) => !isInteger(id) || id < 1)) {
+      errors.push({ field: 'apartments', message: 'Nevazeci ID stana' });
+    }
+  }
+
+  return {
+    format: format as SpreadsheetFormat,
+    filter: { from: from, to: to, apartmentIds: apartmentIds },
+    errors: errors,
+  };
+}
+
+/**
+ * Limit filter to the apartments linked to the user (non-admin users)
+ * @returns Filter with only the user's apartments (no apartments if the user has none)
+ */
+async function restrictToOwnApartment(c: Context<{ Bindings: Env }>, filter: ExportFilter): Promise<ExportFilter> {
+  if (c.get('user').is_admin) {
+    return filter;
+  }
+
+  const apartments = await getApartmentsByUserId(c.env.DB, c.get('building').id, c.get('user').id);
+  const ownIds = apartments.map((apartment) => apartment.id);
+  return { ...filter, apartmentIds: filter.apartmentIds?.filter((id) => ownIds.includes(id)) ?? ownIds };
+}
+
+/**
+ * Build file download response for a spreadsheet
+ */
+function spreadsheetResponse(sheet: Spreadsheet, format: SpreadsheetFormat, filename: string): Response {
+  const body = writeSpreadsheet(sheet, format);
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': SPREADSHEET_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': body.byteLength.toString(),
+    },
+  });
+}
+
+/**
+ * GET /api/exports/balances
+ * Export balances of all apartments (admin only)
+ * With a date range: opening balance, charged and paid within the range, closing balance
+ */
+app.get('/balances', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const { format, filter, errors } = parseExportQuery(c);
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const buildingId = c.get('building').id;
+    const [apartments, billings, payments, close] = await Promise.all([
+      getAllApartments(c.env.DB, buildingId),
+      getAllBillings(c.env.DB, buildingId),
+      getAllPayments(c.env.DB, buildingId),
+      getLatestPeriodClose(c.env.DB, buildingId),
+    ]);
+    const periodClose = close ? { close: close, balances: await getOpeningBalances(c.env.DB, close.id) } : null;
+
+    const sheet = buildBalancesSheet(apartments, billings, payments, filter, periodClose);
+    return spreadsheetResponse(sheet, format, generateExportFilename('stanje', filter, format));
+  } catch (err) {
+    console.error('Export balances error:', err);
+    return c.json({ error: 'Greska prilikom izvoza stanja' }, 500);
+  }
+});
+
+/**
+ * GET /api/exports/payments
+ * Export payments (admin: all, user: own apartment)
+ */
+app.get('/payments', authenticate, requireBuilding, async (c) => {
+  try {
+    const { format, filter: query, errors } = parseExportQuery(c);
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const filter = await restrictToOwnApartment(c, query);
+    const buildingId = c.get('building').id;
+    const [payments, billings] = await Promise.all([
+      getAllPayments(c.env.DB, buildingId),
+      getAllBillings(c.env.DB, buildingId),
+    ]);
+
+    const sheet = buildPaymentsSheet(payments, billings, filter);
+    return spreadsheetResponse(sheet, format, generateExportFilename('uplate', filter, format));
+  } catch (err) {
+    console.error('Export payments error:', err);
+    return c.json({ error: 'Greska prilikom izvoza uplata' }, 500);
+  }
+});
+
+/**
+ * GET /api/exports/billings
+ * Export billings (admin: all, user: own apartment)
+ * Query: month & year for a single month, or from/to for a range of billing months
+ */
+app.get('/billings', authenticate, requireBuilding, async (c) => {
+  try {
+    const { format, filter: query, errors } = parseExportQuery(c);
+    const monthParam = c.req.query('month');
+    const yearParam = c.req.query('year');
+
+    let month: number | null = null;
+    let year: number | null = null;
+
+    if (monthParam || yearParam) {
+      month = parseInt(monthParam || '', 10);
+      year = parseInt(yearParam || '', 10);
+
+      if (!isValidMonth(month)) {
+        errors.push({ field: 'month', message: 'Mesec mora biti izmedju 1 i 12' });
+      }
+
+      if (!isValidYear(year)) {
+        errors.push({ field: 'year', message: 'Nevazeca godina' });
+      }
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    let filter = await restrictToOwnApartment(c, query);
+    let prefix = 'zaduzenja';
+    if (month && year) {
+      const period = `${year}-${String(month).padStart(2, '0')}-01`;
+      filter = { ...filter, from: period, to: period };
+      prefix = `zaduzenja_${year}_${String(month).padStart(2, '0')}`;
+    }
+
+    const billings = await getAllBillings(c.env.DB, c.get('building').id);
+
+    const sheet = buildBillingsSheet(billings, filter);
+    const filename = month && year ? `${prefix}.${format}` : generateExportFilename(prefix, filter, format);
+    return spreadsheetResponse(sheet, format, filename);
+  } catch (err) {
+    console.error('Export billings error:', err);
+    return c.json({ error: 'Greska prilikom izvoza zaduzenja' }, 500);
+  }
+});
+
+/**
+ * GET /api/exports/history/:apartmentId
+ * Export billing and payment history of an apartment with running balance
+ * Admin: any apartment, user: only their own apartment
+ */
+app.get('/history/:apartmentId', authenticate, requireBuilding, async (c) => {
+  try {
+    const apartmentId = parseInt(c.req.param('apartmentId'), 10);
+
+    if (!isInteger(apartmentId) || apartmentId < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const { format, filter, errors } = parseExportQuery(c);
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    // Check apartment exists
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, apartmentId);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    // Non-admin can only export their own apartment's history
+    const accessError = await checkApartmentAccess(c, apartmentId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const { history } = await getApartmentHistory(c.env.DB, apartmentId);
+    const owners = await getApartmentOwners(c.env.DB, apartmentId);
+
+    const sheet = buildHistorySheet(withOwners(history, owners), filter);
+    const prefix = `kartica_stan_${String(apartment.apartment_number).padStart(2, '0')}`;
+    return spreadsheetResponse(sheet, format, generateExportFilename(prefix, filter, format));
+  } catch (err) {
+    console.error('Export history error:', err);
+    return c.json({ error: 'Greska prilikom izvoza istorije' }, 500);
+  }
+});
+
+export default app;
@@ -0,0 +1,443 @@
+import { Hono } from 'hono';
+import type { Context } from 'hono';
+import type { Env } from '../types';
+import {
+  getBuilding,
+  getAllApartments,
+  getApartmentById,
+  getBillingById,
+  getInterestBillings,
+  insertInterestBillings,
+  cancelBilling,
+  getPostingsByInterestBilling,
+  updateInterestSettings,
+  getInterestRates,
+  getInterestRateById,
+  getInterestRateByDate,
+  insertInterestRate,
+  deleteInterestRate,
+  getLatestPeriodClose,
+} from '../db/queries';
+import {
+  authenticate,
+  requireAdmin,
+  requireBuilding,
+  requireSuperAdmin,
+  checkApartmentAccess,
+} from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import { validationError, isInteger, isNonNegativeNumber, isValidDate } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { INTEREST_METHODS, loadInterest, sumInterest } from '../services/interest';
+import { buildBillingSlipData } from '../services/billing';
+import { isClosedDate, isClosedPeriod, closedPeriodMessage, nextPeriod } from '../services/periods';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * Today as YYYY-MM-DD (UTC)
+ */
+function today(): string {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Calculation date from the date query parameter (default: today)
+ * @returns Date, or null if the parameter is not a valid date
+ */
+function getQueryDate(c: Context<{ Bindings: Env }>): string | null {
+  const date = c.req.query('date') || today();
+  return isValidDate(date) ? date : null;
+}
+
+/**
+ * GET /api/interest/settings
+ * Get due day and interest settings of the current building (admin only)
+ */
+app.get('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const building = c.get('building');
+
+    return c.json({
+      due_day: building.due_day,
+      interest_enabled: building.interest_enabled,
+      interest_method: building.interest_method,
+      interest_grace_days: building.interest_grace_days,
+    });
+  } catch (err) {
+    console.error('Get interest settings error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja podesavanja kamate' }, 500);
+  }
+});
+
+/**
+ * PUT /api/interest/settings
+ * Update due day and interest settings of the current building (admin only)
+ * Body: { due_day, interest_enabled, interest_method, interest_grace_days }
+ */
+app.put('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { due_day, interest_enabled, interest_method, interest_grace_days } = body;
+
+    const errors: ValidationError[] = [];
+
+    // Up to 28, so every month has the due day
+    if (!isInteger(due_day) || due_day < 1 || due_day > 28) {
+      errors.push({ field: 'due_day', message: 'Dan dospeca mora biti izmedju 1 i 28' });
+    }
+
+    if (!INTEREST_METHODS.includes(interest_method)) {
+      errors.push({ field: 'interest_method', message: 'Nevazeci nacin obracuna kamate' });
+    }
+
+    if (!isInteger(interest_grace_days) || interest_grace_days < 0 || interest_grace_days > 365) {
+      errors.push({ field: 'interest_grace_days', message: 'Broj dana odlaganja mora biti izmedju 0 i 365' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const before = c.get('building');
+
+    await updateInterestSettings(c.env.DB, before.id, {
+      due_day: parseInt(due_day, 10),
+      interest_enabled: interest_enabled ? 1 : 0,
+      interest_method: interest_method,
+      interest_grace_days: parseInt(interest_grace_days, 10),
+    });
+
+    const building = await getBuilding(c.env.DB, before.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: before.id,
+      before: before,
+      after: building,
+    });
+
+    return c.json({ message: 'Podesavanja kamate su sacuvana' });
+  } catch (err) {
+    console.error('Update interest settings error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja podesavanja kamate' }, 500);
+  }
+});
+
+/**
+ * GET /api/interest/rates
+ * List statutory interest rates, oldest first (admin only)
+ */
+app.get('/rates', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const rates = await getInterestRates(c.env.DB);
+    return c.json(rates);
+  } catch (err) {
+    console.error('Get interest rates error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja kamatnih stopa' }, 500);
+  }
+});
+
+/**
+ * POST /api/interest/rates
+ * Add a statutory interest rate, valid from a date until the next rate (super admin only)
+ * Rates are shared by all buildings.
+ * Body: { valid_from, annual_rate } - annual_rate in percent
+ */
+app.post('/rates', authenticate, requireBuilding, requireSuperAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { valid_from, annual_rate } = body;
+
+    const errors: ValidationError[] = [];
+
+    if (!valid_from || !isValidDate(valid_from)) {
+      errors.push({ field: 'valid_from', message: 'Nevazeci format datuma' });
+    }
+
+    if (typeof annual_rate !== 'number' || !isNonNegativeNumber(annual_rate) || annual_rate > 100) {
+      errors.push({ field: 'annual_rate', message: 'Stopa mora biti izmedju 0 i 100%' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    if (await getInterestRateByDate(c.env.DB, valid_from)) {
+      return validationError(c, [{ field: 'valid_from', message: `Stopa od ${valid_from} vec postoji` }]);
+    }
+
+    const result = await insertInterestRate(c.env.DB, valid_from, annual_rate);
+    const rate = await getInterestRateById(c.env.DB, result.meta.last_row_id);
+    await recordAudit(c, { action: 'create', entity_type: 'interest_rate', entity_id: rate!.id, after: rate });
+
+    return c.json({ message: 'Kamatna stopa je dodata', rate: rate }, 201);
+  } catch (err) {
+    console.error('Create interest rate error:', err);
+    return c.json({ error: 'Greska prilikom dodavanja kamatne stope' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/interest/rates/:id
+ * Delete a statutory interest rate (super admin only)
+ */
+app.delete('/rates/:id', authenticate, requireBuilding, requireSuperAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stope' }, 400);
+    }
+
+    const rate = await getInterestRateById(c.env.DB, id);
+    if (!rate) {
+      return c.json({ error: 'Kamatna stopa nije pronadjena' }, 404);
+    }
+
+    await deleteInterestRate(c.env.DB, id);
+    await recordAudit(c, { action: 'delete', entity_type: 'interest_rate', entity_id: id, before: rate });
+
+    return c.json({ message: 'Kamatna stopa je obrisana' });
+  } catch (err) {
+    console.error('Delete interest rate error:', err);
+    return c.json({ error: 'Greska prilikom brisanja kamatne stope' }, 500);
+  }
+});
+
+/**
+ * GET /api/interest
+ * Accrued interest of all apartments of the current building up to a date (admin only)
+ * Query: date (YYYY-MM-DD, default today)
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const date = getQueryDate(c);
+    if (!date) {
+      return c.json({ error: 'Nevazeci format datuma' }, 400);
+    }
+
+    const building = c.get('building');
+    const [apartments, lines] = await Promise.all([
+      getAllApartments(c.env.DB, building.id),
+      loadInterest(c.env.DB, building, date),
+    ]);
+
+    const apartmentTotals = apartments
+      .map((apartment) => ({
+        apartment_id: apartment.id,
+        apartment_number: apartment.apartment_number,
+        owner_name: apartment.owner_name,
+        ...sumInterest(lines.filter((line) => line.apartment_id === apartment.id)),
+      }))
+      .filter((apartment) => apartment.accrued > 0 || apartment.posted > 0);
+
+    return c.json({
+      date: date,
+      enabled: !!building.interest_enabled,
+      apartments: apartmentTotals,
+      ...sumInterest(lines),
+    });
+  } catch (err) {
+    console.error('Get interest error:', err);
+    return c.json({ error: 'Greska prilikom obracuna kamate' }, 500);
+  }
+});
+
+/**
+ * GET /api/interest/apartment/:apartmentId
+ * Accrued interest of an apartment per overdue billing up to a date
+ * Admin: any apartment, user: only the apartments linked to them
+ * Query: date (YYYY-MM-DD, default today)
+ */
+app.get('/apartment/:apartmentId', authenticate, requireBuilding, async (c) => {
+  try {
+    const apartmentId = parseInt(c.req.param('apartmentId'), 10);
+
+    if (!isInteger(apartmentId) || apartmentId < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const date = getQueryDate(c);
+    if (!date) {
+      return c.json({ error: 'Nevazeci format datuma' }, 400);
+    }
+
+    const building = c.get('building');
+    const apartment = await getApartmentById(c.env.DB, building.id, apartmentId);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    const accessError = await checkApartmentAccess(c, apartmentId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const lines = await loadInterest(c.env.DB, building, date, apartmentId);
+
+    return c.json({
+      apartment_id: apartmentId,
+      apartment_number: apartment.apartment_number,
+      owner_name: apartment.owner_name,
+      date: date,
+      enabled: !!building.interest_enabled,
+      lines: lines,
+      ...sumInterest(lines),
+    });
+  } catch (err) {
+    console.error('Get apartment interest error:', err);
+    return c.json({ error: 'Greska prilikom obracuna kamate' }, 500);
+  }
+});
+
+/**
+ * POST /api/interest/post
+ * Post interest accrued up to a date and not posted yet as interest billings (admin only)
+ * One interest billing per apartment in the month after the date, so it falls due
+ * with the next billing cycle; apartments that already have an interest billing in
+ * that month are skipped.
+ * Body: { date } - YYYY-MM-DD, not in the future (default today)
+ */
+app.post('/post', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { date = today() } = body;
+
+    if (!isValidDate(date)) {
+      return validationError(c, [{ field: 'date', message: 'Nevazeci format datuma' }]);
+    }
+
+    if (date > today()) {
+      return validationError(c, [{ field: 'date', message: 'Kamata se ne moze proknjiziti unapred' }]);
+    }
+
+    const building = c.get('building');
+    if (!building.interest_enabled) {
+      return c.json({ error: 'Obracun kamate nije ukljucen' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedDate(periodClose, date)) {
+      return validationError(c, [{ field: 'date', message: closedPeriodMessage(periodClose!) }]);
+    }
+
+    const { year, month } = nextPeriod(parseInt(date.slice(0, 4), 10), parseInt(date.slice(5, 7), 10));
+
+    const [apartments, lines, existing] = await Promise.all([
+      getAllApartments(c.env.DB, building.id),
+      loadInterest(c.env.DB, building, date),
+      getInterestBillings(c.env.DB, building.id, year, month),
+    ]);
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const apartment of apartments) {
+      const unposted = lines.filter((line) => line.apartment_id === apartment.id && line.unposted > 0);
+      const total = sumInterest(unposted).unposted;
+      if (total <= 0) continue;
+
+      if (existing.some((billing) => billing.apartment_id === apartment.id)) {
+        skipped++;
+        continue;
+      }
+
+      entries.push({
+        apartment: apartment,
+        billing: buildBillingSlipData(apartment, building, year, month, total),
+        postings: unposted.map((line) => ({ billing_id: line.billing_id, amount: line.unposted })),
+      });
+    }
+
+    if (entries.length > 0) {
+      await insertInterestBillings(c.env.DB, entries, date);
+    }
+
+    const posted = (await getInterestBillings(c.env.DB, building.id, year, month)).filter(
+      (billing) => !existing.some((e) => e.id === billing.id)
+    );
+    await recordAudit(
+      c,
+      await Promise.all(
+        posted.map(async (billing) => ({
+          action: 'create' as const,
+          entity_type: 'billing' as const,
+          entity_id: billing.id,
+          after: { ...billing, postings: await getPostingsByInterestBilling(c.env.DB, billing.id) },
+        }))
+      )
+    );
+
+    const total = Math.round(posted.reduce((sum, billing) => sum + billing.amount, 0) * 100) / 100;
+    return c.json(
+      {
+        message: `Proknjizena kamata za ${posted.length} stanova (${total} RSD)` +
+          (skipped > 0 ? `, preskoceno ${skipped} stanova sa vec proknjizenom kamatom za ${month}/${year}` : ''),
+        posted: posted.length,
+        skipped: skipped,
+        total: total,
+      },
+      201
+    );
+  } catch (err) {
+    console.error('Post interest error:', err);
+    return c.json({ error: 'Greska prilikom knjizenja kamate' }, 500);
+  }
+});
+
+/**
+ * POST /api/interest/billings/:id/cancel
+ * Cancel a posted interest billing (admin only)
+ * Its interest counts as not posted again and can be posted anew.
+ * Body: { reason }
+ */
+app.post('/billings/:id/cancel', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID zaduzenja' }, 400);
+    }
+
+    const body = await c.req.json();
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    if (!reason) {
+      return validationError(c, [{ field: 'reason', message: 'Razlog storniranja je obavezan' }]);
+    }
+
+    const buildingId = c.get('building').id;
+    const billing = await getBillingById(c.env.DB, buildingId, id);
+    if (!billing || billing.billing_type !== 'interest') {
+      return c.json({ error: 'Zaduzenje za kamatu nije pronadjeno' }, 404);
+    }
+
+    if (billing.cancelled_at) {
+      return c.json({ error: 'Zaduzenje je vec stornirano' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedPeriod(periodClose, billing.billing_year, billing.billing_month)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    await cancelBilling(c.env.DB, id, c.get('user').id, reason);
+
+    const cancelled = await getBillingById(c.env.DB, buildingId, id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'billing',
+      entity_id: id,
+      before: billing,
+      after: cancelled,
+    });
+
+    return c.json({ message: 'Zaduzenje za kamatu je stornirano' });
+  } catch (err) {
+    console.error('Cancel interest billing error:', err);
+    return c.json({ error: 'Greska prilikom storniranja kamate' }, 500);
+  }
+});
+
+export default app;
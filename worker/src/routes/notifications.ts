@@ -0,0 +1,167 @@
+import { Hono } from 'hono';
+import type { Env } from '../types';
+import { getAllBillingsByMonth, getNotificationById, getNotificationsByMonth } from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { validationError, isValidMonth, isValidYear, isInteger } from '../middleware/validation';
+import { createMailTransport } from '../services/mailTransport';
+import {
+  deliverNotification,
+  getMaxAttempts,
+  retryFailedNotifications,
+  sendBillingNotifications,
+} from '../services/notifications';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * GET /api/notifications/config
+ * Email delivery configuration (admin only)
+ */
+app.get('/config', authenticate, requireBuilding, requireAdmin, async (c) => {
+  return c.json({
+    enabled: !!c.env.MAIL_TRANSPORT,
+    transport: c.env.MAIL_TRANSPORT || null,
+    max_attempts: getMaxAttempts(c.env),
+  });
+});
+
+/**
+ * GET /api/notifications?year=2026&month=2
+ * List email notifications for a billing month (admin only)
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const year = c.req.query('year');
+    const month = c.req.query('month');
+
+    const errors = [];
+
+    if (!isValidYear(year)) {
+      errors.push({ field: 'year', message: 'Nevazeca godina' });
+    }
+
+    if (!isValidMonth(month)) {
+      errors.push({ field: 'month', message: 'Mesec mora biti izmedju 1 i 12' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const notifications = await getNotificationsByMonth(
+      c.env.DB,
+      c.get('building').id,
+      parseInt(year!, 10),
+      parseInt(month!, 10)
+    );
+    return c.json(notifications);
+  } catch (err) {
+    console.error('Get notifications error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja obavestenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/notifications/send/:year/:month
+ * Email slips for an existing billing month (admin only)
+ * Residents already reached are not emailed again
+ */
+app.post('/send/:year/:month', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const year = parseInt(c.req.param('year'), 10);
+    const month = parseInt(c.req.param('month'), 10);
+
+    if (!isValidYear(year) || !isValidMonth(month)) {
+      return c.json({ error: 'Nevazeca godina ili mesec' }, 400);
+    }
+
+    const transport = createMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Slanje e-poste nije podeseno (MAIL_TRANSPORT)' }, 400);
+    }
+
+    const building = c.get('building');
+
+    const billings = await getAllBillingsByMonth(c.env.DB, building.id, year, month);
+    if (billings.length === 0) {
+      return c.json({ error: `Nema zaduzenja za ${month}/${year}. Prvo generisite zaduzenja.` }, 404);
+    }
+
+    const summary = await sendBillingNotifications(c.env, transport, billings, building);
+
+    return c.json({
+      message: `Poslato ${summary.sent}, neuspesno ${summary.failed}, bez korisnika ${summary.skipped}`,
+      ...summary,
+    });
+  } catch (err) {
+    console.error('Send notifications error:', err);
+    return c.json({ error: 'Greska prilikom slanja obavestenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/notifications/retry
+ * Retry failed notifications below the attempt limit (admin only)
+ */
+app.post('/retry', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const transport = createMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Slanje e-poste nije podeseno (MAIL_TRANSPORT)' }, 400);
+    }
+
+    const building = c.get('building');
+
+    const summary = await retryFailedNotifications(c.env, transport, building);
+
+    return c.json({
+      message: `Poslato ${summary.sent}, neuspesno ${summary.failed}, bez korisnika ${summary.skipped}`,
+      ...summary,
+    });
+  } catch (err) {
+    console.error('Retry notifications error:', err);
+    return c.json({ error: 'Greska prilikom ponovnog slanja obavestenja' }, 500);
+  }
+});
+
+/**
+ * POST /api/notifications/:id/retry
+ * Send one notification again, regardless of the attempt limit (admin only)
+ */
+app.post('/:id/retry', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID obavestenja' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const notification = await getNotificationById(c.env.DB, buildingId, id);
+    if (!notification) {
+      return c.json({ error: 'Obavestenje nije pronadjeno' }, 404);
+    }
+
+    if (notification.status === 'sent') {
+      return c.json({ error: 'Obavestenje je vec poslato' }, 400);
+    }
+
+    const transport = createMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Slanje e-poste nije podeseno (MAIL_TRANSPORT)' }, 400);
+    }
+
+    const status = await deliverNotification(c.env, transport, notification, c.get('building'));
+    const updated = await getNotificationById(c.env.DB, buildingId, id);
+
+    return c.json({
+      message: status === 'sent' ? 'Obavestenje je poslato' : 'Obavestenje nije poslato',
+      notification: updated,
+    });
+  } catch (err) {
+    console.error('Retry notification error:', err);
+    return c.json({ error: 'Greska prilikom slanja obavestenja' }, 500);
+  }
+});
+
+export default app;
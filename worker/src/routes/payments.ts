@@ -1,47 +1,150 @@
 import { Hono } from 'hono';
-import type { Env } from '../types';
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, PaymentAllocation } from '../types';
 import {
   getAllApartments,
   getApartmentById,
-  getApartmentByUserId,
+  getApartmentsByUserId,
   getPaymentsByApartment,
   getAllPayments,
   insertPayment,
-  deletePayment,
+  voidPayment,
+  restorePayment,
   getPaymentById,
   getBillingById,
+  getPaymentAllocations,
+  replacePaymentAllocations,
   calculateBalance,
+  getApartmentHistory,
+  getApartmentOwners,
+  getLatestPeriodClose,
 } from '../db/queries';
-import { authenticate, requireAdmin } from '../middleware/auth';
+import { authenticate, requireAdmin, requireBuilding, checkApartmentAccess } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
 import {
   validationError,
   isPositiveNumber,
   isValidDate,
   isInteger,
 } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { isClosedDate, closedPeriodMessage } from '../services/periods';
+import {
+  loadAllocation,
+  getPaymentAllocationDetails,
+  getUnpaidBillings,
+  getCredit,
+} from '../services/allocation';
+import { loadInterest, sumInterest } from '../services/interest';
+import { splitBalance, withOwners } from '../services/ownership';
 
 const app = new Hono<{ Bindings: Env }>();
 
+/**
+ * Validate manual allocations of a payment to billings of its apartment
+ * @param allocations - Requested allocations ([{ billing_id, amount }])
+ */
+async function validateAllocations(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: number,
+  amount: number,
+  allocations: unknown
+): Promise<ValidationError[]> {
+  if (!Array.isArray(allocations)) {
+    return [{ field: 'allocations', message: 'Nevazeca raspodela uplate' }];
+  }
+
+  const errors: ValidationError[] = [];
+  const billingIds = new Set<number>();
+  let total = 0;
+
+  for (const allocation of allocations) {
+    const field = `allocation_${allocation?.billing_id}`;
+
+    if (!isInteger(allocation?.billing_id) || allocation.billing_id < 1) {
+      errors.push({ field: 'allocations', message: 'Nevazeci ID zaduzenja' });
+      continue;
+    }
+
+    if (typeof allocation.amount !== 'number' || !isPositiveNumber(allocation.amount)) {
+      errors.push({ field: field, message: 'Iznos mora biti pozitivan broj' });
+      continue;
+    }
+
+    const billing = await getBillingById(db, buildingId, allocation.billing_id);
+    if (!billing || billing.apartment_id !== apartmentId) {
+      errors.push({ field: field, message: 'Zaduzenje ne pripada odabranom stanu' });
+      continue;
+    }
+
+    const period = `${billing.billing_month}/${billing.billing_year}`;
+    if (billing.cancelled_at) {
+      errors.push({ field: field, message: `Zaduzenje ${period} je stornirano` });
+    } else if (billingIds.has(billing.id)) {
+      errors.push({ field: field, message: `Zaduzenje ${period} je navedeno vise puta` });
+    } else if (allocation.amount > billing.amount) {
+      errors.push({ field: field, message: `Iznos je veci od zaduzenja ${period}` });
+    }
+
+    billingIds.add(allocation.billing_id);
+    total += allocation.amount;
+  }
+
+  if (errors.length === 0 && Math.round(total * 100) > Math.round(amount * 100)) {
+    errors.push({ field: 'allocations', message: 'Raspodela je veca od iznosa uplate' });
+  }
+
+  return errors;
+}
+
+/**
+ * Payment with its manual allocations (audit log snapshot)
+ */
+async function getPaymentSnapshot(db: D1Database, buildingId: number, id: number) {
+  const payment = await getPaymentById(db, buildingId, id);
+  const allocations = (await getPaymentAllocations(db, buildingId, payment!.apartment_id))
+    .filter((allocation) => allocation.payment_id === id)
+    .map((allocation) => ({ billing_id: allocation.billing_id, amount: allocation.amount }));
+  return { ...payment, allocations: allocations };
+}
+
 /**
  * GET /api/payments
- * List payments (admin: all, user: own payments)
+ * List payments of the current building (admin: all, user: payments of the apartments linked to them)
+ * Each payment has its allocations to billings and the unallocated amount (credit).
  */
-app.get('/', authenticate, async (c) => {
+app.get('/', authenticate, requireBuilding, async (c) => {
   try {
     const user = c.get('user');
+    const building = c.get('building');
 
     if (user.is_admin) {
-      const payments = await getAllPayments(c.env.DB);
-      return c.json(payments);
+      const payments = await getAllPayments(c.env.DB, building.id);
+      const allocation = await loadAllocation(c.env.DB, building.id);
+      return c.json(
+        payments.map((payment) => ({
+          ...payment,
+          allocations: getPaymentAllocationDetails(allocation, payment.id),
+          unallocated_amount: allocation.unallocated.get(payment.id) ?? 0,
+        }))
+      );
     }
 
-    // Regular user: get their own apartment's payments
-    const apartment = await getApartmentByUserId(c.env.DB, user.id);
-    if (!apartment) {
-      return c.json([]);
+    // Regular user: get the payments of the apartments linked to their account
+    const apartments = await getApartmentsByUserId(c.env.DB, building.id, user.id);
+    const payments = [];
+    for (const apartment of apartments) {
+      const apartmentPayments = await getPaymentsByApartment(c.env.DB, apartment.id);
+      const allocation = await loadAllocation(c.env.DB, building.id, apartment.id);
+      payments.push(
+        ...apartmentPayments.map((payment) => ({
+          ...payment,
+          allocations: getPaymentAllocationDetails(allocation, payment.id),
+          unallocated_amount: allocation.unallocated.get(payment.id) ?? 0,
+        }))
+      );
     }
-
-    const payments = await getPaymentsByApartment(c.env.DB, apartment.id);
     return c.json(payments);
   } catch (err) {
     console.error('Get payments error:', err);
@@ -52,11 +155,14 @@ app.get('/', authenticate, async (c) => {
 /**
  * POST /api/payments
  * Record a new payment (admin only)
+ * Body: { apartment_id, amount, payment_date, billing_id, allocations, notes }
+ * allocations ([{ billing_id, amount }]) splits the payment manually, billing_id allocates it to one
+ * billing; the rest goes to the oldest unpaid billings.
  */
-app.post('/', authenticate, requireAdmin, async (c) => {
+app.post('/', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const body = await c.req.json();
-    const { apartment_id, amount, payment_date, billing_id, notes } = body;
+    const { apartment_id, amount, payment_date, billing_id, allocations, notes } = body;
 
     // Validate input
     const errors = [];
@@ -85,21 +191,50 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       return validationError(c, errors);
     }
 
+    const building = c.get('building');
+
+    // Payments in a closed period can no longer be recorded
+    const periodClose = await getLatestPeriodClose(c.env.DB, building.id);
+    if (isClosedDate(periodClose, payment_date)) {
+      return validationError(c, [{ field: 'payment_date', message: closedPeriodMessage(periodClose!) }]);
+    }
+
     // Verify apartment exists
-    const apartment = await getApartmentById(c.env.DB, apartment_id);
+    const apartment = await getApartmentById(c.env.DB, building.id, apartment_id);
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 400);
     }
 
     // Verify billing exists if provided
     if (billing_id) {
-      const billing = await getBillingById(c.env.DB, billing_id);
+      const billing = await getBillingById(c.env.DB, building.id, billing_id);
       if (!billing) {
         return c.json({ error: 'Zaduzenje nije pronadjeno' }, 400);
       }
       if (billing.apartment_id !== apartment_id) {
         return c.json({ error: 'Zaduzenje ne pripada odabranom stanu' }, 400);
       }
+      if (billing.cancelled_at) {
+        return c.json({ error: 'Zaduzenje je stornirano' }, 400);
+      }
+    }
+
+    let manualAllocations: Omit<PaymentAllocation, 'payment_id'>[] = [];
+    if (allocations !== undefined && allocations !== null) {
+      const allocationErrors = await validateAllocations(
+        c.env.DB,
+        building.id,
+        apartment_id,
+        parseFloat(amount),
+        allocations
+      );
+      if (allocationErrors.length > 0) {
+        return validationError(c, allocationErrors);
+      }
+      manualAllocations = allocations.map((a: PaymentAllocation) => ({ billing_id: a.billing_id, amount: a.amount }));
+    } else if (billing_id) {
+      const billing = await getBillingById(c.env.DB, building.id, billing_id);
+      manualAllocations = [{ billing_id: billing_id, amount: Math.min(parseFloat(amount), billing!.amount) }];
     }
 
     const user = c.get('user');
@@ -107,6 +242,7 @@ app.post('/', authenticate, requireAdmin, async (c) => {
     // Insert payment
     const result = await insertPayment(
       c.env.DB,
+      building.id,
       apartment_id,
       parseFloat(amount),
       payment_date,
@@ -115,6 +251,10 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       user.id
     );
 
+    if (manualAllocations.length > 0) {
+      await replacePaymentAllocations(c.env.DB, result.meta.last_row_id, manualAllocations);
+    }
+
     // Return created payment with apartment info
     const payment = await c.env.DB.prepare(`
       SELECT p.*, a.apartment_number, a.owner_name, u.name as recorded_by_name
@@ -126,6 +266,12 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       .bind(result.meta.last_row_id)
       .first();
 
+    await recordAudit(c, {
+      action: 'create',
+      entity_type: 'payment',
+      entity_id: result.meta.last_row_id,
+      after: await getPaymentSnapshot(c.env.DB, building.id, result.meta.last_row_id),
+    });
     return c.json(payment, 201);
   } catch (err) {
     console.error('Create payment error:', err);
@@ -134,10 +280,69 @@ app.post('/', authenticate, requireAdmin, async (c) => {
 });
 
 /**
- * DELETE /api/payments/:id
- * Delete a payment (admin only)
+ * POST /api/payments/:id/void
+ * Void a payment (admin only)
+ * The payment is kept for the history and excluded from balances.
+ * Body: { reason }
+ */
+app.post('/:id/void', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID uplate' }, 400);
+    }
+
+    const body = await c.req.json();
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    // Validate input
+    const errors = [];
+
+    if (!reason) {
+      errors.push({ field: 'reason', message: 'Razlog storniranja je obavezan' });
+    } else if (reason.length > 500) {
+      errors.push({ field: 'reason', message: 'Razlog ne moze biti duzi od 500 karaktera' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const buildingId = c.get('building').id;
+
+    // Check payment exists
+    const payment = await getPaymentById(c.env.DB, buildingId, id);
+    if (!payment) {
+      return c.json({ error: 'Uplata nije pronadjena' }, 404);
+    }
+
+    if (payment.voided_at) {
+      return c.json({ error: 'Uplata je vec stornirana' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedDate(periodClose, payment.payment_date)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    await voidPayment(c.env.DB, id, c.get('user').id, reason);
+
+    const voided = await getPaymentById(c.env.DB, buildingId, id);
+    await recordAudit(c, { action: 'update', entity_type: 'payment', entity_id: id, before: payment, after: voided });
+
+    return c.json({ message: 'Uplata je stornirana', payment: voided });
+  } catch (err) {
+    console.error('Void payment error:', err);
+    return c.json({ error: 'Greska prilikom storniranja uplate' }, 500);
+  }
+});
+
+/**
+ * POST /api/payments/:id/restore
+ * Restore a voided payment (admin only)
  */
-app.delete('/:id', authenticate, requireAdmin, async (c) => {
+app.post('/:id/restore', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -145,26 +350,173 @@ app.delete('/:id', authenticate, requireAdmin, async (c) => {
       return c.json({ error: 'Nevazeci ID uplate' }, 400);
     }
 
+    const buildingId = c.get('building').id;
+
     // Check payment exists
-    const payment = await getPaymentById(c.env.DB, id);
+    const payment = await getPaymentById(c.env.DB, buildingId, id);
     if (!payment) {
       return c.json({ error: 'Uplata nije pronadjena' }, 404);
     }
 
-    await deletePayment(c.env.DB, id);
+    if (!payment.voided_at) {
+      return c.json({ error: 'Uplata nije stornirana' }, 400);
+    }
 
-    return c.json({ message: 'Uplata je uspesno obrisana' });
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedDate(periodClose, payment.payment_date)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    await restorePayment(c.env.DB, id);
+
+    const restored = await getPaymentById(c.env.DB, buildingId, id);
+    await recordAudit(c, { action: 'update', entity_type: 'payment', entity_id: id, before: payment, after: restored });
+
+    return c.json({ message: 'Uplata je vracena', payment: restored });
   } catch (err) {
-    console.error('Delete payment error:', err);
-    return c.json({ error: 'Greska prilikom brisanja uplate' }, 500);
+    console.error('Restore payment error:', err);
+    return c.json({ error: 'Greska prilikom vracanja uplate' }, 500);
+  }
+});
+
+/**
+ * GET /api/payments/:id/allocations
+ * Billings a payment is allocated to (admin only)
+ */
+app.get('/:id/allocations', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID uplate' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const payment = await getPaymentById(c.env.DB, buildingId, id);
+    if (!payment) {
+      return c.json({ error: 'Uplata nije pronadjena' }, 404);
+    }
+
+    const allocation = await loadAllocation(c.env.DB, buildingId, payment.apartment_id);
+
+    return c.json({
+      payment_id: id,
+      allocations: getPaymentAllocationDetails(allocation, id),
+      unallocated_amount: allocation.unallocated.get(id) ?? 0,
+    });
+  } catch (err) {
+    console.error('Get payment allocations error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja raspodele uplate' }, 500);
+  }
+});
+
+/**
+ * PUT /api/payments/:id/allocations
+ * Set manual allocations of a payment (admin only)
+ * Body: { allocations: [{ billing_id, amount }] } - empty list allocates the payment oldest-first
+ */
+app.put('/:id/allocations', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID uplate' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const payment = await getPaymentById(c.env.DB, buildingId, id);
+    if (!payment) {
+      return c.json({ error: 'Uplata nije pronadjena' }, 404);
+    }
+
+    if (payment.voided_at) {
+      return c.json({ error: 'Uplata je stornirana' }, 400);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedDate(periodClose, payment.payment_date)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const body = await c.req.json();
+    const { allocations } = body;
+
+    const errors = await validateAllocations(c.env.DB, buildingId, payment.apartment_id, payment.amount, allocations);
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const before = await getPaymentSnapshot(c.env.DB, buildingId, id);
+    await replacePaymentAllocations(
+      c.env.DB,
+      id,
+      allocations.map((a: PaymentAllocation) => ({ billing_id: a.billing_id, amount: a.amount }))
+    );
+    const after = await getPaymentSnapshot(c.env.DB, buildingId, id);
+    await recordAudit(c, { action: 'update', entity_type: 'payment', entity_id: id, before: before, after: after });
+
+    const allocation = await loadAllocation(c.env.DB, buildingId, payment.apartment_id);
+
+    return c.json({
+      message: 'Raspodela uplate je sacuvana',
+      payment_id: id,
+      allocations: getPaymentAllocationDetails(allocation, id),
+      unallocated_amount: allocation.unallocated.get(id) ?? 0,
+    });
+  } catch (err) {
+    console.error('Update payment allocations error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja raspodele uplate' }, 500);
+  }
+});
+
+/**
+ * GET /api/payments/unpaid/:apartmentId
+ * Unpaid and partially paid months of an apartment, oldest first, with its credit
+ */
+app.get('/unpaid/:apartmentId', authenticate, requireBuilding, async (c) => {
+  try {
+    const apartmentId = parseInt(c.req.param('apartmentId'), 10);
+
+    if (!isInteger(apartmentId) || apartmentId < 1) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    // Check apartment exists
+    const buildingId = c.get('building').id;
+    const apartment = await getApartmentById(c.env.DB, buildingId, apartmentId);
+    if (!apartment) {
+      return c.json({ error: 'Stan nije pronadjen' }, 404);
+    }
+
+    // Non-admin can only view their apartments
+    const accessError = await checkApartmentAccess(c, apartmentId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const allocation = await loadAllocation(c.env.DB, buildingId, apartmentId);
+    const months = getUnpaidBillings(allocation);
+
+    return c.json({
+      apartment_id: apartmentId,
+      apartment_number: apartment.apartment_number,
+      owner_name: apartment.owner_name,
+      months: months,
+      total_unpaid: Math.round(months.reduce((sum, month) => sum + month.unpaid_amount, 0) * 100) / 100,
+      credit: getCredit(allocation),
+    });
+  } catch (err) {
+    console.error('Get unpaid months error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja neplacenih meseci' }, 500);
   }
 });
 
 /**
  * GET /api/payments/balance/:apartmentId
  * Get balance for a specific apartment
+ * owners: the balance split between the apartment's owners (billings by billing month, payments by date)
  */
-app.get('/balance/:apartmentId', authenticate, async (c) => {
+app.get('/balance/:apartmentId', authenticate, requireBuilding, async (c) => {
   try {
     const apartmentId = parseInt(c.req.param('apartmentId'), 10);
 
@@ -173,28 +525,29 @@ app.get('/balance/:apartmentId', authenticate, async (c) => {
     }
 
     // Check apartment exists
-    const apartment = await getApartmentById(c.env.DB, apartmentId);
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, apartmentId);
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 404);
     }
 
-    const user = c.get('user');
-
-    // Non-admin can only view their own apartment's balance
-    if (!user.is_admin) {
-      const userApartment = await getApartmentByUserId(c.env.DB, user.id);
-      if (!userApartment || userApartment.id !== apartmentId) {
-        return c.json({ error: 'Nemate dozvolu za pristup ovom stanu' }, 403);
-      }
+    // Non-admin can only view the balance of their apartments
+    const accessError = await checkApartmentAccess(c, apartmentId);
+    if (accessError) {
+      return accessError;
     }
 
     const balance = await calculateBalance(c.env.DB, apartmentId);
 
+    // Split between owners from the last imported opening balances (see services/ownership)
+    const owners = await getApartmentOwners(c.env.DB, apartmentId);
+    const { history } = await getApartmentHistory(c.env.DB, apartmentId, 'import');
+
     return c.json({
       apartment_id: apartmentId,
       apartment_number: apartment.apartment_number,
       owner_name: apartment.owner_name,
       ...balance,
+      owners: splitBalance(history, owners),
     });
   } catch (err) {
     console.error('Get balance error:', err);
@@ -204,11 +557,11 @@ app.get('/balance/:apartmentId', authenticate, async (c) => {
 
 /**
  * GET /api/payments/balances
- * Get balances for all apartments (admin only)
+ * Get balances for all apartments of the current building (admin only)
  */
-app.get('/balances', authenticate, requireAdmin, async (c) => {
+app.get('/balances', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
-    const apartments = await getAllApartments(c.env.DB);
+    const apartments = await getAllApartments(c.env.DB, c.get('building').id);
 
     const balances = await Promise.all(
       apartments.map(async (apt) => ({
@@ -232,8 +585,11 @@ app.get('/balances', authenticate, requireAdmin, async (c) => {
 /**
  * GET /api/payments/history/:apartmentId
  * Get payment history for a specific apartment
+ * Voided payments and cancelled billings are listed with voided_at and void_reason.
+ * Each entry names the owner of the apartment at the time (owner_id, owner_name).
+ * interest: late-payment interest accrued up to today per overdue billing (null if not enabled)
  */
-app.get('/history/:apartmentId', authenticate, async (c) => {
+app.get('/history/:apartmentId', authenticate, requireBuilding, async (c) => {
   try {
     const apartmentId = parseInt(c.req.param('apartmentId'), 10);
 
@@ -242,71 +598,31 @@ app.get('/history/:apartmentId', authenticate, async (c) => {
     }
 
     // Check apartment exists
-    const apartment = await getApartmentById(c.env.DB, apartmentId);
+    const apartment = await getApartmentById(c.env.DB, c.get('building').id, apartmentId);
     if (!apartment) {
       return c.json({ error: 'Stan nije pronadjen' }, 404);
     }
 
-    const user = c.get('user');
-
-    // Non-admin can only view their own apartment's history
-    if (!user.is_admin) {
-      const userApartment = await getApartmentByUserId(c.env.DB, user.id);
-      if (!userApartment || userApartment.id !== apartmentId) {
-        return c.json({ error: 'Nemate dozvolu za pristup ovom stanu' }, 403);
-      }
+    // Non-admin can only view the history of their apartments
+    const accessError = await checkApartmentAccess(c, apartmentId);
+    if (accessError) {
+      return accessError;
     }
 
     // Get combined history of billings and payments
-    const billingsResult = await c.env.DB.prepare(`
-      SELECT
-        'billing' as type,
-        generated_at as date,
-        -amount as amount,
-        reference_number as description,
-        billing_month,
-        billing_year
-      FROM billings
-      WHERE apartment_id = ?
-    `)
-      .bind(apartmentId)
-      .all();
-
-    const paymentsResult = await c.env.DB.prepare(`
-      SELECT
-        'payment' as type,
-        payment_date as date,
-        amount,
-        notes as description,
-        NULL as billing_month,
-        NULL as billing_year
-      FROM payments
-      WHERE apartment_id = ?
-    `)
-      .bind(apartmentId)
-      .all();
-
-    // Combine and sort by date (most recent first)
-    const history = [...billingsResult.results, ...paymentsResult.results].sort(
-      (a: any, b: any) => new Date(b.date).getTime() - new Date(a.date).getTime()
-    );
+    const { current_balance, history } = await getApartmentHistory(c.env.DB, apartmentId);
 
-    // Calculate running balance
-    let runningBalance = 0;
-    const historyWithBalance = history
-      .reverse()
-      .map((item: any) => {
-        runningBalance += item.amount;
-        return { ...item, balance: runningBalance };
-      })
-      .reverse();
+    const building = c.get('building');
+    const date = new Date().toISOString().slice(0, 10);
+    const interestLines = await loadInterest(c.env.DB, building, date, apartmentId);
 
     return c.json({
       apartment_id: apartmentId,
       apartment_number: apartment.apartment_number,
       owner_name: apartment.owner_name,
-      current_balance: runningBalance,
-      history: historyWithBalance,
+      current_balance: current_balance,
+      history: withOwners(history, await getApartmentOwners(c.env.DB, apartmentId)),
+      interest: building.interest_enabled ? { date: date, lines: interestLines, ...sumInterest(interestLines) } : null,
     });
   } catch (err) {
     console.error('Get payment history error:', err);
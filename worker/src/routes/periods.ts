@@ -0,0 +1,271 @@
+import { Hono } from 'hono';
+import type { Context } from 'hono';
+import type { Env, PeriodClose } from '../types';
+import {
+  getAllApartments,
+  calculateBalance,
+  getLatestPeriodClose,
+  getPeriodCloseById,
+  getPeriodCloses,
+  getOpeningBalances,
+  insertPeriodClose,
+  deletePeriodClose,
+} from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { recordAudit } from '../middleware/audit';
+import type { ValidationError } from '../middleware/validation';
+import { validationError, isValidMonth, isValidYear, isInteger } from '../middleware/validation';
+import { periodIndex } from '../services/periods';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * Validate the period to close (must have ended)
+ * @param month - Last month of the period (12 when a whole year is closed)
+ */
+function validatePeriod(year: unknown, month: unknown): ValidationError[] {
+  const errors: ValidationError[] = [];
+
+  if (!isValidYear(year)) {
+    errors.push({ field: 'year', message: 'Nevazeca godina' });
+  }
+
+  if (!isValidMonth(month)) {
+    errors.push({ field: 'month', message: 'Mesec mora biti izmedju 1 i 12' });
+  }
+
+  if (errors.length === 0) {
+    const now = new Date();
+    const period = periodIndex(parseInt(String(year), 10), parseInt(String(month), 10));
+    if (period >= periodIndex(now.getUTCFullYear(), now.getUTCMonth() + 1)) {
+      errors.push({ field: 'month', message: 'Moze se zakljuciti samo period koji je zavrsen' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Period close with its opening balances (audit log snapshot)
+ */
+async function getPeriodCloseSnapshot(c: Context<{ Bindings: Env }>, close: PeriodClose) {
+  const balances = await getOpeningBalances(c.env.DB, close.id);
+  return {
+    ...close,
+    balances: balances.map((b) => ({ apartment_id: b.apartment_id, balance: b.balance })),
+  };
+}
+
+/**
+ * GET /api/periods
+ * List closed periods of the current building, most recent first (admin only)
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const closes = await getPeriodCloses(c.env.DB, c.get('building').id);
+    return c.json(closes);
+  } catch (err) {
+    console.error('Get period closes error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja zakljucenih perioda' }, 500);
+  }
+});
+
+/**
+ * GET /api/periods/:id/balances
+ * Apartment opening balances stored with a period close (admin only)
+ */
+app.get('/:id/balances', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID perioda' }, 400);
+    }
+
+    const close = await getPeriodCloseById(c.env.DB, c.get('building').id, id);
+    if (!close) {
+      return c.json({ error: 'Zakljuceni period nije pronadjen' }, 404);
+    }
+
+    const balances = await getOpeningBalances(c.env.DB, id);
+    return c.json(balances);
+  } catch (err) {
+    console.error('Get opening balances error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja pocetnih stanja' }, 500);
+  }
+});
+
+/**
+ * POST /api/periods/close
+ * Close a month, or a whole year when month is omitted (admin only)
+ * Stores the balance of every apartment at the end of the period as its opening balance.
+ * Body: { year, month }
+ */
+app.post('/close', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { year, month = 12 } = body;
+
+    const errors = validatePeriod(year, month);
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const yearInt = parseInt(year, 10);
+    const monthInt = parseInt(month, 10);
+    const buildingId = c.get('building').id;
+
+    // Periods are closed in order
+    const latest = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (latest && periodIndex(yearInt, monthInt) <= periodIndex(latest.period_year, latest.period_month)) {
+      return c.json(
+        { error: `Period zakljucno sa ${latest.period_month}/${latest.period_year} je vec zakljucen` },
+        400
+      );
+    }
+
+    const apartments = await getAllApartments(c.env.DB, buildingId);
+    const balances = await Promise.all(
+      apartments.map(async (apartment) => {
+        const { balance } = await calculateBalance(c.env.DB, apartment.id, periodIndex(yearInt, monthInt));
+        return { apartment_id: apartment.id, balance: Math.round(balance * 100) / 100 };
+      })
+    );
+
+    await insertPeriodClose(c.env.DB, buildingId, yearInt, monthInt, 'close', c.get('user').id, balances);
+
+    const close = (await getLatestPeriodClose(c.env.DB, buildingId))!;
+    await recordAudit(c, {
+      action: 'create',
+      entity_type: 'period_close',
+      entity_id: close.id,
+      after: await getPeriodCloseSnapshot(c, close),
+    });
+
+    return c.json({ message: `Period zakljucno sa ${monthInt}/${yearInt} je zakljucen`, period: close }, 201);
+  } catch (err) {
+    console.error('Close period error:', err);
+    return c.json({ error: 'Greska prilikom zakljucivanja perioda' }, 500);
+  }
+});
+
+/**
+ * POST /api/periods/opening-balances
+ * Import opening balances from a previous system (admin only)
+ * Closes the period up to year/month with the given balances; apartments not listed
+ * get their computed balance. Only possible before any period is closed.
+ * Body: { year, month, balances: [{ apartment_id, balance }] } - balance: positive = prepayment, negative = owed
+ */
+app.post('/opening-balances', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { year, month, balances } = body;
+
+    const errors = validatePeriod(year, month);
+
+    if (!Array.isArray(balances) || balances.length === 0) {
+      errors.push({ field: 'balances', message: 'Unesite pocetna stanja' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const yearInt = parseInt(year, 10);
+    const monthInt = parseInt(month, 10);
+    const buildingId = c.get('building').id;
+
+    if (await getLatestPeriodClose(c.env.DB, buildingId)) {
+      return c.json({ error: 'Pocetna stanja se mogu uneti samo pre prvog zakljucenja perioda' }, 400);
+    }
+
+    const apartments = await getAllApartments(c.env.DB, buildingId);
+    const imported = new Map<number, number>();
+
+    for (const entry of balances) {
+      const apartment = apartments.find((a) => a.id === entry?.apartment_id);
+      if (!apartment) {
+        errors.push({ field: 'balances', message: `Stan ${entry?.apartment_id} nije pronadjen` });
+        continue;
+      }
+
+      const field = `balance_${apartment.id}`;
+      if (typeof entry.balance !== 'number' || !Number.isFinite(entry.balance)) {
+        errors.push({ field: field, message: `Stan ${apartment.apartment_number}: nevazece stanje` });
+      } else if (imported.has(apartment.id)) {
+        errors.push({ field: field, message: `Stan ${apartment.apartment_number} je naveden vise puta` });
+      } else {
+        imported.set(apartment.id, Math.round(entry.balance * 100) / 100);
+      }
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const openingBalances = await Promise.all(
+      apartments.map(async (apartment) => {
+        if (imported.has(apartment.id)) {
+          return { apartment_id: apartment.id, balance: imported.get(apartment.id)! };
+        }
+        const { balance } = await calculateBalance(c.env.DB, apartment.id, periodIndex(yearInt, monthInt));
+        return { apartment_id: apartment.id, balance: Math.round(balance * 100) / 100 };
+      })
+    );
+
+    await insertPeriodClose(c.env.DB, buildingId, yearInt, monthInt, 'import', c.get('user').id, openingBalances);
+
+    const close = (await getLatestPeriodClose(c.env.DB, buildingId))!;
+    await recordAudit(c, {
+      action: 'create',
+      entity_type: 'period_close',
+      entity_id: close.id,
+      after: await getPeriodCloseSnapshot(c, close),
+    });
+
+    return c.json(
+      { message: `Uneto ${imported.size} pocetnih stanja na kraju ${monthInt}/${yearInt}`, period: close },
+      201
+    );
+  } catch (err) {
+    console.error('Import opening balances error:', err);
+    return c.json({ error: 'Greska prilikom unosa pocetnih stanja' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/periods/:id
+ * Reopen the last closed period (admin only)
+ * Its opening balances are removed; balances are again computed from the previous close.
+ */
+app.delete('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID perioda' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const close = await getPeriodCloseById(c.env.DB, buildingId, id);
+    if (!close) {
+      return c.json({ error: 'Zakljuceni period nije pronadjen' }, 404);
+    }
+
+    const latest = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (latest?.id !== close.id) {
+      return c.json({ error: 'Moze se otvoriti samo poslednji zakljuceni period' }, 400);
+    }
+
+    const before = await getPeriodCloseSnapshot(c, close);
+    await deletePeriodClose(c.env.DB, id);
+    await recordAudit(c, { action: 'delete', entity_type: 'period_close', entity_id: id, before: before });
+
+    return c.json({ message: `Period zakljucno sa ${close.period_month}/${close.period_year} je ponovo otvoren` });
+  } catch (err) {
+    console.error('Reopen period error:', err);
+    return c.json({ error: 'Greska prilikom otvaranja perioda' }, 500);
+  }
+});
+
+export default app;
@@ -0,0 +1,217 @@
+import { Hono } from 'hono';
+import type { Env } from '../types';
+import { getBuilding, getReminderById, getReminders, updateReminderSettings } from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding, checkApartmentAccess } from '../middleware/auth';
+import { validationError, isInteger, isNonNegativeNumber } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import { createMailTransport } from '../services/mailTransport';
+import { deliverReminder, generateReminderFilename, runReminders } from '../services/reminders';
+import { generateReminderPDF } from '../services/pdfGenerator';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * GET /api/reminders/settings
+ * Get reminder settings of the current building (admin only)
+ */
+app.get('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const building = c.get('building');
+
+    return c.json({
+      reminders_enabled: building.reminders_enabled,
+      reminder_min_amount: building.reminder_min_amount,
+      reminder_min_months: building.reminder_min_months,
+      reminder_interval_days: building.reminder_interval_days,
+    });
+  } catch (err) {
+    console.error('Get reminder settings error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja podesavanja opomena' }, 500);
+  }
+});
+
+/**
+ * PUT /api/reminders/settings
+ * Update reminder settings of the current building (admin only)
+ */
+app.put('/settings', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { reminders_enabled, reminder_min_amount, reminder_min_months, reminder_interval_days } = body;
+
+    const errors = [];
+
+    if (!isNonNegativeNumber(reminder_min_amount)) {
+      errors.push({ field: 'reminder_min_amount', message: 'Iznos mora biti pozitivan broj ili 0' });
+    }
+
+    if (!isInteger(reminder_min_months) || reminder_min_months < 0 || reminder_min_months > 120) {
+      errors.push({ field: 'reminder_min_months', message: 'Broj meseci mora biti izmedju 0 i 120' });
+    }
+
+    if (!isInteger(reminder_interval_days) || reminder_interval_days < 1 || reminder_interval_days > 365) {
+      errors.push({ field: 'reminder_interval_days', message: 'Razmak mora biti izmedju 1 i 365 dana' });
+    }
+
+    if (errors.length === 0 && parseFloat(reminder_min_amount) === 0 && parseInt(reminder_min_months, 10) === 0) {
+      errors.push({ field: 'reminder_min_months', message: 'Unesite iznos ili broj meseci za opomenu' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const before = c.get('building');
+
+    await updateReminderSettings(c.env.DB, before.id, {
+      reminders_enabled: reminders_enabled ? 1 : 0,
+      reminder_min_amount: parseFloat(reminder_min_amount),
+      reminder_min_months: parseInt(reminder_min_months, 10),
+      reminder_interval_days: parseInt(reminder_interval_days, 10),
+    });
+
+    const building = await getBuilding(c.env.DB, before.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'building',
+      entity_id: before.id,
+      before: before,
+      after: building,
+    });
+
+    return c.json({ message: 'Podesavanja opomena su sacuvana' });
+  } catch (err) {
+    console.error('Update reminder settings error:', err);
+    return c.json({ error: 'Greska prilikom cuvanja podesavanja opomena' }, 500);
+  }
+});
+
+/**
+ * POST /api/reminders/run
+ * Run reminders now (admin only)
+ * Body: { dry_run } - dry_run only lists apartments that would be reminded
+ */
+app.post('/run', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { dry_run = false } = body;
+
+    const building = c.get('building');
+
+    const user = c.get('user');
+    const result = await runReminders(c.env, building, createMailTransport(c.env), {
+      source: 'manual',
+      userId: user.id,
+      dryRun: !!dry_run,
+    });
+
+    const message = dry_run
+      ? `Opomena bi bilo poslato: ${result.created.length}`
+      : `Kreirano opomena: ${result.created.length} (poslato ${result.sent}, neuspesno ${result.failed}, ` +
+        `bez slanja ${result.skipped_delivery}), zatvoreno: ${result.resolved}`;
+
+    return c.json({ message: message, ...result });
+  } catch (err) {
+    console.error('Run reminders error:', err);
+    return c.json({ error: 'Greska prilikom slanja opomena' }, 500);
+  }
+});
+
+/**
+ * GET /api/reminders
+ * List reminder history of the current building (admin only)
+ * Optional query: apartment_id
+ */
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const apartmentParam = c.req.query('apartment_id');
+    const apartmentId = apartmentParam ? parseInt(apartmentParam, 10) : null;
+
+    if (apartmentParam && (!isInteger(apartmentId) || apartmentId! < 1)) {
+      return c.json({ error: 'Nevazeci ID stana' }, 400);
+    }
+
+    const reminders = await getReminders(c.env.DB, c.get('building').id, apartmentId);
+    return c.json(reminders);
+  } catch (err) {
+    console.error('Get reminders error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja opomena' }, 500);
+  }
+});
+
+/**
+ * GET /api/reminders/:id/pdf
+ * Download reminder letter
+ * Admin: any reminder, user: only reminders of the apartments linked to them
+ */
+app.get('/:id/pdf', authenticate, requireBuilding, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID opomene' }, 400);
+    }
+
+    const building = c.get('building');
+    const reminder = await getReminderById(c.env.DB, building.id, id);
+    if (!reminder) {
+      return c.json({ error: 'Opomena nije pronadjena' }, 404);
+    }
+
+    const accessError = await checkApartmentAccess(c, reminder.apartment_id);
+    if (accessError) {
+      return accessError;
+    }
+
+    const pdfBuffer = await generateReminderPDF(reminder, building);
+
+    return new Response(pdfBuffer, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${generateReminderFilename(reminder)}"`,
+        'Content-Length': pdfBuffer.byteLength.toString(),
+      },
+    });
+  } catch (err) {
+    console.error('Generate reminder PDF error:', err);
+    return c.json({ error: 'Greska prilikom generisanja opomene' }, 500);
+  }
+});
+
+/**
+ * POST /api/reminders/:id/send
+ * Email reminder letter again (admin only)
+ */
+app.post('/:id/send', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID opomene' }, 400);
+    }
+
+    const building = c.get('building');
+    const reminder = await getReminderById(c.env.DB, building.id, id);
+    if (!reminder) {
+      return c.json({ error: 'Opomena nije pronadjena' }, 404);
+    }
+
+    const transport = createMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Slanje e-poste nije podeseno (MAIL_TRANSPORT)' }, 400);
+    }
+
+    const status = await deliverReminder(c.env, transport, reminder, building);
+    const updated = await getReminderById(c.env.DB, building.id, id);
+
+    return c.json({
+      message: status === 'sent' ? 'Opomena je poslata' : 'Opomena nije poslata',
+      reminder: updated,
+    });
+  } catch (err) {
+    console.error('Send reminder error:', err);
+    return c.json({ error: 'Greska prilikom slanja opomene' }, 500);
+  }
+});
+
+export default app;
@@ -0,0 +1,413 @@
+import { Hono } from 'hono';
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, StatementLine } from '../types';
+import {
+  getAllApartments,
+  getApartmentById,
+  getAllBillings,
+  getBillingById,
+  getPaymentById,
+  insertPayment,
+  replacePaymentAllocations,
+  getStatementLineById,
+  getStatementLineKeys,
+  getPendingStatementLines,
+  insertStatementLine,
+  updateStatementLineStatus,
+  getLatestPeriodClose,
+} from '../db/queries';
+import { authenticate, requireAdmin, requireBuilding } from '../middleware/auth';
+import { validationError, isInteger } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import type { AuditChange } from '../middleware/audit';
+import { parseStatement } from '../services/statementParser';
+import { matchStatementLine } from '../services/paymentMatcher';
+import { isClosedDate, closedPeriodMessage } from '../services/periods';
+
+const app = new Hono<{ Bindings: Env }>();
+
+// Max statement file size (characters)
+const MAX_STATEMENT_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Validate statement content from request body
+ */
+function validateContent(content: unknown): ValidationError[] {
+  if (typeof content !== 'string' || !content.trim()) {
+    return [{ field: 'content', message: 'Izvod je obavezan' }];
+  }
+  if (content.length > MAX_STATEMENT_SIZE) {
+    return [{ field: 'content', message: 'Izvod je prevelik (najvise 2 MB)' }];
+  }
+  return [];
+}
+
+/**
+ * Build payment note for an imported statement line
+ */
+function buildPaymentNote(line: StatementLine): string {
+  const details = [line.payer_name, line.reference].filter(Boolean).join(', ');
+  return `Izvod: ${details || line.purpose}`.trim().slice(0, 500);
+}
+
+/**
+ * Validate apartment/billing assignment for a statement line
+ * @returns Error message, or null if valid
+ */
+async function validateAssignment(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: unknown,
+  billingId: unknown
+): Promise<string | null> {
+  if (!isInteger(apartmentId) || (apartmentId as number) < 1) {
+    return 'Nevazeci ID stana';
+  }
+
+  const apartment = await getApartmentById(db, buildingId, apartmentId as number);
+  if (!apartment) {
+    return 'Stan nije pronadjen';
+  }
+
+  if (billingId !== undefined && billingId !== null) {
+    if (!isInteger(billingId) || (billingId as number) < 1) {
+      return 'Nevazeci ID zaduzenja';
+    }
+    const billing = await getBillingById(db, buildingId, billingId as number);
+    if (!billing) {
+      return 'Zaduzenje nije pronadjeno';
+    }
+    if (billing.apartment_id !== apartmentId) {
+      return 'Zaduzenje ne pripada odabranom stanu';
+    }
+    if (billing.cancelled_at) {
+      return 'Zaduzenje je stornirano';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Allocate an imported payment to its assigned billing (up to the billing amount)
+ */
+async function allocateToBilling(
+  db: D1Database,
+  buildingId: number,
+  paymentId: number,
+  billingId: number,
+  amount: number
+): Promise<void> {
+  const billing = await getBillingById(db, buildingId, billingId);
+  const allocated = Math.min(amount, billing!.amount);
+  await replacePaymentAllocations(db, paymentId, [{ billing_id: billingId, amount: allocated }]);
+}
+
+/**
+ * POST /api/statements/preview
+ * Parse bank statement and propose matches, nothing is stored (admin only)
+ */
+app.post('/preview', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { content } = body;
+
+    const contentErrors = validateContent(content);
+    if (contentErrors.length > 0) {
+      return validationError(c, contentErrors);
+    }
+
+    const { lines, errors } = parseStatement(content);
+    if (lines.length === 0 && errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const buildingId = c.get('building').id;
+    const apartments = await getAllApartments(c.env.DB, buildingId);
+    const billings = await getAllBillings(c.env.DB, buildingId);
+    const importedKeys = new Set(await getStatementLineKeys(c.env.DB, buildingId));
+
+    const preview = lines.map((line) => ({
+      ...line,
+      ...matchStatementLine(line, apartments, billings),
+      duplicate: importedKeys.has(line.line_key),
+    }));
+
+    return c.json({
+      lines: preview,
+      errors: errors,
+    });
+  } catch (err) {
+    console.error('Preview statement error:', err);
+    return c.json({ error: 'Greska prilikom citanja izvoda' }, 500);
+  }
+});
+
+/**
+ * POST /api/statements/import
+ * Import reviewed statement lines (admin only)
+ * Lines assigned to an apartment become payments, the rest wait in the holding queue
+ * Body: { content, assignments: [{ line_key, apartment_id, billing_id }] }
+ */
+app.post('/import', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json();
+    const { content, assignments = [] } = body;
+
+    const errors = validateContent(content);
+
+    if (!Array.isArray(assignments)) {
+      errors.push({ field: 'assignments', message: 'Nevazeca dodela stanova' });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    // Parse again on the server - the reviewed content is the source of truth
+    const { lines, errors: parseErrors } = parseStatement(content);
+    if (lines.length === 0 && parseErrors.length > 0) {
+      return validationError(c, parseErrors);
+    }
+
+    const buildingId = c.get('building').id;
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    const lineDates = new Map(lines.map((line) => [line.line_key, line.payment_date]));
+
+    // Validate assignments before anything is stored
+    const assignmentsByKey = new Map<string, { apartment_id: number; billing_id: number | null }>();
+    for (const assignment of assignments) {
+      if (!assignment || !assignment.apartment_id) {
+        continue;
+      }
+      const message = await validateAssignment(c.env.DB, buildingId, assignment.apartment_id, assignment.billing_id);
+      if (message) {
+        errors.push({ field: `line_${assignment.line_key}`, message: message });
+        continue;
+      }
+      const paymentDate = lineDates.get(assignment.line_key);
+      if (paymentDate && isClosedDate(periodClose, paymentDate)) {
+        errors.push({ field: `line_${assignment.line_key}`, message: closedPeriodMessage(periodClose!) });
+        continue;
+      }
+      assignmentsByKey.set(assignment.line_key, {
+        apartment_id: assignment.apartment_id,
+        billing_id: assignment.billing_id || null,
+      });
+    }
+
+    if (errors.length > 0) {
+      return validationError(c, errors);
+    }
+
+    const user = c.get('user');
+    const apartments = await getAllApartments(c.env.DB, buildingId);
+    const billings = await getAllBillings(c.env.DB, buildingId);
+    const importedKeys = new Set(await getStatementLineKeys(c.env.DB, buildingId));
+
+    let imported = 0;
+    let pending = 0;
+    let skipped = 0;
+    const changes: AuditChange[] = [];
+
+    for (const line of lines) {
+      // Lines imported before (or repeated in the same file) are skipped
+      if (importedKeys.has(line.line_key)) {
+        skipped++;
+        continue;
+      }
+      importedKeys.add(line.line_key);
+
+      const { match_status } = matchStatementLine(line, apartments, billings);
+      const assignment = assignmentsByKey.get(line.line_key);
+
+      if (assignment) {
+        const payment = await insertPayment(
+          c.env.DB,
+          buildingId,
+          assignment.apartment_id,
+          line.amount,
+          line.payment_date,
+          assignment.billing_id,
+          buildPaymentNote(line),
+          user.id
+        );
+        if (assignment.billing_id) {
+          await allocateToBilling(c.env.DB, buildingId, payment.meta.last_row_id, assignment.billing_id, line.amount);
+        }
+        await insertStatementLine(c.env.DB, buildingId, line, match_status, 'assigned', payment.meta.last_row_id, user.id);
+        changes.push({
+          action: 'create',
+          entity_type: 'payment',
+          entity_id: payment.meta.last_row_id,
+          after: await getPaymentById(c.env.DB, buildingId, payment.meta.last_row_id),
+        });
+        imported++;
+      } else {
+        await insertStatementLine(c.env.DB, buildingId, line, match_status, 'pending', null, user.id);
+        pending++;
+      }
+    }
+
+    await recordAudit(c, changes);
+
+    return c.json(
+      {
+        message: `Uvezeno ${imported} uplata, ${pending} stavki ceka dodelu, ${skipped} vec uvezenih preskoceno`,
+        imported: imported,
+        pending: pending,
+        skipped: skipped,
+      },
+      201
+    );
+  } catch (err) {
+    console.error('Import statement error:', err);
+    return c.json({ error: 'Greska prilikom uvoza izvoda' }, 500);
+  }
+});
+
+/**
+ * GET /api/statements/pending
+ * List statement lines waiting for manual assignment, with proposed matches (admin only)
+ */
+app.get('/pending', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const buildingId = c.get('building').id;
+    const lines = await getPendingStatementLines(c.env.DB, buildingId);
+    const apartments = await getAllApartments(c.env.DB, buildingId);
+    const billings = await getAllBillings(c.env.DB, buildingId);
+
+    return c.json(
+      lines.map((line) => {
+        const match = matchStatementLine(line, apartments, billings);
+        return {
+          ...line,
+          proposed_apartment_id: match.apartment_id,
+          proposed_billing_id: match.billing_id,
+          candidate_apartment_ids: match.candidate_apartment_ids,
+        };
+      })
+    );
+  } catch (err) {
+    console.error('Get pending statement lines error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja stavki izvoda' }, 500);
+  }
+});
+
+/**
+ * POST /api/statements/lines/:id/assign
+ * Assign a pending statement line to an apartment and record the payment (admin only)
+ */
+app.post('/lines/:id/assign', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stavke izvoda' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const line = await getStatementLineById(c.env.DB, buildingId, id);
+    if (!line) {
+      return c.json({ error: 'Stavka izvoda nije pronadjena' }, 404);
+    }
+
+    if (line.status !== 'pending') {
+      return c.json({ error: 'Stavka izvoda je vec obradjena' }, 400);
+    }
+
+    const body = await c.req.json();
+    const { apartment_id, billing_id } = body;
+
+    const message = await validateAssignment(c.env.DB, buildingId, apartment_id, billing_id);
+    if (message) {
+      return validationError(c, [{ field: 'apartment_id', message: message }]);
+    }
+
+    const periodClose = await getLatestPeriodClose(c.env.DB, buildingId);
+    if (isClosedDate(periodClose, line.payment_date)) {
+      return c.json({ error: closedPeriodMessage(periodClose!) }, 400);
+    }
+
+    const user = c.get('user');
+    const payment = await insertPayment(
+      c.env.DB,
+      buildingId,
+      apartment_id,
+      line.amount,
+      line.payment_date,
+      billing_id || null,
+      buildPaymentNote(line),
+      user.id
+    );
+    if (billing_id) {
+      await allocateToBilling(c.env.DB, buildingId, payment.meta.last_row_id, billing_id, line.amount);
+    }
+    await updateStatementLineStatus(c.env.DB, line.id, 'assigned', payment.meta.last_row_id);
+    await recordAudit(c, [
+      {
+        action: 'create',
+        entity_type: 'payment',
+        entity_id: payment.meta.last_row_id,
+        after: await getPaymentById(c.env.DB, buildingId, payment.meta.last_row_id),
+      },
+      {
+        action: 'update',
+        entity_type: 'statement_line',
+        entity_id: line.id,
+        before: line,
+        after: await getStatementLineById(c.env.DB, buildingId, line.id),
+      },
+    ]);
+
+    return c.json({
+      message: 'Uplata je evidentirana',
+      payment_id: payment.meta.last_row_id,
+    });
+  } catch (err) {
+    console.error('Assign statement line error:', err);
+    return c.json({ error: 'Greska prilikom dodele stavke izvoda' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/statements/lines/:id
+ * Dismiss a pending statement line (not a maintenance payment) (admin only)
+ * The line is kept as "dismissed" so it is not imported again
+ */
+app.delete('/lines/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID stavke izvoda' }, 400);
+    }
+
+    const buildingId = c.get('building').id;
+    const line = await getStatementLineById(c.env.DB, buildingId, id);
+    if (!line) {
+      return c.json({ error: 'Stavka izvoda nije pronadjena' }, 404);
+    }
+
+    if (line.status !== 'pending') {
+      return c.json({ error: 'Stavka izvoda je vec obradjena' }, 400);
+    }
+
+    await updateStatementLineStatus(c.env.DB, line.id, 'dismissed', null);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'statement_line',
+      entity_id: line.id,
+      before: line,
+      after: await getStatementLineById(c.env.DB, buildingId, line.id),
+    });
+
+    return c.json({ message: 'Stavka izvoda je odbacena' });
+  } catch (err) {
+    console.error('Dismiss statement line error:', err);
+    return c.json({ error: 'Greska prilikom odbacivanja stavke izvoda' }, 500);
+  }
+});
+
+export default app;
@@ -0,0 +1,203 @@
+import { Hono } from 'hono';
+import { compare } from 'bcryptjs';
+import type { Env } from '../types';
+import {
+  getUserById,
+  setTotpSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  markSessionTwoFactor,
+  deleteUserSessions,
+} from '../db/queries';
+import { authenticateAccountSetup, generateToken } from '../middleware/auth';
+import { validationError, isNotEmpty } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import {
+  generateTotpSecret,
+  totpSetup,
+  verifyTotp,
+  generateRecoveryCodes,
+  confirmTwoFactor,
+  isTwoFactorRequired,
+} from '../services/twoFactor';
+
+const app = new Hono<{ Bindings: Env }>();
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor authentication status of the current user
+ * (the routes under /api/auth/2fa are also open to users who must enable it first)
+ * pending: setup was started but not confirmed with a code yet
+ */
+app.get('/', authenticateAccountSetup, async (c) => {
+  try {
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    return c.json({
+      enabled: Boolean(user.totp_enabled_at),
+      enabled_at: user.totp_enabled_at,
+      pending: Boolean(user.totp_secret && !user.totp_enabled_at),
+      required: isTwoFactorRequired(c.env, user),
+      recovery_codes_left: user.totp_enabled_at ? await countRecoveryCodes(c.env.DB, user.id) : 0,
+    });
+  } catch (err) {
+    console.error('Get two-factor status error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja dvofaktorske potvrde' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start setting up two-factor authentication: a new secret for the authenticator app
+ * (as text, otpauth:// URI and QR code SVG), enabled with POST /api/auth/2fa/enable
+ * Body: { password }
+ */
+app.post('/setup', authenticateAccountSetup, async (c) => {
+  try {
+    const { password } = await c.req.json();
+
+    if (!password || !isNotEmpty(password)) {
+      return validationError(c, [{ field: 'password', message: 'Lozinka je obavezna' }]);
+    }
+
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    if (user.totp_enabled_at) {
+      return c.json({ error: 'Dvofaktorska potvrda je vec ukljucena' }, 400);
+    }
+    if (!(await compare(password, user.password_hash))) {
+      return validationError(c, [{ field: 'password', message: 'Lozinka nije ispravna' }]);
+    }
+
+    const secret = generateTotpSecret();
+    await setTotpSecret(c.env.DB, user.id, secret);
+
+    return c.json({ secret: secret, ...totpSetup(secret, user.email) });
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    return c.json({ error: 'Greska prilikom podesavanja dvofaktorske potvrde' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Enable two-factor authentication with a code from the app set up with POST /api/auth/2fa/setup
+ * The current session counts as confirmed and the user's other sessions are signed out.
+ * Returns the recovery codes (shown only once) and a new access token.
+ * Body: { code }
+ */
+app.post('/enable', authenticateAccountSetup, async (c) => {
+  try {
+    const { code } = await c.req.json();
+
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    if (user.totp_enabled_at) {
+      return c.json({ error: 'Dvofaktorska potvrda je vec ukljucena' }, 400);
+    }
+    if (!user.totp_secret) {
+      return c.json({ error: 'Prvo pokrenite podesavanje dvofaktorske potvrde' }, 400);
+    }
+    if (!(await verifyTotp(c.env.DB, user, code))) {
+      return validationError(c, [{ field: 'code', message: 'Pogresan kod. Proverite vreme na telefonu.' }]);
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await enableTwoFactor(c.env.DB, user.id, hashes);
+
+    const sessionId = c.get('sessionId');
+    await markSessionTwoFactor(c.env.DB, sessionId);
+    const revoked = await deleteUserSessions(c.env.DB, user.id, sessionId);
+
+    const updated = await getUserById(c.env.DB, user.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: user.id,
+      before: user,
+      after: { ...updated, two_factor_enabled: true, sessions_revoked: revoked > 0 },
+    });
+
+    return c.json({
+      message: 'Dvofaktorska potvrda je ukljucena',
+      recovery_codes: codes,
+      token: await generateToken(c.get('user'), c.env, sessionId, true),
+    });
+  } catch (err) {
+    console.error('Two-factor enable error:', err);
+    return c.json({ error: 'Greska prilikom ukljucivanja dvofaktorske potvrde' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (the old ones stop working); returns the new ones
+ * Body: { code } - code from the authenticator app
+ */
+app.post('/recovery-codes', authenticateAccountSetup, async (c) => {
+  try {
+    const { code } = await c.req.json();
+
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    if (!user.totp_enabled_at) {
+      return c.json({ error: 'Dvofaktorska potvrda nije ukljucena' }, 400);
+    }
+
+    const error = await confirmTwoFactor(c.env.DB, user, code, false);
+    if (error) {
+      return validationError(c, [{ field: 'code', message: error }]);
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await replaceRecoveryCodes(c.env.DB, user.id, hashes);
+
+    return c.json({ recovery_codes: codes });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    return c.json({ error: 'Greska prilikom kreiranja rezervnih kodova' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable two-factor authentication (not allowed for roles that require it)
+ * Body: { password, code } - code from the authenticator app or a recovery code
+ */
+app.post('/disable', authenticateAccountSetup, async (c) => {
+  try {
+    const { password, code } = await c.req.json();
+
+    const user = (await getUserById(c.env.DB, c.get('user').id))!;
+    if (!user.totp_enabled_at) {
+      return c.json({ error: 'Dvofaktorska potvrda nije ukljucena' }, 400);
+    }
+    if (isTwoFactorRequired(c.env, user)) {
+      return c.json({ error: 'Dvofaktorska potvrda je obavezna za vasu ulogu' }, 403);
+    }
+
+    if (!password || !isNotEmpty(password) || !(await compare(password, user.password_hash))) {
+      return validationError(c, [{ field: 'password', message: 'Lozinka nije ispravna' }]);
+    }
+    const error = await confirmTwoFactor(c.env.DB, user, code, true);
+    if (error) {
+      return validationError(c, [{ field: 'code', message: error }]);
+    }
+
+    await disableTwoFactor(c.env.DB, user.id);
+
+    const updated = await getUserById(c.env.DB, user.id);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: user.id,
+      before: user,
+      after: { ...updated, two_factor_disabled: true },
+    });
+
+    return c.json({ message: 'Dvofaktorska potvrda je iskljucena' });
+  } catch (err) {
+    console.error('Two-factor disable error:', err);
+    return c.json({ error: 'Greska prilikom iskljucivanja dvofaktorske potvrde' }, 500);
+  }
+});
+
+export default app;
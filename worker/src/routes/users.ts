@@ -1,16 +1,32 @@
 import { Hono } from 'hono';
 import { hash } from 'bcryptjs';
-import type { Env } from '../types';
+import type { Context } from 'hono';
+import type { Env, User, UserPublic } from '../types';
 import {
   getAllUsers,
+  getBuildingUsers,
+  isBuildingUser,
   getUserById,
   getUserByEmail,
   insertUser,
   updateUser,
   updateUserPassword,
   deleteUser,
+  isBuildingAdmin,
+  addBuildingAdmin,
+  removeBuildingAdmin,
+  countAdminBuildings,
+  countBuildingAdmins,
+  countSuperAdmins,
+  getUserSessions,
+  getSessionById,
+  deleteSession,
+  deleteUserSessions,
+  clearFailedLogins,
+  getLoginAttempts,
+  disableTwoFactor,
 } from '../db/queries';
-import { authenticate, requireAdmin, checkAdminOrSelf } from '../middleware/auth';
+import { authenticate, requireAdmin, requireBuilding, checkAdminOrSelf } from '../middleware/auth';
 import {
   validationError,
   isNotEmpty,
@@ -18,17 +34,76 @@ import {
   isStrongPassword,
   isInteger,
 } from '../middleware/validation';
+import { recordAudit } from '../middleware/audit';
+import { issueAccountToken, accountLink, sendAccountLink } from '../services/accountTokens';
 
 const app = new Hono<{ Bindings: Env }>();
 const SALT_ROUNDS = 10;
 
+/**
+ * Send an invitation link for setting the password (replaces an earlier invitation)
+ * Without email delivery the link is only returned, for the admin to pass on.
+ * @returns Link and whether it was emailed
+ */
+async function sendInvitation(
+  c: Context<{ Bindings: Env }>,
+  user: Pick<User, 'id' | 'email' | 'name'>
+): Promise<{ link: string; sent: boolean; error: string | null }> {
+  const token = await issueAccountToken(c.env.DB, user.id, 'invite', c.get('user').id);
+  const link = accountLink(c.env, token)!;
+
+  try {
+    return { link: link, sent: await sendAccountLink(c.env, user, 'invite', link), error: null };
+  } catch (err) {
+    console.error('Invitation email error:', err);
+    return { link: link, sent: false, error: err instanceof Error ? err.message : String(err) };
+  }
+}
+
+/**
+ * User data for responses (without password and two-factor secret), is_admin meaning
+ * "administrator of the current building"
+ */
+async function toBuildingUser(c: Context<{ Bindings: Env }>, user: User): Promise<UserPublic> {
+  const { password_hash, totp_secret, totp_last_step, ...userData } = user;
+  const isAdmin =
+    user.is_super_admin || (user.is_admin && (await isBuildingAdmin(c.env.DB, c.get('building').id, user.id)));
+  return { ...userData, is_admin: isAdmin ? 1 : 0 };
+}
+
+/**
+ * Whether an update changes a user's roles (their sessions are signed out)
+ */
+function rolesChanged(before: UserPublic, after: UserPublic): boolean {
+  return (
+    before.is_admin !== after.is_admin ||
+    before.is_user !== after.is_user ||
+    before.is_super_admin !== after.is_super_admin
+  );
+}
+
+/**
+ * Check that the current admin may manage a user
+ * Super-admins manage everyone, building admins the users of their building only
+ * (not users also linked to another building)
+ */
+async function canManageUser(c: Context<{ Bindings: Env }>, userId: number): Promise<boolean> {
+  if (c.get('user').is_super_admin) {
+    return true;
+  }
+  return await isBuildingUser(c.env.DB, c.get('building').id, userId);
+}
+
 /**
  * GET /api/users
- * List all users (admin only)
+ * List users (super-admin: all, admin: users of the current building)
  */
-app.get('/', authenticate, requireAdmin, async (c) => {
+app.get('/', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
-    const users = await getAllUsers(c.env.DB);
+    const buildingId = c.get('building').id;
+    const users = c.get('user').is_super_admin
+      ? await getAllUsers(c.env.DB, buildingId)
+      : await getBuildingUsers(c.env.DB, buildingId);
     return c.json(users);
   } catch (err) {
     console.error('Get users error:', err);
@@ -36,11 +111,45 @@ app.get('/', authenticate, requireAdmin, async (c) => {
   }
 });
 
+/**
+ * GET /api/users/login-attempts
+ * List login attempts, newest first (admin only)
+ * Super-admins see all attempts (also on unknown emails), admins those on the users they manage.
+ * Query: failed=1 (leave out successful logins), user_id, ip, limit (max 200), offset
+ */
+app.get('/login-attempts', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const userId = c.req.query('user_id') ? parseInt(c.req.query('user_id')!, 10) : null;
+    const limit = c.req.query('limit') ? parseInt(c.req.query('limit')!, 10) : 50;
+    const offset = c.req.query('offset') ? parseInt(c.req.query('offset')!, 10) : 0;
+
+    if (userId !== null && (!isInteger(userId) || userId < 1)) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+    if (!isInteger(limit) || limit < 1 || limit > 200 || !isInteger(offset) || offset < 0) {
+      return c.json({ error: 'Nevazeci parametri stranice' }, 400);
+    }
+
+    const result = await getLoginAttempts(c.env.DB, c.get('user').is_super_admin ? null : c.get('building').id, {
+      failedOnly: c.req.query('failed') === '1',
+      userId: userId,
+      ipAddress: c.req.query('ip') || null,
+      limit: limit,
+      offset: offset,
+    });
+
+    return c.json(result);
+  } catch (err) {
+    console.error('Get login attempts error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja pokusaja prijave' }, 500);
+  }
+});
+
 /**
  * GET /api/users/:id
  * Get user details (admin or self)
  */
-app.get('/:id', authenticate, async (c) => {
+app.get('/:id', authenticate, requireBuilding, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -54,13 +163,11 @@ app.get('/:id', authenticate, async (c) => {
 
     const user = await getUserById(c.env.DB, id);
 
-    if (!user) {
+    if (!user || (c.get('user').id !== id && !(await canManageUser(c, id)))) {
       return c.json({ error: 'Korisnik nije pronadjen' }, 404);
     }
 
-    // Don't return password hash
-    const { password_hash, ...userData } = user;
-    return c.json(userData);
+    return c.json(await toBuildingUser(c, user));
   } catch (err) {
     console.error('Get user error:', err);
     return c.json({ error: 'Greska prilikom ucitavanja korisnika' }, 500);
@@ -70,11 +177,25 @@ app.get('/:id', authenticate, async (c) => {
 /**
  * POST /api/users
  * Create new user (admin only)
+ * Body: { email, name, password, must_change_password, invite, is_admin, is_user, is_super_admin }
+ * - is_admin makes the user an administrator of the current building
+ * - invite: instead of a password, the user gets a link for setting it (valid 7 days, needs APP_URL);
+ *   the response has the invitation link and whether it was emailed
+ * - must_change_password (default true): the user has to change the typed password after logging in
  */
-app.post('/', authenticate, requireAdmin, async (c) => {
+app.post('/', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const body = await c.req.json();
-    const { email, password, name, is_admin = false, is_user = true } = body;
+    const {
+      email,
+      password,
+      name,
+      is_admin = false,
+      is_user = true,
+      is_super_admin = false,
+      invite = false,
+      must_change_password = true,
+    } = body;
 
     // Validate input
     const errors = [];
@@ -85,7 +206,11 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       errors.push({ field: 'email', message: 'Nevazeci format email adrese' });
     }
 
-    if (!password || !isNotEmpty(password)) {
+    if (invite) {
+      if (!c.env.APP_URL) {
+        errors.push({ field: 'invite', message: 'Pozivnice nisu podesene (APP_URL)' });
+      }
+    } else if (!password || !isNotEmpty(password)) {
       errors.push({ field: 'password', message: 'Lozinka je obavezna' });
     } else if (!isStrongPassword(password)) {
       errors.push({
@@ -104,14 +229,18 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       return validationError(c, errors);
     }
 
+    if (is_super_admin && !c.get('user').is_super_admin) {
+      return c.json({ error: 'Samo glavni administrator moze dodeliti ovu ulogu' }, 403);
+    }
+
     // Check if email already exists
     const existing = await getUserByEmail(c.env.DB, email.toLowerCase());
     if (existing) {
       return c.json({ error: 'Korisnik sa ovom email adresom vec postoji' }, 400);
     }
 
-    // Hash password
-    const passwordHash = await hash(password, SALT_ROUNDS);
+    // Hash password (an invited user can not log in before setting one from the link)
+    const passwordHash = await hash(invite ? crypto.randomUUID() : password, SALT_ROUNDS);
 
     // Insert user
     const result = await insertUser(
@@ -120,14 +249,24 @@ app.post('/', authenticate, requireAdmin, async (c) => {
       passwordHash,
       name.trim(),
       is_admin ? 1 : 0,
-      is_user ? 1 : 0
+      is_user ? 1 : 0,
+      is_super_admin ? 1 : 0,
+      !invite && must_change_password ? 1 : 0
     );
 
+    if (is_admin) {
+      await addBuildingAdmin(c.env.DB, c.get('building').id, result.meta.last_row_id);
+    }
+
     // Return created user (without password)
     const user = await getUserById(c.env.DB, result.meta.last_row_id);
     if (user) {
-      const { password_hash, ...userData } = user;
-      return c.json(userData, 201);
+      const created = await toBuildingUser(c, user);
+      await recordAudit(c, { action: 'create', entity_type: 'user', entity_id: user.id, after: created });
+      if (invite) {
+        return c.json({ ...created, invitation: await sendInvitation(c, user) }, 201);
+      }
+      return c.json(created, 201);
     }
 
     return c.json({ error: 'Greska prilikom kreiranja korisnika' }, 500);
@@ -140,8 +279,13 @@ app.post('/', authenticate, requireAdmin, async (c) => {
 /**
  * PUT /api/users/:id
  * Update user (admin or self for limited fields)
+ * is_admin grants or revokes administration of the current building
+ * A password set by an admin for another user has to be changed after logging in
+ * (unless must_change_password is false). Own password is not accepted here; it is
+ * changed with the current password (POST /api/auth/change-password).
+ * A password or role change signs out the user's sessions (except the current one when editing self).
  */
-app.put('/:id', authenticate, async (c) => {
+app.put('/:id', authenticate, requireBuilding, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -150,7 +294,7 @@ app.put('/:id', authenticate, async (c) => {
     }
 
     const body = await c.req.json();
-    const { email, name, password, is_admin, is_user } = body;
+    const { email, name, password, is_admin, is_user, is_super_admin, must_change_password = true } = body;
 
     // Validate input
     const errors = [];
@@ -186,27 +330,36 @@ app.put('/:id', authenticate, async (c) => {
 
     const currentUser = c.get('user');
     const isSelf = currentUser.id === id;
+    const before = await toBuildingUser(c, user);
     const isAdmin = Boolean(currentUser.is_admin);
 
-    if (!isAdmin && !isSelf) {
+    if ((!isAdmin && !isSelf) || (isAdmin && !isSelf && !(await canManageUser(c, id)))) {
       return c.json({ error: 'Nemate dozvolu za izmenu ovog korisnika' }, 403);
     }
 
-    // Non-admin can only change their own name and password
-    if (!isAdmin && isSelf) {
-      // Update password if provided
-      if (password) {
-        const passwordHash = await hash(password, SALT_ROUNDS);
-        await updateUserPassword(c.env.DB, id, passwordHash);
-      }
+    // Own password is changed with the current password (POST /api/auth/change-password)
+    if (isSelf && password) {
+      return validationError(c, [
+        { field: 'password', message: 'Svoju lozinku promenite na stranici Promena lozinke, uz trenutnu lozinku' },
+      ]);
+    }
 
+    // Non-admin can only change their own name
+    if (!isAdmin && isSelf) {
       // Update name only (keep original email and roles)
-      await updateUser(c.env.DB, id, user.email, name.trim(), user.is_admin, user.is_user);
+      await updateUser(c.env.DB, id, user.email, name.trim(), user.is_admin, user.is_user, user.is_super_admin);
 
       const updated = await getUserById(c.env.DB, id);
       if (updated) {
-        const { password_hash, ...userData } = updated;
-        return c.json(userData);
+        const after = await toBuildingUser(c, updated);
+        await recordAudit(c, {
+          action: 'update',
+          entity_type: 'user',
+          entity_id: id,
+          before: before,
+          after: after,
+        });
+        return c.json(after);
       }
     }
 
@@ -217,15 +370,33 @@ app.put('/:id', authenticate, async (c) => {
       return c.json({ error: 'Korisnik sa ovom email adresom vec postoji' }, 400);
     }
 
-    // Prevent removing last admin
-    if (user.is_admin && is_admin === false) {
-      const result = await c.env.DB.prepare('SELECT COUNT(*) as count FROM users WHERE is_admin = 1').first<{
-        count: number;
-      }>();
-      if (result && result.count <= 1) {
-        return c.json({ error: 'Ne mozete ukloniti poslednjeg administratora' }, 400);
+    const isSuperAdmin = is_super_admin !== undefined ? (is_super_admin ? 1 : 0) : user.is_super_admin;
+    if (isSuperAdmin !== user.is_super_admin && !currentUser.is_super_admin) {
+      return c.json({ error: 'Samo glavni administrator moze dodeliti ovu ulogu' }, 403);
+    }
+
+    // Prevent removing last super-admin
+    if (user.is_super_admin && !isSuperAdmin && (await countSuperAdmins(c.env.DB)) <= 1) {
+      return c.json({ error: 'Ne mozete ukloniti poslednjeg glavnog administratora' }, 400);
+    }
+
+    // Prevent removing last admin of the building
+    const buildingId = c.get('building').id;
+    const wasAdmin = Boolean(before.is_admin);
+    const willBeAdmin = Boolean(isSuperAdmin) || (is_admin !== undefined ? Boolean(is_admin) : wasAdmin);
+    if (wasAdmin && !willBeAdmin && (await countBuildingAdmins(c.env.DB, buildingId)) <= 1) {
+      return c.json({ error: 'Ne mozete ukloniti poslednjeg administratora' }, 400);
+    }
+
+    // Building administration; the admin role stays while the user administers any building
+    if (is_admin !== undefined) {
+      if (is_admin) {
+        await addBuildingAdmin(c.env.DB, buildingId, id);
+      } else {
+        await removeBuildingAdmin(c.env.DB, buildingId, id);
       }
     }
+    const adminBuildings = await countAdminBuildings(c.env.DB, id);
 
     // Update user
     await updateUser(
@@ -233,21 +404,34 @@ app.put('/:id', authenticate, async (c) => {
       id,
       email.toLowerCase(),
       name.trim(),
-      is_admin !== undefined ? (is_admin ? 1 : 0) : user.is_admin,
-      is_user !== undefined ? (is_user ? 1 : 0) : user.is_user
+      isSuperAdmin || adminBuildings > 0 ? 1 : 0,
+      is_user !== undefined ? (is_user ? 1 : 0) : user.is_user,
+      isSuperAdmin
     );
 
     // Update password if provided
     if (password) {
       const passwordHash = await hash(password, SALT_ROUNDS);
-      await updateUserPassword(c.env.DB, id, passwordHash);
+      await updateUserPassword(c.env.DB, id, passwordHash, must_change_password ? 1 : 0);
     }
 
     // Return updated user
     const updated = await getUserById(c.env.DB, id);
     if (updated) {
-      const { password_hash, ...userData } = updated;
-      return c.json(userData);
+      const after = await toBuildingUser(c, updated);
+      const signOut = Boolean(password) || rolesChanged(before, after);
+      if (signOut) {
+        await deleteUserSessions(c.env.DB, id, isSelf ? c.get('sessionId') : null);
+      }
+
+      await recordAudit(c, {
+        action: 'update',
+        entity_type: 'user',
+        entity_id: id,
+        before: before,
+        after: { ...after, password_changed: Boolean(password), sessions_revoked: signOut },
+      });
+      return c.json(after);
     }
 
     return c.json({ error: 'Greska prilikom azuriranja korisnika' }, 500);
@@ -257,11 +441,235 @@ app.put('/:id', authenticate, async (c) => {
   }
 });
 
+/**
+ * POST /api/users/:id/invite
+ * Send a user a link for setting their password, e.g. when an invitation expired (admin only)
+ * Returns the link and whether it was emailed.
+ */
+app.post('/:id/invite', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    if (!c.env.APP_URL) {
+      return c.json({ error: 'Pozivnice nisu podesene (APP_URL)' }, 400);
+    }
+
+    const invitation = await sendInvitation(c, user);
+    const before = await toBuildingUser(c, user);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: id,
+      before: before,
+      after: { ...before, invitation_sent: true },
+    });
+
+    const message = invitation.sent
+      ? `Pozivnica je poslata na ${user.email}`
+      : 'Pozivnica nije poslata e-postom, prosledite link korisniku';
+    return c.json({ message: message, invitation: invitation });
+  } catch (err) {
+    console.error('Invite user error:', err);
+    return c.json({ error: 'Greska prilikom slanja pozivnice' }, 500);
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Unlock an account locked after failed logins and clear its failed logins (admin only)
+ */
+app.post('/:id/unlock', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    await clearFailedLogins(c.env.DB, id);
+
+    const before = await toBuildingUser(c, user);
+    const after = await toBuildingUser(c, (await getUserById(c.env.DB, id))!);
+    await recordAudit(c, { action: 'update', entity_type: 'user', entity_id: id, before: before, after: after });
+
+    return c.json({ message: 'Nalog je otkljucan' });
+  } catch (err) {
+    console.error('Unlock user error:', err);
+    return c.json({ error: 'Greska prilikom otkljucavanja naloga' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/two-factor
+ * Reset two-factor authentication of a user who lost their authenticator app and recovery
+ * codes (admin only; admins and super-admins only by a super-admin)
+ * The user's sessions are signed out; a role that requires it sets it up again at the next login.
+ */
+app.delete('/:id/two-factor', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    if (id === c.get('user').id) {
+      return c.json({ error: 'Svoju dvofaktorsku potvrdu iskljucujete u podesavanjima naloga' }, 400);
+    }
+    if ((user.is_admin || user.is_super_admin) && !c.get('user').is_super_admin) {
+      return c.json({ error: 'Dvofaktorsku potvrdu administratora moze ponistiti samo glavni administrator' }, 403);
+    }
+    if (!user.totp_enabled_at && !user.totp_secret) {
+      return c.json({ error: 'Korisnik nema ukljucenu dvofaktorsku potvrdu' }, 400);
+    }
+
+    await disableTwoFactor(c.env.DB, id);
+    await deleteUserSessions(c.env.DB, id, null);
+
+    const before = await toBuildingUser(c, user);
+    const after = await toBuildingUser(c, (await getUserById(c.env.DB, id))!);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: id,
+      before: before,
+      after: { ...after, two_factor_reset: true, sessions_revoked: true },
+    });
+
+    return c.json({ message: 'Dvofaktorska potvrda je ponistena i korisnik je odjavljen sa svih uredjaja' });
+  } catch (err) {
+    console.error('Reset two-factor error:', err);
+    return c.json({ error: 'Greska prilikom ponistavanja dvofaktorske potvrde' }, 500);
+  }
+});
+
+/**
+ * GET /api/users/:id/sessions
+ * List a user's active sessions (admin only)
+ * current marks the session of this request.
+ */
+app.get('/:id/sessions', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    const sessions = await getUserSessions(c.env.DB, id);
+    return c.json(sessions.map((session) => ({ ...session, current: session.id === c.get('sessionId') })));
+  } catch (err) {
+    console.error('Get user sessions error:', err);
+    return c.json({ error: 'Greska prilikom ucitavanja sesija' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/sessions
+ * Sign out all sessions of a user (admin only); signing out oneself ends the current session too
+ */
+app.delete('/:id/sessions', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    const count = await deleteUserSessions(c.env.DB, id, null);
+    const before = await toBuildingUser(c, user);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: id,
+      before: before,
+      after: { ...before, sessions_revoked: true },
+    });
+
+    return c.json({ message: `Korisnik je odjavljen sa svih uredjaja (${count})` });
+  } catch (err) {
+    console.error('Revoke user sessions error:', err);
+    return c.json({ error: 'Greska prilikom odjave korisnika' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Sign out one session of a user (admin only)
+ */
+app.delete('/:id/sessions/:sessionId', authenticate, requireBuilding, requireAdmin, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'), 10);
+    const sessionId = parseInt(c.req.param('sessionId'), 10);
+
+    if (!isInteger(id) || id < 1) {
+      return c.json({ error: 'Nevazeci ID korisnika' }, 400);
+    }
+    if (!isInteger(sessionId) || sessionId < 1) {
+      return c.json({ error: 'Nevazeci ID sesije' }, 400);
+    }
+
+    const user = await getUserById(c.env.DB, id);
+    if (!user || !(await canManageUser(c, id))) {
+      return c.json({ error: 'Korisnik nije pronadjen' }, 404);
+    }
+
+    const session = await getSessionById(c.env.DB, sessionId);
+    if (!session || session.user_id !== id) {
+      return c.json({ error: 'Sesija nije pronadjena' }, 404);
+    }
+
+    await deleteSession(c.env.DB, sessionId);
+    const before = await toBuildingUser(c, user);
+    await recordAudit(c, {
+      action: 'update',
+      entity_type: 'user',
+      entity_id: id,
+      before: before,
+      after: { ...before, sessions_revoked: true },
+    });
+
+    return c.json({ message: 'Sesija je odjavljena' });
+  } catch (err) {
+    console.error('Revoke user session error:', err);
+    return c.json({ error: 'Greska prilikom odjave sesije' }, 500);
+  }
+});
+
 /**
  * DELETE /api/users/:id
  * Delete user (admin only)
  */
-app.delete('/:id', authenticate, requireAdmin, async (c) => {
+app.delete('/:id', authenticate, requireBuilding, requireAdmin, async (c) => {
   try {
     const id = parseInt(c.req.param('id'), 10);
 
@@ -271,7 +679,7 @@ app.delete('/:id', authenticate, requireAdmin, async (c) => {
 
     // Check user exists
     const user = await getUserById(c.env.DB, id);
-    if (!user) {
+    if (!user || !(await canManageUser(c, id))) {
       return c.json({ error: 'Korisnik nije pronadjen' }, 404);
     }
 
@@ -282,18 +690,20 @@ app.delete('/:id', authenticate, requireAdmin, async (c) => {
       return c.json({ error: 'Ne mozete obrisati sopstveni nalog' }, 400);
     }
 
-    // Prevent deleting last admin
-    if (user.is_admin) {
-      const result = await c.env.DB.prepare('SELECT COUNT(*) as count FROM users WHERE is_admin = 1').first<{
-        count: number;
-      }>();
-      if (result && result.count <= 1) {
-        return c.json({ error: 'Ne mozete obrisati poslednjeg administratora' }, 400);
-      }
+    // Prevent deleting last super-admin
+    if (user.is_super_admin && (await countSuperAdmins(c.env.DB)) <= 1) {
+      return c.json({ error: 'Ne mozete obrisati poslednjeg glavnog administratora' }, 400);
+    }
+
+    // Prevent deleting last admin of the building
+    const before = await toBuildingUser(c, user);
+    if (before.is_admin && (await countBuildingAdmins(c.env.DB, c.get('building').id)) <= 1) {
+      return c.json({ error: 'Ne mozete obrisati poslednjeg administratora' }, 400);
     }
 
     // Delete user
     await deleteUser(c.env.DB, id);
+    await recordAudit(c, { action: 'delete', entity_type: 'user', entity_id: id, before: before });
 
     return c.json({ message: 'Korisnik je uspesno obrisan' });
   } catch (err) {
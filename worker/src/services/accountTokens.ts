@@ -0,0 +1,135 @@
+/**
+ * Account Token Service
+ * One-time links for setting a password.
+ *
+ * - Invitation: sent by an admin to a new user (or again to a user who has not set a
+ *   password yet), valid for INVITE_HOURS
+ * - Password reset: requested by the user with their email address, valid for RESET_HOURS
+ * - A new link replaces the user's earlier link of the same kind; setting the password
+ *   deletes all of the user's links
+ * - Only a SHA-256 hash of the token is stored, the token itself is only in the link
+ * - Links open password.html on the frontend (APP_URL) and are emailed with the
+ *   configured mail transport (MAIL_TRANSPORT)
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, AccountToken, AccountTokenPurpose, User } from '../types';
+import { replaceAccountToken, deleteValidAccountToken } from '../db/queries';
+import { createMailTransport } from './mailTransport';
+
+// Hours a link is valid
+export const INVITE_HOURS = 7 * 24;
+export const RESET_HOURS = 1;
+
+/**
+ * Bytes as a hex string
+ */
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 hash of a token (hex), the form tokens are stored in
+ */
+export async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Random token (256 bits, hex)
+ */
+export function randomToken(): string {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Create a one-time link token for a user
+ * @param createdBy - Admin sending an invitation (null for a reset requested by the user)
+ * @returns Token to put in the link
+ */
+export async function issueAccountToken(
+  db: D1Database,
+  userId: number,
+  purpose: AccountTokenPurpose,
+  createdBy: number | null
+): Promise<string> {
+  const token = randomToken();
+  const hours = purpose === 'invite' ? INVITE_HOURS : RESET_HOURS;
+  const expiresAt = new Date(Date.now() + hours * 3600 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+  await replaceAccountToken(db, userId, purpose, await hashToken(token), expiresAt, createdBy);
+  return token;
+}
+
+/**
+ * Use the token of a link: it is deleted at once, so the link works only once
+ * (also for concurrent requests)
+ * @returns Token record, or null if it does not exist, was used or has expired
+ */
+export async function consumeAccountToken(db: D1Database, token: unknown): Promise<AccountToken | null> {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+  return await deleteValidAccountToken(db, await hashToken(token));
+}
+
+/**
+ * Link that opens the password page with a token
+ * @returns Link, or null if APP_URL is not configured
+ */
+export function accountLink(env: Env, token: string): string | null {
+  if (!env.APP_URL) {
+    return null;
+  }
+  return `${env.APP_URL.replace(/\/+$/, '')}/password.html?token=${token}`;
+}
+
+/**
+ * Email a link for setting the password
+ * @returns false if email delivery is not configured
+ * @throws Error if the transport fails
+ */
+export async function sendAccountLink(
+  env: Env,
+  user: Pick<User, 'email' | 'name'>,
+  purpose: AccountTokenPurpose,
+  link: string
+): Promise<boolean> {
+  const transport = createMailTransport(env);
+  if (!transport) {
+    return false;
+  }
+
+  const text =
+    purpose === 'invite'
+      ? [
+          `Postovani/a ${user.name},`,
+          '',
+          'otvoren Vam je nalog u aplikaciji stambene zajednice. Lozinku postavljate na linku:',
+          '',
+          link,
+          '',
+          `Link vazi ${INVITE_HOURS / 24} dana i moze se iskoristiti samo jednom.`,
+        ]
+      : [
+          `Postovani/a ${user.name},`,
+          '',
+          'zatrazena je promena lozinke za Vas nalog. Novu lozinku postavljate na linku:',
+          '',
+          link,
+          '',
+          `Link vazi ${RESET_HOURS} sat i moze se iskoristiti samo jednom.`,
+          'Ako niste Vi zatrazili promenu lozinke, zanemarite ovu poruku.',
+        ];
+
+  await transport.send({
+    from: env.MAIL_FROM || '',
+    fromName: env.MAIL_FROM_NAME || 'Stambena zajednica',
+    to: user.email,
+    toName: user.name,
+    subject: purpose === 'invite' ? 'Poziv za nalog stambene zajednice' : 'Promena lozinke',
+    text: text.join('\n'),
+    attachments: [],
+  });
+  return true;
+}
@@ -0,0 +1,186 @@
+/**
+ * Payment Allocation Service
+ * Splits payments across billings to tell which months are paid.
+ *
+ * - Manual allocations (set by the admin) are applied first, each capped at
+ *   what is left of the payment and of the billing
+ * - The rest of every payment goes to the oldest unpaid billings of the
+ *   apartment; payments are taken in order of payment date
+ * - What no billing can take is credit (prepayment) for later billings
+ * - Voided payments and cancelled billings take no part
+ * - Opening balances imported at a period close have no billings and are not allocated
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type {
+  AppliedAllocation,
+  Billing,
+  BillingPaymentStatus,
+  BillingWithStatus,
+  Payment,
+  PaymentAllocation,
+  PaymentAllocationDetail,
+} from '../types';
+import {
+  getAllBillings,
+  getAllPayments,
+  getBillingsByApartment,
+  getPaymentsByApartment,
+  getPaymentAllocations,
+} from '../db/queries';
+import { periodIndex } from './periods';
+
+// Amounts below this are treated as paid (rounding)
+const AMOUNT_EPSILON = 0.005;
+
+export interface AllocationResult {
+  // Active billings, oldest first
+  billings: Billing[];
+  allocations: AppliedAllocation[];
+  // Paid amount per billing id (active billings only)
+  paid: Map<number, number>;
+  // Unallocated amount per payment id (active payments only)
+  unallocated: Map<number, number>;
+}
+
+/**
+ * Round amount to 2 decimals
+ */
+function roundAmount(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Allocate payments to billings
+ * @param billings - Billings of one or more apartments
+ * @param payments - Payments of the same apartments
+ * @param manual - Manual allocations of these payments
+ */
+export function allocatePayments(
+  billings: Billing[],
+  payments: Pick<Payment, 'id' | 'apartment_id' | 'amount' | 'payment_date' | 'voided_at'>[],
+  manual: PaymentAllocation[]
+): AllocationResult {
+  const activeBillings = billings
+    .filter((billing) => !billing.cancelled_at)
+    .sort((a, b) => periodIndex(a.billing_year, a.billing_month) - periodIndex(b.billing_year, b.billing_month));
+  const activePayments = payments
+    .filter((payment) => !payment.voided_at)
+    .sort((a, b) => a.payment_date.localeCompare(b.payment_date) || a.id - b.id);
+
+  const billingLeft = new Map(activeBillings.map((billing) => [billing.id, billing.amount]));
+  const paymentLeft = new Map(activePayments.map((payment) => [payment.id, payment.amount]));
+  const billingApartment = new Map(activeBillings.map((billing) => [billing.id, billing.apartment_id]));
+  const allocations: AppliedAllocation[] = [];
+
+  const apply = (paymentId: number, billingId: number, amount: number, isManual: boolean) => {
+    const applied = roundAmount(Math.min(amount, paymentLeft.get(paymentId)!, billingLeft.get(billingId)!));
+    if (applied <= AMOUNT_EPSILON) return;
+
+    paymentLeft.set(paymentId, paymentLeft.get(paymentId)! - applied);
+    billingLeft.set(billingId, billingLeft.get(billingId)! - applied);
+
+    const existing = allocations.find((a) => a.payment_id === paymentId && a.billing_id === billingId);
+    if (existing) {
+      existing.amount = roundAmount(existing.amount + applied);
+    } else {
+      allocations.push({ payment_id: paymentId, billing_id: billingId, amount: applied, manual: isManual });
+    }
+  };
+
+  // Manual allocations first, in payment order
+  for (const payment of activePayments) {
+    for (const allocation of manual.filter((a) => a.payment_id === payment.id)) {
+      if (billingApartment.get(allocation.billing_id) !== payment.apartment_id) continue;
+      apply(payment.id, allocation.billing_id, allocation.amount, true);
+    }
+  }
+
+  // Then the rest of each payment, oldest billings first
+  for (const payment of activePayments) {
+    for (const billing of activeBillings) {
+      if (paymentLeft.get(payment.id)! <= AMOUNT_EPSILON) break;
+      if (billing.apartment_id !== payment.apartment_id) continue;
+      apply(payment.id, billing.id, billingLeft.get(billing.id)!, false);
+    }
+  }
+
+  return {
+    billings: activeBillings,
+    allocations: allocations,
+    paid: new Map(activeBillings.map((b) => [b.id, roundAmount(b.amount - billingLeft.get(b.id)!)])),
+    unallocated: new Map(activePayments.map((p) => [p.id, roundAmount(paymentLeft.get(p.id)!)])),
+  };
+}
+
+/**
+ * Payment status of a billing from its paid amount
+ */
+export function getPaymentStatus(amount: number, paid: number): BillingPaymentStatus {
+  if (amount - paid <= AMOUNT_EPSILON) return 'paid';
+  if (paid <= AMOUNT_EPSILON) return 'unpaid';
+  return 'partial';
+}
+
+/**
+ * Add paid amount and payment status to billings
+ */
+export function withPaymentStatus(billings: Billing[], result: AllocationResult): BillingWithStatus[] {
+  return billings.map((billing) => {
+    if (billing.cancelled_at) {
+      return { ...billing, paid_amount: 0, unpaid_amount: 0, payment_status: null };
+    }
+
+    const paid = result.paid.get(billing.id) ?? 0;
+    return {
+      ...billing,
+      paid_amount: paid,
+      unpaid_amount: roundAmount(billing.amount - paid),
+      payment_status: getPaymentStatus(billing.amount, paid),
+    };
+  });
+}
+
+/**
+ * Allocations of a payment with the billing month
+ */
+export function getPaymentAllocationDetails(result: AllocationResult, paymentId: number): PaymentAllocationDetail[] {
+  return result.allocations
+    .filter((allocation) => allocation.payment_id === paymentId)
+    .map((allocation) => {
+      const billing = result.billings.find((b) => b.id === allocation.billing_id)!;
+      return { ...allocation, billing_year: billing.billing_year, billing_month: billing.billing_month };
+    });
+}
+
+/**
+ * Unpaid and partially paid billings, oldest first
+ */
+export function getUnpaidBillings(result: AllocationResult): BillingWithStatus[] {
+  return withPaymentStatus(result.billings, result).filter((billing) => billing.payment_status !== 'paid');
+}
+
+/**
+ * Payments not allocated to any billing (credit for later billings)
+ */
+export function getCredit(result: AllocationResult): number {
+  return roundAmount([...result.unallocated.values()].reduce((sum, amount) => sum + amount, 0));
+}
+
+/**
+ * Allocate payments of a building, or of one apartment
+ * @param apartmentId - Apartment to allocate (null for all apartments of the building)
+ */
+export async function loadAllocation(
+  db: D1Database,
+  buildingId: number,
+  apartmentId: number | null = null
+): Promise<AllocationResult> {
+  const [billings, payments, manual] = await Promise.all([
+    apartmentId ? getBillingsByApartment(db, apartmentId) : getAllBillings(db, buildingId),
+    apartmentId ? getPaymentsByApartment(db, apartmentId) : getAllPayments(db, buildingId),
+    getPaymentAllocations(db, buildingId, apartmentId),
+  ]);
+
+  return allocatePayments(billings, payments, manual);
+}
@@ -0,0 +1,165 @@
+/**
+ * Amount Rule Service
+ * Monthly maintenance amount of each apartment from the building's amount rule.
+ *
+ * - The rule is a list of components summed per apartment: a fixed amount, a rate
+ *   per m2 of area, a rate per occupant, or an amount for the whole building split
+ *   by ownership share (rate x share / 100)
+ * - An apartment's override amount replaces the rule
+ * - Without a rule every apartment is billed the building's default amount
+ * - An apartment missing data a component needs (area, occupants, share) has no
+ *   amount; billings are not generated until the data is entered
+ */
+
+import type { ValidationError } from '../middleware/validation';
+import { isPositiveNumber } from '../middleware/validation';
+import type { AmountBasis, AmountComponent, AmountLine, Apartment, ApartmentAmount, Building } from '../types';
+
+export const AMOUNT_BASES: AmountBasis[] = ['fixed', 'area', 'occupants', 'share'];
+
+// Most components in a rule
+const MAX_COMPONENTS = 10;
+
+// Apartment data used by each basis and its label in errors
+const BASIS_FIELDS: Record<
+  Exclude<AmountBasis, 'fixed'>,
+  { field: 'area' | 'occupants' | 'ownership_share'; label: string }
+> = {
+  area: { field: 'area', label: 'povrsina' },
+  occupants: { field: 'occupants', label: 'broj ukucana' },
+  share: { field: 'ownership_share', label: 'udeo u vlasnistvu' },
+};
+
+type AmountApartment = Pick<
+  Apartment,
+  'id' | 'apartment_number' | 'owner_name' | 'override_amount' | 'area' | 'occupants' | 'ownership_share'
+>;
+
+/**
+ * Round amount to 2 decimals
+ */
+function roundAmount(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate amount rule components from a request body
+ * @param value - List of { basis, rate } (empty = default amount for every apartment)
+ * @returns Errors, and the components when there are none
+ */
+export function parseAmountRule(value: unknown): { errors: ValidationError[]; components: AmountComponent[] | null } {
+  if (!Array.isArray(value)) {
+    return { errors: [{ field: 'components', message: 'Stavke obracuna moraju biti lista' }], components: null };
+  }
+
+  if (value.length > MAX_COMPONENTS) {
+    return {
+      errors: [{ field: 'components', message: `Obracun moze imati najvise ${MAX_COMPONENTS} stavki` }],
+      components: null,
+    };
+  }
+
+  const errors: ValidationError[] = [];
+  value.forEach((component, i) => {
+    if (!AMOUNT_BASES.includes(component?.basis)) {
+      errors.push({ field: `components.${i}.basis`, message: `Stavka ${i + 1}: nevazeci nacin obracuna` });
+    } else if (value.findIndex((other) => other?.basis === component.basis) !== i) {
+      errors.push({ field: `components.${i}.basis`, message: `Stavka ${i + 1}: nacin obracuna se ponavlja` });
+    }
+
+    if (!isPositiveNumber(component?.rate)) {
+      errors.push({ field: `components.${i}.rate`, message: `Stavka ${i + 1}: iznos mora biti pozitivan broj` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors: errors, components: null };
+  }
+
+  return {
+    errors: [],
+    components: value.map((component) => ({
+      basis: component.basis,
+      rate: roundAmount(parseFloat(component.rate)),
+    })),
+  };
+}
+
+/**
+ * Amount rule of a building
+ * @returns Components (empty = default amount for every apartment)
+ */
+export function getAmountRule(building: Pick<Building, 'amount_rule'>): AmountComponent[] {
+  return building.amount_rule ? JSON.parse(building.amount_rule) : [];
+}
+
+/**
+ * Calculate the monthly amount of an apartment
+ * @param components - Amount rule (default: the building's rule)
+ */
+export function calculateAmount(
+  apartment: AmountApartment,
+  building: Pick<Building, 'default_amount' | 'amount_rule'>,
+  components: AmountComponent[] = getAmountRule(building)
+): ApartmentAmount {
+  const result = {
+    apartment_id: apartment.id,
+    apartment_number: apartment.apartment_number,
+    owner_name: apartment.owner_name,
+  };
+
+  if (apartment.override_amount) {
+    return { ...result, source: 'override', lines: [], amount: apartment.override_amount, error: null };
+  }
+
+  if (components.length === 0) {
+    return { ...result, source: 'default', lines: [], amount: building.default_amount, error: null };
+  }
+
+  const missing: string[] = [];
+  const lines: AmountLine[] = components.map((component) => {
+    let quantity = 1;
+    if (component.basis !== 'fixed') {
+      const { field, label } = BASIS_FIELDS[component.basis];
+      const value = apartment[field];
+      if (value === null || value === undefined) missing.push(label);
+      quantity = component.basis === 'share' ? (value ?? 0) / 100 : value ?? 0;
+    }
+    return { ...component, quantity: quantity, amount: roundAmount(component.rate * quantity) };
+  });
+
+  if (missing.length > 0) {
+    return { ...result, source: 'rule', lines: lines, amount: null, error: `Nije uneto: ${missing.join(', ')}` };
+  }
+
+  const amount = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (amount <= 0) {
+    return { ...result, source: 'rule', lines: lines, amount: null, error: 'Obracunati iznos je 0' };
+  }
+
+  return { ...result, source: 'rule', lines: lines, amount: amount, error: null };
+}
+
+/**
+ * Calculate the monthly amounts of apartments
+ * @param components - Amount rule (default: the building's rule)
+ */
+export function calculateAmounts(
+  apartments: AmountApartment[],
+  building: Pick<Building, 'default_amount' | 'amount_rule'>,
+  components: AmountComponent[] = getAmountRule(building)
+): ApartmentAmount[] {
+  return apartments.map((apartment) => calculateAmount(apartment, building, components));
+}
+
+/**
+ * Errors of apartments without an amount, keyed by apartment (empty if all have one)
+ */
+export function amountErrors(amounts: ApartmentAmount[]): ValidationError[] {
+  return amounts
+    .filter((amount) => amount.error)
+    .map((amount) => ({
+      field: `apartment_${amount.apartment_number}`,
+      message: `Stan ${amount.apartment_number}: ${amount.error}`,
+    }));
+}
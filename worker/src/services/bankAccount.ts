@@ -56,7 +56,7 @@ export function parseBankAccount(input: string): BankAccountParsed {
   }
 
   throw new Error(
-    'Invalid bank account format. Must be 7-18 digits (e.g., 16054891267 or 160-0000000548912-67)'
+    'Invalid bank account format. Must be 7-18 digits (e.g., 16054891212 or 160-0000000548912-12)'
   );
 }
 
@@ -0,0 +1,128 @@
+/**
+ * Billing Service
+ * Builds the data stored on a billing: billed amount, payment purpose and code,
+ * reference number and a snapshot of the payer (owner name and address), so
+ * slips printed later match the ledger even if apartment or building data changes.
+ *
+ * Slips are printed one per billing, or (building.combine_slips) one per
+ * apartment and month for the total of its billings.
+ */
+
+import { generateReferenceNumber } from './referenceNumber';
+import { DEFAULT_PAYMENT_CODE } from './qrCode';
+import type { Apartment, Billing, Building, BillingSlipData, ChargeType, Reminder } from '../types';
+
+type SlipApartment = Pick<Apartment, 'apartment_number' | 'owner_name' | 'floor_number'>;
+
+/**
+ * Round amount to 2 decimals
+ */
+function roundAmount(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build billing data for an apartment and month from current apartment/building data
+ * @param apartment - Apartment data
+ * @param building - Building data
+ * @param year - Billing year
+ * @param month - Billing month (1-12)
+ * @param amount - Billed amount (maintenance: from the building's amount rule)
+ * @returns Billing data (as it will be stored and printed)
+ */
+export function buildBillingSlipData(
+  apartment: SlipApartment,
+  building: Building,
+  year: number,
+  month: number,
+  amount: number
+): BillingSlipData {
+  return {
+    billing_month: month,
+    billing_year: year,
+    amount: amount,
+    payment_purpose: building.payment_purpose,
+    payment_code: DEFAULT_PAYMENT_CODE,
+    reference_model: building.reference_model,
+    reference_number: generateReferenceNumber(building.reference_model, apartment.apartment_number, year, month),
+    apartment_number: apartment.apartment_number,
+    owner_name: apartment.owner_name,
+    floor_number: apartment.floor_number,
+    payer_address: building.address,
+    payer_city: building.city,
+  };
+}
+
+/**
+ * Build billing data for a charge (charge type or assessment installment)
+ * Reference and payer are those of the apartment's monthly billing.
+ * @param charge - Billed amount, payment purpose and payment code
+ * @returns Billing data (as it will be stored and printed)
+ */
+export function buildChargeSlipData(
+  apartment: SlipApartment,
+  building: Building,
+  year: number,
+  month: number,
+  charge: Pick<ChargeType, 'payment_purpose' | 'payment_code'> & { amount: number }
+): BillingSlipData {
+  return {
+    ...buildBillingSlipData(apartment, building, year, month, charge.amount),
+    payment_purpose: charge.payment_purpose,
+    payment_code: charge.payment_code,
+  };
+}
+
+/**
+ * Build the slips to print for billings
+ * With combine_slips, billings of an apartment and month share one slip for their
+ * total, printed with the building's payment purpose and the maintenance payment code.
+ * @param billings - Stored billings
+ * @returns Slip data, one per billing or per apartment and month
+ */
+export function buildSlips(billings: Billing[], building: Building): BillingSlipData[] {
+  if (!building.combine_slips) return billings;
+
+  const groups = new Map<string, Billing[]>();
+  for (const billing of billings) {
+    const key = `${billing.apartment_id}-${billing.billing_year}-${billing.billing_month}`;
+    groups.set(key, [...(groups.get(key) ?? []), billing]);
+  }
+
+  return [...groups.values()].map((group) => {
+    if (group.length === 1) return group[0];
+
+    // Payer and reference of the monthly billing if there is one
+    const main = group.find((billing) => billing.billing_type === 'maintenance') ?? group[0];
+    return {
+      ...main,
+      amount: roundAmount(group.reduce((sum, billing) => sum + billing.amount, 0)),
+      payment_purpose: building.payment_purpose,
+      payment_code: DEFAULT_PAYMENT_CODE,
+    };
+  });
+}
+
+/**
+ * Build payment slip data for the total owed in a reminder letter
+ * @param reminder - Stored reminder (amount, reference and payer snapshot)
+ * @param building - Building data (payment purpose)
+ * @returns Slip data for the reminder's payment slip and QR code
+ */
+export function buildReminderSlipData(reminder: Reminder, building: Building): BillingSlipData {
+  const [year, month] = reminder.created_at.slice(0, 7).split('-').map(Number);
+  return {
+    billing_month: month,
+    billing_year: year,
+    amount: reminder.amount,
+    payment_purpose: building.payment_purpose,
+    payment_code: DEFAULT_PAYMENT_CODE,
+    reference_model: reminder.reference_model,
+    reference_number: reminder.reference_number,
+    apartment_number: reminder.apartment_number,
+    owner_name: reminder.owner_name,
+    floor_number: reminder.floor_number,
+    payer_address: reminder.payer_address,
+    payer_city: reminder.payer_city,
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Building Service
+ * Validates and normalizes building data entered by an admin (used when a
+ * building is created and when its configuration is updated).
+ */
+
+import type { ValidationError } from '../middleware/validation';
+import { isNotEmpty, isPositiveNumber } from '../middleware/validation';
+import { formatForDisplay, isValidBankAccount } from './bankAccount';
+import { validateBuildingIPS } from './ipsValidator';
+import { isValidReferenceModel } from './referenceNumber';
+import type { Building } from '../types';
+
+export type BuildingInput = Pick<
+  Building,
+  'address' | 'city' | 'bank_account' | 'default_amount' | 'recipient_name' | 'payment_purpose' | 'reference_model'
+>;
+
+/**
+ * Validate building data from a request body
+ * @param body - Request body
+ * @returns Normalized building data (bank account formatted), or validation errors
+ */
+export function parseBuildingInput(
+  body: Record<string, any>
+): { data: BuildingInput; errors: [] } | { data: null; errors: ValidationError[] } {
+  const { address, city, bank_account, default_amount, recipient_name, payment_purpose, reference_model = '97' } =
+    body;
+
+  const errors: ValidationError[] = [];
+
+  if (!address || !isNotEmpty(address)) {
+    errors.push({ field: 'address', message: 'Adresa je obavezna' });
+  } else if (address.length > 200) {
+    errors.push({ field: 'address', message: 'Adresa ne moze biti duza od 200 karaktera' });
+  }
+
+  if (!city || !isNotEmpty(city)) {
+    errors.push({ field: 'city', message: 'Grad je obavezan' });
+  } else if (city.length > 100) {
+    errors.push({ field: 'city', message: 'Naziv grada ne moze biti duzi od 100 karaktera' });
+  }
+
+  if (!bank_account || !isNotEmpty(bank_account)) {
+    errors.push({ field: 'bank_account', message: 'Broj racuna je obavezan' });
+  } else if (!isValidBankAccount(bank_account)) {
+    errors.push({
+      field: 'bank_account',
+      message: 'Nevazeci format broja racuna (npr. 16054891212 ili 160-0000000548912-12)',
+    });
+  }
+
+  if (!default_amount || !isPositiveNumber(default_amount)) {
+    errors.push({ field: 'default_amount', message: 'Iznos mora biti pozitivan broj' });
+  }
+
+  if (!recipient_name || !isNotEmpty(recipient_name)) {
+    errors.push({ field: 'recipient_name', message: 'Naziv primaoca je obavezan' });
+  } else if (recipient_name.length > 200) {
+    errors.push({ field: 'recipient_name', message: 'Naziv primaoca ne moze biti duzi od 200 karaktera' });
+  }
+
+  if (!payment_purpose || !isNotEmpty(payment_purpose)) {
+    errors.push({ field: 'payment_purpose', message: 'Svrha uplate je obavezna' });
+  } else if (payment_purpose.length > 200) {
+    errors.push({ field: 'payment_purpose', message: 'Svrha uplate ne moze biti duza od 200 karaktera' });
+  }
+
+  if (!isValidReferenceModel(reference_model)) {
+    errors.push({ field: 'reference_model', message: 'Nepodrzan model poziva na broj (dozvoljeno: 97 ili bez modela)' });
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors: errors };
+  }
+
+  const data: BuildingInput = {
+    address: address.trim(),
+    city: city.trim(),
+    // Format bank account before storing
+    bank_account: formatForDisplay(bank_account),
+    default_amount: parseFloat(default_amount),
+    recipient_name: recipient_name.trim(),
+    payment_purpose: payment_purpose.trim(),
+    reference_model: reference_model,
+  };
+
+  // Check data printed in every QR code against the NBS IPS QR specification
+  const ipsErrors = validateBuildingIPS(data);
+  if (ipsErrors.length > 0) {
+    return { data: null, errors: ipsErrors };
+  }
+
+  return { data: data, errors: [] };
+}
@@ -0,0 +1,100 @@
+/**
+ * Charge Service
+ * Charges billed next to the monthly maintenance fee.
+ *
+ * - Charge types with a monthly amount are billed to every apartment together
+ *   with the maintenance billings of a month (billing type 'charge')
+ * - A special assessment bills its amount per apartment to all or selected
+ *   apartments in monthly installments from its start month (billing type
+ *   'assessment'); cents left over by the split go to the last installment
+ * - Charge billings keep the payment purpose and payment code of their charge
+ *   type (assessments: their own purpose) as issued
+ */
+
+import type { Apartment, Assessment, Billing, BillingSlipData, Building, ChargeType } from '../types';
+import { buildChargeSlipData } from './billing';
+import { periodIndex } from './periods';
+
+// Longest installment plan (months)
+export const MAX_INSTALLMENTS = 60;
+
+// Billing of a charge, ready to insert
+export interface ChargeBilling {
+  apartment: Apartment;
+  billing: BillingSlipData;
+  source: Pick<Billing, 'charge_type_id' | 'assessment_id'>;
+}
+
+/**
+ * Split an amount into installments (2 decimals, the last one takes the rest)
+ */
+export function splitInstallments(amount: number, installments: number): number[] {
+  const installment = Math.floor(Math.round(amount * 100) / installments) / 100;
+  const last = Math.round((amount - installment * (installments - 1)) * 100) / 100;
+  return [...Array(installments - 1).fill(installment), last];
+}
+
+/**
+ * Months of an installment plan
+ * @returns Year and month of each installment, first to last
+ */
+export function getInstallmentMonths(
+  startYear: number,
+  startMonth: number,
+  installments: number
+): { year: number; month: number }[] {
+  const start = periodIndex(startYear, startMonth) - 1;
+  return Array.from({ length: installments }, (_, i) => ({
+    year: Math.floor((start + i) / 12),
+    month: ((start + i) % 12) + 1,
+  }));
+}
+
+/**
+ * Billings of the monthly charge types of a month
+ * @param chargeTypes - Active charge types with a monthly amount
+ */
+export function buildMonthlyCharges(
+  apartments: Apartment[],
+  building: Building,
+  chargeTypes: ChargeType[],
+  year: number,
+  month: number
+): ChargeBilling[] {
+  return apartments.flatMap((apartment) =>
+    chargeTypes.map((chargeType) => ({
+      apartment: apartment,
+      billing: buildChargeSlipData(apartment, building, year, month, {
+        amount: chargeType.monthly_amount!,
+        payment_purpose: chargeType.payment_purpose,
+        payment_code: chargeType.payment_code,
+      }),
+      source: { charge_type_id: chargeType.id, assessment_id: null },
+    }))
+  );
+}
+
+/**
+ * Installment billings of an assessment for the apartments it is billed to
+ */
+export function buildAssessmentBillings(
+  assessment: Assessment,
+  chargeType: ChargeType,
+  apartments: Apartment[],
+  building: Building
+): ChargeBilling[] {
+  const amounts = splitInstallments(assessment.amount, assessment.installments);
+  const months = getInstallmentMonths(assessment.start_year, assessment.start_month, assessment.installments);
+
+  return apartments.flatMap((apartment) =>
+    months.map(({ year, month }, i) => ({
+      apartment: apartment,
+      billing: buildChargeSlipData(apartment, building, year, month, {
+        amount: amounts[i],
+        payment_purpose: assessment.payment_purpose,
+        payment_code: chargeType.payment_code,
+      }),
+      source: { charge_type_id: chargeType.id, assessment_id: assessment.id },
+    }))
+  );
+}
@@ -0,0 +1,344 @@
+/**
+ * Export Service
+ * Builds export tables (balances, payments, billings, apartment history)
+ * for CSV and Excel downloads.
+ *
+ * - Date range (from/to, inclusive) applies to payment dates and billing
+ *   generation dates; the billings export filters by billing month
+ * - Balances in a range show the opening balance before it, amounts charged
+ *   and paid within it and the balance at its end
+ * - Voided payments are left out of balances and payments; the apartment
+ *   history lists them (and cancelled billings) without amounts
+ * - Opening balances of the last closed period that differ from the entries
+ *   (imported from a previous system) are counted on the first day after it
+ */
+
+import type {
+  Apartment,
+  Billing,
+  HistoryItem,
+  OpeningBalance,
+  OwnedHistoryItem,
+  PaymentWithDetails,
+  PeriodClose,
+} from '../types';
+import type { Spreadsheet, SpreadsheetCell, SpreadsheetFormat } from './spreadsheet';
+import { getOpeningDate, isClosedDate, isClosedPeriod } from './periods';
+
+export interface ExportFilter {
+  from: string | null; // YYYY-MM-DD
+  to: string | null; // YYYY-MM-DD
+  apartmentIds: number[] | null;
+}
+
+// Last period close of the building with its opening balances
+export interface ExportOpening {
+  close: PeriodClose;
+  balances: Pick<OpeningBalance, 'apartment_id' | 'balance'>[];
+}
+
+/**
+ * Round amount to 2 decimals (sums of floats)
+ */
+function roundAmount(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Date part (YYYY-MM-DD) of a date or datetime
+ */
+function datePart(value: string): string {
+  return value.slice(0, 10);
+}
+
+/**
+ * Check if date is before the range
+ */
+function isBeforeRange(date: string, filter: ExportFilter): boolean {
+  return filter.from !== null && datePart(date) < filter.from;
+}
+
+/**
+ * Check if date is within the range
+ */
+function isInRange(date: string, filter: ExportFilter): boolean {
+  const day = datePart(date);
+  return (filter.from === null || day >= filter.from) && (filter.to === null || day <= filter.to);
+}
+
+/**
+ * Check if apartment passes the apartment filter
+ */
+function isSelectedApartment(apartmentId: number, filter: ExportFilter): boolean {
+  return filter.apartmentIds === null || filter.apartmentIds.includes(apartmentId);
+}
+
+/**
+ * Billing period as text, e.g. "02/2026"
+ */
+function formatPeriod(month: number, year: number): string {
+  return `${String(month).padStart(2, '0')}/${year}`;
+}
+
+/**
+ * Difference between the stored opening balance of an apartment and its entries
+ * in the closed periods (0 unless opening balances were imported)
+ */
+function openingAdjustment(
+  apartmentId: number,
+  billings: Billing[],
+  payments: PaymentWithDetails[],
+  periodClose: ExportOpening
+): number {
+  const stored = periodClose.balances.find((b) => b.apartment_id === apartmentId)?.balance ?? 0;
+
+  let entries = 0;
+  for (const billing of billings) {
+    if (billing.apartment_id !== apartmentId) continue;
+    if (isClosedPeriod(periodClose.close, billing.billing_year, billing.billing_month)) entries -= billing.amount;
+  }
+  for (const payment of payments) {
+    if (payment.apartment_id !== apartmentId || payment.voided_at) continue;
+    if (isClosedDate(periodClose.close, payment.payment_date)) entries += payment.amount;
+  }
+
+  return stored - entries;
+}
+
+/**
+ * Build balances table for apartments
+ * @param apartments - Apartments of the building
+ * @param billings - All billings of the building
+ * @param payments - All payments of the building
+ * @param filter - Date range and apartment filter
+ * @param periodClose - Last period close with opening balances (null if no period is closed)
+ */
+export function buildBalancesSheet(
+  apartments: Apartment[],
+  billings: Billing[],
+  payments: PaymentWithDetails[],
+  filter: ExportFilter,
+  periodClose: ExportOpening | null = null
+): Spreadsheet {
+  const rows: SpreadsheetCell[][] = apartments
+    .filter((apartment) => isSelectedApartment(apartment.id, filter))
+    .sort((a, b) => a.apartment_number - b.apartment_number)
+    .map((apartment) => {
+      let opening = 0;
+      let charged = 0;
+      let paid = 0;
+
+      for (const billing of billings) {
+        if (billing.apartment_id !== apartment.id) continue;
+        if (isBeforeRange(billing.generated_at, filter)) opening -= billing.amount;
+        else if (isInRange(billing.generated_at, filter)) charged += billing.amount;
+      }
+
+      for (const payment of payments) {
+        if (payment.apartment_id !== apartment.id || payment.voided_at) continue;
+        if (isBeforeRange(payment.payment_date, filter)) opening += payment.amount;
+        else if (isInRange(payment.payment_date, filter)) paid += payment.amount;
+      }
+
+      if (periodClose) {
+        const openingDate = getOpeningDate(periodClose.close);
+        if (isBeforeRange(openingDate, filter) || isInRange(openingDate, filter)) {
+          opening += openingAdjustment(apartment.id, billings, payments, periodClose);
+        }
+      }
+
+      return [
+        apartment.apartment_number,
+        apartment.owner_name,
+        roundAmount(opening),
+        roundAmount(charged),
+        roundAmount(paid),
+        roundAmount(opening + paid - charged),
+      ];
+    });
+
+  return {
+    name: 'Stanje',
+    columns: [
+      { header: 'Stan', type: 'integer', width: 8 },
+      { header: 'Vlasnik', type: 'text', width: 30 },
+      { header: 'Pocetno stanje', type: 'amount', width: 16 },
+      { header: 'Zaduzeno', type: 'amount', width: 14 },
+      { header: 'Uplaceno', type: 'amount', width: 14 },
+      { header: 'Stanje', type: 'amount', width: 14 },
+    ],
+    rows: rows,
+  };
+}
+
+/**
+ * Build payments table (oldest first)
+ * @param payments - Payments with apartment and recorder details
+ * @param billings - Billings, for the period of linked billings
+ * @param filter - Date range and apartment filter
+ */
+export function buildPaymentsSheet(
+  payments: PaymentWithDetails[],
+  billings: Billing[],
+  filter: ExportFilter
+): Spreadsheet {
+  const billingsById = new Map(billings.map((billing) => [billing.id, billing]));
+
+  const rows: SpreadsheetCell[][] = payments
+    .filter((payment) => !payment.voided_at && isSelectedApartment(payment.apartment_id, filter))
+    .filter((payment) => isInRange(payment.payment_date, filter))
+    .sort((a, b) => a.payment_date.localeCompare(b.payment_date) || a.id - b.id)
+    .map((payment) => {
+      const billing = payment.billing_id ? billingsById.get(payment.billing_id) : undefined;
+      return [
+        payment.payment_date,
+        payment.apartment_number,
+        payment.owner_name,
+        payment.amount,
+        billing ? formatPeriod(billing.billing_month, billing.billing_year) : null,
+        payment.notes,
+        payment.recorded_by_name,
+      ];
+    });
+
+  return {
+    name: 'Uplate',
+    columns: [
+      { header: 'Datum', type: 'date', width: 12 },
+      { header: 'Stan', type: 'integer', width: 8 },
+      { header: 'Vlasnik', type: 'text', width: 30 },
+      { header: 'Iznos', type: 'amount', width: 14 },
+      { header: 'Zaduzenje', type: 'text', width: 12 },
+      { header: 'Napomena', type: 'text', width: 40 },
+      { header: 'Evidentirao', type: 'text', width: 24 },
+    ],
+    rows: rows,
+  };
+}
+
+/**
+ * Build billings table (by month, then apartment)
+ * @param billings - Stored billings (amount and payer as issued)
+ * @param filter - Range of billing months and apartment filter
+ */
+export function buildBillingsSheet(billings: Billing[], filter: ExportFilter): Spreadsheet {
+  const rows: SpreadsheetCell[][] = billings
+    .filter((billing) => {
+      const periodStart = `${billing.billing_year}-${String(billing.billing_month).padStart(2, '0')}-01`;
+      return isSelectedApartment(billing.apartment_id, filter) && isInRange(periodStart, filter);
+    })
+    .sort(
+      (a, b) =>
+        a.billing_year - b.billing_year || a.billing_month - b.billing_month || a.apartment_number - b.apartment_number
+    )
+    .map((billing) => [
+      billing.billing_year,
+      billing.billing_month,
+      billing.apartment_number,
+      billing.owner_name,
+      billing.floor_number,
+      billing.amount,
+      billing.payment_purpose,
+      billing.reference_model,
+      billing.reference_number,
+      datePart(billing.generated_at),
+    ]);
+
+  return {
+    name: 'Zaduzenja',
+    columns: [
+      { header: 'Godina', type: 'integer', width: 8 },
+      { header: 'Mesec', type: 'integer', width: 8 },
+      { header: 'Stan', type: 'integer', width: 8 },
+      { header: 'Vlasnik', type: 'text', width: 30 },
+      { header: 'Sprat', type: 'integer', width: 8 },
+      { header: 'Iznos', type: 'amount', width: 14 },
+      { header: 'Svrha uplate', type: 'text', width: 30 },
+      { header: 'Model', type: 'text', width: 8 },
+      { header: 'Poziv na broj', type: 'text', width: 18 },
+      { header: 'Generisano', type: 'date', width: 12 },
+    ],
+    rows: rows,
+  };
+}
+
+/**
+ * History description of a billing: monthly billing, interest or the charge (its payment purpose)
+ */
+function formatBillingLabel(item: HistoryItem): string {
+  if (item.billing_type === 'interest') return 'Zatezna kamata';
+  if (item.billing_type === 'charge' || item.billing_type === 'assessment') return item.payment_purpose || 'Zaduzenje';
+  return 'Zaduzenje';
+}
+
+/**
+ * Build apartment history table (oldest first, with running balance and the owner of each entry)
+ * An opening balance row is added when the range starts after the first entry
+ * @param history - Apartment history (most recent first, as returned by getApartmentHistory, with owners)
+ * @param filter - Date range
+ */
+export function buildHistorySheet(history: OwnedHistoryItem[], filter: ExportFilter): Spreadsheet {
+  const chronological = [...history].reverse();
+  const earlier = chronological.filter((item) => isBeforeRange(item.date, filter));
+  const rows: SpreadsheetCell[][] = [];
+
+  if (earlier.length > 0) {
+    const last = earlier[earlier.length - 1];
+    rows.push([filter.from, 'Pocetno stanje', null, null, null, roundAmount(last.balance), null]);
+  }
+
+  for (const item of chronological) {
+    if (!isInRange(item.date, filter)) continue;
+    if (item.type === 'opening') {
+      rows.push([datePart(item.date), item.description, null, null, null, roundAmount(item.balance), item.owner_name]);
+      continue;
+    }
+
+    const isBilling = item.type === 'billing';
+    const billingLabel = formatBillingLabel(item);
+    let description =
+      isBilling && item.billing_month && item.billing_year
+        ? `${billingLabel} ${formatPeriod(item.billing_month, item.billing_year)}`
+        : item.description || 'Uplata';
+    if (item.voided_at) {
+      description += ` (stornirano: ${item.void_reason})`;
+    }
+    rows.push([
+      datePart(item.date),
+      description,
+      isBilling ? item.description : null,
+      isBilling && !item.voided_at ? -item.amount : null,
+      isBilling || item.voided_at ? null : item.amount,
+      roundAmount(item.balance),
+      item.owner_name,
+    ]);
+  }
+
+  return {
+    name: 'Kartica',
+    columns: [
+      { header: 'Datum', type: 'date', width: 12 },
+      { header: 'Opis', type: 'text', width: 40 },
+      { header: 'Poziv na broj', type: 'text', width: 18 },
+      { header: 'Zaduzenje', type: 'amount', width: 14 },
+      { header: 'Uplata', type: 'amount', width: 14 },
+      { header: 'Stanje', type: 'amount', width: 14 },
+      { header: 'Vlasnik', type: 'text', width: 30 },
+    ],
+    rows: rows,
+  };
+}
+
+/**
+ * Generate filename for an export
+ * @param prefix - File name prefix (e.g. "stanje", "uplate")
+ * @param filter - Date range (added to the name when set)
+ * @param format - csv or xlsx
+ * @returns Filename, e.g. "uplate_od_2026_01_01_do_2026_03_31.xlsx"
+ */
+export function generateExportFilename(prefix: string, filter: ExportFilter, format: SpreadsheetFormat): string {
+  let filename = prefix;
+  if (filter.from) filename += `_od_${filter.from.replace(/-/g, '_')}`;
+  if (filter.to) filename += `_do_${filter.to.replace(/-/g, '_')}`;
+  return `${filename}.${format}`;
+}
@@ -0,0 +1,440 @@
+/**
+ * Billing Generation Service
+ * Generates the billings of a month, on request or from the scheduled job.
+ *
+ * - A month is generated once: maintenance billings from the amount rule plus
+ *   the monthly charges; a month that already has billings is left as is
+ * - Closed periods and apartments without an amount block generation
+ * - A generated month can be compared to generating it again, and one apartment's
+ *   billings generated again: missing billings are added, changed ones replaced
+ *   (cancelled and issued again) and ones no longer billed cancelled
+ * - The scheduled job runs daily (see [triggers] in wrangler.toml) and, from the
+ *   building's auto_generate_day on, generates next month's billings
+ * - Every attempt of the job is logged in billing_runs; a failed attempt is
+ *   retried on the next daily run, a generated or skipped month is not
+ * - Slips are emailed to linked residents after generating when enabled
+ * - Slips name the owner of the apartment in the billing month (see services/ownership)
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type {
+  Env,
+  Apartment,
+  ApartmentAmount,
+  ApartmentBillingDiff,
+  Billing,
+  BillingDiffLine,
+  BillingSlipData,
+  Building,
+  ChargeType,
+} from '../types';
+import {
+  getAllApartments,
+  getAllBuildings,
+  getBillingsByMonth,
+  getBuildingOwners,
+  getLatestPeriodClose,
+  getMonthlyChargeTypes,
+  hasCompletedBillingRun,
+  insertBilling,
+  insertBillingRun,
+  insertChargeBillings,
+} from '../db/queries';
+import type { BillingReplacement } from '../db/queries';
+import type { ValidationError } from '../middleware/validation';
+import { recordJobAudit } from '../middleware/audit';
+import { buildBillingSlipData } from './billing';
+import { buildMonthlyCharges } from './charges';
+import { amountErrors, calculateAmounts } from './amountRules';
+import { isClosedPeriod, closedPeriodMessage } from './periods';
+import { withMonthOwners } from './ownership';
+import { createMailTransport, mailConfigError } from './mailTransport';
+import { sendBillingNotifications } from './notifications';
+
+// Hour (UTC) of the daily cron trigger in wrangler.toml
+export const SCHEDULE_HOUR_UTC = 7;
+
+export type GenerationResult =
+  | { status: 'generated'; billings: Billing[] } // Stored billings of the month
+  | { status: 'exists'; billings: Billing[] } // Month already had billings (nothing generated)
+  | { status: 'invalid'; errors: ValidationError[] };
+
+export interface NextGenerationRun {
+  run_at: string; // ISO date and time
+  billing_year: number;
+  billing_month: number;
+}
+
+/**
+ * Month after a month
+ */
+function nextMonth(year: number, month: number): { year: number; month: number } {
+  return month === 12 ? { year: year + 1, month: 1 } : { year: year, month: month + 1 };
+}
+
+/**
+ * Month the scheduled job generates on a date (the month after it)
+ */
+export function getUpcomingMonth(now: Date): { year: number; month: number } {
+  return nextMonth(now.getUTCFullYear(), now.getUTCMonth() + 1);
+}
+
+/**
+ * Generate maintenance and monthly charge billings of a month for all apartments
+ * All checks run before anything is stored.
+ */
+export async function generateMonthBillings(
+  db: D1Database,
+  building: Building,
+  year: number,
+  month: number
+): Promise<GenerationResult> {
+  // Billings in a closed period can no longer be generated
+  const periodClose = await getLatestPeriodClose(db, building.id);
+  if (isClosedPeriod(periodClose, year, month)) {
+    return { status: 'invalid', errors: [{ field: 'month', message: closedPeriodMessage(periodClose!) }] };
+  }
+
+  // Slips of the month name the owner of the apartment in that month
+  const apartments = withMonthOwners(
+    await getAllApartments(db, building.id),
+    await getBuildingOwners(db, building.id),
+    year,
+    month
+  );
+  if (apartments.length === 0) {
+    return { status: 'invalid', errors: [{ field: 'apartments', message: 'Nema registrovanih stanova' }] };
+  }
+
+  const existingBillings = await getBillingsByMonth(db, building.id, year, month);
+  if (existingBillings.length > 0) {
+    return { status: 'exists', billings: existingBillings };
+  }
+
+  // Maintenance amounts from the amount rule (data the rule needs must be entered for every apartment)
+  const amounts = calculateAmounts(apartments, building);
+  const missingAmounts = amountErrors(amounts);
+  if (missingAmounts.length > 0) {
+    return { status: 'invalid', errors: missingAmounts };
+  }
+
+  for (const [i, apartment] of apartments.entries()) {
+    // Amount, reference and payer snapshot are stored as issued
+    const billing = buildBillingSlipData(apartment, building, year, month, amounts[i].amount!);
+
+    await insertBilling(db, apartment, billing);
+  }
+
+  // Monthly charges (elevator fund, cleaning...) with their own slip purpose and payment code
+  const chargeTypes = await getMonthlyChargeTypes(db, building.id);
+  await insertChargeBillings(db, buildMonthlyCharges(apartments, building, chargeTypes, year, month));
+
+  return { status: 'generated', billings: await getBillingsByMonth(db, building.id, year, month) };
+}
+
+// Billing of an apartment as generating the month now would issue it
+type GeneratedBilling = Omit<BillingReplacement, 'replaces'>;
+
+// Slip fields of a billing, compared when a month is generated again
+const SLIP_FIELDS: (keyof BillingSlipData)[] = [
+  'billing_month',
+  'billing_year',
+  'amount',
+  'payment_purpose',
+  'payment_code',
+  'reference_model',
+  'reference_number',
+  'apartment_number',
+  'owner_name',
+  'floor_number',
+  'payer_address',
+  'payer_city',
+];
+
+/**
+ * Slip data of a stored billing
+ */
+export function toSlipData(billing: Billing): BillingSlipData {
+  return Object.fromEntries(SLIP_FIELDS.map((field) => [field, billing[field]])) as BillingSlipData;
+}
+
+/**
+ * Billings of an apartment generating a month would issue
+ * @param amount - Maintenance amount (null = not calculated, no maintenance billing)
+ * @param chargeTypes - Active charge types with a monthly amount
+ */
+function buildApartmentBillings(
+  apartment: Apartment,
+  building: Building,
+  chargeTypes: ChargeType[],
+  year: number,
+  month: number,
+  amount: number | null
+): GeneratedBilling[] {
+  const maintenance: GeneratedBilling[] =
+    amount === null
+      ? []
+      : [
+          {
+            apartment: apartment,
+            billing: buildBillingSlipData(apartment, building, year, month, amount),
+            billing_type: 'maintenance',
+            source: { charge_type_id: null, assessment_id: null },
+          },
+        ];
+
+  const charges = buildMonthlyCharges([apartment], building, chargeTypes, year, month).map((charge) => ({
+    ...charge,
+    billing_type: 'charge' as const,
+  }));
+
+  return [...maintenance, ...charges];
+}
+
+/**
+ * Check if a stored billing and a generated one are the same billing (type and charge type)
+ */
+function isSameSource(billing: Pick<Billing, 'billing_type' | 'charge_type_id'>, generated: GeneratedBilling): boolean {
+  return billing.billing_type === generated.billing_type && billing.charge_type_id === generated.source.charge_type_id;
+}
+
+/**
+ * Compare an apartment's billings of a generated month to generating them again
+ * @param amount - Maintenance amount of the apartment (from the amount rule)
+ * @param chargeTypes - Active charge types with a monthly amount
+ * @param existing - Active maintenance and charge billings of the apartment in the month
+ * @returns Difference, and the billings generating the month again would issue
+ */
+export function diffApartmentBillings(
+  apartment: Apartment,
+  building: Building,
+  chargeTypes: ChargeType[],
+  year: number,
+  month: number,
+  amount: ApartmentAmount,
+  existing: Billing[]
+): { diff: ApartmentBillingDiff; generated: GeneratedBilling[] } {
+  const generated = buildApartmentBillings(apartment, building, chargeTypes, year, month, amount.amount);
+
+  const lines: BillingDiffLine[] = generated.map((entry) => {
+    const current = existing.find((billing) => isSameSource(billing, entry));
+    const fields = current ? SLIP_FIELDS.filter((field) => current[field] !== entry.billing[field]) : [];
+
+    return {
+      billing_type: entry.billing_type,
+      charge_type_id: entry.source.charge_type_id,
+      payment_purpose: entry.billing.payment_purpose,
+      billing_id: current?.id ?? null,
+      current_amount: current?.amount ?? null,
+      amount: entry.billing.amount,
+      change: !current ? 'add' : fields.length > 0 ? 'change' : 'same',
+      fields: fields,
+    };
+  });
+
+  // Billings no longer generated (charge type deactivated or without a monthly amount); without a
+  // calculated amount the maintenance billing is left as is
+  for (const billing of existing) {
+    if (generated.some((entry) => isSameSource(billing, entry))) continue;
+    if (billing.billing_type === 'maintenance' && amount.amount === null) continue;
+
+    lines.push({
+      billing_type: billing.billing_type as 'maintenance' | 'charge',
+      charge_type_id: billing.charge_type_id,
+      payment_purpose: billing.payment_purpose,
+      billing_id: billing.id,
+      current_amount: billing.amount,
+      amount: null,
+      change: 'remove',
+      fields: [],
+    });
+  }
+
+  const change = existing.length === 0 ? 'add' : lines.some((line) => line.change !== 'same') ? 'change' : 'same';
+
+  return {
+    diff: {
+      apartment_id: apartment.id,
+      apartment_number: apartment.apartment_number,
+      owner_name: apartment.owner_name,
+      change: change,
+      error: amount.error,
+      lines: lines,
+    },
+    generated: generated,
+  };
+}
+
+/**
+ * Billings to cancel and to issue for an apartment's difference
+ * @returns Billings to cancel (changed and no longer billed), and replacements and added billings
+ */
+export function diffChanges(
+  diff: ApartmentBillingDiff,
+  generated: GeneratedBilling[],
+  existing: Billing[]
+): { cancel: Billing[]; replacements: BillingReplacement[] } {
+  const cancelIds = diff.lines
+    .filter((line) => line.change === 'change' || line.change === 'remove')
+    .map((line) => line.billing_id);
+
+  const replacements = diff.lines
+    .filter((line) => line.change === 'add' || line.change === 'change')
+    .map((line) => ({
+      ...generated.find((entry) => isSameSource(line, entry))!,
+      replaces: line.change === 'change' ? line.billing_id : null,
+    }));
+
+  return { cancel: existing.filter((billing) => cancelIds.includes(billing.id)), replacements: replacements };
+}
+
+/**
+ * Next run of the scheduled job that generates billings for a building
+ * @param now - Current date and time
+ * @param upcomingDone - Job is done with the upcoming month (generated, or it already had billings)
+ * @returns Date and time of the run and the month it generates (null if scheduled generation is off)
+ */
+export function getNextGenerationRun(
+  building: Pick<Building, 'auto_generate_enabled' | 'auto_generate_day'>,
+  now: Date,
+  upcomingDone: boolean
+): NextGenerationRun | null {
+  if (!building.auto_generate_enabled) return null;
+
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth() + 1;
+  const upcoming = nextMonth(year, month);
+
+  if (!upcomingDone) {
+    // Daily runs from the generation day until the end of the month
+    let day = Math.max(now.getUTCDate(), building.auto_generate_day);
+    if (day === now.getUTCDate() && now.getUTCHours() >= SCHEDULE_HOUR_UTC) day++;
+
+    const runAt = new Date(Date.UTC(year, month - 1, day, SCHEDULE_HOUR_UTC));
+    if (runAt.getUTCMonth() + 1 === month) {
+      return { run_at: runAt.toISOString(), billing_year: upcoming.year, billing_month: upcoming.month };
+    }
+  }
+
+  const target = nextMonth(upcoming.year, upcoming.month);
+  const runAt = new Date(Date.UTC(upcoming.year, upcoming.month - 1, building.auto_generate_day, SCHEDULE_HOUR_UTC));
+  return { run_at: runAt.toISOString(), billing_year: target.year, billing_month: target.month };
+}
+
+/**
+ * Generate the upcoming month of one building and log the run
+ */
+async function runBuildingGeneration(env: Env, building: Building, year: number, month: number): Promise<void> {
+  const run = {
+    building_id: building.id,
+    billing_year: year,
+    billing_month: month,
+    billings_count: 0,
+    notifications_sent: 0,
+    notifications_failed: 0,
+  };
+
+  let result: GenerationResult;
+  try {
+    result = await generateMonthBillings(env.DB, building, year, month);
+  } catch (err) {
+    console.error(`Scheduled billing generation error (building ${building.id}):`, err);
+    await insertBillingRun(env.DB, {
+      ...run,
+      status: 'failed',
+      message: err instanceof Error ? err.message : String(err),
+    });
+    return;
+  }
+
+  if (result.status === 'invalid') {
+    await insertBillingRun(env.DB, {
+      ...run,
+      status: 'failed',
+      message: result.errors.map((error) => error.message).join('; '),
+    });
+    return;
+  }
+
+  if (result.status === 'exists') {
+    await insertBillingRun(env.DB, {
+      ...run,
+      status: 'skipped',
+      billings_count: result.billings.length,
+      message: `Zaduzenja za ${month}/${year} vec postoje`,
+    });
+    return;
+  }
+
+  await recordJobAudit(
+    env.DB,
+    building.id,
+    result.billings.map((billing) => ({
+      action: 'create',
+      entity_type: 'billing',
+      entity_id: billing.id,
+      after: billing,
+    }))
+  );
+
+  // Email slips to linked residents (failures are recorded for retry)
+  let message: string | null = null;
+  let notifications = { sent: 0, failed: 0 };
+  if (building.auto_generate_send_email) {
+    try {
+      const transport = createMailTransport(env);
+      if (transport) {
+        notifications = await sendBillingNotifications(env, transport, result.billings, building);
+      } else {
+        const configError = mailConfigError(env);
+        message = configError ? `Slanje e-poste nije podeseno: ${configError}` : 'Slanje e-poste nije podeseno';
+      }
+    } catch (err) {
+      console.error(`Scheduled billing notifications error (building ${building.id}):`, err);
+      message = 'Greska prilikom slanja e-poste';
+    }
+  }
+
+  await insertBillingRun(env.DB, {
+    ...run,
+    status: 'success',
+    billings_count: result.billings.length,
+    notifications_sent: notifications.sent,
+    notifications_failed: notifications.failed,
+    message: message,
+  });
+}
+
+/**
+ * Generate next month's billings for every building with scheduled generation on
+ * Called by the cron trigger; a building is generated from its generation day on,
+ * until a run generated the month or found it already generated.
+ * @param now - Current date and time
+ */
+export async function runScheduledGeneration(env: Env, now: Date = new Date()): Promise<void> {
+  let buildings: Building[];
+  try {
+    buildings = await getAllBuildings(env.DB);
+  } catch (err) {
+    console.error('Scheduled billing generation error:', err);
+    return;
+  }
+
+  const { year, month } = getUpcomingMonth(now);
+
+  for (const building of buildings) {
+    if (!building.auto_generate_enabled || now.getUTCDate() < building.auto_generate_day) {
+      continue;
+    }
+
+    try {
+      if (await hasCompletedBillingRun(env.DB, building.id, year, month)) {
+        continue;
+      }
+
+      await runBuildingGeneration(env, building, year, month);
+    } catch (err) {
+      console.error(`Scheduled billing generation error (building ${building.id}):`, err);
+    }
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Interest Service
+ * Late-payment interest (zatezna kamata) on overdue billings.
+ *
+ * - A billing is due on the building's due day of its billing month; interest
+ *   runs from the day after the due date plus the grace days
+ * - Interest is charged on the unpaid part of the billing: payments are applied
+ *   as in payment allocation (manual first, then oldest-first) and reduce it
+ *   from their payment date
+ * - Rates come from the statutory rate table: a rate applies from its valid_from
+ *   date until the next rate; days before the first rate have no interest
+ * - Simple method: unpaid x rate x days / 365. Compound (conformal) method: the
+ *   interest of each period is added to the base of the next one
+ * - Posted interest billings do not accrue interest themselves
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type {
+  Billing,
+  BillingInterest,
+  Building,
+  InterestMethod,
+  InterestPosting,
+  InterestRate,
+  Payment,
+  PaymentAllocation,
+} from '../types';
+import {
+  getAllBillings,
+  getAllPayments,
+  getBillingsByApartment,
+  getPaymentsByApartment,
+  getPaymentAllocations,
+  getInterestPostings,
+  getInterestRates,
+} from '../db/queries';
+import { allocatePayments } from './allocation';
+
+// Supported calculation methods
+export const INTEREST_METHODS: InterestMethod[] = ['simple', 'compound'];
+
+// Amounts below this are treated as zero (rounding)
+const AMOUNT_EPSILON = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type InterestBuilding = Pick<Building, 'due_day' | 'interest_enabled' | 'interest_method' | 'interest_grace_days'>;
+
+// Part of a billing paid on a date
+interface BillingPayment {
+  date: string;
+  amount: number;
+}
+
+/**
+ * Round amount to 2 decimals
+ */
+function roundAmount(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Add days to a date
+ * @param date - Date as YYYY-MM-DD
+ * @returns Date as YYYY-MM-DD
+ */
+export function addDays(date: string, days: number): string {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days from one date to another (YYYY-MM-DD)
+ */
+function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Due date of a billing month
+ * @returns Date as YYYY-MM-DD
+ */
+export function getDueDate(building: Pick<Building, 'due_day'>, year: number, month: number): string {
+  return `${year}-${String(month).padStart(2, '0')}-${String(building.due_day).padStart(2, '0')}`;
+}
+
+/**
+ * Annual rate (percent) valid on a date
+ * @param rates - Rate table, oldest first
+ * @returns Rate, or null before the first rate
+ */
+export function getRateOn(rates: Pick<InterestRate, 'valid_from' | 'annual_rate'>[], date: string): number | null {
+  let rate: number | null = null;
+  for (const entry of rates) {
+    if (entry.valid_from > date) break;
+    rate = entry.annual_rate;
+  }
+  return rate;
+}
+
+/**
+ * Interest on an amount that is paid off in parts
+ * Charged for the days after `from` up to and including `to`; a part paid on a
+ * date no longer bears interest from that date.
+ * @param payments - Parts of the amount paid, with their payment dates
+ * @param rates - Rate table, oldest first
+ * @returns Interest and the number of days any part of the amount was unpaid
+ */
+export function accrueInterest(
+  amount: number,
+  payments: BillingPayment[],
+  from: string,
+  to: string,
+  rates: Pick<InterestRate, 'valid_from' | 'annual_rate'>[],
+  method: InterestMethod
+): { interest: number; days: number } {
+  if (to <= from) return { interest: 0, days: 0 };
+
+  // Unpaid amount and rate only change on payment and rate dates
+  const breakpoints = [
+    from,
+    to,
+    ...payments.map((payment) => payment.date),
+    ...rates.map((rate) => rate.valid_from),
+  ]
+    .filter((date) => date >= from && date <= to)
+    .sort();
+  const dates = [...new Set(breakpoints)];
+
+  let interest = 0;
+  let days = 0;
+
+  for (let i = 0; i < dates.length - 1; i++) {
+    const start = dates[i];
+    const paid = payments.filter((payment) => payment.date <= start).reduce((sum, p) => sum + p.amount, 0);
+    const unpaid = amount - paid;
+    if (unpaid <= AMOUNT_EPSILON) break;
+
+    const periodDays = daysBetween(start, dates[i + 1]);
+    days += periodDays;
+
+    const rate = getRateOn(rates, start);
+    if (!rate) continue;
+
+    if (method === 'compound') {
+      interest += (unpaid + interest) * (Math.pow(1 + rate / 100, periodDays / 365) - 1);
+    } else {
+      interest += (unpaid * rate * periodDays) / 36500;
+    }
+  }
+
+  return { interest: roundAmount(interest), days: days };
+}
+
+/**
+ * Interest of overdue billings (all but interest billings) up to a date
+ * Only billings with accrued or posted interest are returned, oldest first.
+ * @param billings - Billings of one or more apartments (all types)
+ * @param payments - Payments of the same apartments
+ * @param manual - Manual allocations of these payments
+ * @param postings - Interest posted with active interest billings
+ * @param rates - Rate table, oldest first
+ * @param date - Calculation date (YYYY-MM-DD); later payments are not counted
+ */
+export function calculateInterest(
+  building: InterestBuilding,
+  billings: Billing[],
+  payments: Pick<Payment, 'id' | 'apartment_id' | 'amount' | 'payment_date' | 'voided_at'>[],
+  manual: PaymentAllocation[],
+  postings: Pick<InterestPosting, 'billing_id' | 'amount'>[],
+  rates: Pick<InterestRate, 'valid_from' | 'annual_rate'>[],
+  date: string
+): BillingInterest[] {
+  const paymentsToDate = payments.filter((payment) => payment.payment_date <= date);
+  const allocation = allocatePayments(billings, paymentsToDate, manual);
+  const paymentDates = new Map(paymentsToDate.map((payment) => [payment.id, payment.payment_date]));
+
+  const lines: BillingInterest[] = [];
+
+  for (const billing of allocation.billings) {
+    if (billing.billing_type === 'interest') continue;
+
+    const dueDate = getDueDate(building, billing.billing_year, billing.billing_month);
+    const billingPayments = allocation.allocations
+      .filter((a) => a.billing_id === billing.id)
+      .map((a) => ({ date: paymentDates.get(a.payment_id)!, amount: a.amount }));
+
+    const { interest, days } = accrueInterest(
+      billing.amount,
+      billingPayments,
+      addDays(dueDate, building.interest_grace_days),
+      date,
+      rates,
+      building.interest_method
+    );
+    const posted = roundAmount(
+      postings.filter((p) => p.billing_id === billing.id).reduce((sum, p) => sum + p.amount, 0)
+    );
+    if (interest <= AMOUNT_EPSILON && posted <= AMOUNT_EPSILON) continue;
+
+    lines.push({
+      billing_id: billing.id,
+      apartment_id: billing.apartment_id,
+      billing_year: billing.billing_year,
+      billing_month: billing.billing_month,
+      amount: billing.amount,
+      due_date: dueDate,
+      unpaid: roundAmount(billing.amount - (allocation.paid.get(billing.id) ?? 0)),
+      days: days,
+      accrued: interest,
+      posted: posted,
+      unposted: Math.max(0, roundAmount(interest - posted)),
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Totals of interest lines
+ */
+export function sumInterest(lines: BillingInterest[]): { accrued: number; posted: number; unposted: number } {
+  return {
+    accrued: roundAmount(lines.reduce((sum, line) => sum + line.accrued, 0)),
+    posted: roundAmount(lines.reduce((sum, line) => sum + line.posted, 0)),
+    unposted: roundAmount(lines.reduce((sum, line) => sum + line.unposted, 0)),
+  };
+}
+
+/**
+ * Calculate interest of a building, or of one apartment, up to a date
+ * Returns no lines when interest is not enabled for the building.
+ * @param apartmentId - Apartment (null for all apartments of the building)
+ * @param date - Calculation date (YYYY-MM-DD)
+ */
+export async function loadInterest(
+  db: D1Database,
+  building: Pick<Building, 'id'> & InterestBuilding,
+  date: string,
+  apartmentId: number | null = null
+): Promise<BillingInterest[]> {
+  if (!building.interest_enabled) return [];
+
+  const [billings, payments, manual, postings, rates] = await Promise.all([
+    apartmentId ? getBillingsByApartment(db, apartmentId) : getAllBillings(db, building.id),
+    apartmentId ? getPaymentsByApartment(db, apartmentId) : getAllPayments(db, building.id),
+    getPaymentAllocations(db, building.id, apartmentId),
+    getInterestPostings(db, building.id, apartmentId),
+    getInterestRates(db),
+  ]);
+
+  return calculateInterest(building, billings, payments, manual, postings, rates, date);
+}
@@ -0,0 +1,289 @@
+/**
+ * NBS IPS QR Payload Validator
+ * Checks QR code data locally against the NBS IPS QR specification,
+ * so bad data is reported before slips are generated.
+ *
+ * Rules per tag (NBS IPS QR, "PR" payment request):
+ * - K: "PR", V: "01", C: "1"
+ * - R: 18 digits, last 2 digits are the mod-97 control of the first 16
+ * - N: recipient name/address, 1-70 characters, up to 3 lines
+ * - I: "RSD" + amount with comma decimal separator (max 2 decimals), 5-18 characters, > 0
+ * - P: payer name/address (optional), max 70 characters, up to 3 lines
+ * - SF: payment code, 3 digits, first digit 1 (cash) or 2 (non-cash)
+ * - S: payment purpose (optional), max 35 characters
+ * - RO: model (2 digits) + reference number (optional), max 25 characters;
+ *       model 97 reference must carry a valid ISO 7064 mod-97 control
+ *
+ * Reference: docs/Guidelines for using the NBS IPS QR Generator-Validator.pdf
+ */
+
+import type { ValidationError } from '../middleware/validation';
+import { DEFAULT_PAYMENT_CODE, generateQRCodeData, generatePaymentQRData } from './qrCode';
+import { calculateMod97Control } from './referenceNumber';
+import { buildBillingSlipData } from './billing';
+import type { QRCodeData, Apartment, Building, BillingSlipData } from '../types';
+
+// Characters allowed in free-text tags (letters incl. Cyrillic, digits, common punctuation)
+const TEXT_PATTERN = /^[\p{L}\p{N} .,:;\-_/()'"&+!?#*%@]*$/u;
+
+// Max lengths of free-text tags
+const MAX_NAME_LENGTH = 70;
+const MAX_PURPOSE_LENGTH = 35;
+const MAX_REFERENCE_LENGTH = 25;
+const MAX_LINES = 3;
+
+/**
+ * Check whether a value ending with a 2-digit control passes mod-97
+ * (used for bank accounts: 16 digits + control)
+ */
+function hasValidTrailingControl(value: string): boolean {
+  return calculateMod97Control(value.slice(0, -2)) === value.slice(-2);
+}
+
+/**
+ * Check whether a value starting with a 2-digit control passes mod-97
+ * (used for model 97 reference numbers: control + reference)
+ */
+function hasValidLeadingControl(value: string): boolean {
+  return calculateMod97Control(value.slice(2)) === value.slice(0, 2);
+}
+
+/**
+ * Validate multi-line free-text tag (N, P)
+ */
+function validateLines(
+  tag: string,
+  label: string,
+  value: string,
+  maxLength: number,
+  errors: ValidationError[]
+): void {
+  if (value.length > maxLength) {
+    errors.push({ field: tag, message: `${label} ne mogu biti duzi od ${maxLength} karaktera u QR kodu` });
+  }
+
+  const lines = value.split('\r\n');
+  if (lines.length > MAX_LINES) {
+    errors.push({ field: tag, message: `${label} mogu imati najvise ${MAX_LINES} reda u QR kodu` });
+  }
+
+  if (lines.some((line) => !TEXT_PATTERN.test(line))) {
+    errors.push({ field: tag, message: `${label} sadrze nedozvoljene karaktere` });
+  }
+}
+
+/**
+ * Validate QR code data against the NBS IPS QR specification
+ * @param qrData - QR code data payload
+ * @returns Array of errors keyed by IPS tag (empty if valid)
+ */
+export function validateIPSData(qrData: QRCodeData): ValidationError[] {
+  const errors: ValidationError[] = [];
+
+  // Header tags
+  if (qrData.K !== 'PR') {
+    errors.push({ field: 'K', message: 'Tag K mora biti "PR"' });
+  }
+  if (qrData.V !== '01') {
+    errors.push({ field: 'V', message: 'Tag V mora biti "01"' });
+  }
+  if (qrData.C !== '1') {
+    errors.push({ field: 'C', message: 'Tag C mora biti "1"' });
+  }
+
+  // R - recipient account
+  if (!/^\d{18}$/.test(qrData.R)) {
+    errors.push({ field: 'R', message: 'Racun primaoca mora imati tacno 18 cifara' });
+  } else if (!hasValidTrailingControl(qrData.R)) {
+    errors.push({ field: 'R', message: 'Kontrolni broj racuna primaoca nije ispravan' });
+  }
+
+  // N - recipient name (mandatory)
+  if (!qrData.N || !qrData.N.trim()) {
+    errors.push({ field: 'N', message: 'Naziv primaoca je obavezan' });
+  } else {
+    validateLines('N', 'Naziv i adresa primaoca', qrData.N, MAX_NAME_LENGTH, errors);
+  }
+
+  // I - currency and amount
+  const amountMatch = /^RSD(\d+),(\d{0,2})$/.exec(qrData.I);
+  if (!amountMatch || qrData.I.length < 5 || qrData.I.length > 18) {
+    errors.push({ field: 'I', message: 'Iznos mora biti u formatu RSD1234,56' });
+  } else if (parseFloat(`${amountMatch[1]}.${amountMatch[2] || '0'}`) <= 0) {
+    errors.push({ field: 'I', message: 'Iznos mora biti veci od nule' });
+  }
+
+  // P - payer (optional)
+  if (qrData.P) {
+    validateLines('P', 'Podaci o uplatiocu (ime, adresa, grad)', qrData.P, MAX_NAME_LENGTH, errors);
+  }
+
+  // SF - payment code
+  if (!/^[12]\d{2}$/.test(qrData.SF)) {
+    errors.push({ field: 'SF', message: 'Sifra placanja mora imati 3 cifre i pocinjati sa 1 ili 2' });
+  }
+
+  // S - payment purpose (optional)
+  if (qrData.S) {
+    if (qrData.S.length > MAX_PURPOSE_LENGTH) {
+      errors.push({ field: 'S', message: `Svrha uplate ne moze biti duza od ${MAX_PURPOSE_LENGTH} karaktera` });
+    }
+    if (!TEXT_PATTERN.test(qrData.S)) {
+      errors.push({ field: 'S', message: 'Svrha uplate sadrzi nedozvoljene karaktere' });
+    }
+  }
+
+  // RO - model and reference number (optional)
+  if (qrData.RO) {
+    const model = qrData.RO.slice(0, 2);
+    const reference = qrData.RO.slice(2);
+
+    if (qrData.RO.length > MAX_REFERENCE_LENGTH) {
+      errors.push({ field: 'RO', message: `Model i poziv na broj ne mogu biti duzi od ${MAX_REFERENCE_LENGTH} karaktera` });
+    } else if (!/^\d{2}$/.test(model) || !reference) {
+      errors.push({ field: 'RO', message: 'Poziv na broj mora pocinjati dvocifrenim modelom' });
+    } else if (model === '97') {
+      if (!/^[0-9A-Za-z]{3,}$/.test(reference)) {
+        errors.push({ field: 'RO', message: 'Poziv na broj po modelu 97 moze sadrzati samo cifre i slova' });
+      } else if (!hasValidLeadingControl(reference)) {
+        errors.push({ field: 'RO', message: 'Kontrolni broj poziva na broj po modelu 97 nije ispravan' });
+      }
+    } else if (!/^[0-9A-Za-z-]+$/.test(reference)) {
+      errors.push({ field: 'RO', message: 'Poziv na broj moze sadrzati samo cifre, slova i crtice' });
+    }
+  }
+
+  return errors;
+}
+
+// IPS tags derived from building data -> building form fields
+const BUILDING_IPS_FIELDS: Partial<Record<keyof QRCodeData, string>> = {
+  R: 'bank_account',
+  N: 'recipient_name',
+  I: 'default_amount',
+  S: 'payment_purpose',
+};
+
+// IPS tags derived from apartment data -> apartment form fields
+const APARTMENT_IPS_FIELDS: Partial<Record<keyof QRCodeData, string>> = {
+  I: 'override_amount',
+  P: 'owner_name',
+};
+
+// IPS tags derived from stored billing data
+const BILLING_IPS_FIELDS: Partial<Record<keyof QRCodeData, string>> = {
+  I: 'amount',
+  P: 'owner_name',
+  RO: 'reference_number',
+};
+
+// IPS tags derived from charge type or assessment data -> form fields
+const CHARGE_IPS_FIELDS: Partial<Record<keyof QRCodeData, string>> = {
+  I: 'amount',
+  SF: 'payment_code',
+  S: 'payment_purpose',
+};
+
+/**
+ * Map IPS tag errors to form field names, keeping only mapped tags
+ */
+function mapIPSErrors(
+  errors: ValidationError[],
+  fieldMap: Partial<Record<keyof QRCodeData, string>>,
+  prefix: string
+): ValidationError[] {
+  return errors
+    .filter((error) => fieldMap[error.field as keyof QRCodeData])
+    .map((error) => ({
+      field: fieldMap[error.field as keyof QRCodeData] as string,
+      message: prefix + error.message,
+    }));
+}
+
+/**
+ * Validate building data that ends up in every QR code (R, N, I, S)
+ * @param building - Building data (as it will be stored)
+ * @returns Errors keyed by building form field (empty if valid)
+ */
+export function validateBuildingIPS(
+  building: Pick<Building, 'bank_account' | 'recipient_name' | 'address' | 'city' | 'default_amount' | 'payment_purpose'>
+): ValidationError[] {
+  const qrData = generateQRCodeData({
+    bankAccount: building.bank_account,
+    recipientName: building.recipient_name,
+    recipientAddress: building.address,
+    recipientCity: building.city,
+    amount: building.default_amount,
+    referenceModel: '',
+    referenceNumber: '',
+    paymentPurpose: building.payment_purpose,
+    paymentCode: DEFAULT_PAYMENT_CODE,
+    payerName: '',
+    payerAddress: '',
+    payerCity: '',
+  });
+
+  return mapIPSErrors(validateIPSData(qrData), BUILDING_IPS_FIELDS, '');
+}
+
+/**
+ * Validate apartment data that ends up in its QR code (P, I)
+ * @param apartment - Apartment data (as it will be stored)
+ * @param building - Building data
+ * @param prefix - Optional message prefix (e.g. "Stan 5: ")
+ * @returns Errors keyed by apartment form field (empty if valid)
+ */
+export function validateApartmentIPS(
+  apartment: Pick<Apartment, 'apartment_number' | 'owner_name' | 'floor_number' | 'override_amount'>,
+  building: Building,
+  prefix = ''
+): ValidationError[] {
+  const now = new Date();
+  const amount = apartment.override_amount || building.default_amount;
+  const billing = buildBillingSlipData(apartment, building, now.getFullYear(), now.getMonth() + 1, amount);
+  const qrData = generatePaymentQRData(billing, building);
+
+  return mapIPSErrors(validateIPSData(qrData), APARTMENT_IPS_FIELDS, prefix);
+}
+
+/**
+ * Validate stored billing data that ends up in its QR code (P, I, RO)
+ * @param billing - Billing data (stored amount, reference and payer snapshot)
+ * @param building - Building data
+ * @returns Errors keyed by billing field, prefixed with the apartment (empty if valid)
+ */
+export function validateBillingIPS(billing: BillingSlipData, building: Building): ValidationError[] {
+  const qrData = generatePaymentQRData(billing, building);
+
+  return mapIPSErrors(validateIPSData(qrData), BILLING_IPS_FIELDS, `Stan ${billing.apartment_number}: `);
+}
+
+/**
+ * Validate charge type or assessment data that ends up in its QR codes (I, SF, S)
+ * @param charge - Payment purpose, payment code and amount billed per slip
+ * @param building - Building data (recipient)
+ * @param amountField - Form field of the amount (e.g. "monthly_amount")
+ * @returns Errors keyed by form field (empty if valid)
+ */
+export function validateChargeIPS(
+  charge: Pick<BillingSlipData, 'amount' | 'payment_purpose' | 'payment_code'>,
+  building: Building,
+  amountField = 'amount'
+): ValidationError[] {
+  const qrData = generateQRCodeData({
+    bankAccount: building.bank_account,
+    recipientName: building.recipient_name,
+    recipientAddress: building.address,
+    recipientCity: building.city,
+    amount: charge.amount,
+    referenceModel: '',
+    referenceNumber: '',
+    paymentPurpose: charge.payment_purpose,
+    paymentCode: charge.payment_code,
+    payerName: '',
+    payerAddress: '',
+    payerCity: '',
+  });
+
+  return mapIPSErrors(validateIPSData(qrData), { ...CHARGE_IPS_FIELDS, I: amountField }, '');
+}
@@ -0,0 +1,160 @@
+/**
+ * Login Throttle Service
+ * Brute-force protection of the login.
+ *
+ * - Every login attempt is recorded: email, account, IP address, browser and result
+ * - Failed logins are wrong passwords and wrong two-factor codes (see services/twoFactor.ts)
+ * - Account: after DELAY_AFTER failed logins in a row each next attempt has to wait
+ *   (DELAY_SECONDS, doubled with every failure up to MAX_DELAY_SECONDS); after LOCK_AFTER
+ *   the account is locked for LOCK_MINUTES, and again after every further failure
+ * - A successful login, an admin unlock or a password reset link clears the failures
+ * - IP address: after IP_MAX_FAILURES failed logins within IP_WINDOW_MINUTES (wrong
+ *   passwords or codes and unknown emails) logins from it are refused until the oldest
+ *   one is out of the window
+ * - Refused attempts are recorded but do not count as failures
+ * - Attempts are kept for ATTEMPT_RETENTION_DAYS (cleaned up by the daily job)
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, LoginAttempt, User } from '../types';
+import { insertLoginAttempt, recordFailedLogin, getIpFailedLogins, deleteOldLoginAttempts } from '../db/queries';
+
+const DELAY_AFTER = 3;
+const LOCK_AFTER = 10;
+const DELAY_SECONDS = 5;
+const MAX_DELAY_SECONDS = 60;
+const LOCK_MINUTES = 15;
+
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+const ATTEMPT_RETENTION_DAYS = 90;
+
+// Login refused before checking the password
+export interface LoginBlock {
+  result: 'locked' | 'delayed' | 'ip_blocked';
+  retry_after: number; // Seconds
+  message: string;
+}
+
+/**
+ * SQLite UTC datetime as a Date
+ */
+function parseUTC(value: string): Date {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Date as SQLite UTC datetime (YYYY-MM-DD HH:MM:SS)
+ */
+function toUTC(date: Date): string {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Wait as a message ("30 s", "15 min")
+ */
+function formatWait(seconds: number): string {
+  return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Seconds logins are refused after a number of failed logins in a row
+ */
+function waitAfterFailures(failures: number): number {
+  if (failures >= LOCK_AFTER) {
+    return LOCK_MINUTES * 60;
+  }
+  if (failures >= DELAY_AFTER) {
+    return Math.min(DELAY_SECONDS * 2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+  }
+  return 0;
+}
+
+/**
+ * Check whether an IP address has too many failed logins
+ * @returns Block, or null if logins from it are accepted (also without an IP address)
+ */
+export async function checkIpAddress(db: D1Database, ipAddress: string | null): Promise<LoginBlock | null> {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const failures = await getIpFailedLogins(db, ipAddress, IP_WINDOW_MINUTES);
+  if (failures.count < IP_MAX_FAILURES || !failures.first_at) {
+    return null;
+  }
+
+  const freeAt = parseUTC(failures.first_at).getTime() + IP_WINDOW_MINUTES * 60 * 1000;
+  const retryAfter = Math.max(Math.ceil((freeAt - Date.now()) / 1000), 1);
+  return {
+    result: 'ip_blocked',
+    retry_after: retryAfter,
+    message: `Previse neuspelih prijava sa ove adrese. Pokusajte ponovo za ${formatWait(retryAfter)}.`,
+  };
+}
+
+/**
+ * Check whether an account refuses logins after failed ones
+ * @returns Block, or null if the password can be checked
+ */
+export function checkAccount(user: Pick<User, 'failed_logins' | 'locked_until'>): LoginBlock | null {
+  if (!user.locked_until) {
+    return null;
+  }
+
+  const retryAfter = Math.ceil((parseUTC(user.locked_until).getTime() - Date.now()) / 1000);
+  if (retryAfter <= 0) {
+    return null;
+  }
+
+  if (user.failed_logins >= LOCK_AFTER) {
+    return {
+      result: 'locked',
+      retry_after: retryAfter,
+      message:
+        'Nalog je privremeno zakljucan zbog previse neuspelih prijava. ' +
+        `Pokusajte ponovo za ${formatWait(retryAfter)} ili se obratite administratoru.`,
+    };
+  }
+
+  return {
+    result: 'delayed',
+    retry_after: retryAfter,
+    message: `Previse neuspelih prijava. Pokusajte ponovo za ${formatWait(retryAfter)}.`,
+  };
+}
+
+/**
+ * Count a wrong password or two-factor code of an account and refuse logins for a while if needed
+ * @returns Block now in effect, or null if the next attempt is accepted
+ */
+export async function recordLoginFailure(
+  db: D1Database,
+  user: Pick<User, 'id' | 'failed_logins'>
+): Promise<LoginBlock | null> {
+  const failures = user.failed_logins + 1;
+  const wait = waitAfterFailures(failures);
+  const lockedUntil = wait > 0 ? toUTC(new Date(Date.now() + wait * 1000)) : null;
+
+  await recordFailedLogin(db, user.id, lockedUntil);
+  return lockedUntil ? checkAccount({ failed_logins: failures, locked_until: lockedUntil }) : null;
+}
+
+/**
+ * Record a login attempt
+ */
+export async function recordLoginAttempt(db: D1Database, attempt: Omit<LoginAttempt, 'id' | 'created_at'>) {
+  await insertLoginAttempt(db, { ...attempt, user_agent: attempt.user_agent?.slice(0, 300) ?? null });
+}
+
+/**
+ * Daily cleanup of old login attempts (cron trigger)
+ */
+export async function runLoginAttemptCleanup(env: Env): Promise<void> {
+  try {
+    await deleteOldLoginAttempts(env.DB, ATTEMPT_RETENTION_DAYS);
+  } catch (err) {
+    console.error('Login attempt cleanup error:', err);
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Mail Transport
+ * Pluggable email delivery, selected with MAIL_TRANSPORT:
+ * - smtp: SMTP server over a TCP socket (STARTTLS on 587 or TLS on 465)
+ * - http: HTTP mail API accepting JSON (Resend-compatible format)
+ * - mock: no delivery, messages are logged and kept in memory (dev outbox and tests)
+ */
+
+import type { Env } from '../types';
+import { SmtpTransport } from './smtpTransport';
+
+export interface MailAttachment {
+  filename: string;
+  contentType: string;
+  content: Uint8Array;
+}
+
+export interface MailMessage {
+  from: string;
+  fromName: string;
+  to: string;
+  toName: string;
+  subject: string;
+  text: string;
+  attachments: MailAttachment[];
+}
+
+export interface MailTransport {
+  readonly name: string;
+  send(message: MailMessage): Promise<void>;
+}
+
+/**
+ * Encode bytes as base64
+ */
+export function toBase64(bytes: Uint8Array): string {
+  return Buffer.from(bytes).toString('base64');
+}
+
+/**
+ * Format address with display name, e.g. "Stambena zajednica" <zgrada@example.com>
+ */
+export function formatAddress(email: string, name: string): string {
+  return name ? `"${name.replace(/["\\]/g, '')}" <${email}>` : email;
+}
+
+/**
+ * HTTP mail API transport
+ * POSTs { from, to, subject, text, attachments: [{ filename, content (base64), content_type }] }
+ * with "Authorization: Bearer MAIL_API_KEY"
+ */
+export class HttpMailTransport implements MailTransport {
+  readonly name = 'http';
+
+  constructor(
+    private url: string,
+    private apiKey: string
+  ) {}
+
+  async send(message: MailMessage): Promise<void> {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify({
+        from: formatAddress(message.from, message.fromName),
+        to: [formatAddress(message.to, message.toName)],
+        subject: message.subject,
+        text: message.text,
+        attachments: message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: toBase64(attachment.content),
+          content_type: attachment.contentType,
+        })),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Mail API ${response.status}: ${body.slice(0, 200)}`);
+    }
+  }
+}
+
+// Messages "sent" by the mock transport in this worker instance, newest first (dev outbox)
+const MOCK_OUTBOX_SIZE = 20;
+export const mockOutbox: MailMessage[] = [];
+
+/**
+ * Mock transport - nothing is sent
+ * Messages are logged (visible in `wrangler dev` output) and kept in `messages` and the dev outbox
+ */
+export class MockMailTransport implements MailTransport {
+  readonly name = 'mock';
+  readonly messages: MailMessage[] = [];
+
+  async send(message: MailMessage): Promise<void> {
+    this.messages.push(message);
+    mockOutbox.unshift(message);
+    mockOutbox.splice(MOCK_OUTBOX_SIZE);
+    const attachments = message.attachments.map((a) => `${a.filename} (${a.content.length} B)`).join(', ');
+    console.log(`[mail:mock] To: ${message.to} | Subject: ${message.subject} | Attachments: ${attachments}`);
+  }
+}
+
+/**
+ * Check the mail configuration
+ * @returns Problem of an incomplete or unknown configuration, or null if it is complete
+ * (or email delivery is not configured at all)
+ */
+export function mailConfigError(env: Env): string | null {
+  const transport = env.MAIL_TRANSPORT;
+
+  if (!transport) {
+    return null;
+  }
+  if (!env.MAIL_FROM) {
+    return 'MAIL_FROM nije podesen';
+  }
+
+  switch (transport) {
+    case 'smtp':
+      return env.SMTP_HOST ? null : 'SMTP_HOST nije podesen';
+    case 'http':
+      return env.MAIL_API_URL && env.MAIL_API_KEY ? null : 'MAIL_API_URL i MAIL_API_KEY nisu podeseni';
+    case 'mock':
+      return null;
+    default:
+      return `Nepoznat MAIL_TRANSPORT: ${transport}`;
+  }
+}
+
+/**
+ * Check whether email delivery is configured completely (without creating a transport)
+ */
+export function isMailConfigured(env: Env): boolean {
+  return Boolean(env.MAIL_TRANSPORT) && mailConfigError(env) === null;
+}
+
+/**
+ * Create mail transport from environment configuration
+ * An incomplete configuration is logged and treated as not configured, so callers answer
+ * "Slanje e-poste nije podeseno" instead of failing
+ * @returns Transport, or null if email delivery is not configured (or incompletely)
+ */
+export function createMailTransport(env: Env): MailTransport | null {
+  const configError = mailConfigError(env);
+  if (configError) {
+    console.error('Mail configuration error:', configError);
+    return null;
+  }
+
+  switch (env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: env.SMTP_HOST!,
+        port: parseInt(env.SMTP_PORT || (env.SMTP_SECURE === 'tls' ? '465' : '587'), 10),
+        secure: env.SMTP_SECURE === 'tls' ? 'tls' : 'starttls',
+        user: env.SMTP_USER || '',
+        password: env.SMTP_PASSWORD || '',
+      });
+    case 'http':
+      return new HttpMailTransport(env.MAIL_API_URL!, env.MAIL_API_KEY!);
+    case 'mock':
+      return new MockMailTransport();
+    default:
+      return null;
+  }
+}
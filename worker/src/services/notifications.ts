@@ -0,0 +1,258 @@
+/**
+ * Notification Service
+ * Emails the payer of each apartment (its linked tenant, otherwise an owner, then a co-owner)
+ * the payment slip PDF and QR code, and records every send in the notifications table.
+ * With combined slips (building.combine_slips) an apartment gets one email per
+ * month, recorded with its first billing, for the total of its billings.
+ *
+ * Statuses:
+ * - sent: accepted by the mail transport
+ * - failed: send error, retried until MAIL_MAX_ATTEMPTS attempts
+ * - skipped: apartment has no linked payer (retried when sent again)
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import type { Env, Billing, Building, Notification } from '../types';
+import {
+  getBillingById,
+  getNotificationById,
+  getNotificationByBilling,
+  getRetryableNotifications,
+  insertNotification,
+  updateNotificationResult,
+  getApartmentRecipient,
+  getApartmentBillingsByMonth,
+} from '../db/queries';
+import { generatePaymentSlipsPDF, generateSlipFilename } from './pdfGenerator';
+import { generatePaymentQRCode } from './qrCode';
+import { renderQRPng } from './qrImage';
+import { buildSlips } from './billing';
+import { formatForDisplay } from './bankAccount';
+import type { MailMessage, MailTransport } from './mailTransport';
+
+// Default automatic retry limit per notification
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const MONTH_NAMES = [
+  'januar', 'februar', 'mart', 'april', 'maj', 'jun',
+  'jul', 'avgust', 'septembar', 'oktobar', 'novembar', 'decembar',
+];
+
+export interface NotificationSummary {
+  sent: number;
+  failed: number;
+  skipped: number;
+  already_sent: number;
+}
+
+/**
+ * Get automatic retry limit from environment
+ */
+export function getMaxAttempts(env: Env): number {
+  const value = parseInt(env.MAIL_MAX_ATTEMPTS || '', 10);
+  return value > 0 ? value : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Build slip email with PDF and QR code attachments
+ */
+async function buildSlipMessage(
+  env: Env,
+  billing: Billing,
+  building: Building,
+  recipient: { email: string; name: string }
+): Promise<MailMessage> {
+  const period = `${MONTH_NAMES[billing.billing_month - 1]} ${billing.billing_year}`;
+  const monthBillings = building.combine_slips
+    ? await getApartmentBillingsByMonth(env.DB, billing.apartment_id, billing.billing_year, billing.billing_month)
+    : [];
+  const slip = monthBillings.length > 1 ? buildSlips(monthBillings, building)[0] : billing;
+  const pdf = await generatePaymentSlipsPDF([slip], building);
+  const qr = renderQRPng(generatePaymentQRCode(slip, building));
+  const reference = [slip.reference_model, slip.reference_number].filter(Boolean).join(' ');
+
+  return {
+    from: env.MAIL_FROM || '',
+    fromName: env.MAIL_FROM_NAME || building.recipient_name,
+    to: recipient.email,
+    toName: recipient.name,
+    subject: `Uplatnica za ${period} - stan ${billing.apartment_number}`,
+    text: [
+      `Postovani/a ${recipient.name},`,
+      '',
+      `u prilogu je uplatnica za ${period}.`,
+      '',
+      `Stan: ${billing.apartment_number}`,
+      `Iznos: ${slip.amount.toLocaleString('sr-RS', { minimumFractionDigits: 2 })} RSD`,
+      `Racun primaoca: ${formatForDisplay(building.bank_account)}`,
+      `Poziv na broj: ${reference}`,
+      '',
+      'QR kod iz priloga mozete skenirati u aplikaciji za mobilno bankarstvo.',
+      '',
+      building.recipient_name,
+    ].join('\n'),
+    attachments: [
+      {
+        filename: generateSlipFilename(billing, 'uplatnica', 'pdf'),
+        contentType: 'application/pdf',
+        content: new Uint8Array(pdf),
+      },
+      {
+        filename: generateSlipFilename(billing, 'qr', 'png'),
+        contentType: 'image/png',
+        content: qr,
+      },
+    ],
+  };
+}
+
+/**
+ * Attempt delivery of one notification and store the result
+ * The recipient is looked up on every attempt (user may be linked later)
+ * @returns New notification status
+ */
+export async function deliverNotification(
+  env: Env,
+  transport: MailTransport,
+  notification: Notification,
+  building: Building
+): Promise<Notification['status']> {
+  const db = env.DB;
+  const recipient = notification.apartment_id ? await getApartmentRecipient(db, notification.apartment_id) : null;
+
+  if (!recipient) {
+    await updateNotificationResult(
+      db,
+      notification.id,
+      {
+        status: 'skipped',
+        user_id: null,
+        recipient_email: '',
+        recipient_name: '',
+        last_error: 'Stan nema povezanog korisnika',
+        transport: null,
+      },
+      false
+    );
+    return 'skipped';
+  }
+
+  const result = {
+    user_id: recipient.user_id,
+    recipient_email: recipient.email,
+    recipient_name: recipient.name,
+    transport: transport.name,
+  };
+
+  try {
+    const billing = notification.billing_id ? await getBillingById(db, notification.building_id, notification.billing_id) : null;
+    if (!billing) {
+      throw new Error('Zaduzenje je obrisano');
+    }
+    if (billing.cancelled_at) {
+      throw new Error('Zaduzenje je stornirano');
+    }
+
+    await transport.send(await buildSlipMessage(env, billing, building, recipient));
+    await updateNotificationResult(db, notification.id, { ...result, status: 'sent', last_error: null }, true);
+    return 'sent';
+  } catch (err) {
+    console.error(`Notification ${notification.id} error:`, err);
+    const message = err instanceof Error ? err.message : String(err);
+    await updateNotificationResult(
+      db,
+      notification.id,
+      { ...result, status: 'failed', last_error: message.slice(0, 500) },
+      true
+    );
+    return 'failed';
+  }
+}
+
+/**
+ * Count delivery result in summary
+ */
+function countStatus(summary: NotificationSummary, status: Notification['status']): void {
+  if (status === 'sent') summary.sent++;
+  else if (status === 'skipped') summary.skipped++;
+  else summary.failed++;
+}
+
+/**
+ * Get notification for a billing, creating it on first send
+ */
+async function getOrCreateNotification(db: D1Database, billing: Billing): Promise<Notification> {
+  const existing = await getNotificationByBilling(db, billing.id, 'billing_slip');
+  if (existing) {
+    return existing;
+  }
+
+  const result = await insertNotification(db, billing, 'billing_slip');
+  const created = await getNotificationById(db, billing.building_id, result.meta.last_row_id);
+  if (!created) {
+    throw new Error('Obavestenje nije sacuvano');
+  }
+  return created;
+}
+
+/**
+ * First billing of each apartment and month (sent with the combined slip)
+ */
+function firstBillingsPerMonth(billings: Billing[]): Billing[] {
+  const seen = new Set<string>();
+  return billings.filter((billing) => {
+    const key = `${billing.apartment_id}-${billing.billing_year}-${billing.billing_month}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Email slips for billings to the linked residents
+ * Billings already emailed successfully are not sent again
+ * @param env - Environment (DB and mail configuration)
+ * @param transport - Mail transport
+ * @param billings - Stored billings
+ * @param building - Building data
+ * @returns Delivery summary
+ */
+export async function sendBillingNotifications(
+  env: Env,
+  transport: MailTransport,
+  billings: Billing[],
+  building: Building
+): Promise<NotificationSummary> {
+  const summary: NotificationSummary = { sent: 0, failed: 0, skipped: 0, already_sent: 0 };
+  const slipBillings = building.combine_slips ? firstBillingsPerMonth(billings) : billings;
+
+  for (const billing of slipBillings) {
+    const notification = await getOrCreateNotification(env.DB, billing);
+    if (notification.status === 'sent') {
+      summary.already_sent++;
+      continue;
+    }
+    countStatus(summary, await deliverNotification(env, transport, notification, building));
+  }
+
+  return summary;
+}
+
+/**
+ * Retry failed notifications of a building that have not reached the attempt limit
+ * @returns Delivery summary
+ */
+export async function retryFailedNotifications(
+  env: Env,
+  transport: MailTransport,
+  building: Building
+): Promise<NotificationSummary> {
+  const summary: NotificationSummary = { sent: 0, failed: 0, skipped: 0, already_sent: 0 };
+  const notifications = await getRetryableNotifications(env.DB, building.id, getMaxAttempts(env));
+
+  for (const notification of notifications) {
+    countStatus(summary, await deliverNotification(env, transport, notification, building));
+  }
+
+  return summary;
+}
@@ -0,0 +1,107 @@
+/**
+ * Ownership Service
+ * Attributes an apartment's billings and payments to the owner of each period.
+ *
+ * - An apartment has a timeline of owners; a sale ends the current owner's period the
+ *   day before the new owner's first day
+ * - A billing belongs to the owner on the first day of its billing month, a payment to
+ *   the owner on its payment date, an opening balance to the owner on its date
+ * - The balance is split between owners from the last imported opening balances on
+ *   (balances of later period closes are computed from the same billings and payments),
+ *   so the owners' balances add up to the apartment's balance
+ * - Billings are generated with the owner of the billing month on the slip
+ */
+
+import type { Apartment, ApartmentOwner, HistoryItem, OwnedHistoryItem, OwnerBalance } from '../types';
+
+/**
+ * First day of a billing month (date its billing is attributed by)
+ * @returns Date as YYYY-MM-DD
+ */
+export function billingOwnerDate(year: number, month: number): string {
+  return `${year}-${String(month).padStart(2, '0')}-01`;
+}
+
+/**
+ * Owner of an apartment on a date
+ * @param owners - Ownership timeline of the apartment
+ * @param date - YYYY-MM-DD (a longer date and time is cut to the date)
+ */
+export function ownerOn(owners: ApartmentOwner[], date: string): ApartmentOwner | null {
+  const day = date.slice(0, 10);
+  const isOwnedOn = (owner: ApartmentOwner) =>
+    (owner.owned_from === null || owner.owned_from <= day) && (owner.owned_to === null || day <= owner.owned_to);
+  return owners.find(isOwnedOn) ?? null;
+}
+
+/**
+ * Date a history entry is attributed by
+ */
+function attributionDate(item: HistoryItem): string {
+  return item.type === 'billing' ? billingOwnerDate(item.billing_year!, item.billing_month!) : item.date;
+}
+
+/**
+ * History entries with the owner of the apartment at the time
+ * @param owners - Ownership timeline of the apartment
+ */
+export function withOwners(history: HistoryItem[], owners: ApartmentOwner[]): OwnedHistoryItem[] {
+  return history.map((item) => {
+    const owner = ownerOn(owners, attributionDate(item));
+    return { ...item, owner_id: owner?.id ?? null, owner_name: owner?.owner_name ?? null };
+  });
+}
+
+/**
+ * Split an apartment's balance between its owners
+ * @param history - History from the last imported opening balances (cancelled and voided entries are skipped)
+ * @param owners - Ownership timeline of the apartment
+ * @returns Balance of each owner (oldest first)
+ */
+export function splitBalance(history: HistoryItem[], owners: ApartmentOwner[]): OwnerBalance[] {
+  const round = (amount: number) => Math.round(amount * 100) / 100;
+  const balances = owners.map((owner) => ({
+    owner_id: owner.id,
+    owner_name: owner.owner_name,
+    owned_from: owner.owned_from,
+    owned_to: owner.owned_to,
+    opening_balance: 0,
+    total_billings: 0,
+    total_payments: 0,
+    balance: 0,
+  }));
+
+  for (const item of withOwners(history, owners)) {
+    const balance = balances.find((entry) => entry.owner_id === item.owner_id);
+    if (!balance || item.voided_at) continue;
+
+    if (item.type === 'opening') balance.opening_balance += item.amount;
+    if (item.type === 'billing') balance.total_billings -= item.amount;
+    if (item.type === 'payment') balance.total_payments += item.amount;
+  }
+
+  return balances.map((entry) => ({
+    ...entry,
+    opening_balance: round(entry.opening_balance),
+    total_billings: round(entry.total_billings),
+    total_payments: round(entry.total_payments),
+    balance: round(entry.opening_balance + entry.total_payments - entry.total_billings),
+  }));
+}
+
+/**
+ * Apartments with the owner of a billing month as the owner (payer on the month's slips)
+ * @param owners - Ownership timelines of the apartments (apartments without one keep their owner)
+ */
+export function withMonthOwners<T extends Pick<Apartment, 'id' | 'owner_name'>>(
+  apartments: T[],
+  owners: ApartmentOwner[],
+  year: number,
+  month: number
+): T[] {
+  const date = billingOwnerDate(year, month);
+  return apartments.map((apartment) => {
+    const owner = ownerOn(owners.filter((entry) => entry.apartment_id === apartment.id), date);
+    return owner ? { ...apartment, owner_name: owner.owner_name } : apartment;
+  });
+}
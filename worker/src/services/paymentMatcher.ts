@@ -0,0 +1,142 @@
+/**
+ * Payment Matcher
+ * Proposes an apartment (and billing) for bank statement credit lines.
+ *
+ * Matching order:
+ * 1. Reference number (poziv na broj) equal to a stored billing reference,
+ *    with or without model (e.g. "97 4503202602", "974503202602", "4503202602")
+ * 2. Payer name containing all words of exactly one apartment owner name
+ *
+ * Lines matching more than one apartment are "ambiguous", lines matching
+ * none are "unmatched"; both are left for manual assignment.
+ */
+
+import { normalizeText } from './statementParser';
+import { formatReferenceForQR } from './referenceNumber';
+import type { Apartment, Billing, StatementLine, StatementMatch } from '../types';
+
+// Models that may prefix a reference number on the statement
+const KNOWN_MODELS = ['97', '00'];
+
+/**
+ * Normalize reference number for comparison (digits and letters only)
+ */
+function normalizeReference(value: string): string {
+  return value.toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Get reference keys a statement line may match (with and without model)
+ */
+function getLineReferenceKeys(reference: string): string[] {
+  const normalized = normalizeReference(reference);
+  if (!normalized) {
+    return [];
+  }
+
+  const keys = [normalized];
+  if (normalized.length > 4 && KNOWN_MODELS.includes(normalized.slice(0, 2))) {
+    keys.push(normalized.slice(2));
+  }
+  return keys;
+}
+
+/**
+ * Get reference keys of a billing (with and without model)
+ */
+function getBillingReferenceKeys(billing: Billing): string[] {
+  return [
+    formatReferenceForQR(billing.reference_model, billing.reference_number),
+    normalizeReference(billing.reference_number),
+  ];
+}
+
+/**
+ * Split name into comparable words (ignores initials and punctuation)
+ */
+function getNameWords(name: string): string[] {
+  return normalizeText(name)
+    .split(/[^a-z0-9\u0400-\u04ff]+/)
+    .filter((word) => word.length > 1);
+}
+
+/**
+ * Check whether payer name contains all words of the owner name
+ */
+function isNameMatch(payerName: string, ownerName: string): boolean {
+  const payerWords = getNameWords(payerName);
+  const ownerWords = getNameWords(ownerName);
+  return ownerWords.length > 0 && ownerWords.every((word) => payerWords.includes(word));
+}
+
+/**
+ * Propose apartment and billing for a statement line
+ * @param line - Parsed statement credit line
+ * @param apartments - All apartments
+ * @param billings - All billings (with stored reference numbers)
+ * @returns Proposed match
+ */
+export function matchStatementLine(
+  line: StatementLine,
+  apartments: Apartment[],
+  billings: Billing[]
+): StatementMatch {
+  // 1. Reference number
+  const lineKeys = getLineReferenceKeys(line.reference);
+  const referenceBillings = billings.filter((billing) =>
+    getBillingReferenceKeys(billing).some((key) => lineKeys.includes(key))
+  );
+  const referenceApartmentIds = [...new Set(referenceBillings.map((billing) => billing.apartment_id))];
+
+  if (referenceApartmentIds.length === 1) {
+    // Legacy references repeat every year - take the most recent billing
+    const billing = referenceBillings.reduce((latest, current) =>
+      current.billing_year * 12 + current.billing_month > latest.billing_year * 12 + latest.billing_month
+        ? current
+        : latest
+    );
+    const apartment = apartments.find((apt) => apt.id === billing.apartment_id);
+    const nameMatches = !!apartment && isNameMatch(line.payer_name, apartment.owner_name);
+
+    return {
+      match_status: 'matched',
+      match_reason: nameMatches ? 'reference_name' : 'reference',
+      apartment_id: billing.apartment_id,
+      billing_id: billing.id,
+      candidate_apartment_ids: referenceApartmentIds,
+    };
+  }
+
+  if (referenceApartmentIds.length > 1) {
+    return {
+      match_status: 'ambiguous',
+      match_reason: null,
+      apartment_id: null,
+      billing_id: null,
+      candidate_apartment_ids: referenceApartmentIds,
+    };
+  }
+
+  // 2. Payer name
+  const nameApartmentIds = line.payer_name
+    ? apartments.filter((apt) => isNameMatch(line.payer_name, apt.owner_name)).map((apt) => apt.id)
+    : [];
+
+  if (nameApartmentIds.length === 1) {
+    return {
+      match_status: 'matched',
+      match_reason: 'name',
+      apartment_id: nameApartmentIds[0],
+      billing_id: null,
+      candidate_apartment_ids: nameApartmentIds,
+    };
+  }
+
+  return {
+    match_status: nameApartmentIds.length > 1 ? 'ambiguous' : 'unmatched',
+    match_reason: null,
+    apartment_id: null,
+    billing_id: null,
+    candidate_apartment_ids: nameApartmentIds,
+  };
+}
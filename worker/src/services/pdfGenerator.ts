@@ -3,8 +3,9 @@
  * Generates A4 PDF with Serbian payment slips (uplatnica)
  *
  * Layout: 3 payment slips per A4 page with dotted cut lines
+ * Reminder letters: letter with overdue months and one slip for the total owed
  * Labels: Serbian Cyrillic
- * Data: From database (Latin or Cyrillic as entered)
+ * Data: From stored billings (Latin or Cyrillic as entered)
  */
 
 // @ts-ignore - PDFKit types may not be perfectly aligned
@@ -12,7 +13,8 @@ import PDFDocument from 'pdfkit';
 import { getNotoSansRegular, getNotoSansBold } from '../fonts/notoSans';
 import { generatePaymentQRCode } from './qrCode';
 import { formatForDisplay } from './bankAccount';
-import type { Apartment, Building } from '../types';
+import { buildReminderSlipData } from './billing';
+import type { Building, BillingSlipData, OverdueMonth, QRMatrix, Reminder } from '../types';
 
 // A4 dimensions in points (1 point = 1/72 inch)
 const A4_WIDTH = 595.28;
@@ -30,13 +32,21 @@ const BOX_PADDING = 4;
 
 // QR code size
 const QR_SIZE = 80; // Display size
-const QR_GENERATE_SIZE = 130; // Generation size (larger for better QR detail)
+const QR_MARGIN_MODULES = 2; // Quiet zone around the QR matrix (in modules)
 
 // Column widths (left section ~55%, right section ~45%)
 const LEFT_SECTION_WIDTH = (SLIP_WIDTH - 2 * MARGIN) * 0.52;
 const RIGHT_SECTION_WIDTH = (SLIP_WIDTH - 2 * MARGIN) * 0.48;
 const DIVIDER_X = MARGIN + LEFT_SECTION_WIDTH;
 
+// Reminder letter layout (letter on top two thirds, slip on the bottom third)
+const LETTER_MARGIN = 50;
+const LETTER_ROW_HEIGHT = 14;
+const MAX_LETTER_ROWS = 12;
+
+// Reminder letter titles by escalation level
+const REMINDER_TITLES = ['OPOMENA', 'DRUGA OPOMENA', 'POSLEDNJA OPOMENA'];
+
 /**
  * Serbian Cyrillic labels for payment slip fields
  */
@@ -58,17 +68,17 @@ const LABELS = {
 };
 
 /**
- * Generate payer info lines
+ * Generate payer info lines (from the billing snapshot)
  */
-function generatePayerInfo(apartment: Apartment, building: Building): string[] {
+function generatePayerInfo(billing: BillingSlipData): string[] {
   // Line 1: Owner name
-  const line1 = apartment.owner_name;
+  const line1 = billing.owner_name;
 
   // Line 2: Address with floor/apartment
-  const line2 = `${building.address}, спрат ${apartment.floor_number}, стан ${apartment.apartment_number}`;
+  const line2 = `${billing.payer_address}, спрат ${billing.floor_number}, стан ${billing.apartment_number}`;
 
   // Line 3: City
-  const line3 = building.city;
+  const line3 = billing.payer_city;
 
   return [line1, line2, line3];
 }
@@ -81,15 +91,37 @@ function generateRecipientInfo(building: Building): string {
 }
 
 /**
- * Generate reference number
- * @param apartmentNumber - Apartment number
- * @param month - Billing month
- * @returns Reference number in XX-YY format
+ * Draw QR code matrix as vector rectangles
+ * Adjacent dark modules in a row are merged into a single rectangle
  */
-export function generateReferenceNumber(apartmentNumber: number, month: number): string {
-  const apt = String(apartmentNumber).padStart(2, '0');
-  const mon = String(month).padStart(2, '0');
-  return `${apt}-${mon}`;
+function drawQRCode(
+  doc: typeof PDFDocument,
+  matrix: QRMatrix,
+  x: number,
+  y: number,
+  size: number
+): void {
+  const moduleSize = size / (matrix.size + 2 * QR_MARGIN_MODULES);
+  const originX = x + QR_MARGIN_MODULES * moduleSize;
+  const originY = y + QR_MARGIN_MODULES * moduleSize;
+
+  doc.save();
+  for (let row = 0; row < matrix.size; row++) {
+    let col = 0;
+    while (col < matrix.size) {
+      if (!matrix.modules[row][col]) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < matrix.size && matrix.modules[row][col]) {
+        col++;
+      }
+      doc.rect(originX + start * moduleSize, originY + row * moduleSize, (col - start) * moduleSize, moduleSize);
+    }
+  }
+  doc.fillColor('#000000').fill();
+  doc.restore();
 }
 
 /**
@@ -97,12 +129,10 @@ export function generateReferenceNumber(apartmentNumber: number, month: number):
  */
 function drawPaymentSlip(
   doc: typeof PDFDocument,
-  apartment: Apartment,
+  billing: BillingSlipData,
   building: Building,
-  month: number,
-  year: number,
   slipIndex: number,
-  qrCodeBuffer: ArrayBuffer | null
+  qrMatrix: QRMatrix
 ): void {
   const yOffset = slipIndex * SLIP_HEIGHT;
   const slipTop = yOffset + MARGIN;
@@ -144,7 +174,7 @@ function drawPaymentSlip(
   doc.strokeColor('#000000').lineWidth(0.5).rect(leftX, leftY, leftWidth, payerBoxHeight).stroke();
 
   // Payer content
-  const payerLines = generatePayerInfo(apartment, building);
+  const payerLines = generatePayerInfo(billing);
   doc.font('Serbian').fontSize(9).fillColor('#000000');
   let payerContentY = leftY + BOX_PADDING;
   payerLines.forEach((line) => {
@@ -170,7 +200,7 @@ function drawPaymentSlip(
     .font('Serbian')
     .fontSize(9)
     .fillColor('#000000')
-    .text(building.payment_purpose, leftX + BOX_PADDING, leftY + BOX_PADDING, {
+    .text(billing.payment_purpose, leftX + BOX_PADDING, leftY + BOX_PADDING, {
       width: leftWidth - 2 * BOX_PADDING,
     });
   leftY += purposeBoxHeight + 8;
@@ -279,12 +309,11 @@ function drawPaymentSlip(
 
   // Amount box
   doc.rect(col3X, rightY, col3Width, topBoxHeight).stroke();
-  const amount = apartment.override_amount || building.default_amount;
   doc
     .font('Serbian')
     .fontSize(9)
     .fillColor('#000000')
-    .text(amount.toLocaleString('sr-RS', { minimumFractionDigits: 2 }), col3X + BOX_PADDING, rightY + 5, {
+    .text(billing.amount.toLocaleString('sr-RS', { minimumFractionDigits: 2 }), col3X + BOX_PADDING, rightY + 5, {
       width: col3Width - 2 * BOX_PADDING,
       align: 'right',
     });
@@ -337,30 +366,30 @@ function drawPaymentSlip(
 
   doc.rect(refX, rightY, refWidthBottom, modelBoxHeight).stroke();
 
+  // Model content (empty for legacy references without model)
+  doc
+    .font('Serbian')
+    .fontSize(9)
+    .fillColor('#000000')
+    .text(billing.reference_model, modelX + BOX_PADDING, rightY + 4, {
+      width: modelWidth - 2 * BOX_PADDING,
+    });
+
   // Reference number content
-  const refNumber = generateReferenceNumber(apartment.apartment_number, month);
   doc
     .font('Serbian')
     .fontSize(9)
     .fillColor('#000000')
-    .text(refNumber, refX + BOX_PADDING, rightY + 4, {
+    .text(billing.reference_number, refX + BOX_PADDING, rightY + 4, {
       width: refWidthBottom - 2 * BOX_PADDING,
     });
 
   rightY += modelBoxHeight + 10;
 
   // --- QR CODE (no frame, no label) ---
-  if (qrCodeBuffer) {
-    const qrX = rightX + rightWidth - QR_SIZE;
-    const qrY = slipBottom - QR_SIZE - 3;
-    const cropBottom = 8;
-
-    // Use clipping to crop the bottom of the QR image
-    doc.save();
-    doc.rect(qrX, qrY, QR_SIZE, QR_SIZE - cropBottom).clip();
-    doc.image(qrCodeBuffer, qrX, qrY, { width: QR_SIZE, height: QR_SIZE });
-    doc.restore();
-  }
+  const qrX = rightX + rightWidth - QR_SIZE;
+  const qrY = slipBottom - QR_SIZE - 3;
+  drawQRCode(doc, qrMatrix, qrX, qrY, QR_SIZE);
 
   // --- VALUE DATE (датум валуте) on the right side at bottom ---
   const valueDateWidth = 80;
@@ -394,80 +423,248 @@ function drawPaymentSlip(
 }
 
 /**
- * Generate payment slips PDF for all apartments
- * @param apartments - Array of apartment data
- * @param building - Building data
- * @param month - Billing month (1-12)
- * @param year - Billing year
+ * Create A4 PDF document with embedded Serbian fonts
+ * @returns Document and a promise resolved with the PDF bytes when the document ends
+ */
+function createPDFDocument(): { doc: typeof PDFDocument; done: Promise<ArrayBuffer> } {
+  // Get embedded fonts
+  const regularFont = getNotoSansRegular();
+  const boldFont = getNotoSansBold();
+  const regularFontBuffer = Buffer.from(regularFont);
+  const boldFontBuffer = Buffer.from(boldFont);
+
+  // Create PDF with custom font to avoid __dirname issue with standard fonts
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 0, bottom: 0, left: 0, right: 0 },
+    font: regularFontBuffer,
+  });
+
+  // Register fonts for Serbian text (supports both Latin and Cyrillic)
+  doc.registerFont('Serbian', regularFontBuffer);
+  doc.registerFont('Serbian-Bold', boldFontBuffer);
+
+  const done = new Promise<ArrayBuffer>((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    doc.on('end', () => {
+      const pdfBuffer = Buffer.concat(chunks);
+      resolve(pdfBuffer.buffer.slice(pdfBuffer.byteOffset, pdfBuffer.byteOffset + pdfBuffer.byteLength));
+    });
+    doc.on('error', reject);
+  });
+
+  return { doc, done };
+}
+
+/**
+ * Generate payment slips PDF for stored billings
+ * @param billings - Billings to print (one slip each)
+ * @param building - Building data (recipient)
  * @returns PDF document as ArrayBuffer
  */
 export async function generatePaymentSlipsPDF(
-  apartments: Apartment[],
-  building: Building,
-  month: number,
-  year: number
+  billings: BillingSlipData[],
+  building: Building
 ): Promise<ArrayBuffer> {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Get embedded fonts
-      const regularFont = getNotoSansRegular();
-      const boldFont = getNotoSansBold();
-      const regularFontBuffer = Buffer.from(regularFont);
-      const boldFontBuffer = Buffer.from(boldFont);
-
-      // Create PDF with custom font to avoid __dirname issue with standard fonts
-      const doc = new PDFDocument({
-        size: 'A4',
-        margins: { top: 0, bottom: 0, left: 0, right: 0 },
-        font: regularFontBuffer,
-      });
+  // Sort billings by apartment number
+  const sortedBillings = [...billings].sort(
+    (a, b) => a.apartment_number - b.apartment_number
+  );
 
-      // Register fonts for Serbian text (supports both Latin and Cyrillic)
-      doc.registerFont('Serbian', regularFontBuffer);
-      doc.registerFont('Serbian-Bold', boldFontBuffer);
+  // Encode QR codes for all billings (locally, fails loudly on bad data)
+  const qrCodes = sortedBillings.map((billing) => generatePaymentQRCode(billing, building));
 
-      const chunks: Buffer[] = [];
-      doc.on('data', (chunk: Buffer) => chunks.push(chunk));
-      doc.on('end', () => {
-        const pdfBuffer = Buffer.concat(chunks);
-        resolve(pdfBuffer.buffer.slice(pdfBuffer.byteOffset, pdfBuffer.byteOffset + pdfBuffer.byteLength));
-      });
-      doc.on('error', reject);
+  const { doc, done } = createPDFDocument();
 
-      // Sort apartments by number
-      const sortedApartments = [...apartments].sort(
-        (a, b) => a.apartment_number - b.apartment_number
-      );
+  // Draw slips (3 per page)
+  for (let i = 0; i < sortedBillings.length; i++) {
+    const slipIndex = i % 3;
 
-      // Generate QR codes for all apartments
-      const qrCodes = await Promise.all(
-        sortedApartments.map(async (apt) => {
-          try {
-            return await generatePaymentQRCode(apt, building, month, year, QR_GENERATE_SIZE);
-          } catch (err) {
-            console.error(`Failed to generate QR for apartment ${apt.apartment_number}:`, err);
-            return null; // Continue without QR if API fails
-          }
-        })
-      );
+    // Add new page if needed (not for first slip)
+    if (i > 0 && slipIndex === 0) {
+      doc.addPage();
+    }
 
-      // Draw slips (3 per page)
-      for (let i = 0; i < sortedApartments.length; i++) {
-        const slipIndex = i % 3;
+    drawPaymentSlip(doc, sortedBillings[i], building, slipIndex, qrCodes[i]);
+  }
 
-        // Add new page if needed (not for first slip)
-        if (i > 0 && slipIndex === 0) {
-          doc.addPage();
-        }
+  doc.end();
+  return done;
+}
 
-        drawPaymentSlip(doc, sortedApartments[i], building, month, year, slipIndex, qrCodes[i]);
-      }
+/**
+ * Format amount for print, e.g. 3.500,00
+ */
+function formatAmount(amount: number): string {
+  return amount.toLocaleString('sr-RS', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
 
-      doc.end();
-    } catch (err) {
-      reject(err);
+/**
+ * Format SQLite datetime (YYYY-MM-DD HH:MM:SS) as DD.MM.YYYY.
+ */
+function formatLetterDate(datetime: string): string {
+  const [year, month, day] = datetime.slice(0, 10).split('-');
+  return `${day}.${month}.${year}.`;
+}
+
+/**
+ * Period of an overdue billing for the letter, with the charge for billings other than maintenance
+ */
+function formatOverdueLabel(month: OverdueMonth): string {
+  const period = `${String(month.billing_month).padStart(2, '0')}/${month.billing_year}`;
+  if (month.billing_type === 'opening') return `Dug do ${period}`;
+  if (month.billing_type === 'interest') return `Kamata ${period}`;
+  if (month.billing_type === 'charge' || month.billing_type === 'assessment') {
+    return `${month.payment_purpose} ${period}`;
+  }
+  return period;
+}
+
+/**
+ * Generate overdue payment reminder letter
+ * Top two thirds: letter with month breakdown, bottom third: payment slip for the total owed
+ * @param reminder - Stored reminder
+ * @param building - Building data (sender and recipient)
+ * @returns PDF document as ArrayBuffer
+ */
+export async function generateReminderPDF(reminder: Reminder, building: Building): Promise<ArrayBuffer> {
+  const slip = buildReminderSlipData(reminder, building);
+  const qrMatrix = generatePaymentQRCode(slip, building);
+  const months: OverdueMonth[] = JSON.parse(reminder.breakdown);
+
+  const { doc, done } = createPDFDocument();
+  const left = LETTER_MARGIN;
+  const width = A4_WIDTH - 2 * LETTER_MARGIN;
+
+  // Date and sender
+  doc.font('Serbian').fontSize(10).fillColor('#000000');
+  doc.text(`Datum: ${formatLetterDate(reminder.created_at)}`, left, LETTER_MARGIN, { width: width, align: 'right' });
+  doc.font('Serbian-Bold').text(building.recipient_name, left, LETTER_MARGIN, { width: width / 2 });
+  doc.font('Serbian').text(`${building.address}, ${building.city}`, { width: width / 2 });
+
+  // Addressee
+  doc.moveDown(2);
+  generatePayerInfo(slip).forEach((line) => doc.text(line, left, undefined, { width: width }));
+
+  // Title
+  doc.moveDown(2);
+  doc
+    .font('Serbian-Bold')
+    .fontSize(14)
+    .text(REMINDER_TITLES[Math.min(reminder.level, REMINDER_TITLES.length) - 1], left, undefined, {
+      width: width,
+      align: 'center',
+    });
+
+  doc.moveDown(1);
+  doc
+    .font('Serbian')
+    .fontSize(10)
+    .text(
+      `Postovani, prema nasoj evidenciji za stan ${reminder.apartment_number} nisu izmirene obaveze ` +
+        `za odrzavanje zgrade za sledece mesece:`,
+      left,
+      undefined,
+      { width: width }
+    );
+
+  // Month breakdown (long lists are shortened to fit above the slip)
+  const shown = months.length > MAX_LETTER_ROWS ? months.slice(0, MAX_LETTER_ROWS - 1) : months;
+  const hidden = months.slice(shown.length);
+  // Accrued interest not posted yet gets its own column (not part of the total owed)
+  const interest = months.reduce((sum, month) => sum + (month.interest ?? 0), 0);
+  const columns =
+    interest > 0
+      ? [left, left + width * 0.25, left + width * 0.5, left + width * 0.75]
+      : [left, left + width * 0.4, left + width * 0.7];
+  const columnWidth = interest > 0 ? width * 0.25 : width * 0.3;
+
+  let y = doc.y + 10;
+  doc.font('Serbian-Bold');
+  doc.text('Period', columns[0], y, { width: columnWidth });
+  doc.text('Zaduzenje', columns[1], y, { width: columnWidth, align: 'right' });
+  doc.text('Neplaceno', columns[2], y, { width: columnWidth, align: 'right' });
+  if (interest > 0) {
+    doc.text('Kamata', columns[3], y, { width: columnWidth, align: 'right' });
+  }
+  y += LETTER_ROW_HEIGHT;
+  doc.strokeColor('#000000').lineWidth(0.5).moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  doc.font('Serbian');
+  for (const month of shown) {
+    doc.text(formatOverdueLabel(month), columns[0], y, { width: columnWidth });
+    doc.text(formatAmount(month.amount), columns[1], y, { width: columnWidth, align: 'right' });
+    doc.text(formatAmount(month.unpaid), columns[2], y, { width: columnWidth, align: 'right' });
+    if (interest > 0) {
+      doc.text(formatAmount(month.interest ?? 0), columns[3], y, { width: columnWidth, align: 'right' });
     }
-  });
+    y += LETTER_ROW_HEIGHT;
+  }
+  if (hidden.length > 0) {
+    doc.text(`... i jos ${hidden.length} meseci`, columns[0], y, { width: columnWidth * 2 });
+    doc.text(formatAmount(hidden.reduce((sum, month) => sum + month.unpaid, 0)), columns[2], y, {
+      width: columnWidth,
+      align: 'right',
+    });
+    if (interest > 0) {
+      doc.text(formatAmount(hidden.reduce((sum, month) => sum + (month.interest ?? 0), 0)), columns[3], y, {
+        width: columnWidth,
+        align: 'right',
+      });
+    }
+    y += LETTER_ROW_HEIGHT;
+  }
+
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+  doc.font('Serbian-Bold');
+  doc.text('Ukupno za uplatu (RSD)', columns[0], y, { width: columnWidth * 2 });
+  doc.text(formatAmount(reminder.amount), columns[2], y, { width: columnWidth, align: 'right' });
+  if (interest > 0) {
+    doc.text(formatAmount(interest), columns[3], y, { width: columnWidth, align: 'right' });
+    doc.moveDown(1.5);
+    doc
+      .font('Serbian')
+      .text(
+        `Na neplacene iznose obracunata je zatezna kamata do ${formatLetterDate(reminder.created_at)} ` +
+          `u iznosu od ${formatAmount(interest)} RSD. Kamata se zaduzuje posebno i nije ukljucena u iznos za uplatu.`,
+        left,
+        undefined,
+        { width: width }
+      );
+  }
+
+  // Payment instructions
+  const reference = [reminder.reference_model, reminder.reference_number].filter(Boolean).join(' ');
+  doc.moveDown(1.5);
+  doc
+    .font('Serbian')
+    .text(
+      `Molimo da dug izmirite u roku od 15 dana uplatom na racun ${formatForDisplay(building.bank_account)}, ` +
+        `poziv na broj ${reference}, ili skeniranjem QR koda na uplatnici ispod. ` +
+        `Ako ste dug u medjuvremenu izmirili, smatrajte ovu opomenu bespredmetnom.`,
+      left,
+      undefined,
+      { width: width }
+    );
+  if (reminder.level >= REMINDER_TITLES.length) {
+    doc.moveDown(0.5);
+    doc.font('Serbian-Bold').text('Ovo je poslednja opomena pre pokretanja postupka naplate.', { width: width });
+  }
+
+  // Payment slip for the total owed (bottom third, with cut line above)
+  doc
+    .strokeColor('#666666')
+    .lineWidth(0.5)
+    .dash(5, { space: 3 })
+    .moveTo(0, 2 * SLIP_HEIGHT)
+    .lineTo(SLIP_WIDTH, 2 * SLIP_HEIGHT)
+    .stroke()
+    .undash();
+  drawPaymentSlip(doc, slip, building, 2, qrMatrix);
+
+  doc.end();
+  return done;
 }
 
 /**
@@ -480,3 +677,20 @@ export function generatePDFFilename(month: number, year: number): string {
   const monthStr = String(month).padStart(2, '0');
   return `uplatnice_${year}_${monthStr}.pdf`;
 }
+
+/**
+ * Generate filename for a single billing slip (PDF or QR image)
+ * @param billing - Billing data
+ * @param prefix - File name prefix (e.g. "uplatnica", "qr")
+ * @param extension - File extension (e.g. "pdf", "png")
+ * @returns Filename, e.g. "uplatnica_2026_02_stan_03.pdf"
+ */
+export function generateSlipFilename(
+  billing: Pick<BillingSlipData, 'billing_month' | 'billing_year' | 'apartment_number'>,
+  prefix: string,
+  extension: string
+): string {
+  const monthStr = String(billing.billing_month).padStart(2, '0');
+  const apartmentStr = String(billing.apartment_number).padStart(2, '0');
+  return `${prefix}_${billing.billing_year}_${monthStr}_stan_${apartmentStr}.${extension}`;
+}
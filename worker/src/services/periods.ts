@@ -0,0 +1,58 @@
+/**
+ * Period Service
+ * Rules of closed accounting periods. Billings belong to their billing month,
+ * payments to the month of their payment date. Once a month is closed, billings
+ * and payments in it (and in all earlier months) can no longer change, and
+ * balances start from the opening balances stored with the last close.
+ */
+
+import type { PeriodClose } from '../types';
+
+type ClosedPeriod = Pick<PeriodClose, 'period_year' | 'period_month'>;
+
+/**
+ * Month as a single comparable number (months since year 0)
+ */
+export function periodIndex(year: number, month: number): number {
+  return year * 12 + month;
+}
+
+/**
+ * Check if a month is within the closed periods
+ * @param close - Last period close of the building (null if nothing is closed)
+ */
+export function isClosedPeriod(close: ClosedPeriod | null, year: number, month: number): boolean {
+  return close !== null && periodIndex(year, month) <= periodIndex(close.period_year, close.period_month);
+}
+
+/**
+ * Check if a date (YYYY-MM-DD) is within the closed periods
+ * @param close - Last period close of the building (null if nothing is closed)
+ */
+export function isClosedDate(close: ClosedPeriod | null, date: string): boolean {
+  return isClosedPeriod(close, parseInt(date.slice(0, 4), 10), parseInt(date.slice(5, 7), 10));
+}
+
+/**
+ * Month after a month
+ */
+export function nextPeriod(year: number, month: number): { year: number; month: number } {
+  const next = periodIndex(year, month);
+  return { year: Math.floor(next / 12), month: (next % 12) + 1 };
+}
+
+/**
+ * First day after the closed period (date of the opening balance)
+ * @returns Date as YYYY-MM-DD
+ */
+export function getOpeningDate(close: ClosedPeriod): string {
+  const { year, month } = nextPeriod(close.period_year, close.period_month);
+  return `${year}-${String(month).padStart(2, '0')}-01`;
+}
+
+/**
+ * Error message for a change within the closed periods
+ */
+export function closedPeriodMessage(close: ClosedPeriod): string {
+  return `Period zakljucno sa ${close.period_month}/${close.period_year} je zakljucen`;
+}
@@ -1,22 +1,36 @@
 /**
  * NBS IPS QR Code Service
- * Generates QR codes for Serbian payment slips using NBS API
+ * Builds NBS IPS QR payloads for Serbian payment slips and encodes them
+ * into QR code matrices locally, without any network access.
+ *
+ * The NBS API is used only as an optional validator (see validateWithNBS).
  *
  * API Documentation: docs/Guidelines for using the NBS IPS QR Generator-Validator.pdf
  * API Portal: https://ips.nbs.rs/en/qr-validacija-generisanje
  */
 
+import qrcode from 'qrcode-generator';
 import { formatForQR } from './bankAccount';
-import type { QRCodeData, Apartment, Building } from '../types';
+import { formatReferenceForQR } from './referenceNumber';
+import type { QRCodeData, QRMatrix, Building, BillingSlipData } from '../types';
+
+// NBS QR Validator API endpoint (optional, used only for validation)
+const NBS_VALIDATE_URL = 'https://nbs.rs/QRcode/api/qr/v1/validate';
+
+// Error correction level for generated QR codes (M = ~15% recovery)
+const QR_ERROR_CORRECTION = 'M';
 
-// NBS QR Generator API endpoint
-const NBS_API_URL = 'https://nbs.rs/QRcode/api/qr/v1/gen';
+// Payment code (SF) of maintenance slips: 289 = Ostale komunalne usluge
+export const DEFAULT_PAYMENT_CODE = '289';
 
-// Default QR code size (pixels)
-export const DEFAULT_QR_SIZE = 200;
+// Tag order as used in the NBS IPS QR examples
+const IPS_TAG_ORDER: (keyof QRCodeData)[] = ['K', 'V', 'C', 'R', 'N', 'I', 'P', 'SF', 'S', 'RO'];
+
+// IPS payload uses UTF-8 (C:1), so encode byte-mode data as UTF-8
+qrcode.stringToBytes = qrcode.stringToBytesFuncs['UTF-8'];
 
 /**
- * Generate QR code data payload for NBS API
+ * Generate QR code data payload
  */
 export function generateQRCodeData(params: {
   bankAccount: string;
@@ -24,8 +38,10 @@ export function generateQRCodeData(params: {
   recipientAddress: string;
   recipientCity: string;
   amount: number;
+  referenceModel: string;
   referenceNumber: string;
   paymentPurpose: string;
+  paymentCode: string;
   payerName: string;
   payerAddress: string;
   payerCity: string;
@@ -36,8 +52,10 @@ export function generateQRCodeData(params: {
     recipientAddress,
     recipientCity,
     amount,
+    referenceModel,
     referenceNumber,
     paymentPurpose,
+    paymentCode,
     payerName,
     payerAddress,
     payerCity,
@@ -47,20 +65,19 @@ export function generateQRCodeData(params: {
   const formattedAccount = formatForQR(bankAccount);
 
   // Format recipient info with line break
-  // "Stambena zajednica\r\n[Address]"
-  let recipientInfo = recipientName + '\r\n' + recipientAddress;
-  recipientInfo = recipientInfo.slice(0, 70);
+  // "Stambena zajednica\r\n[Address]" (length is checked by ipsValidator, not truncated)
+  const recipientInfo = recipientName + '\r\n' + recipientAddress;
 
   // Format amount (RSD + amount with 2 decimal places, comma as decimal separator)
   const formattedAmount = `RSD${Number(amount).toFixed(2).replace('.', ',')}`;
 
-  // Format reference number (remove slash for QR)
-  // "03/02" -> "0302"
-  const formattedReference = referenceNumber.replace('/', '').replace('-', '');
+  // Format model and reference number (model first, no separators)
+  // "97", "4503202602" -> "974503202602"
+  const formattedReference = formatReferenceForQR(referenceModel, referenceNumber);
 
-  // Format payer info with line breaks
+  // Format payer info with line breaks (empty parts are left out)
   // "Full Name\r\nAddress\r\nCity"
-  const payerInfo = `${payerName}\r\n${payerAddress}\r\n${payerCity}`;
+  const payerInfo = [payerName, payerAddress, payerCity].filter(Boolean).join('\r\n');
 
   return {
     K: 'PR', // Payment type: PR = Payment Request
@@ -69,98 +86,113 @@ export function generateQRCodeData(params: {
     R: formattedAccount, // Recipient account (18 digits)
     N: recipientInfo, // Recipient name and address
     I: formattedAmount, // Amount with currency
-    SF: '289', // Service code: 289 = Ostale komunalne usluge
+    SF: paymentCode, // Payment code, e.g. 289 = Ostale komunalne usluge
     S: paymentPurpose, // Payment purpose
-    RO: formattedReference, // Reference number
+    RO: formattedReference, // Model and reference number
     P: payerInfo, // Payer info (name, address, city)
   };
 }
 
 /**
- * Fetch QR code image from NBS API
+ * Serialize QR code data to the NBS IPS text format
+ * Empty tags are left out entirely (NBS requires e.g. no "|P:|" when P is unused)
  * @param qrData - QR code data payload
- * @param size - QR code size in pixels
- * @returns QR code image as ArrayBuffer
+ * @returns IPS string, e.g. "K:PR|V:01|C:1|R:...|N:...|I:RSD3500,00|SF:289|S:...|RO:..."
+ */
+export function formatIPSString(qrData: QRCodeData): string {
+  return IPS_TAG_ORDER.filter((tag) => qrData[tag])
+    .map((tag) => `${tag}:${qrData[tag]}`)
+    .join('|');
+}
+
+/**
+ * Encode text into a QR code matrix
+ * @param text - Text to encode (UTF-8, byte mode)
+ * @returns QR matrix (size x size modules, true = dark)
  */
-export async function fetchQRCode(qrData: QRCodeData, size = DEFAULT_QR_SIZE): Promise<ArrayBuffer> {
-  const url = `${NBS_API_URL}/${size}`;
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'image/png',
-      },
-      body: JSON.stringify(qrData),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`NBS API error: ${response.status} - ${errorText}`);
+export function encodeQRMatrix(text: string): QRMatrix {
+  const qr = qrcode(0, QR_ERROR_CORRECTION);
+  qr.addData(text, 'Byte');
+  qr.make();
+
+  const size = qr.getModuleCount();
+  const modules: boolean[][] = [];
+  for (let row = 0; row < size; row++) {
+    const line: boolean[] = [];
+    for (let col = 0; col < size; col++) {
+      line.push(qr.isDark(row, col));
     }
+    modules.push(line);
+  }
+
+  return { size, modules };
+}
+
+/**
+ * Validate QR code data against the NBS validator API (optional)
+ * @param qrData - QR code data payload
+ * @returns Validation result with error messages returned by NBS
+ * @throws Error if the NBS API cannot be reached
+ */
+export async function validateWithNBS(qrData: QRCodeData): Promise<{ valid: boolean; errors: string[] }> {
+  const response = await fetch(NBS_VALIDATE_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      Accept: 'application/json',
+    },
+    body: formatIPSString(qrData),
+  });
+
+  if (!response.ok) {
+    throw new Error(`NBS API error: ${response.status}`);
+  }
 
-    return await response.arrayBuffer();
-  } catch (err) {
-    console.error('QR code fetch error:', err);
-    throw new Error(`Failed to generate QR code: ${err instanceof Error ? err.message : 'Unknown error'}`);
+  const result = (await response.json()) as {
+    s?: { code: number; desc: string };
+    e?: string[];
+  };
+
+  if (result.s?.code === 0) {
+    return { valid: true, errors: [] };
   }
+
+  return {
+    valid: false,
+    errors: result.e && result.e.length > 0 ? result.e : [result.s?.desc || 'Validation failed'],
+  };
 }
 
 /**
- * Generate QR code for apartment payment slip
- * @param apartment - Apartment data
- * @param building - Building data
- * @param month - Billing month (1-12)
- * @param year - Billing year
- * @param size - QR code size in pixels
- * @returns QR code image as ArrayBuffer
+ * Build QR code data for a billing payment slip
+ * @param billing - Billing data (stored amount, purpose, reference and payer snapshot)
+ * @param building - Building data (recipient)
+ * @returns QR code data payload
  */
-export async function generatePaymentQRCode(
-  apartment: Apartment,
-  building: Building,
-  month: number,
-  year: number,
-  size = DEFAULT_QR_SIZE
-): Promise<ArrayBuffer> {
-  // Calculate amount (apartment override or building default)
-  const amount = apartment.override_amount || building.default_amount;
-
-  // Generate reference number: XX/YY (apartment/month)
-  const apartmentNum = String(apartment.apartment_number).padStart(2, '0');
-  const monthNum = String(month).padStart(2, '0');
-  const referenceNumber = `${apartmentNum}/${monthNum}`;
-
-  // Build QR data
-  const qrData = generateQRCodeData({
+export function generatePaymentQRData(billing: BillingSlipData, building: Building): QRCodeData {
+  return generateQRCodeData({
     bankAccount: building.bank_account,
     recipientName: building.recipient_name,
     recipientAddress: building.address,
     recipientCity: building.city,
-    amount: amount,
-    referenceNumber: referenceNumber,
-    paymentPurpose: building.payment_purpose,
-    payerName: apartment.owner_name,
-    payerAddress:
-      building.address + ', ' + apartment.floor_number + ', ' + apartment.apartment_number,
-    payerCity: building.city,
+    amount: billing.amount,
+    referenceModel: billing.reference_model,
+    referenceNumber: billing.reference_number,
+    paymentPurpose: billing.payment_purpose,
+    paymentCode: billing.payment_code,
+    payerName: billing.owner_name,
+    payerAddress: billing.payer_address + ', ' + billing.floor_number + ', ' + billing.apartment_number,
+    payerCity: billing.payer_city,
   });
-
-  // Fetch QR code from NBS API
-  return await fetchQRCode(qrData, size);
 }
 
 /**
- * Generate QR code as base64 data URL
+ * Generate QR code for a billing payment slip
+ * @param billing - Billing data (stored amount, reference and payer snapshot)
+ * @param building - Building data (recipient)
+ * @returns QR code matrix
  */
-export async function generatePaymentQRCodeBase64(
-  apartment: Apartment,
-  building: Building,
-  month: number,
-  year: number,
-  size = DEFAULT_QR_SIZE
-): Promise<string> {
-  const buffer = await generatePaymentQRCode(apartment, building, month, year, size);
-  const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)));
-  return `data:image/png;base64,${base64}`;
+export function generatePaymentQRCode(billing: BillingSlipData, building: Building): QRMatrix {
+  const qrData = generatePaymentQRData(billing, building);
+  return encodeQRMatrix(formatIPSString(qrData));
 }
@@ -0,0 +1,167 @@
+/**
+ * QR Code Image Renderer
+ * Renders encoded QR matrices as standalone SVG or PNG images
+ * (for slips shown or shared outside the PDF).
+ *
+ * PNG is written directly (1-bit grayscale, uncompressed deflate blocks),
+ * so no image or compression library is needed in the Worker.
+ */
+
+import type { QRMatrix } from '../types';
+import { crc32 } from './crc32';
+
+// Quiet zone around the QR matrix (in modules, as required by the QR standard)
+const QUIET_ZONE_MODULES = 4;
+
+// Default size of one module in pixels
+const DEFAULT_MODULE_SIZE = 8;
+
+// Max bytes in one uncompressed deflate block
+const MAX_STORED_BLOCK = 65535;
+
+/**
+ * Render QR matrix as SVG image
+ * @param matrix - Encoded QR matrix
+ * @param moduleSize - Size of one module in pixels
+ * @returns SVG document
+ */
+export function renderQRSvg(matrix: QRMatrix, moduleSize = DEFAULT_MODULE_SIZE): string {
+  const modules = matrix.size + 2 * QUIET_ZONE_MODULES;
+  const pixels = modules * moduleSize;
+
+  // One path segment per run of dark modules in a row
+  const segments: string[] = [];
+  for (let row = 0; row < matrix.size; row++) {
+    let col = 0;
+    while (col < matrix.size) {
+      if (!matrix.modules[row][col]) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < matrix.size && matrix.modules[row][col]) {
+        col++;
+      }
+      segments.push(`M${start + QUIET_ZONE_MODULES} ${row + QUIET_ZONE_MODULES}h${col - start}v1h-${col - start}z`);
+    }
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" ` +
+    `viewBox="0 0 ${modules} ${modules}" shape-rendering="crispEdges">` +
+    `<rect width="${modules}" height="${modules}" fill="#ffffff"/>` +
+    `<path d="${segments.join('')}" fill="#000000"/>` +
+    `</svg>`
+  );
+}
+
+/**
+ * Calculate Adler-32 checksum (zlib stream trailer)
+ */
+function adler32(bytes: Uint8Array): number {
+  let a = 1;
+  let b = 0;
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap data in a zlib stream made of uncompressed deflate blocks
+ */
+function zlibStore(data: Uint8Array): Uint8Array {
+  const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+  const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+  const view = new DataView(out.buffer);
+
+  // zlib header: deflate, 32K window, no compression level hint
+  out[0] = 0x78;
+  out[1] = 0x01;
+
+  let offset = 2;
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * MAX_STORED_BLOCK;
+    const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+
+    out[offset] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE=00 (stored)
+    view.setUint16(offset + 1, length, true);
+    view.setUint16(offset + 3, ~length & 0xffff, true);
+    out.set(data.subarray(start, start + length), offset + 5);
+    offset += 5 + length;
+  }
+
+  view.setUint32(offset, adler32(data));
+  return out;
+}
+
+/**
+ * Build PNG chunk (length, type, data, CRC)
+ */
+function pngChunk(type: string, data: Uint8Array): Uint8Array {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
+
+/**
+ * Render QR matrix as PNG image (1-bit grayscale)
+ * @param matrix - Encoded QR matrix
+ * @param moduleSize - Size of one module in pixels
+ * @returns PNG file bytes
+ */
+export function renderQRPng(matrix: QRMatrix, moduleSize = DEFAULT_MODULE_SIZE): Uint8Array {
+  const pixels = (matrix.size + 2 * QUIET_ZONE_MODULES) * moduleSize;
+  const rowBytes = Math.ceil(pixels / 8);
+
+  // Scanlines: filter byte (0 = none) + packed pixels (1 = white, 0 = black)
+  const raw = new Uint8Array(pixels * (rowBytes + 1));
+  for (let y = 0; y < pixels; y++) {
+    const rowOffset = y * (rowBytes + 1);
+    const row = Math.floor(y / moduleSize) - QUIET_ZONE_MODULES;
+    raw.fill(0xff, rowOffset + 1, rowOffset + 1 + rowBytes);
+
+    if (row < 0 || row >= matrix.size) {
+      continue;
+    }
+
+    for (let x = 0; x < pixels; x++) {
+      const col = Math.floor(x / moduleSize) - QUIET_ZONE_MODULES;
+      if (col >= 0 && col < matrix.size && matrix.modules[row][col]) {
+        raw[rowOffset + 1 + (x >> 3)] &= ~(0x80 >> (x & 7));
+      }
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, pixels); // Width
+  headerView.setUint32(4, pixels); // Height
+  header[8] = 1; // Bit depth
+  header[9] = 0; // Color type: grayscale
+  // Compression, filter and interlace methods: 0
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), // PNG signature
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlibStore(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ];
+
+  const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+  return png;
+}
@@ -0,0 +1,89 @@
+/**
+ * Reference Number Service (poziv na broj)
+ *
+ * Supported schemes (configured per building, see building.reference_model):
+ * - "97": model 97 - KK AA GGGG MM (10 digits)
+ *         KK = ISO 7064 MOD 97-10 control over the rest
+ *         AA = apartment number, GGGG = billing year, MM = billing month
+ *         e.g. apartment 3, February 2026 -> model 97, reference 4503202602
+ * - "":   legacy, no model - AA-MM (apartment/month), e.g. 03-02
+ */
+
+// Supported reference models ('' = legacy scheme without model)
+export const REFERENCE_MODELS = ['97', ''] as const;
+
+// Model used in the QR code when the reference has no model of its own
+const NO_CONTROL_MODEL = '00';
+
+/**
+ * Calculate mod-97 remainder of a numeric string (ISO 7064 MOD 97-10)
+ * Letters are converted to numbers (A=10 ... Z=35)
+ */
+function mod97(value: string): number {
+  let remainder = 0;
+  for (const char of value.toUpperCase()) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Calculate 2-digit mod-97 control number for a base value
+ * @param base - Digits (and letters) the control is calculated over
+ * @returns Control number, zero-padded to 2 digits
+ */
+export function calculateMod97Control(base: string): string {
+  return String(98 - mod97(base + '00')).padStart(2, '0');
+}
+
+/**
+ * Check whether a reference model is supported
+ * @param model - Reference model ("97" or "" for legacy)
+ * @returns True if supported
+ */
+export function isValidReferenceModel(model: unknown): model is string {
+  return typeof model === 'string' && (REFERENCE_MODELS as readonly string[]).includes(model);
+}
+
+/**
+ * Generate reference number for an apartment billing
+ * @param model - Reference model ("97" or "" for legacy)
+ * @param apartmentNumber - Apartment number
+ * @param year - Billing year
+ * @param month - Billing month
+ * @returns Reference number (without model), e.g. "4503202602" or "03-02"
+ */
+export function generateReferenceNumber(
+  model: string,
+  apartmentNumber: number,
+  year: number,
+  month: number
+): string {
+  const apt = String(apartmentNumber).padStart(2, '0');
+  const mon = String(month).padStart(2, '0');
+
+  if (model === '97') {
+    const base = `${apt}${year}${mon}`;
+    return calculateMod97Control(base) + base;
+  }
+
+  return `${apt}-${mon}`;
+}
+
+/**
+ * Format model and reference number for the QR code RO tag
+ * @param model - Reference model ("97" or "" for legacy)
+ * @param referenceNumber - Reference number as printed on the slip
+ * @returns Model + reference, e.g. "974503202602" or "000302" (empty if no reference)
+ */
+export function formatReferenceForQR(model: string, referenceNumber: string): string {
+  if (!referenceNumber) {
+    return '';
+  }
+
+  // Dashes and spaces are only for readability on the printed slip
+  return (model || NO_CONTROL_MODEL) + referenceNumber.replace(/[^0-9A-Za-z]/g, '');
+}
@@ -0,0 +1,474 @@
+/**
+ * Reminder Service
+ * Finds apartments with overdue debt and sends reminder letters (PDF with month
+ * breakdown and a payment slip/QR for the total owed).
+ *
+ * - Payments are applied to billings as in payment allocation (manual allocations
+ *   first, then oldest-first); a billing is overdue once the building's due day of
+ *   its billing month has passed
+ * - After a period close, an opening prepayment counts as paid, an opening debt
+ *   is overdue on its own line of the breakdown
+ * - An apartment is reminded when overdue debt reaches reminder_min_amount or
+ *   unpaid months reach reminder_min_months (0 = rule not used)
+ * - Reminders escalate (level 1-3) every reminder_interval_days while the debt
+ *   remains; open reminders are resolved once the apartment is no longer overdue
+ * - Apartments with no_reminders are skipped
+ * - With interest enabled, the letter also lists interest accrued on each
+ *   overdue month and not posted yet (posted interest is an overdue billing itself)
+ */
+
+import type { Env, Apartment, Billing, BillingInterest, Building, OverdueMonth, Reminder } from '../types';
+import {
+  getAllApartments,
+  getBillingsByApartment,
+  getLatestPeriodClose,
+  getLatestOpenReminder,
+  getReminderById,
+  insertReminder,
+  resolveReminders,
+  updateReminderDelivery,
+  getApartmentRecipient,
+  getAllBuildings,
+  getApartmentOpening,
+  getPaymentsByApartment,
+  getPaymentAllocations,
+} from '../db/queries';
+import type { ApartmentOpening } from '../db/queries';
+import { generateReminderPDF } from './pdfGenerator';
+import { buildReminderSlipData } from './billing';
+import { isClosedPeriod, isClosedDate, periodIndex } from './periods';
+import { allocatePayments } from './allocation';
+import type { AllocationResult } from './allocation';
+import { getDueDate, loadInterest } from './interest';
+import { validateBillingIPS } from './ipsValidator';
+import { formatForDisplay } from './bankAccount';
+import { generateReferenceNumber } from './referenceNumber';
+import type { MailTransport } from './mailTransport';
+import { createMailTransport, mailConfigError } from './mailTransport';
+
+// Highest escalation level (last reminder before collection)
+export const MAX_REMINDER_LEVEL = 3;
+
+// Amounts below this are treated as paid (rounding)
+const AMOUNT_EPSILON = 0.005;
+
+export interface ReminderCandidate {
+  apartment_id: number;
+  apartment_number: number;
+  owner_name: string;
+  level: number;
+  amount: number;
+  months_count: number;
+}
+
+export interface ReminderRunResult {
+  created: ReminderCandidate[];
+  resolved: number;
+  sent: number;
+  failed: number;
+  skipped_delivery: number;
+}
+
+/**
+ * Get overdue billing months for an apartment
+ * Paid amounts come from the payment allocation (manual allocations first, then oldest-first),
+ * so the breakdown agrees with the billings' payment status.
+ * @param allocation - Allocation of the apartment's payments to its billings
+ * @param credit - Opening prepayment, applied to the oldest unpaid billings
+ * @param building - Building (due day of the billing month)
+ * @param date - Current date (YYYY-MM-DD); billings due on this date or later are not overdue
+ * @returns Overdue months with unpaid amounts, oldest first
+ */
+export function calculateOverdueMonths(
+  allocation: AllocationResult,
+  credit: number,
+  building: Pick<Building, 'due_day'>,
+  date: string
+): OverdueMonth[] {
+  let remaining = credit;
+  const overdue: OverdueMonth[] = [];
+
+  for (const billing of allocation.billings) {
+    const left = billing.amount - (allocation.paid.get(billing.id) ?? 0);
+    const applied = Math.min(Math.max(remaining, 0), left);
+    remaining -= applied;
+    const unpaid = Math.round((left - applied) * 100) / 100;
+
+    const isPastDue = getDueDate(building, billing.billing_year, billing.billing_month) < date;
+    if (unpaid > AMOUNT_EPSILON && isPastDue) {
+      overdue.push({
+        billing_id: billing.id,
+        billing_year: billing.billing_year,
+        billing_month: billing.billing_month,
+        billing_type: billing.billing_type,
+        payment_purpose: billing.payment_purpose,
+        amount: billing.amount,
+        unpaid: unpaid,
+      });
+    }
+  }
+
+  return overdue;
+}
+
+/**
+ * Opening debt of the last period close as an overdue line (due since the close)
+ * @returns Line, or null if the apartment has no opening debt
+ */
+function openingDebtLine(opening: ApartmentOpening | null): OverdueMonth | null {
+  if (!opening || opening.balance >= -AMOUNT_EPSILON) {
+    return null;
+  }
+  const debt = Math.round(-opening.balance * 100) / 100;
+  return {
+    billing_id: null,
+    billing_year: opening.period_year,
+    billing_month: opening.period_month,
+    billing_type: 'opening',
+    payment_purpose: '',
+    amount: debt,
+    unpaid: debt,
+  };
+}
+
+/**
+ * Total unpaid amount of overdue months
+ */
+function sumUnpaid(overdue: OverdueMonth[]): number {
+  return Math.round(overdue.reduce((sum, month) => sum + month.unpaid, 0) * 100) / 100;
+}
+
+/**
+ * Number of distinct billing months of overdue lines
+ * Extra charges and interest billed in the same month as the maintenance count as one month.
+ */
+function countMonths(overdue: OverdueMonth[]): number {
+  return new Set(overdue.map((month) => periodIndex(month.billing_year, month.billing_month))).size;
+}
+
+/**
+ * Add interest accrued and not posted yet to overdue months
+ * @param interest - Interest lines of the apartment (empty if interest is not enabled)
+ */
+function withInterest(overdue: OverdueMonth[], interest: BillingInterest[]): OverdueMonth[] {
+  if (interest.length === 0) return overdue;
+
+  return overdue.map((month) => ({
+    ...month,
+    interest: interest.find((line) => line.billing_id === month.billing_id)?.unposted ?? 0,
+  }));
+}
+
+/**
+ * Check whether overdue debt reaches the configured threshold
+ */
+export function isReminderDue(overdue: OverdueMonth[], building: Building): boolean {
+  const amount = sumUnpaid(overdue);
+  if (amount <= AMOUNT_EPSILON) {
+    return false;
+  }
+
+  const byAmount = building.reminder_min_amount > 0 && amount >= building.reminder_min_amount;
+  const byMonths = building.reminder_min_months > 0 && countMonths(overdue) >= building.reminder_min_months;
+  return byAmount || byMonths;
+}
+
+/**
+ * Days passed since SQLite datetime (UTC)
+ */
+function daysSince(datetime: string, now: Date): number {
+  const then = new Date(`${datetime.replace(' ', 'T')}Z`);
+  return (now.getTime() - then.getTime()) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Get next escalation level for an overdue apartment
+ * @returns Level, or null if no reminder is due yet
+ */
+function getNextLevel(latest: Reminder | null, building: Building, now: Date): number | null {
+  if (!latest) {
+    return 1;
+  }
+  if (latest.level >= MAX_REMINDER_LEVEL) {
+    return null;
+  }
+  if (daysSince(latest.created_at, now) < building.reminder_interval_days) {
+    return null;
+  }
+  return latest.level + 1;
+}
+
+/**
+ * Email reminder letter to the resident linked to the apartment and store the result
+ * @returns Delivery status
+ */
+export async function deliverReminder(
+  env: Env,
+  transport: MailTransport | null,
+  reminder: Reminder,
+  building: Building
+): Promise<Reminder['delivery_status']> {
+  if (!transport) {
+    // Delivery is configured, but incompletely: the letter is kept and its delivery failed
+    const configError = mailConfigError(env);
+    if (configError) {
+      await updateReminderDelivery(env.DB, reminder.id, 'failed', '', configError);
+      return 'failed';
+    }
+    await updateReminderDelivery(env.DB, reminder.id, 'skipped', '', 'Slanje e-poste nije podeseno');
+    return 'skipped';
+  }
+
+  const recipient = await getApartmentRecipient(env.DB, reminder.apartment_id);
+  if (!recipient) {
+    await updateReminderDelivery(env.DB, reminder.id, 'skipped', '', 'Stan nema povezanog korisnika');
+    return 'skipped';
+  }
+
+  try {
+    const pdf = await generateReminderPDF(reminder, building);
+    const months: OverdueMonth[] = JSON.parse(reminder.breakdown);
+    const interest = months.reduce((sum, month) => sum + (month.interest ?? 0), 0);
+    const reference = [reminder.reference_model, reminder.reference_number].filter(Boolean).join(' ');
+
+    await transport.send({
+      from: env.MAIL_FROM || '',
+      fromName: env.MAIL_FROM_NAME || building.recipient_name,
+      to: recipient.email,
+      toName: recipient.name,
+      subject: `Opomena za neizmirene obaveze - stan ${reminder.apartment_number}`,
+      text: [
+        `Postovani/a ${recipient.name},`,
+        '',
+        `prema nasoj evidenciji za stan ${reminder.apartment_number} nisu izmirene obaveze ` +
+          `za ${reminder.months_count} mesec(a), ukupno ${reminder.amount.toLocaleString('sr-RS', { minimumFractionDigits: 2 })} RSD.`,
+        ...(interest > 0
+          ? [
+              `Na neplacene iznose obracunata je i zatezna kamata od ` +
+                `${interest.toLocaleString('sr-RS', { minimumFractionDigits: 2 })} RSD, koja se zaduzuje posebno.`,
+            ]
+          : []),
+        '',
+        `Racun primaoca: ${formatForDisplay(building.bank_account)}`,
+        `Poziv na broj: ${reference}`,
+        '',
+        'U prilogu je opomena sa pregledom po mesecima i uplatnicom sa QR kodom za ukupan iznos.',
+        'Ako ste dug u medjuvremenu izmirili, smatrajte ovu poruku bespredmetnom.',
+        '',
+        building.recipient_name,
+      ].join('\n'),
+      attachments: [
+        {
+          filename: generateReminderFilename(reminder),
+          contentType: 'application/pdf',
+          content: new Uint8Array(pdf),
+        },
+      ],
+    });
+
+    await updateReminderDelivery(env.DB, reminder.id, 'sent', recipient.email, null);
+    return 'sent';
+  } catch (err) {
+    console.error(`Reminder ${reminder.id} delivery error:`, err);
+    const message = err instanceof Error ? err.message : String(err);
+    await updateReminderDelivery(env.DB, reminder.id, 'failed', recipient.email, message.slice(0, 500));
+    return 'failed';
+  }
+}
+
+/**
+ * Create reminder for an overdue apartment
+ * Payment of the total is matched by the reference of the oldest unpaid month
+ */
+async function createReminder(
+  env: Env,
+  apartment: Apartment,
+  building: Building,
+  billings: Billing[],
+  overdue: OverdueMonth[],
+  level: number,
+  source: Reminder['source'],
+  userId: number | null
+): Promise<Reminder> {
+  // With only an opening debt overdue, the reference of the last closed month is used
+  const oldestBilling = billings.find((billing) => overdue.some((month) => month.billing_id === billing.id));
+  const reference = oldestBilling ?? {
+    reference_model: building.reference_model,
+    reference_number: generateReferenceNumber(
+      building.reference_model,
+      apartment.apartment_number,
+      overdue[0].billing_year,
+      overdue[0].billing_month
+    ),
+  };
+
+  const result = await insertReminder(env.DB, {
+    building_id: building.id,
+    apartment_id: apartment.id,
+    level: level,
+    amount: sumUnpaid(overdue),
+    months_count: countMonths(overdue),
+    breakdown: JSON.stringify(overdue),
+    reference_model: reference.reference_model,
+    reference_number: reference.reference_number,
+    apartment_number: apartment.apartment_number,
+    owner_name: apartment.owner_name,
+    floor_number: apartment.floor_number,
+    payer_address: building.address,
+    payer_city: building.city,
+    source: source,
+    created_by: userId,
+  });
+
+  const reminder = await getReminderById(env.DB, building.id, result.meta.last_row_id);
+  if (!reminder) {
+    throw new Error('Opomena nije sacuvana');
+  }
+  return reminder;
+}
+
+/**
+ * Run reminders for all apartments of a building
+ * @param env - Environment (DB and mail configuration)
+ * @param building - Building data (thresholds and recipient)
+ * @param transport - Mail transport, or null to only create letters
+ * @param options - source (cron/manual), user who started the run, dryRun (only list candidates)
+ * @returns Created reminders and delivery summary
+ */
+export async function runReminders(
+  env: Env,
+  building: Building,
+  transport: MailTransport | null,
+  options: { source: Reminder['source']; userId: number | null; dryRun: boolean }
+): Promise<ReminderRunResult> {
+  const now = new Date();
+  const date = now.toISOString().slice(0, 10);
+  const result: ReminderRunResult = { created: [], resolved: 0, sent: 0, failed: 0, skipped_delivery: 0 };
+
+  const apartments = await getAllApartments(env.DB, building.id);
+  const close = await getLatestPeriodClose(env.DB, building.id);
+
+  for (const apartment of apartments) {
+    // Billings and payments of closed periods are settled by the opening balance: a prepayment
+    // is applied to later billings, an opening debt is overdue on its own
+    const [allBillings, payments, manual, opening] = await Promise.all([
+      getBillingsByApartment(env.DB, apartment.id),
+      getPaymentsByApartment(env.DB, apartment.id),
+      getPaymentAllocations(env.DB, building.id, apartment.id),
+      getApartmentOpening(env.DB, apartment.id),
+    ]);
+    const billings = allBillings.filter(
+      (billing) => !isClosedPeriod(close, billing.billing_year, billing.billing_month)
+    );
+    const allocation = allocatePayments(
+      billings,
+      payments.filter((payment) => !isClosedDate(close, payment.payment_date)),
+      manual
+    );
+    const openingDebt = openingDebtLine(opening);
+    const overdue = [
+      ...(openingDebt ? [openingDebt] : []),
+      ...calculateOverdueMonths(allocation, Math.max(opening?.balance ?? 0, 0), building, date),
+    ];
+    const latest = await getLatestOpenReminder(env.DB, apartment.id);
+
+    // Debt paid (or below threshold) - close open reminders, escalation starts over
+    if (!isReminderDue(overdue, building)) {
+      if (latest && !options.dryRun) {
+        await resolveReminders(env.DB, apartment.id);
+        result.resolved++;
+      }
+      continue;
+    }
+
+    if (apartment.no_reminders) {
+      continue;
+    }
+
+    const level = getNextLevel(latest, building, now);
+    if (level === null) {
+      continue;
+    }
+
+    const candidate: ReminderCandidate = {
+      apartment_id: apartment.id,
+      apartment_number: apartment.apartment_number,
+      owner_name: apartment.owner_name,
+      level: level,
+      amount: sumUnpaid(overdue),
+      months_count: countMonths(overdue),
+    };
+    result.created.push(candidate);
+
+    if (options.dryRun) {
+      continue;
+    }
+
+    const interest = await loadInterest(env.DB, building, date, apartment.id);
+    const reminder = await createReminder(
+      env,
+      apartment,
+      building,
+      billings,
+      withInterest(overdue, interest),
+      level,
+      options.source,
+      options.userId
+    );
+
+    const ipsErrors = validateBillingIPS(buildReminderSlipData(reminder, building), building);
+    if (ipsErrors.length > 0) {
+      await updateReminderDelivery(env.DB, reminder.id, 'failed', '', ipsErrors.map((e) => e.message).join('; '));
+      result.failed++;
+      continue;
+    }
+
+    const status = await deliverReminder(env, transport, reminder, building);
+    if (status === 'sent') result.sent++;
+    else if (status === 'failed') result.failed++;
+    else result.skipped_delivery++;
+  }
+
+  return result;
+}
+
+/**
+ * Scheduled reminder job (cron trigger), runs for buildings with reminders enabled
+ * A failing building is logged and does not stop the others
+ */
+export async function runScheduledReminders(env: Env): Promise<void> {
+  let buildings: Building[];
+  try {
+    buildings = await getAllBuildings(env.DB);
+  } catch (err) {
+    console.error('Scheduled reminders error:', err);
+    return;
+  }
+
+  for (const building of buildings) {
+    if (!building.reminders_enabled) {
+      continue;
+    }
+
+    try {
+      // Without a (complete) mail configuration the letters are still created
+      await runReminders(env, building, createMailTransport(env), {
+        source: 'cron',
+        userId: null,
+        dryRun: false,
+      });
+    } catch (err) {
+      console.error(`Scheduled reminders error (building ${building.id}):`, err);
+    }
+  }
+}
+
+/**
+ * Generate reminder letter filename
+ * @returns Filename, e.g. "opomena_stan_03_2026_10_19.pdf"
+ */
+export function generateReminderFilename(reminder: Pick<Reminder, 'apartment_number' | 'created_at'>): string {
+  const apartmentStr = String(reminder.apartment_number).padStart(2, '0');
+  const dateStr = reminder.created_at.slice(0, 10).replace(/-/g, '_');
+  return `opomena_stan_${apartmentStr}_${dateStr}.pdf`;
+}
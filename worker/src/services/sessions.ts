@@ -0,0 +1,136 @@
+/**
+ * Session Service
+ * Login sessions with short-lived access tokens and rotating refresh tokens.
+ *
+ * - Logging in starts a session: the client gets an access token (JWT, JWT_EXPIRES_IN,
+ *   default 15 min) and a refresh token (REFRESH_EXPIRES_IN, default 30 days)
+ * - Access tokens carry the session ID and are only accepted while the session exists,
+ *   so revoking a session signs it out at once
+ * - Each refresh replaces the refresh token and extends the session; presenting a
+ *   replaced token again means it was copied, and the session is revoked
+ * - Sessions are revoked on logout, password change, role change and by an admin
+ * - A session confirmed with a second factor (see services/twoFactor.ts) stays confirmed
+ *   on refresh
+ * - Only SHA-256 hashes of refresh tokens are stored
+ */
+
+import type { Env, UserPublic } from '../types';
+import {
+  getUserById,
+  insertSession,
+  getSessionByToken,
+  getSessionByPreviousToken,
+  rotateSession,
+  deleteSession,
+} from '../db/queries';
+import { generateToken, accessTokenSeconds, parseExpiry } from '../middleware/auth';
+import { hashToken, randomToken } from './accountTokens';
+
+// Default session lifetime without a refresh
+const DEFAULT_REFRESH_SECONDS = 30 * 86400;
+
+// Tokens returned to the client
+export interface SessionTokens {
+  token: string; // Access token (Authorization: Bearer)
+  refresh_token: string;
+  expires_in: number; // Seconds the access token is valid
+}
+
+/**
+ * Expiry of a session refreshed now (UTC, YYYY-MM-DD HH:MM:SS)
+ */
+function sessionExpiry(env: Env): string {
+  const seconds = env.REFRESH_EXPIRES_IN
+    ? parseExpiry(env.REFRESH_EXPIRES_IN, DEFAULT_REFRESH_SECONDS)
+    : DEFAULT_REFRESH_SECONDS;
+  return new Date(Date.now() + seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Start a session for a user who logged in
+ * @param ipAddress - Client IP, shown in the user's session list
+ * @param userAgent - Client browser, shown in the user's session list
+ * @param twoFactor - The login was confirmed with a second factor
+ */
+export async function startSession(
+  env: Env,
+  user: UserPublic,
+  ipAddress: string | null,
+  userAgent: string | null,
+  twoFactor: boolean
+): Promise<SessionTokens> {
+  const refreshToken = randomToken();
+  const result = await insertSession(
+    env.DB,
+    user.id,
+    await hashToken(refreshToken),
+    sessionExpiry(env),
+    ipAddress,
+    userAgent?.slice(0, 300) ?? null,
+    twoFactor
+  );
+
+  return {
+    token: await generateToken(user, env, result.meta.last_row_id, twoFactor),
+    refresh_token: refreshToken,
+    expires_in: accessTokenSeconds(env),
+  };
+}
+
+/**
+ * Get a new access token with a refresh token (the refresh token is replaced)
+ * @returns New tokens, or null if the session does not exist, expired or was revoked
+ */
+export async function refreshSession(env: Env, refreshToken: unknown): Promise<SessionTokens | null> {
+  if (typeof refreshToken !== 'string' || !/^[0-9a-f]{64}$/.test(refreshToken)) {
+    return null;
+  }
+
+  const tokenHash = await hashToken(refreshToken);
+  const session = await getSessionByToken(env.DB, tokenHash);
+
+  if (!session) {
+    // A replaced token used again: whoever holds the session now may have stolen it
+    const reused = await getSessionByPreviousToken(env.DB, tokenHash);
+    if (reused) {
+      console.warn(`Refresh token reused, session ${reused.id} of user ${reused.user_id} revoked`);
+      await deleteSession(env.DB, reused.id);
+    }
+    return null;
+  }
+
+  const user = await getUserById(env.DB, session.user_id);
+  if (!user) {
+    return null;
+  }
+
+  const newToken = randomToken();
+  if (!(await rotateSession(env.DB, session.id, tokenHash, await hashToken(newToken), sessionExpiry(env)))) {
+    return null;
+  }
+
+  const { password_hash, ...userData } = user;
+  return {
+    token: await generateToken(userData, env, session.id, Boolean(session.two_factor)),
+    refresh_token: newToken,
+    expires_in: accessTokenSeconds(env),
+  };
+}
+
+/**
+ * End the session of a refresh token (logout)
+ * @returns Whether a session was ended
+ */
+export async function endSession(env: Env, refreshToken: unknown): Promise<boolean> {
+  if (typeof refreshToken !== 'string' || !/^[0-9a-f]{64}$/.test(refreshToken)) {
+    return false;
+  }
+
+  const session = await getSessionByToken(env.DB, await hashToken(refreshToken));
+  if (!session) {
+    return false;
+  }
+
+  await deleteSession(env.DB, session.id);
+  return true;
+}
@@ -0,0 +1,214 @@
+/**
+ * SMTP Transport
+ * Minimal SMTP client over Cloudflare TCP sockets (cloudflare:sockets).
+ *
+ * Supports STARTTLS (port 587) and implicit TLS (port 465) with AUTH PLAIN.
+ * Port 25 is blocked on Cloudflare Workers.
+ */
+
+import { connect } from 'cloudflare:sockets';
+import type { MailMessage, MailTransport } from './mailTransport';
+import { formatAddress, toBase64 } from './mailTransport';
+
+export interface SmtpConfig {
+  host: string;
+  port: number;
+  secure: 'starttls' | 'tls';
+  user: string;
+  password: string;
+}
+
+// Line length for base64 encoded MIME parts
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * Encode header value as RFC 2047 encoded word if it is not plain ASCII
+ */
+function encodeHeader(value: string): string {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${toBase64(new TextEncoder().encode(value))}?=`;
+}
+
+/**
+ * Format address header, encoding non-ASCII display names
+ */
+function formatHeaderAddress(email: string, name: string): string {
+  const encoded = encodeHeader(name);
+  return encoded === name ? formatAddress(email, name) : `${encoded} <${email}>`;
+}
+
+/**
+ * Split base64 string into MIME lines
+ */
+function wrapBase64(value: string): string {
+  const lines = [];
+  for (let i = 0; i < value.length; i += BASE64_LINE_LENGTH) {
+    lines.push(value.slice(i, i + BASE64_LINE_LENGTH));
+  }
+  return lines.join('\r\n');
+}
+
+/**
+ * Build MIME message (plain text body with attachments)
+ */
+export function buildMimeMessage(message: MailMessage): string {
+  const boundary = `mc73-${crypto.randomUUID()}`;
+  const domain = message.from.split('@')[1] || 'localhost';
+
+  const parts = [
+    `From: ${formatHeaderAddress(message.from, message.fromName)}`,
+    `To: ${formatHeaderAddress(message.to, message.toName)}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(toBase64(new TextEncoder().encode(message.text))),
+  ];
+
+  for (const attachment of message.attachments) {
+    parts.push(
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      wrapBase64(toBase64(attachment.content))
+    );
+  }
+
+  parts.push(`--${boundary}--`, '');
+  return parts.join('\r\n');
+}
+
+/**
+ * SMTP session over one socket
+ */
+class SmtpSession {
+  private reader: ReadableStreamDefaultReader<Uint8Array>;
+  private writer: WritableStreamDefaultWriter<Uint8Array>;
+  private buffer = '';
+  private decoder = new TextDecoder();
+  private encoder = new TextEncoder();
+
+  constructor(private socket: Socket) {
+    this.reader = socket.readable.getReader();
+    this.writer = socket.writable.getWriter();
+  }
+
+  /**
+   * Read one (possibly multi-line) server reply
+   */
+  async readReply(): Promise<{ code: number; text: string }> {
+    const lines: string[] = [];
+
+    for (;;) {
+      const end = this.buffer.indexOf('\r\n');
+      if (end === -1) {
+        const { value, done } = await this.reader.read();
+        if (done) {
+          throw new Error('SMTP server je zatvorio vezu');
+        }
+        this.buffer += this.decoder.decode(value, { stream: true });
+        continue;
+      }
+
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      lines.push(line.slice(4));
+
+      // "250-..." continues, "250 ..." is the last line
+      if (line.charAt(3) !== '-') {
+        return { code: parseInt(line.slice(0, 3), 10), text: lines.join(' ') };
+      }
+    }
+  }
+
+  async write(data: string): Promise<void> {
+    await this.writer.write(this.encoder.encode(data));
+  }
+
+  /**
+   * Send command and check reply code
+   */
+  async command(line: string, expected: number[]): Promise<{ code: number; text: string }> {
+    await this.write(`${line}\r\n`);
+    return this.expect(expected, line.split(' ')[0]);
+  }
+
+  async expect(expected: number[], step: string): Promise<{ code: number; text: string }> {
+    const reply = await this.readReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${step}: ${reply.code} ${reply.text}`.slice(0, 300));
+    }
+    return reply;
+  }
+
+  /**
+   * Upgrade connection to TLS (after STARTTLS reply)
+   */
+  startTls(): SmtpSession {
+    this.reader.releaseLock();
+    this.writer.releaseLock();
+    return new SmtpSession(this.socket.startTls());
+  }
+
+  async close(): Promise<void> {
+    try {
+      await this.socket.close();
+    } catch {
+      // Socket may already be closed by the server
+    }
+  }
+}
+
+export class SmtpTransport implements MailTransport {
+  readonly name = 'smtp';
+
+  constructor(private config: SmtpConfig) {}
+
+  async send(message: MailMessage): Promise<void> {
+    const socket = connect(
+      { hostname: this.config.host, port: this.config.port },
+      { secureTransport: this.config.secure === 'tls' ? 'on' : 'starttls', allowHalfOpen: false }
+    );
+
+    let session = new SmtpSession(socket);
+    try {
+      await session.expect([220], 'connect');
+      await session.command('EHLO mc73-worker', [250]);
+
+      if (this.config.secure === 'starttls') {
+        await session.command('STARTTLS', [220]);
+        session = session.startTls();
+        await session.command('EHLO mc73-worker', [250]);
+      }
+
+      if (this.config.user) {
+        const credentials = toBase64(new TextEncoder().encode(`\0${this.config.user}\0${this.config.password}`));
+        await session.command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await session.command(`MAIL FROM:<${message.from}>`, [250]);
+      await session.command(`RCPT TO:<${message.to}>`, [250, 251]);
+      await session.command('DATA', [354]);
+
+      // Dot-stuffing: lines starting with "." get an extra "."
+      const data = buildMimeMessage(message).replace(/^\./gm, '..');
+      await session.write(`${data}\r\n.\r\n`);
+      await session.expect([250], 'DATA');
+
+      // Message is accepted - QUIT reply does not affect the result
+      await session.write('QUIT\r\n');
+    } finally {
+      await session.close();
+    }
+  }
+}
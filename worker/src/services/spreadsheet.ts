@@ -0,0 +1,333 @@
+/**
+ * Spreadsheet Writer
+ * Writes tables as CSV or as an .xlsx workbook (Office Open XML).
+ *
+ * The workbook is written directly (one sheet, inline strings, ZIP with
+ * stored entries), so no spreadsheet or compression library is needed in the
+ * Worker. Amounts and dates are written as number cells with a number format,
+ * so they can be summed and sorted in Excel.
+ */
+
+import { crc32 } from './crc32';
+
+export type SpreadsheetCell = string | number | null;
+
+export interface SpreadsheetColumn {
+  header: string;
+  // text, integer, amount (2 decimals) or date (YYYY-MM-DD, shown as dd.mm.yyyy)
+  type: 'text' | 'integer' | 'amount' | 'date';
+  // Column width in characters (xlsx only)
+  width?: number;
+}
+
+export interface Spreadsheet {
+  // Sheet name (max 31 characters)
+  name: string;
+  columns: SpreadsheetColumn[];
+  rows: SpreadsheetCell[][];
+}
+
+export type SpreadsheetFormat = 'csv' | 'xlsx';
+
+export const SPREADSHEET_CONTENT_TYPES: Record<SpreadsheetFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Cell style indexes in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_AMOUNT = 2;
+const STYLE_DATE = 3;
+const STYLE_INTEGER = 4;
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const encoder = new TextEncoder();
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Format cell value for CSV
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheet programs do not evaluate it (data comes from bank statements)
+ */
+function formatCSVCell(value: SpreadsheetCell, column: SpreadsheetColumn): string {
+  if (value === null || value === '') {
+    return '';
+  }
+
+  let text: string;
+  if (column.type === 'amount' && typeof value === 'number') {
+    text = value.toFixed(2);
+  } else {
+    text = String(value);
+    if (column.type === 'text' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write table as CSV (UTF-8 with BOM so Excel keeps Cyrillic intact)
+ */
+export function toCSV(sheet: Spreadsheet): Uint8Array {
+  const lines = [
+    sheet.columns.map((column) => formatCSVCell(column.header, { ...column, type: 'text' })).join(','),
+    ...sheet.rows.map((row) => sheet.columns.map((column, i) => formatCSVCell(row[i], column)).join(',')),
+  ];
+  return encoder.encode('\uFEFF' + lines.join('\r\n') + '\r\n');
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+/**
+ * Escape text for XML, dropping characters not allowed in XML documents
+ */
+function escapeXml(text: string): string {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based column index (0 = A, 26 = AA)
+ */
+function columnName(index: number): string {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Convert YYYY-MM-DD (time part ignored) to an Excel date serial number
+ * @returns Serial number, or null if the date is not valid
+ */
+export function toExcelDate(date: string): number | null {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date);
+  if (!match) {
+    return null;
+  }
+  const time = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return time / 86400000 + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * Build one worksheet cell
+ */
+function buildCell(ref: string, value: SpreadsheetCell, column: SpreadsheetColumn): string {
+  if (value === null || value === '') {
+    return '';
+  }
+
+  if (column.type === 'date') {
+    const serial = toExcelDate(String(value));
+    if (serial !== null) {
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+  } else if (column.type !== 'text' && typeof value === 'number' && Number.isFinite(value)) {
+    const style = column.type === 'amount' ? STYLE_AMOUNT : STYLE_INTEGER;
+    return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+/**
+ * Build worksheet XML (header row frozen)
+ */
+function buildSheetXml(sheet: Spreadsheet): string {
+  const cols = sheet.columns
+    .map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width ?? 14}" customWidth="1"/>`)
+    .join('');
+
+  const header = sheet.columns
+    .map(
+      (column, i) =>
+        `<c r="${columnName(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(column.header)}</t></is></c>`
+    )
+    .join('');
+
+  const rows = sheet.rows.map((row, r) => {
+    const cells = sheet.columns.map((column, i) => buildCell(`${columnName(i)}${r + 2}`, row[i], column)).join('');
+    return `<row r="${r + 2}">${cells}</row>`;
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<cols>${cols}</cols>` +
+    `<sheetData><row r="1">${header}</row>${rows.join('')}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+const CONTENT_TYPES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ' +
+  'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+  'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ' +
+  'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" ' +
+  'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+  'Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" ' +
+  'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+  'Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" ' +
+  'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" ' +
+  'Target="styles.xml"/>' +
+  '</Relationships>';
+
+// Styles: 0 default, 1 header (bold), 2 amount (#,##0.00), 3 date (dd.mm.yyyy), 4 integer
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd.mm.yyyy"/></numFmts>' +
+  '<fonts count="2">' +
+  '<font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  '</fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Build workbook XML with one sheet
+ */
+function buildWorkbookXml(sheetName: string): string {
+  // Sheet names: max 31 characters, no : \ / ? * [ ]
+  const name = sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>'
+  );
+}
+
+/**
+ * Pack files into a ZIP archive (stored, no compression)
+ */
+function createZip(files: { name: string; data: Uint8Array }[]): Uint8Array {
+  // DOS date/time of entries: 1980-01-01 00:00
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  const entries = files.map((file) => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const offsets: number[] = [];
+
+  // Local file headers and data
+  for (const entry of entries) {
+    offsets.push(offset);
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, dosTime, true);
+    view.setUint16(offset + 12, dosDate, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.nameBytes.length, true);
+    view.setUint16(offset + 28, 0, true);
+    out.set(entry.nameBytes, offset + 30);
+    out.set(entry.data, offset + 30 + entry.nameBytes.length);
+    offset += 30 + entry.nameBytes.length + entry.data.length;
+  }
+
+  // Central directory
+  const centralOffset = offset;
+  entries.forEach((entry, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, dosTime, true);
+    view.setUint16(offset + 14, dosDate, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.nameBytes.length, true);
+    // extra, comment, disk number, internal/external attributes: 0
+    view.setUint32(offset + 42, offsets[i], true);
+    out.set(entry.nameBytes, offset + 46);
+    offset += 46 + entry.nameBytes.length;
+  });
+
+  // End of central directory
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+
+  return out;
+}
+
+/**
+ * Write table as an .xlsx workbook with one sheet
+ */
+export function toXLSX(sheet: Spreadsheet): Uint8Array {
+  return createZip([
+    { name: '[Content_Types].xml', data: encoder.encode(CONTENT_TYPES_XML) },
+    { name: '_rels/.rels', data: encoder.encode(ROOT_RELS_XML) },
+    { name: 'xl/workbook.xml', data: encoder.encode(buildWorkbookXml(sheet.name)) },
+    { name: 'xl/_rels/workbook.xml.rels', data: encoder.encode(WORKBOOK_RELS_XML) },
+    { name: 'xl/styles.xml', data: encoder.encode(STYLES_XML) },
+    { name: 'xl/worksheets/sheet1.xml', data: encoder.encode(buildSheetXml(sheet)) },
+  ]);
+}
+
+/**
+ * Write table in the requested format
+ */
+export function writeSpreadsheet(sheet: Spreadsheet, format: SpreadsheetFormat): Uint8Array {
+  return format === 'xlsx' ? toXLSX(sheet) : toCSV(sheet);
+}
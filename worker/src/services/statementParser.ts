@@ -0,0 +1,375 @@
+/**
+ * Bank Statement Parser
+ * Extracts credit lines (incoming payments) from bank statement exports.
+ *
+ * Supported formats:
+ * - CSV: header row required, delimiter ";", "," or tab (auto-detected).
+ *   Columns are recognized by name (Serbian or English), e.g.
+ *   "Datum;Uplatilac;Racun uplatioca;Model;Poziv na broj;Svrha;Potrazuje;Duguje"
+ * - XML: ISO 20022 bank-to-customer statement (camt.053 / camt.054),
+ *   as exported by Serbian banks. Only CRDT entries are imported.
+ */
+
+import { isValidDate } from '../middleware/validation';
+import type { ValidationError } from '../middleware/validation';
+import type { StatementLine } from '../types';
+
+// Recognized CSV column names (normalized: lowercase, no diacritics)
+const CSV_COLUMNS = {
+  id: ['id', 'id transakcije', 'transaction id', 'broj naloga', 'referenca banke', 'reklamacioni broj'],
+  date: ['datum', 'datum uplate', 'datum valute', 'datum knjizenja', 'date', 'booking date', 'value date'],
+  credit: ['potrazuje', 'uplata', 'priliv', 'credit', 'potrazni promet'],
+  amount: ['iznos', 'amount'],
+  payerName: ['uplatilac', 'nalogodavac', 'platilac', 'naziv', 'payer', 'name', 'naziv uplatioca'],
+  payerAccount: ['racun uplatioca', 'racun nalogodavca', 'racun', 'payer account', 'account'],
+  model: ['model', 'broj modela'],
+  reference: ['poziv na broj', 'poziv na broj odobrenja', 'referenca', 'reference'],
+  purpose: ['svrha', 'svrha uplate', 'opis', 'purpose', 'description'],
+};
+
+type CsvColumn = keyof typeof CSV_COLUMNS;
+
+/**
+ * Normalize text for comparison: lowercase, Serbian Latin diacritics removed
+ */
+export function normalizeText(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/đ/g, 'dj')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse amount in Serbian ("3.500,00") or international ("3,500.00" / "3500.00") notation
+ * A single separator before exactly three digits groups thousands ("3.500" is 3500, amounts
+ * have at most two decimals); without a valid group ("1234.500") the amount is ambiguous
+ * @returns Amount, or NaN if the value is not a number
+ */
+export function parseAmount(value: string): number {
+  let text = value.replace(/[\s\u00A0]/g, '').replace(/(RSD|din\.?)$/i, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (text.replace(/[^.,]/g, '').length === 1 && /[.,]\d{3}$/.test(text)) {
+    return /^[-+]?\d{1,3}[.,]\d{3}$/.test(text) ? parseFloat(text.replace(/[.,]/, '')) : NaN;
+  }
+
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (lastComma !== -1) {
+    // Dot is the decimal separator, commas group thousands
+    text = text.replace(/,/g, '');
+  } else if (text.split('.').length > 2) {
+    // Only dots, more than one: thousands separators
+    text = text.replace(/\./g, '');
+  }
+
+  return /^[-+]?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Parse amount of an XML statement (xs:decimal: "3500.00", a dot is always the decimal separator)
+ * @returns Amount, or NaN if the value is not a number
+ */
+function parseXmlAmount(value: string): number {
+  const text = value.trim();
+  return /^[-+]?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Parse date as DD.MM.YYYY, DD/MM/YYYY or YYYY-MM-DD (time part is ignored)
+ * @returns Date as YYYY-MM-DD, or null if invalid
+ */
+export function parseStatementDate(value: string): string | null {
+  const text = value.trim();
+  let date: string | null = null;
+
+  const local = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})\.?(\s|$)/.exec(text);
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+
+  if (local) {
+    date = `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+  } else if (iso) {
+    date = `${iso[1]}-${iso[2]}-${iso[3]}`;
+  }
+
+  return date && isValidDate(date) ? date : null;
+}
+
+/**
+ * Build line key used to detect lines that were imported before
+ * Bank transaction ID is used when present, otherwise the line content (repeated content
+ * within a statement is numbered by numberRepeatedLines)
+ */
+function buildLineKey(line: Omit<StatementLine, 'line_key'>, bankId: string): string {
+  if (bankId) {
+    return `id:${bankId}`;
+  }
+  return [
+    line.payment_date,
+    line.amount.toFixed(2),
+    line.payer_account,
+    normalizeText(line.payer_name),
+    line.reference,
+  ].join('|');
+}
+
+/**
+ * Number lines with the same content key within a statement (the second one gets "|2", ...):
+ * identical payments on the same day are separate payments, and importing the same
+ * statement again still finds each of them
+ */
+function numberRepeatedLines(lines: StatementLine[]): StatementLine[] {
+  const counts = new Map<string, number>();
+  return lines.map((line) => {
+    if (line.line_key.startsWith('id:')) {
+      return line;
+    }
+    const count = (counts.get(line.line_key) ?? 0) + 1;
+    counts.set(line.line_key, count);
+    return count > 1 ? { ...line, line_key: `${line.line_key}|${count}` } : line;
+  });
+}
+
+/**
+ * Split CSV text into rows of fields (supports quoted fields and "" escapes)
+ */
+function parseCsvRows(content: string, delimiter: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+/**
+ * Parse CSV bank statement
+ */
+function parseCsv(content: string): { lines: StatementLine[]; errors: ValidationError[] } {
+  const lines: StatementLine[] = [];
+  const errors: ValidationError[] = [];
+
+  // Detect delimiter from the header line
+  const headerLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  );
+
+  const [header, ...rows] = parseCsvRows(content, delimiter);
+  if (!header) {
+    errors.push({ field: 'content', message: 'Izvod je prazan' });
+    return { lines, errors };
+  }
+
+  // Map recognized columns to their index
+  const headerNames = header.map(normalizeText);
+  const columns = {} as Record<CsvColumn, number>;
+  for (const [column, names] of Object.entries(CSV_COLUMNS)) {
+    columns[column as CsvColumn] = headerNames.findIndex((name) => names.includes(name));
+  }
+
+  if (columns.date === -1) {
+    errors.push({ field: 'content', message: 'Izvod nema kolonu sa datumom (npr. "Datum")' });
+  }
+  if (columns.credit === -1 && columns.amount === -1) {
+    errors.push({ field: 'content', message: 'Izvod nema kolonu sa iznosom (npr. "Potrazuje" ili "Iznos")' });
+  }
+  if (errors.length > 0) {
+    return { lines, errors };
+  }
+
+  const get = (row: string[], column: CsvColumn) =>
+    columns[column] === -1 ? '' : (row[columns[column]] || '').trim();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // Header is row 1
+
+    // Credit lines only: positive "credit" value, or positive "amount" if there is no credit column
+    const amountText = columns.credit !== -1 ? get(row, 'credit') : get(row, 'amount');
+    if (!amountText) {
+      return;
+    }
+
+    const amount = parseAmount(amountText);
+    if (isNaN(amount)) {
+      errors.push({ field: `row_${rowNumber}`, message: `Red ${rowNumber}: nevazeci iznos "${amountText}"` });
+      return;
+    }
+    if (amount <= 0) {
+      return;
+    }
+
+    const paymentDate = parseStatementDate(get(row, 'date'));
+    if (!paymentDate) {
+      errors.push({ field: `row_${rowNumber}`, message: `Red ${rowNumber}: nevazeci datum "${get(row, 'date')}"` });
+      return;
+    }
+
+    const line = {
+      payment_date: paymentDate,
+      amount: Math.round(amount * 100) / 100,
+      payer_name: get(row, 'payerName'),
+      payer_account: get(row, 'payerAccount'),
+      reference: (get(row, 'model') + ' ' + get(row, 'reference')).trim(),
+      purpose: get(row, 'purpose'),
+    };
+
+    lines.push({ line_key: buildLineKey(line, get(row, 'id')), ...line });
+  });
+
+  return { lines, errors };
+}
+
+/**
+ * Decode XML character entities
+ */
+function decodeXml(value: string): string {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get inner XML of all elements with the given name (namespace prefixes ignored)
+ */
+function findAll(xml: string, name: string): string[] {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'g');
+  return Array.from(xml.matchAll(pattern), (match) => match[1]);
+}
+
+/**
+ * Get text of the first element along a path of element names (empty if missing)
+ */
+function findText(xml: string, ...path: string[]): string {
+  let current = xml;
+  for (const name of path) {
+    const [inner] = findAll(current, name);
+    if (inner === undefined) {
+      return '';
+    }
+    current = inner;
+  }
+  return decodeXml(current.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse ISO 20022 camt.053 / camt.054 bank statement
+ */
+function parseCamt(content: string): { lines: StatementLine[]; errors: ValidationError[] } {
+  const lines: StatementLine[] = [];
+  const errors: ValidationError[] = [];
+
+  const entries = findAll(content, 'Ntry');
+  if (entries.length === 0 && !/<(?:[\w-]+:)?(BkToCstmrStmt|BkToCstmrDbtCdtNtfctn)\b/.test(content)) {
+    errors.push({ field: 'content', message: 'XML izvod nije u podrzanom formatu (ISO 20022 camt.053 / camt.054)' });
+    return { lines, errors };
+  }
+
+  entries.forEach((entry, index) => {
+    const entryNumber = index + 1;
+
+    if (findText(entry, 'CdtDbtInd') !== 'CRDT') {
+      return;
+    }
+
+    const paymentDate = parseStatementDate(findText(entry, 'BookgDt') || findText(entry, 'ValDt'));
+    if (!paymentDate) {
+      errors.push({ field: `entry_${entryNumber}`, message: `Stavka ${entryNumber}: nevazeci datum` });
+      return;
+    }
+
+    // Batch entries carry one TxDtls per payment, otherwise the entry itself is the payment
+    const details = findAll(entry, 'TxDtls');
+    const transactions = details.length > 1 ? details : [details[0] || entry];
+
+    transactions.forEach((transaction) => {
+      const amountText =
+        transactions.length > 1 ? findText(transaction, 'Amt') : findText(entry, 'Amt');
+      const amount = parseXmlAmount(amountText);
+      if (isNaN(amount) || amount <= 0) {
+        errors.push({ field: `entry_${entryNumber}`, message: `Stavka ${entryNumber}: nevazeci iznos "${amountText}"` });
+        return;
+      }
+
+      const line = {
+        payment_date: paymentDate,
+        amount: Math.round(amount * 100) / 100,
+        payer_name: findText(transaction, 'Dbtr', 'Nm'),
+        payer_account:
+          findText(transaction, 'DbtrAcct', 'IBAN') || findText(transaction, 'DbtrAcct', 'Othr', 'Id'),
+        reference: findText(transaction, 'CdtrRefInf', 'Ref'),
+        purpose: findText(transaction, 'RmtInf', 'Ustrd') || findText(entry, 'AddtlNtryInf'),
+      };
+
+      const bankId =
+        findText(transaction, 'Refs', 'AcctSvcrRef') ||
+        findText(transaction, 'Refs', 'TxId') ||
+        (transactions.length > 1 ? '' : findText(entry, 'AcctSvcrRef'));
+
+      lines.push({ line_key: buildLineKey(line, bankId), ...line });
+    });
+  });
+
+  return { lines, errors };
+}
+
+/**
+ * Parse bank statement export into credit lines
+ * @param content - Statement file content (CSV or XML)
+ * @returns Credit lines and per-row errors (lines with errors are left out)
+ */
+export function parseStatement(content: string): { lines: StatementLine[]; errors: ValidationError[] } {
+  const text = content.replace(/^\uFEFF/, '').trim();
+
+  if (!text) {
+    return { lines: [], errors: [{ field: 'content', message: 'Izvod je prazan' }] };
+  }
+
+  const { lines, errors } = text.startsWith('<') ? parseCamt(text) : parseCsv(text);
+  return { lines: numberRepeatedLines(lines), errors };
+}
@@ -0,0 +1,274 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP codes from an authenticator app (RFC 6238) with one-time recovery codes.
+ *
+ * - Setup: a new secret is stored as pending and shown as a QR code; two-factor
+ *   authentication is enabled once the user confirms a code from the app, and the
+ *   user gets RECOVERY_CODE_COUNT recovery codes (shown once, only SHA-256 hashes are stored)
+ * - Codes: 6 digits, 30 s steps, one step of clock drift accepted either way; each step is
+ *   accepted only once, so an observed code cannot be replayed
+ * - Login: after the password the client gets a challenge token (CHALLENGE_MINUTES) to
+ *   send with a code or a recovery code; wrong codes count as failed logins
+ * - Sessions confirmed with a second factor carry mfa in their access tokens
+ * - Roles listed in TWO_FACTOR_REQUIRED (super_admin, admin, user) must enable it before
+ *   anything else is allowed, and may not disable it
+ * - Sensitive changes (the building's bank account) need a fresh code from the app
+ */
+
+import type { D1Database } from '@cloudflare/workers-types';
+import { SignJWT, jwtVerify } from 'jose';
+import type { Env, User } from '../types';
+import { useTotpStep, useRecoveryCode } from '../db/queries';
+import { hashToken } from './accountTokens';
+import { checkAccount, recordLoginFailure } from './loginThrottle';
+import { encodeQRMatrix } from './qrCode';
+import { renderQRSvg } from './qrImage';
+
+const ISSUER = 'MC73';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Recovery code characters (no 0/o, 1/l/i)
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+export type TwoFactorRole = 'super_admin' | 'admin' | 'user';
+export const TWO_FACTOR_ROLES: TwoFactorRole[] = ['super_admin', 'admin', 'user'];
+
+/**
+ * Bytes as base32 (RFC 4648, no padding)
+ */
+function toBase32(bytes: Uint8Array): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Base32 string as bytes
+ */
+function fromBase32(text: string): Uint8Array {
+  let bits = 0;
+  let value = 0;
+  const output: number[] = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
+
+/**
+ * New TOTP secret (160 bits, base32)
+ */
+export function generateTotpSecret(): string {
+  return toBase32(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * Authenticator app setup of a secret: otpauth:// URI and the same as a QR code (SVG)
+ */
+export function totpSetup(secret: string, email: string): { otpauth_url: string; qr_svg: string } {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const url =
+    `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}` +
+    `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+  return { otpauth_url: url, qr_svg: renderQRSvg(encodeQRMatrix(url), 4) };
+}
+
+/**
+ * TOTP code of a secret for a time step (HMAC-SHA1, dynamic truncation)
+ */
+async function totpCode(secret: string, step: number): Promise<string> {
+  const counter = new Uint8Array(8);
+  new DataView(counter.buffer).setBigUint64(0, BigInt(step));
+
+  const key = await crypto.subtle.importKey('raw', fromBase32(secret), { name: 'HMAC', hash: 'SHA-1' }, false, [
+    'sign',
+  ]);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = new DataView(hmac.buffer).getUint32(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Check a code from the authenticator app; an accepted code cannot be used again
+ * @param user - User with a (pending or enabled) secret
+ */
+export async function verifyTotp(
+  db: D1Database,
+  user: Pick<User, 'id' | 'totp_secret' | 'totp_last_step'>,
+  code: unknown
+): Promise<boolean> {
+  if (!user.totp_secret || typeof code !== 'string') {
+    return false;
+  }
+  const digits = code.replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(digits)) {
+    return false;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    if (step > user.totp_last_step && (await totpCode(user.totp_secret, step)) === digits) {
+      return await useTotpStep(db, user.id, step);
+    }
+  }
+  return false;
+}
+
+/**
+ * Recovery code in the form it is hashed (lowercase, without separators)
+ */
+function normalizeRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * New recovery codes (xxxxx-xxxxx) and their hashes to store
+ */
+export async function generateRecoveryCodes(): Promise<{ codes: string[]; hashes: string[] }> {
+  const codes: string[] = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const chars = Array.from(
+      crypto.getRandomValues(new Uint8Array(10)),
+      (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]
+    ).join('');
+    codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+  }
+  const hashes = await Promise.all(codes.map((code) => hashToken(normalizeRecoveryCode(code))));
+  return { codes, hashes };
+}
+
+/**
+ * Check a second factor at login: a code from the app or an unused recovery code
+ * @returns How the user confirmed, or null if the code is wrong
+ */
+export async function verifyLoginCode(
+  db: D1Database,
+  user: Pick<User, 'id' | 'totp_secret' | 'totp_last_step'>,
+  code: unknown
+): Promise<'totp' | 'recovery' | null> {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  if (/^\d[\d\s]*$/.test(code.trim())) {
+    return (await verifyTotp(db, user, code)) ? 'totp' : null;
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) {
+    return null;
+  }
+  return (await useRecoveryCode(db, user.id, await hashToken(normalized))) ? 'recovery' : null;
+}
+
+/**
+ * Confirm a change of a logged-in user with a fresh code; wrong codes count as failed
+ * logins, so codes cannot be guessed with a stolen session either
+ * @param allowRecovery - Also accept an unused recovery code
+ * @returns null if the code is right, otherwise the error message
+ */
+export async function confirmTwoFactor(
+  db: D1Database,
+  user: User,
+  code: unknown,
+  allowRecovery: boolean
+): Promise<string | null> {
+  const block = checkAccount(user);
+  if (block) {
+    return block.message;
+  }
+
+  const confirmed = allowRecovery ? await verifyLoginCode(db, user, code) : await verifyTotp(db, user, code);
+  if (confirmed) {
+    return null;
+  }
+
+  const failureBlock = await recordLoginFailure(db, user);
+  return failureBlock?.message ?? 'Pogresan kod';
+}
+
+/**
+ * Roles of a user TWO_FACTOR_REQUIRED is matched against
+ */
+function userRoles(user: Pick<User, 'is_super_admin' | 'is_admin' | 'is_user'>): TwoFactorRole[] {
+  const roles: TwoFactorRole[] = [];
+  if (user.is_super_admin) roles.push('super_admin');
+  if (user.is_admin) roles.push('admin');
+  if (user.is_user) roles.push('user');
+  return roles;
+}
+
+/**
+ * Roles that must use two-factor authentication (TWO_FACTOR_REQUIRED, comma separated)
+ */
+export function requiredRoles(env: Env): TwoFactorRole[] {
+  const listed = (env.TWO_FACTOR_REQUIRED || '').split(',').map((role) => role.trim());
+  return TWO_FACTOR_ROLES.filter((role) => listed.includes(role));
+}
+
+/**
+ * Whether a user must use two-factor authentication (any of their roles requires it)
+ * @param user - Account roles (not the building role of a request context)
+ */
+export function isTwoFactorRequired(env: Env, user: Pick<User, 'is_super_admin' | 'is_admin' | 'is_user'>): boolean {
+  const required = requiredRoles(env);
+  return userRoles(user).some((role) => required.includes(role));
+}
+
+// Login challenge tokens are signed like access tokens but only accepted by POST /api/auth/login/2fa
+const CHALLENGE_PURPOSE = 'two_factor_login';
+
+/**
+ * Challenge token for the second step of a login (after the password was right)
+ */
+export async function createLoginChallenge(env: Env, userId: number): Promise<string> {
+  return await new SignJWT({ id: userId, purpose: CHALLENGE_PURPOSE })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(Date.now() / 1000) + CHALLENGE_MINUTES * 60)
+    .sign(new TextEncoder().encode(env.JWT_SECRET));
+}
+
+/**
+ * User of a login challenge token
+ * @returns User ID, or null if the token is invalid or expired
+ */
+export async function verifyLoginChallenge(env: Env, token: unknown): Promise<number | null> {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  try {
+    const { payload } = await jwtVerify(token, new TextEncoder().encode(env.JWT_SECRET));
+    return payload.purpose === CHALLENGE_PURPOSE && typeof payload.id === 'number' ? payload.id : null;
+  } catch {
+    return null;
+  }
+}
@@ -5,6 +5,22 @@ export interface Env {
   DB: D1Database;
   JWT_SECRET: string;
   JWT_EXPIRES_IN: string;
+  REFRESH_EXPIRES_IN?: string;
+  NBS_QR_VALIDATE?: string; // "true" to check QR payloads with the NBS validator API
+  // Email delivery (disabled if MAIL_TRANSPORT is not set)
+  MAIL_TRANSPORT?: string; // 'smtp' | 'http' | 'mock'
+  MAIL_FROM?: string;
+  MAIL_FROM_NAME?: string;
+  MAIL_MAX_ATTEMPTS?: string; // Automatic retry limit per notification (default 3)
+  SMTP_HOST?: string;
+  SMTP_PORT?: string;
+  SMTP_SECURE?: string; // 'starttls' (default) | 'tls'
+  SMTP_USER?: string;
+  SMTP_PASSWORD?: string;
+  MAIL_API_URL?: string;
+  MAIL_API_KEY?: string;
+  APP_URL?: string; // Frontend URL used in invitation and password reset links (e.g. https://mc73.pages.dev)
+  TWO_FACTOR_REQUIRED?: string; // Roles that must use two-factor authentication, e.g. "super_admin,admin"
 }
 
 // Database models
@@ -15,6 +31,13 @@ export interface User {
   name: string;
   is_admin: number; // SQLite stores boolean as 0/1
   is_user: number;
+  is_super_admin: number; // Administrator of all buildings
+  must_change_password: number; // Only changing the password is allowed until it is changed
+  failed_logins: number; // Failed logins in a row
+  locked_until: string | null; // Logins refused until (UTC) after repeated failed logins
+  totp_secret: string | null; // Base32 TOTP secret (pending until totp_enabled_at is set)
+  totp_enabled_at: string | null; // Two-factor authentication enabled
+  totp_last_step: number; // Last accepted TOTP time step
   created_at: string;
   updated_at: string;
 }
@@ -23,12 +46,63 @@ export interface UserPublic {
   id: number;
   email: string;
   name: string;
-  is_admin: number;
+  is_admin: number; // In a building context: administrator of the current building
   is_user: number;
+  is_super_admin: number;
+  must_change_password: number;
   created_at: string;
   updated_at: string;
 }
 
+// One-time link for setting a password
+export type AccountTokenPurpose = 'invite' | 'reset';
+
+export interface AccountToken {
+  id: number;
+  user_id: number;
+  purpose: AccountTokenPurpose;
+  token_hash: string; // SHA-256 of the token sent in the link
+  expires_at: string;
+  created_by: number | null;
+  created_at: string;
+}
+
+// Outcome of a login attempt; locked, delayed and ip_blocked attempts were refused without checking the password
+export type LoginAttemptResult =
+  | 'success'
+  | 'wrong_password'
+  | 'wrong_code' // Wrong two-factor code (the password was right)
+  | 'unknown_user'
+  | 'locked'
+  | 'delayed'
+  | 'ip_blocked';
+
+export interface LoginAttempt {
+  id: number;
+  email: string;
+  user_id: number | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  result: LoginAttemptResult;
+  created_at: string;
+}
+
+// Login session (holds the refresh token)
+export interface Session {
+  id: number;
+  user_id: number;
+  token_hash: string; // SHA-256 of the current refresh token
+  previous_token_hash: string | null;
+  expires_at: string;
+  ip_address: string | null;
+  user_agent: string | null;
+  two_factor: number; // Login confirmed with a second factor
+  created_at: string;
+  last_used_at: string;
+}
+
+export type SessionPublic = Omit<Session, 'token_hash' | 'previous_token_hash'>;
+
 export interface Building {
   id: number;
   address: string;
@@ -37,38 +111,221 @@ export interface Building {
   default_amount: number;
   recipient_name: string;
   payment_purpose: string;
+  reference_model: string; // '97' or '' (legacy, no model)
+  reminders_enabled: number; // Scheduled reminder job enabled (0/1)
+  reminder_min_amount: number; // 0 = not used
+  reminder_min_months: number; // 0 = not used
+  reminder_interval_days: number;
+  due_day: number; // Day of the billing month a billing is due (1-28)
+  interest_enabled: number; // Late-payment interest calculated (0/1)
+  interest_method: InterestMethod;
+  interest_grace_days: number; // Days after the due day before interest starts
+  combine_slips: number; // Print an apartment's billings of a month on one slip (0/1)
+  amount_rule: string | null; // JSON list of AmountComponent (null = default_amount for every apartment)
+  auto_generate_enabled: number; // Scheduled billing generation enabled (0/1)
+  auto_generate_day: number; // Day of the month the next month is generated from (1-28)
+  auto_generate_send_email: number; // Email slips after scheduled generation (0/1)
   created_at: string;
   updated_at: string;
 }
 
+// Building the current user can access, with their role in it
+export interface BuildingAccess extends Building {
+  role: 'admin' | 'user';
+}
+
 export interface Apartment {
   id: number;
+  building_id: number;
   apartment_number: number;
   owner_name: string;
   floor_number: number;
-  override_amount: number | null;
-  user_id: number | null;
+  override_amount: number | null; // Replaces the building's amount rule
+  no_reminders: number; // 1 = do not send overdue reminders
+  area: number | null; // Square metres
+  occupants: number | null;
+  ownership_share: number | null; // Percent of the building
   created_at: string;
   updated_at: string;
 }
 
+// Role of a user linked to an apartment: tenant is the payer, viewer can only view
+export type MemberRole = 'owner' | 'co_owner' | 'tenant' | 'viewer';
+
+// User linked to an apartment
+export interface ApartmentMember {
+  apartment_id: number;
+  user_id: number;
+  role: MemberRole;
+  created_at: string;
+  name: string; // User's name and email
+  email: string;
+}
+
+// Apartment of a user with the user's role in it
+export interface MemberApartment extends Apartment {
+  role: MemberRole;
+}
+
+// Owner of an apartment for a period of time (the current owner has no owned_to)
+export interface ApartmentOwner {
+  id: number;
+  apartment_id: number;
+  owner_name: string;
+  email: string | null;
+  phone: string | null;
+  owned_from: string | null; // YYYY-MM-DD (null = since the apartment was registered)
+  owned_to: string | null; // YYYY-MM-DD, last day of ownership
+  created_at: string;
+}
+
+// Share of an apartment's balance belonging to one owner (positive = prepayment, negative = owed)
+export interface OwnerBalance extends Pick<ApartmentOwner, 'owned_from' | 'owned_to'> {
+  owner_id: number;
+  owner_name: string;
+  opening_balance: number;
+  total_billings: number;
+  total_payments: number;
+  balance: number;
+}
+
+// Basis of an amount rule component: per apartment, per m2, per occupant, or by ownership share
+export type AmountBasis = 'fixed' | 'area' | 'occupants' | 'share';
+
+// Component of a building's amount rule (share: rate is the amount for 100% of the building)
+export interface AmountComponent {
+  basis: AmountBasis;
+  rate: number;
+}
+
+// Component amount of an apartment (quantity: 1, m2, occupants or share of the building)
+export interface AmountLine extends AmountComponent {
+  quantity: number;
+  amount: number;
+}
+
+// Monthly amount of an apartment (amount is null when data the rule needs is missing)
+export interface ApartmentAmount {
+  apartment_id: number;
+  apartment_number: number;
+  owner_name: string;
+  source: 'override' | 'rule' | 'default';
+  lines: AmountLine[];
+  amount: number | null;
+  error: string | null;
+}
+
+// Change generating a month again would make to a billing of an apartment
+export type BillingChange = 'add' | 'change' | 'remove' | 'same';
+
+// Billing of a generated month (maintenance or a monthly charge) compared to generating it again
+export interface BillingDiffLine {
+  billing_type: 'maintenance' | 'charge';
+  charge_type_id: number | null;
+  payment_purpose: string;
+  billing_id: number | null; // Active billing (null = not generated yet)
+  current_amount: number | null; // Amount of the active billing
+  amount: number | null; // Amount it would be generated with (null = no longer billed)
+  change: BillingChange;
+  fields: string[]; // Slip fields that would change (amount, owner_name...)
+}
+
+// Billings of an apartment in a generated month compared to generating them again
+export interface ApartmentBillingDiff {
+  apartment_id: number;
+  apartment_number: number;
+  owner_name: string;
+  change: 'add' | 'change' | 'same'; // add = the apartment has no billings in the month
+  error: string | null; // Maintenance amount can not be calculated (maintenance is left as is)
+  lines: BillingDiffLine[];
+}
+
+// Monthly maintenance billing, monthly charge of a charge type, installment of a
+// special assessment, or late-payment interest posted as a billing
+export type BillingType = 'maintenance' | 'charge' | 'assessment' | 'interest';
+
 export interface Billing {
   id: number;
+  building_id: number;
   apartment_id: number;
   billing_month: number;
   billing_year: number;
   amount: number;
+  billing_type: BillingType;
+  charge_type_id: number | null; // Charges and assessments
+  assessment_id: number | null; // Assessments
+  // Printed on the slip as issued
+  payment_purpose: string;
+  payment_code: string; // IPS payment code (SF)
+  reference_model: string;
   reference_number: string;
+  // Payer snapshot taken when the billing was generated (slips reprint as issued)
+  apartment_number: number;
+  owner_name: string;
+  floor_number: number;
+  payer_address: string;
+  payer_city: string;
+  generated_at: string;
+  // Set when the billing month was cancelled (kept for the history, excluded from balances)
+  cancelled_at: string | null;
+  cancelled_by: number | null;
+  cancel_reason: string | null;
+}
+
+// Billing data printed on a payment slip (stored billing or one about to be generated)
+export type BillingSlipData = Omit<
+  Billing,
+  | 'id'
+  | 'building_id'
+  | 'apartment_id'
+  | 'billing_type'
+  | 'charge_type_id'
+  | 'assessment_id'
+  | 'generated_at'
+  | 'cancelled_at'
+  | 'cancelled_by'
+  | 'cancel_reason'
+>;
+
+// Charge billed next to the maintenance fee, with its own slip purpose and payment code
+export interface ChargeType {
+  id: number;
+  building_id: number;
+  name: string;
+  payment_purpose: string;
+  payment_code: string; // IPS payment code (SF)
+  monthly_amount: number | null; // Billed every month (null = special assessments only)
+  active: number; // 0 = not billed, not used for new assessments
   created_at: string;
+  updated_at: string;
 }
 
-export interface BillingWithApartment extends Billing {
-  apartment_number: number;
-  owner_name: string;
+// One-off special assessment billed in monthly installments
+export interface Assessment {
+  id: number;
+  building_id: number;
+  charge_type_id: number;
+  payment_purpose: string;
+  amount: number; // Per apartment, all installments together
+  installments: number;
+  start_year: number; // Month of the first installment
+  start_month: number;
+  created_by: number | null;
+  created_at: string;
+  // Set when the assessment was cancelled (its billings are cancelled too)
+  cancelled_at: string | null;
+  cancelled_by: number | null;
+  cancel_reason: string | null;
+}
+
+export interface AssessmentWithDetails extends Assessment {
+  charge_type_name: string;
+  apartments_count: number;
 }
 
 export interface Payment {
   id: number;
+  building_id: number;
   apartment_id: number;
   amount: number;
   payment_date: string;
@@ -76,6 +333,10 @@ export interface Payment {
   notes: string | null;
   recorded_by: number;
   created_at: string;
+  // Set when the payment was voided (kept for the history, excluded from balances)
+  voided_at: string | null;
+  voided_by: number | null;
+  void_reason: string | null;
 }
 
 export interface PaymentWithDetails extends Payment {
@@ -84,9 +345,253 @@ export interface PaymentWithDetails extends Payment {
   recorded_by_name: string;
 }
 
+// Part of a payment allocated to a billing by the admin
+export interface PaymentAllocation {
+  payment_id: number;
+  billing_id: number;
+  amount: number;
+}
+
+// Part of a payment applied to a billing (manual allocation or oldest-first)
+export interface AppliedAllocation extends PaymentAllocation {
+  manual: boolean;
+}
+
+// Applied allocation with the month of its billing
+export interface PaymentAllocationDetail extends AppliedAllocation {
+  billing_year: number;
+  billing_month: number;
+}
+
+export type BillingPaymentStatus = 'unpaid' | 'partial' | 'paid';
+
+// Billing with the amount paid by allocated payments (status is null for cancelled billings)
+export interface BillingWithStatus extends Billing {
+  paid_amount: number;
+  unpaid_amount: number;
+  payment_status: BillingPaymentStatus | null;
+}
+
+// Apartment history entry: billings are negative, payments positive, balance is running
+// Voided payments and cancelled billings are listed but do not change the balance
+// History after a period close starts with the opening balance (type 'opening')
+export interface HistoryItem {
+  type: 'billing' | 'payment' | 'opening';
+  id: number;
+  date: string;
+  amount: number;
+  description: string | null;
+  billing_type: BillingType | null; // Billings only
+  payment_purpose: string | null; // Billings only
+  billing_month: number | null;
+  billing_year: number | null;
+  voided_at: string | null;
+  void_reason: string | null;
+  balance: number;
+}
+
+// History entry with the apartment's owner at the time (billings: first day of the billing month)
+export interface OwnedHistoryItem extends HistoryItem {
+  owner_id: number | null;
+  owner_name: string | null;
+}
+
+// Credit line parsed from a bank statement (CSV or XML)
+export interface StatementLine {
+  line_key: string; // Unique key used to detect lines imported before
+  payment_date: string; // YYYY-MM-DD
+  amount: number;
+  payer_name: string;
+  payer_account: string;
+  reference: string;
+  purpose: string;
+}
+
+// Proposed apartment/billing for a statement line
+export interface StatementMatch {
+  match_status: 'matched' | 'ambiguous' | 'unmatched';
+  match_reason: 'reference' | 'reference_name' | 'name' | null;
+  apartment_id: number | null;
+  billing_id: number | null;
+  candidate_apartment_ids: number[];
+}
+
+// Imported statement line (holding table for unmatched/ambiguous lines)
+export interface StatementLineRecord extends StatementLine {
+  id: number;
+  building_id: number;
+  match_status: StatementMatch['match_status'];
+  status: 'pending' | 'assigned' | 'dismissed';
+  payment_id: number | null;
+  imported_by: number;
+  created_at: string;
+}
+
+// Email notification sent to a resident (one per billing and type)
+export interface Notification {
+  id: number;
+  building_id: number;
+  type: 'billing_slip';
+  billing_id: number | null;
+  apartment_id: number | null;
+  apartment_number: number;
+  billing_year: number;
+  billing_month: number;
+  user_id: number | null;
+  recipient_email: string;
+  recipient_name: string;
+  status: 'pending' | 'sent' | 'failed' | 'skipped';
+  attempts: number;
+  last_error: string | null;
+  transport: string | null;
+  sent_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Interest calculation: simple, or compound by the conformal method
+export type InterestMethod = 'simple' | 'compound';
+
+// Statutory late-payment interest rate (annual, percent), valid until the next rate
+export interface InterestRate {
+  id: number;
+  valid_from: string; // YYYY-MM-DD
+  annual_rate: number;
+  created_at: string;
+}
+
+// Interest of an overdue billing posted with an interest billing
+export interface InterestPosting {
+  interest_billing_id: number;
+  billing_id: number;
+  amount: number;
+  through_date: string; // YYYY-MM-DD
+}
+
+// Late-payment interest of a billing up to a date
+export interface BillingInterest {
+  billing_id: number;
+  apartment_id: number;
+  billing_year: number;
+  billing_month: number;
+  amount: number;
+  due_date: string; // YYYY-MM-DD
+  unpaid: number; // Unpaid on the date
+  days: number; // Days interest was charged for (any part unpaid)
+  accrued: number; // Interest from the due date (and grace days) to the date
+  posted: number; // Already posted with interest billings
+  unposted: number;
+}
+
+// Overdue billing month (unpaid part after payments are applied oldest-first)
+export interface OverdueMonth {
+  billing_id: number | null; // null for the opening debt of a period close
+  billing_year: number; // Opening debt: last closed month
+  billing_month: number;
+  billing_type?: BillingType | 'opening'; // Not in reminders stored before interest
+  payment_purpose?: string; // Not in reminders stored before charge types
+  amount: number;
+  unpaid: number;
+  interest?: number; // Accrued late-payment interest (not in reminders stored before interest)
+}
+
+// Overdue payment reminder letter
+export interface Reminder {
+  id: number;
+  building_id: number;
+  apartment_id: number;
+  level: number; // Escalation level (1-3)
+  amount: number; // Total overdue amount
+  months_count: number; // Distinct billing months of the breakdown
+  breakdown: string; // JSON OverdueMonth[]
+  reference_model: string;
+  reference_number: string;
+  // Payer snapshot (letter reprints as issued)
+  apartment_number: number;
+  owner_name: string;
+  floor_number: number;
+  payer_address: string;
+  payer_city: string;
+  status: 'open' | 'resolved';
+  delivery_status: 'pending' | 'sent' | 'failed' | 'skipped';
+  recipient_email: string;
+  last_error: string | null;
+  sent_at: string | null;
+  source: 'cron' | 'manual';
+  created_by: number | null;
+  resolved_at: string | null;
+  created_at: string;
+}
+
+// Run of the scheduled billing generation job
+export type BillingRunStatus = 'success' | 'skipped' | 'failed';
+
+export interface BillingRun {
+  id: number;
+  building_id: number;
+  billing_year: number;
+  billing_month: number;
+  status: BillingRunStatus; // skipped = the month already had billings
+  billings_count: number;
+  notifications_sent: number;
+  notifications_failed: number;
+  message: string | null;
+  created_at: string;
+}
+
+// Closed accounting period (billings and payments up to its end can no longer change)
+export interface PeriodClose {
+  id: number;
+  building_id: number;
+  period_year: number;
+  period_month: number; // Last closed month
+  source: 'close' | 'import'; // Computed balances, or opening balances imported from a previous system
+  closed_by: number | null;
+  closed_at: string;
+}
+
+// Apartment balance at the end of a closed period (opening balance of the next one)
+export interface OpeningBalance {
+  period_close_id: number;
+  apartment_id: number;
+  balance: number; // Positive = prepayment, Negative = owed
+}
+
+// Audit log entry (before/after are JSON snapshots of the changed row)
+export type AuditAction = 'create' | 'update' | 'delete';
+export type AuditEntityType =
+  | 'building'
+  | 'apartment'
+  | 'user'
+  | 'billing'
+  | 'payment'
+  | 'statement_line'
+  | 'period_close'
+  | 'interest_rate'
+  | 'charge_type'
+  | 'assessment'
+  | 'apartment_owner'
+  | 'apartment_member';
+
+export interface AuditLogEntry {
+  id: number;
+  building_id: number | null;
+  user_id: number | null;
+  user_email: string;
+  action: AuditAction;
+  entity_type: AuditEntityType;
+  entity_id: number | null;
+  before_data: string | null;
+  after_data: string | null;
+  ip_address: string | null;
+  created_at: string;
+}
+
 // JWT payload
 export interface JWTPayload {
   id: number;
+  sid: number; // Session the token was issued for
+  mfa?: number; // 1 if the session was confirmed with a second factor
   email: string;
   is_admin: number;
   is_user: number;
@@ -103,7 +608,7 @@ export interface BankAccountParsed {
   digits: string;
 }
 
-// QR code data for NBS API
+// NBS IPS QR code payload
 export interface QRCodeData {
   K: string;     // Payment type
   V: string;     // Version
@@ -117,6 +622,12 @@ export interface QRCodeData {
   P: string;     // Payer info
 }
 
+// Encoded QR code (size x size modules, true = dark)
+export interface QRMatrix {
+  size: number;
+  modules: boolean[][];
+}
+
 // Request context with user
 export interface AuthenticatedContext {
   user: UserPublic;